@@ -0,0 +1,191 @@
+/**
+ * Filter List Sync
+ * Downloads and refreshes subscribed filter lists (format documented in shared/filter-lists.js)
+ */
+
+import browserAPI from '../shared/browser-api.js';
+import { FILTER_LIST_CONFIG } from '../shared/constants.js';
+import { parseFilterList, isFilterListStale } from '../shared/filter-lists.js';
+import { filterLists } from '../shared/storage.js';
+
+/**
+ * Read a response body as text, stopping once it passes a size limit
+ * Content-Length can be missing (chunked responses), so the bytes are counted as they arrive.
+ * @param {Response} response - Fetch response
+ * @param {number} maxBytes - Size limit
+ * @returns {Promise<string>} - Body text
+ * @throws {Error} - If the body is larger than maxBytes
+ */
+async function readLimitedText(response, maxBytes) {
+    if (!response.body) return '';
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let size = 0;
+    let text = '';
+
+    let chunk = await reader.read();
+    while (!chunk.done) {
+        size += chunk.value.byteLength;
+        if (size > maxBytes) {
+            await reader.cancel();
+            throw new Error('Filter list is too large');
+        }
+        text += decoder.decode(chunk.value, { stream: true });
+        chunk = await reader.read();
+    }
+
+    return text + decoder.decode();
+}
+
+/**
+ * Download a filter list
+ * @param {string} url - HTTPS URL
+ * @returns {Promise<string>} - List contents
+ * @throws {Error} - On network errors, non-2xx responses, timeouts or oversized lists
+ */
+async function downloadFilterList(url) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), FILTER_LIST_CONFIG.FETCH_TIMEOUT_MS);
+
+    try {
+        const response = await fetch(url, {
+            method: 'GET',
+            signal: controller.signal,
+            credentials: 'omit',
+            cache: 'no-cache',
+            headers: {
+                'Accept': 'text/plain, application/json'
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const length = Number(response.headers.get('Content-Length'));
+        if (length > FILTER_LIST_CONFIG.MAX_SIZE_BYTES) {
+            throw new Error('Filter list is too large');
+        }
+
+        return await readLimitedText(response, FILTER_LIST_CONFIG.MAX_SIZE_BYTES);
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error('Download timed out');
+        }
+        throw error;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Build a subscription from list contents
+ * @param {Object} base - Existing subscription fields (id, source, url, enabled, title fallback)
+ * @param {string} text - List contents
+ * @returns {Object} - Subscription with parsed title, version, entries and timestamps
+ * @throws {Error} - If the list can't be parsed
+ */
+export function buildFilterList(base, text) {
+    const parsed = parseFilterList(text);
+    const now = Date.now();
+
+    return {
+        ...base,
+        title: parsed.title || base.title,
+        version: parsed.version,
+        expiresMs: parsed.expiresMs,
+        entries: parsed.entries,
+        lastUpdated: now,
+        lastChecked: now,
+        error: '',
+        needsAccess: false
+    };
+}
+
+/**
+ * Subscribe to a list by URL (downloads it once to validate)
+ * @param {string} url - HTTPS URL
+ * @returns {Promise<Object>} - The stored subscription
+ * @throws {Error} - If the URL is already subscribed, or the list can't be downloaded or parsed
+ */
+export async function subscribeFilterList(url) {
+    if (filterLists.findByUrl(url)) {
+        throw new Error('Already subscribed to this list');
+    }
+
+    const text = await downloadFilterList(url);
+    const fallbackTitle = new URL(url).pathname.split('/').filter(Boolean).pop() || new URL(url).hostname;
+    const stored = filterLists.upsert(buildFilterList({ source: 'url', url, title: fallbackTitle, enabled: true }, text));
+    if (!stored) {
+        throw new Error('Invalid filter list URL');
+    }
+    return stored;
+}
+
+/**
+ * Re-download a URL subscription
+ * On failure the previous entries are kept and the error is recorded on the list.
+ * @param {Object} list - Stored subscription
+ * @returns {Promise<boolean>} - True if the entries were updated
+ */
+export async function refreshFilterList(list) {
+    if (list.source !== 'url') return false;
+
+    try {
+        const text = await downloadFilterList(list.url);
+        // The list may have been removed while downloading
+        if (!filterLists.has(list.id)) return false;
+        filterLists.upsert(buildFilterList(list, text));
+        console.log(`📋 Refreshed filter list "${list.title}"`);
+        return true;
+    } catch (error) {
+        console.warn(`Failed to refresh filter list "${list.title}":`, error.message);
+        if (!filterLists.has(list.id)) return false;
+        filterLists.upsert({ ...list, lastChecked: Date.now(), error: error.message });
+        return false;
+    }
+}
+
+/**
+ * Refresh URL subscriptions one at a time
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Refresh even if not stale
+ * @param {string} [options.id] - Only refresh this list
+ * @returns {Promise<number>} - Number of lists downloaded successfully
+ */
+export async function refreshFilterLists({ force = false, id = null } = {}) {
+    let updated = 0;
+    const lists = filterLists.getAll().filter(list => (id ? list.id === id : true));
+
+    for (const list of lists) {
+        if (list.source !== 'url') continue;
+        if (!force && !isFilterListStale(list)) continue;
+        if (await refreshFilterList(list)) {
+            updated++;
+        }
+    }
+
+    return updated;
+}
+
+/**
+ * Flag URL subscriptions whose host the extension can't access yet
+ * Host access granted in another browser doesn't come along with a backup, so imported lists are
+ * checked here; Options asks the user to allow access again. A successful download clears the flag.
+ * @returns {Promise<number>} - Number of lists flagged
+ */
+export async function flagFilterListsNeedingAccess() {
+    if (!browserAPI.permissions?.contains) return 0;
+
+    let flagged = 0;
+    for (const list of filterLists.getAll()) {
+        if (list.source !== 'url') continue;
+        const granted = await browserAPI.permissions.contains({ origins: [`${new URL(list.url).origin}/*`] });
+        if (!granted) {
+            filterLists.upsert({ ...list, needsAccess: true });
+            flagged++;
+        }
+    }
+    return flagged;
+}
@@ -0,0 +1,207 @@
+/**
+ * Research Log (Background)
+ * IndexedDB-backed store for research mode: recording sessions and the observations reported
+ * by content scripts while one is running (shapes in shared/research-log.js). IndexedDB rather
+ * than storage.local because a long session easily outgrows the storage quota.
+ *
+ * Stores:
+ *   sessions     - keyPath 'id'
+ *   observations - keyPath ['sessionId', 'tweetId'], index 'sessionId'
+ */
+
+import { RESEARCH_CONFIG } from '../shared/constants.js';
+import { generateId } from '../shared/utils.js';
+import { normalizeSessionName } from '../shared/research-log.js';
+
+const SESSIONS_STORE = 'sessions';
+const OBSERVATIONS_STORE = 'observations';
+
+let dbPromise = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} - Request result
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} tx - Transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Open (and on first use create) the research database
+ * @returns {Promise<IDBDatabase>} - Database
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(RESEARCH_CONFIG.DB_NAME, RESEARCH_CONFIG.DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(SESSIONS_STORE)) {
+                    db.createObjectStore(SESSIONS_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(OBSERVATIONS_STORE)) {
+                    const observations = db.createObjectStore(OBSERVATIONS_STORE, { keyPath: ['sessionId', 'tweetId'] });
+                    observations.createIndex('sessionId', 'sessionId');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Get all sessions, newest first
+ * @returns {Promise<Array<Object>>} - Sessions
+ */
+async function getSessions() {
+    const db = await openDatabase();
+    const sessions = await requestToPromise(db.transaction(SESSIONS_STORE).objectStore(SESSIONS_STORE).getAll());
+    return sessions.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+/**
+ * Get the session being recorded
+ * @returns {Promise<Object|null>} - Session, or null if research mode is off
+ */
+export async function getActiveResearchSession() {
+    const sessions = await getSessions();
+    return sessions.find(session => session.stoppedAt === null) || null;
+}
+
+/**
+ * Stop the session being recorded, if any
+ * @returns {Promise<Object|null>} - Stopped session
+ */
+export async function stopResearchSession() {
+    const active = await getActiveResearchSession();
+    if (!active) return null;
+
+    const stopped = { ...active, stoppedAt: new Date().toISOString() };
+    const db = await openDatabase();
+    const tx = db.transaction(SESSIONS_STORE, 'readwrite');
+    tx.objectStore(SESSIONS_STORE).put(stopped);
+    await transactionDone(tx);
+    console.log(`🔬 Stopped research session "${stopped.name}"`);
+    return stopped;
+}
+
+/**
+ * Start a new recording session (stopping the current one)
+ * @param {string} name - Session name
+ * @returns {Promise<Object>} - New session
+ */
+export async function startResearchSession(name) {
+    await stopResearchSession();
+
+    const startedAt = new Date();
+    const session = {
+        id: generateId(),
+        name: normalizeSessionName(name, startedAt),
+        startedAt: startedAt.toISOString(),
+        stoppedAt: null
+    };
+    const db = await openDatabase();
+    const tx = db.transaction(SESSIONS_STORE, 'readwrite');
+    tx.objectStore(SESSIONS_STORE).add(session);
+    await transactionDone(tx);
+    console.log(`🔬 Started research session "${session.name}"`);
+    return session;
+}
+
+/**
+ * Store observations for the session being recorded
+ * Observations for other sessions are dropped; tweets already logged in the session keep their first observation.
+ * @param {Array<Object>} observations - Observations from a content script
+ * @returns {Promise<number>} - Observations offered to the log
+ */
+export async function addResearchObservations(observations) {
+    const active = await getActiveResearchSession();
+    const accepted = active
+        ? observations.filter(observation => observation?.sessionId === active.id && typeof observation.tweetId === 'string' && observation.tweetId)
+        : [];
+    if (accepted.length === 0) return 0;
+
+    const db = await openDatabase();
+    const tx = db.transaction(OBSERVATIONS_STORE, 'readwrite');
+    const store = tx.objectStore(OBSERVATIONS_STORE);
+    for (const observation of accepted) {
+        const request = store.add(observation);
+        // Already logged: keep the transaction going (and don't let the error reach tx.onerror)
+        request.onerror = event => {
+            event.preventDefault();
+            event.stopPropagation();
+        };
+    }
+    await transactionDone(tx);
+    return accepted.length;
+}
+
+/**
+ * Get a session's observations, oldest first
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Array<Object>>} - Observations
+ */
+export async function getResearchObservations(sessionId) {
+    const db = await openDatabase();
+    const index = db.transaction(OBSERVATIONS_STORE).objectStore(OBSERVATIONS_STORE).index('sessionId');
+    const observations = await requestToPromise(index.getAll(sessionId));
+    return observations.sort((a, b) => a.observedAt.localeCompare(b.observedAt));
+}
+
+/**
+ * Get a session by ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} - Session
+ */
+export async function getResearchSession(sessionId) {
+    const db = await openDatabase();
+    const session = await requestToPromise(db.transaction(SESSIONS_STORE).objectStore(SESSIONS_STORE).get(sessionId));
+    return session || null;
+}
+
+/**
+ * List sessions with their observation counts, newest first
+ * @returns {Promise<Array<Object>>} - Sessions plus { count }
+ */
+export async function listResearchSessions() {
+    const sessions = await getSessions();
+    const db = await openDatabase();
+    const index = db.transaction(OBSERVATIONS_STORE).objectStore(OBSERVATIONS_STORE).index('sessionId');
+    const counts = await Promise.all(sessions.map(session => requestToPromise(index.count(session.id))));
+    return sessions.map((session, i) => ({ ...session, count: counts[i] }));
+}
+
+/**
+ * Delete a session and its observations
+ * @param {string} sessionId - Session ID
+ */
+export async function deleteResearchSession(sessionId) {
+    const db = await openDatabase();
+    const tx = db.transaction([SESSIONS_STORE, OBSERVATIONS_STORE], 'readwrite');
+    tx.objectStore(SESSIONS_STORE).delete(sessionId);
+    // Observation keys are [sessionId, tweetId]; arrays sort after strings, so this covers every tweet
+    tx.objectStore(OBSERVATIONS_STORE).delete(IDBKeyRange.bound([sessionId], [sessionId, []]));
+    await transactionDone(tx);
+}
@@ -5,11 +5,18 @@
  */
 
 import browserAPI from '../shared/browser-api.js';
-import { MESSAGE_TYPES, VERSION, STORAGE_KEYS, TIMING } from '../shared/constants.js';
-import { userCache, blockedCountries, blockedRegions, blockedTags, settings, headersStorage, initializeStorage } from '../shared/storage.js';
+import { MESSAGE_TYPES, VERSION, STORAGE_KEYS, TIMING, FILTER_LIST_CONFIG, FILTER_ACTIONS, WATCHLIST_CONFIG } from '../shared/constants.js';
+import { userCache, blockedCountries, blockedRegions, blockedTags, blockedDevices, allowedUsers, blockedUsers, filterRules, filterLists, profiles, countryGroups, impressionStats, postingHours, watchlist, settings, headersStorage, initializeStorage } from '../shared/storage.js';
 import { apiClient, API_ERROR_CODES } from './api-client.js';
-import { calculateStatistics } from '../shared/utils.js';
+import { calculateStatistics, getBlockingMode } from '../shared/utils.js';
 import cloudCache from './cloud-cache.js';
+import { subscribeFilterList, buildFilterList, refreshFilterLists, flagFilterListsNeedingAccess } from './filter-list-sync.js';
+import { isValidFilterListUrl } from '../shared/filter-lists.js';
+import { recordFilterEvents, getTabSession, clearTabSession } from './tab-sessions.js';
+import { summarizeImpressionDays, IMPRESSION_SOURCES } from '../shared/impression-stats.js';
+import { startResearchSession, stopResearchSession, getActiveResearchSession, addResearchObservations, listResearchSessions, getResearchSession, getResearchObservations, deleteResearchSession } from './research-log.js';
+import { observationsToNdjson, observationsToCsv, getResearchExportFilename, RESEARCH_EXPORT_FORMATS } from '../shared/research-log.js';
+import { checkWatchlist } from './watchlist-sync.js';
 
 // Track initialization state
 let initialized = false;
@@ -22,6 +29,13 @@ const notFoundCache = new Map();
 const NOT_FOUND_CACHE_MAX_SIZE = 1000;
 let notFoundCleanupInterval = null;
 
+// Periodic refresh of subscribed filter lists
+let filterListRefreshInterval = null;
+let filterListRefreshRunning = false;
+
+// Watchlist checks run from an alarm (and on demand from the options page), one at a time
+let watchlistCheckRunning = false;
+
 /**
  * Initialize the background worker
  */
@@ -48,6 +62,12 @@ async function initialize() {
         
         // Start keep-alive mechanism for MV3 service workers
         startKeepAlive();
+        
+        // Refresh stale filter list subscriptions now and periodically
+        startFilterListRefresh();
+        
+        // Re-check watched accounts periodically
+        startWatchlistChecks();
     } catch (error) {
         console.error('❌ Background worker initialization failed:', error);
     }
@@ -56,7 +76,7 @@ async function initialize() {
 /**
  * Handle messages from content scripts and popup
  */
-async function handleMessage(message, _sender) {
+async function handleMessage(message, sender) {
     // Ensure initialization
     if (!initialized) {
         await initialize();
@@ -105,6 +125,48 @@ async function handleMessage(message, _sender) {
             case MESSAGE_TYPES.SET_BLOCKED_TAGS:
                 return await handleSetBlockedTags(payload);
             
+            case MESSAGE_TYPES.GET_BLOCKED_DEVICES:
+                return handleGetBlockedDevices();
+            
+            case MESSAGE_TYPES.SET_BLOCKED_DEVICES:
+                return await handleSetBlockedDevices(payload);
+            
+            case MESSAGE_TYPES.GET_ALLOWED_USERS:
+                return handleGetAllowedUsers();
+            
+            case MESSAGE_TYPES.SET_ALLOWED_USERS:
+                return await handleSetAllowedUsers(payload);
+            
+            case MESSAGE_TYPES.GET_BLOCKED_USERS:
+                return handleGetBlockedUsers();
+            
+            case MESSAGE_TYPES.SET_BLOCKED_USERS:
+                return await handleSetBlockedUsers(payload);
+            
+            case MESSAGE_TYPES.GET_FILTER_RULES:
+                return handleGetFilterRules();
+            
+            case MESSAGE_TYPES.SET_FILTER_RULES:
+                return await handleSetFilterRules(payload);
+            
+            case MESSAGE_TYPES.GET_FILTER_LISTS:
+                return handleGetFilterLists();
+            
+            case MESSAGE_TYPES.SET_FILTER_LISTS:
+                return await handleSetFilterLists(payload);
+            
+            case MESSAGE_TYPES.GET_PROFILES:
+                return handleGetProfiles();
+
+            case MESSAGE_TYPES.SET_PROFILES:
+                return await handleSetProfiles(payload);
+
+            case MESSAGE_TYPES.GET_COUNTRY_GROUPS:
+                return handleGetCountryGroups();
+
+            case MESSAGE_TYPES.SET_COUNTRY_GROUPS:
+                return await handleSetCountryGroups(payload);
+
             case MESSAGE_TYPES.GET_STATISTICS:
                 return handleGetStatistics();
             
@@ -117,6 +179,42 @@ async function handleMessage(message, _sender) {
             case MESSAGE_TYPES.GET_RATE_LIMIT_STATUS:
                 return handleGetRateLimitStatus();
             
+            case MESSAGE_TYPES.REPORT_FILTER_EVENTS:
+                return await handleReportFilterEvents(payload, sender);
+            
+            case MESSAGE_TYPES.GET_TAB_SESSION:
+                return await handleGetTabSession(payload);
+            
+            case MESSAGE_TYPES.REPORT_IMPRESSIONS:
+                return handleReportImpressions(payload);
+            
+            case MESSAGE_TYPES.GET_IMPRESSION_STATS:
+                return await handleGetImpressionStats();
+            
+            case MESSAGE_TYPES.SET_IMPRESSION_STATS:
+                return await handleSetImpressionStats(payload);
+            
+            case MESSAGE_TYPES.REPORT_OBSERVATIONS:
+                return await handleReportObservations(payload);
+            
+            case MESSAGE_TYPES.GET_RESEARCH_STATUS:
+                return await handleGetResearchStatus();
+            
+            case MESSAGE_TYPES.SET_RESEARCH_MODE:
+                return await handleSetResearchMode(payload);
+            
+            case MESSAGE_TYPES.EXPORT_RESEARCH_SESSION:
+                return await handleExportResearchSession(payload);
+            
+            case MESSAGE_TYPES.REPORT_POSTING_TIMES:
+                return handleReportPostingTimes(payload);
+            
+            case MESSAGE_TYPES.GET_WATCHLIST:
+                return handleGetWatchlist();
+            
+            case MESSAGE_TYPES.SET_WATCHLIST:
+                return await handleSetWatchlist(payload);
+            
             // Cloud cache handlers
             case MESSAGE_TYPES.GET_CLOUD_CACHE_STATUS:
                 return handleGetCloudCacheStatus();
@@ -339,6 +437,8 @@ function handleGetCache({ screenName }) {
 function handleSetCache({ action, screenName, data }) {
     if (action === 'clear') {
         void userCache.clear();
+        // Posting-hour histograms describe the same accounts
+        void postingHours.clear();
         return { success: true, cleared: true };
     }
 
@@ -371,6 +471,10 @@ function handleGetSettings() {
 async function handleSetSettings(newSettings) {
     await settings.set(newSettings);
     
+    if (newSettings && 'impressionRetentionDays' in newSettings) {
+        await impressionStats.prune(settings.get('impressionRetentionDays'));
+    }
+    
     // Notify all tabs about settings change
     try {
         const tabs = await browserAPI.tabs.query({ url: ['*://*.x.com/*', '*://*.twitter.com/*'] });
@@ -575,159 +679,910 @@ async function handleSetBlockedTags({ action, tag, tags }) {
 }
 
 /**
- * Get statistics handler
+ * Get blocked devices handler
  */
-function handleGetStatistics() {
-    const cacheEntries = userCache.getAll();
-    const stats = calculateStatistics(cacheEntries);
-    
+function handleGetBlockedDevices() {
     return {
         success: true,
-        data: stats
+        data: blockedDevices.getAll(),
+        size: blockedDevices.size
     };
 }
 
 /**
- * Get theme handler
+ * Set blocked devices handler
  */
-async function handleGetTheme() {
+async function handleSetBlockedDevices({ action, device, devices }) {
+    switch (action) {
+        case 'add':
+            blockedDevices.add(device);
+            break;
+        case 'remove':
+            blockedDevices.remove(device);
+            break;
+        case 'toggle':
+            blockedDevices.toggle(device);
+            break;
+        case 'clear':
+            await blockedDevices.clear();
+            break;
+        case 'set':
+            // Replace all blocked devices
+            await blockedDevices.clear();
+            for (const d of devices) {
+                blockedDevices.add(d);
+            }
+            break;
+    }
+    
+    // Notify all tabs about blocked devices change
     try {
-        const result = await browserAPI.storage.local.get(STORAGE_KEYS.THEME);
-        return {
-            success: true,
-            theme: result[STORAGE_KEYS.THEME] || 'dark'
-        };
-    } catch (error) {
-        return {
-            success: false,
-            theme: 'dark'
-        };
+        const tabs = await browserAPI.tabs.query({ url: ['*://*.x.com/*', '*://*.twitter.com/*'] });
+        for (const tab of tabs) {
+            try {
+                await browserAPI.tabs.sendMessage(tab.id, {
+                    type: MESSAGE_TYPES.BLOCKED_DEVICES_UPDATED,
+                    payload: blockedDevices.getAll()
+                });
+            } catch (e) {
+                // Tab might not have content script loaded
+            }
+        }
+    } catch (e) {
+        console.debug('Could not notify tabs:', e);
     }
+    
+    return {
+        success: true,
+        data: blockedDevices.getAll(),
+        size: blockedDevices.size
+    };
 }
 
 /**
- * Set theme handler
+ * Get allowed users handler
  */
-async function handleSetTheme({ theme }) {
+function handleGetAllowedUsers() {
+    return {
+        success: true,
+        data: allowedUsers.getAll(),
+        size: allowedUsers.size
+    };
+}
+
+/**
+ * Set allowed users handler
+ */
+async function handleSetAllowedUsers({ action, user, users }) {
+    switch (action) {
+        case 'add':
+            allowedUsers.add(user);
+            break;
+        case 'remove':
+            allowedUsers.remove(user);
+            break;
+        case 'toggle':
+            allowedUsers.toggle(user);
+            break;
+        case 'clear':
+            await allowedUsers.clear();
+            break;
+        case 'set':
+            // Replace all allowed users
+            await allowedUsers.clear();
+            for (const u of users) {
+                allowedUsers.add(u);
+            }
+            break;
+    }
+    
+    // Notify all tabs about allowlist change
     try {
-        await browserAPI.storage.local.set({
-            [STORAGE_KEYS.THEME]: theme
-        });
-        
-        // Notify all tabs about theme change
-        try {
-            const tabs = await browserAPI.tabs.query({ url: ['*://*.x.com/*', '*://*.twitter.com/*'] });
-            for (const tab of tabs) {
-                try {
-                    await browserAPI.tabs.sendMessage(tab.id, {
-                        type: MESSAGE_TYPES.THEME_UPDATED,
-                        payload: theme
-                    });
-                } catch (e) {
-                    // Tab might not have content script loaded
-                }
+        const tabs = await browserAPI.tabs.query({ url: ['*://*.x.com/*', '*://*.twitter.com/*'] });
+        for (const tab of tabs) {
+            try {
+                await browserAPI.tabs.sendMessage(tab.id, {
+                    type: MESSAGE_TYPES.ALLOWED_USERS_UPDATED,
+                    payload: allowedUsers.getAll()
+                });
+            } catch (e) {
+                // Tab might not have content script loaded
             }
-        } catch (e) {
-            console.debug('Could not notify tabs:', e);
         }
-        
-        return { success: true, theme };
-    } catch (error) {
-        return { success: false, error: error.message };
+    } catch (e) {
+        console.debug('Could not notify tabs:', e);
     }
+    
+    return {
+        success: true,
+        data: allowedUsers.getAll(),
+        size: allowedUsers.size
+    };
 }
 
 /**
- * Get rate limit status handler
+ * Get blocked users handler
  */
-function handleGetRateLimitStatus() {
-    const status = apiClient.getRateLimitStatus();
+function handleGetBlockedUsers() {
     return {
         success: true,
-        ...status
+        data: blockedUsers.getAll(),
+        size: blockedUsers.size
     };
 }
 
 /**
- * Get cloud cache status handler
+ * Set blocked users handler
+ * 'addMany' takes a pasted list and reports how many entries were added or invalid
  */
-function handleGetCloudCacheStatus() {
+async function handleSetBlockedUsers({ action, user, users }) {
+    let added = 0;
+    let invalid = 0;
+    
+    switch (action) {
+        case 'add':
+            blockedUsers.add(user);
+            break;
+        case 'addMany':
+            ({ added, invalid } = blockedUsers.addMany(Array.isArray(users) ? users : []));
+            break;
+        case 'remove':
+            blockedUsers.remove(user);
+            break;
+        case 'toggle':
+            blockedUsers.toggle(user);
+            break;
+        case 'clear':
+            await blockedUsers.clear();
+            break;
+        case 'set':
+            // Replace all blocked users
+            await blockedUsers.clear();
+            blockedUsers.addMany(Array.isArray(users) ? users : []);
+            break;
+    }
+    
+    // Notify all tabs about blocklist change
+    try {
+        const tabs = await browserAPI.tabs.query({ url: ['*://*.x.com/*', '*://*.twitter.com/*'] });
+        for (const tab of tabs) {
+            try {
+                await browserAPI.tabs.sendMessage(tab.id, {
+                    type: MESSAGE_TYPES.BLOCKED_USERS_UPDATED,
+                    payload: blockedUsers.getAll()
+                });
+            } catch (e) {
+                // Tab might not have content script loaded
+            }
+        }
+    } catch (e) {
+        console.debug('Could not notify tabs:', e);
+    }
+    
     return {
         success: true,
-        enabled: cloudCache.isEnabled(),
-        configured: cloudCache.isConfigured(),
-        stats: cloudCache.getStats()
+        data: blockedUsers.getAll(),
+        size: blockedUsers.size,
+        added,
+        invalid
     };
 }
 
 /**
- * Set cloud cache enabled handler
+ * Get filter rules handler
  */
-async function handleSetCloudCacheEnabled({ enabled }) {
-    await cloudCache.setEnabled(enabled);
+function handleGetFilterRules() {
     return {
         success: true,
-        enabled: cloudCache.isEnabled()
+        data: filterRules.getAll(),
+        size: filterRules.size
     };
 }
 
 /**
- * Get cloud stats handler
+ * Set filter rules handler
  */
-function handleGetCloudStats() {
+async function handleSetFilterRules({ action, rule, id, rules }) {
+    switch (action) {
+        case 'add':
+            if (!filterRules.add(rule)) {
+                return { success: false, error: 'Invalid filter rule' };
+            }
+            break;
+        case 'update':
+            if (!filterRules.update(rule)) {
+                return { success: false, error: 'Invalid or unknown filter rule' };
+            }
+            break;
+        case 'remove':
+            filterRules.remove(id);
+            break;
+        case 'toggle':
+            filterRules.toggle(id);
+            break;
+        case 'clear':
+            await filterRules.clear();
+            break;
+        case 'set':
+            // Replace all filter rules
+            await filterRules.set(rules);
+            break;
+    }
+    
+    // Notify all tabs about filter rules change
+    try {
+        const tabs = await browserAPI.tabs.query({ url: ['*://*.x.com/*', '*://*.twitter.com/*'] });
+        for (const tab of tabs) {
+            try {
+                await browserAPI.tabs.sendMessage(tab.id, {
+                    type: MESSAGE_TYPES.FILTER_RULES_UPDATED,
+                    payload: filterRules.getAll()
+                });
+            } catch (e) {
+                // Tab might not have content script loaded
+            }
+        }
+    } catch (e) {
+        console.debug('Could not notify tabs:', e);
+    }
+    
     return {
         success: true,
-        stats: cloudCache.getStats()
+        data: filterRules.getAll(),
+        size: filterRules.size
     };
 }
 
 /**
- * Get cloud server stats handler (total entries in cloud cache)
- *
- * Optimized for UX:
- * - returns cached stats immediately when available
- * - triggers a background refresh (stale-while-revalidate)
+ * Get filter lists handler
+ * `entries` holds the merged entries of all enabled lists (what the content script filters by)
  */
-async function handleGetCloudServerStats() {
-    try {
-        const cached = cloudCache.getCachedServerStats?.();
-
-        // If we have cached stats, return instantly and refresh in the background
-        if (cached) {
-            cloudCache.refreshServerStats?.({ timeoutMs: 15000 }).catch(() => {});
-            return {
-                success: true,
-                serverStats: cached,
-                cached: true
-            };
-        }
-
-        // First-time fetch: wait for a (longer) network request
-        const serverStats = await cloudCache.fetchServerStats({
-            timeoutMs: 15000,
-            allowStale: false,
-            force: true
-        });
-
-        return {
-            success: true,
-            serverStats,
-            cached: false
-        };
-    } catch (error) {
-        return {
-            success: false,
-            error: error.message
-        };
-    }
+function handleGetFilterLists() {
+    return {
+        success: true,
+        data: filterLists.getAll(),
+        entries: filterLists.getMergedEntries(),
+        size: filterLists.size
+    };
 }
 
 /**
- * Sync local cache to cloud handler
+ * Set filter lists handler
+ * 'subscribe' downloads a URL list, 'import' stores a list loaded from a local file
  */
-async function handleSyncLocalToCloud() {
-    try {
-        // Get all local cache entries as array
+async function handleSetFilterLists({ action, id, url, text, name, lists }) {
+    switch (action) {
+        case 'subscribe':
+            if (!isValidFilterListUrl(url)) {
+                return { success: false, error: 'Filter list URLs must start with https://' };
+            }
+            try {
+                await subscribeFilterList(url);
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+            break;
+        case 'import':
+            try {
+                filterLists.upsert(buildFilterList({ source: 'file', title: name || 'Local list', enabled: true }, text));
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+            break;
+        case 'refresh':
+            // Manual refresh ignores the list's refresh interval
+            await refreshFilterLists({ force: true, id });
+            break;
+        case 'remove':
+            filterLists.remove(id);
+            break;
+        case 'toggle':
+            filterLists.toggle(id);
+            break;
+        case 'clear':
+            await filterLists.clear();
+            break;
+        case 'set':
+            // Replace all filter lists
+            await filterLists.set(lists);
+            break;
+    }
+    
+    await notifyFilterListsUpdated();
+    return handleGetFilterLists();
+}
+
+/**
+ * Send the merged filter list entries to all X tabs
+ */
+async function notifyFilterListsUpdated() {
+    try {
+        const tabs = await browserAPI.tabs.query({ url: ['*://*.x.com/*', '*://*.twitter.com/*'] });
+        for (const tab of tabs) {
+            try {
+                await browserAPI.tabs.sendMessage(tab.id, {
+                    type: MESSAGE_TYPES.FILTER_LISTS_UPDATED,
+                    payload: filterLists.getMergedEntries()
+                });
+            } catch (e) {
+                // Tab might not have content script loaded
+            }
+        }
+    } catch (e) {
+        console.debug('Could not notify tabs:', e);
+    }
+}
+
+/**
+ * Blocked lists and blocking mode currently in effect (what the active profile holds)
+ * @returns {{blockedCountries: Array, blockedRegions: Array, blockedTags: Array, blockingMode: string}}
+ */
+function getActiveProfileLists() {
+    return {
+        blockedCountries: blockedCountries.getAll(),
+        blockedRegions: blockedRegions.getAll(),
+        blockedTags: blockedTags.getAll(),
+        blockingMode: getBlockingMode(settings.get())
+    };
+}
+
+/**
+ * Load a profile's lists and blocking mode into the live storages
+ * @param {Object} profile - Stored profile
+ */
+async function applyProfile(profile) {
+    await blockedCountries.clear();
+    for (const country of profile.blockedCountries) {
+        blockedCountries.add(country);
+    }
+    
+    await blockedRegions.clear();
+    for (const region of profile.blockedRegions) {
+        blockedRegions.add(region);
+    }
+    
+    await blockedTags.clear();
+    for (const tag of profile.blockedTags) {
+        blockedTags.add(tag);
+    }
+    
+    await settings.set({
+        highlightBlockedTweets: profile.blockingMode === FILTER_ACTIONS.HIGHLIGHT,
+        collapseBlockedTweets: profile.blockingMode === FILTER_ACTIONS.COLLAPSE
+    });
+}
+
+/**
+ * Get profiles handler
+ * The active profile is refreshed from the live lists first so exports are up to date
+ */
+function handleGetProfiles() {
+    profiles.update(profiles.activeId, getActiveProfileLists());
+    
+    return {
+        success: true,
+        data: profiles.getAll(),
+        activeId: profiles.activeId,
+        size: profiles.size
+    };
+}
+
+/**
+ * Set profiles handler
+ * 'switch' saves the current lists into the active profile before loading the target
+ */
+async function handleSetProfiles({ action, id, name, data }) {
+    switch (action) {
+        case 'create':
+            // New profiles start empty with the current blocking mode
+            if (!profiles.add(name, { blockingMode: getBlockingMode(settings.get()) })) {
+                return { success: false, error: 'Enter a name (profile limit reached?)' };
+            }
+            break;
+        case 'rename':
+            if (!profiles.rename(id, name)) {
+                return { success: false, error: 'Enter a name for the profile' };
+            }
+            break;
+        case 'remove':
+            if (!profiles.remove(id)) {
+                return { success: false, error: 'Switch to another profile before deleting this one' };
+            }
+            break;
+        case 'switch': {
+            const target = profiles.get(id);
+            if (!target) {
+                return { success: false, error: 'Unknown profile' };
+            }
+            if (id !== profiles.activeId) {
+                profiles.update(profiles.activeId, getActiveProfileLists());
+                profiles.setActive(id);
+                await applyProfile(target);
+                console.log(`🗂️ Switched to filter profile "${target.name}"`);
+            }
+            break;
+        }
+        case 'set':
+            // Replace all profiles and load the active one
+            await profiles.set(data);
+            await applyProfile(profiles.getActive());
+            break;
+    }
+    
+    await notifyProfilesUpdated();
+    return handleGetProfiles();
+}
+
+/**
+ * Send the profile list and the active profile's lists and settings to all X tabs
+ * Tabs replace their state and re-apply filters once, instead of once per list.
+ */
+async function notifyProfilesUpdated() {
+    try {
+        const tabs = await browserAPI.tabs.query({ url: ['*://*.x.com/*', '*://*.twitter.com/*'] });
+        for (const tab of tabs) {
+            try {
+                await browserAPI.tabs.sendMessage(tab.id, {
+                    type: MESSAGE_TYPES.PROFILES_UPDATED,
+                    payload: getProfilesPayload()
+                });
+            } catch (e) {
+                // Tab might not have content script loaded
+            }
+        }
+    } catch (e) {
+        console.debug('Could not notify tabs:', e);
+    }
+}
+
+/**
+ * Build the PROFILES_UPDATED payload
+ * @returns {Object} - { activeId, profiles: [{id, name}], blockedCountries, blockedRegions, blockedTags, settings }
+ */
+function getProfilesPayload() {
+    return {
+        activeId: profiles.activeId,
+        profiles: profiles.getAll().map(({ id, name }) => ({ id, name })),
+        blockedCountries: blockedCountries.getAll(),
+        blockedRegions: blockedRegions.getAll(),
+        blockedTags: blockedTags.getAll(),
+        settings: settings.get()
+    };
+}
+
+/**
+ * Get country groups handler
+ */
+function handleGetCountryGroups() {
+    return {
+        success: true,
+        data: countryGroups.getAll(),
+        size: countryGroups.size
+    };
+}
+
+/**
+ * Set country groups handler
+ */
+async function handleSetCountryGroups({ action, group, id, mode, groups }) {
+    switch (action) {
+        case 'add':
+            if (!countryGroups.add(group)) {
+                return { success: false, error: 'Enter a name for the group (group limit reached?)' };
+            }
+            break;
+        case 'update':
+            if (!countryGroups.update(group)) {
+                return { success: false, error: 'Invalid or unknown country group' };
+            }
+            break;
+        case 'remove':
+            countryGroups.remove(id);
+            break;
+        case 'setMode':
+            if (!countryGroups.setMode(id, mode)) {
+                return { success: false, error: 'Invalid or unknown country group' };
+            }
+            break;
+        case 'clear':
+            await countryGroups.clear();
+            break;
+        case 'set':
+            // Replace all country groups
+            await countryGroups.set(groups);
+            break;
+    }
+    
+    // Notify all tabs about country groups change
+    try {
+        const tabs = await browserAPI.tabs.query({ url: ['*://*.x.com/*', '*://*.twitter.com/*'] });
+        for (const tab of tabs) {
+            try {
+                await browserAPI.tabs.sendMessage(tab.id, {
+                    type: MESSAGE_TYPES.COUNTRY_GROUPS_UPDATED,
+                    payload: countryGroups.getAll()
+                });
+            } catch (e) {
+                // Tab might not have content script loaded
+            }
+        }
+    } catch (e) {
+        console.debug('Could not notify tabs:', e);
+    }
+    
+    return handleGetCountryGroups();
+}
+
+/**
+ * Get statistics handler
+ */
+function handleGetStatistics() {
+    const cacheEntries = userCache.getAll();
+    const stats = calculateStatistics(cacheEntries);
+    
+    return {
+        success: true,
+        data: stats
+    };
+}
+
+/**
+ * Get theme handler
+ */
+async function handleGetTheme() {
+    try {
+        const result = await browserAPI.storage.local.get(STORAGE_KEYS.THEME);
+        return {
+            success: true,
+            theme: result[STORAGE_KEYS.THEME] || 'dark'
+        };
+    } catch (error) {
+        return {
+            success: false,
+            theme: 'dark'
+        };
+    }
+}
+
+/**
+ * Set theme handler
+ */
+async function handleSetTheme({ theme }) {
+    try {
+        await browserAPI.storage.local.set({
+            [STORAGE_KEYS.THEME]: theme
+        });
+        
+        // Notify all tabs about theme change
+        try {
+            const tabs = await browserAPI.tabs.query({ url: ['*://*.x.com/*', '*://*.twitter.com/*'] });
+            for (const tab of tabs) {
+                try {
+                    await browserAPI.tabs.sendMessage(tab.id, {
+                        type: MESSAGE_TYPES.THEME_UPDATED,
+                        payload: theme
+                    });
+                } catch (e) {
+                    // Tab might not have content script loaded
+                }
+            }
+        } catch (e) {
+            console.debug('Could not notify tabs:', e);
+        }
+        
+        return { success: true, theme };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Get rate limit status handler
+ */
+function handleGetRateLimitStatus() {
+    const status = apiClient.getRateLimitStatus();
+    return {
+        success: true,
+        ...status
+    };
+}
+
+/**
+ * Record filtered tweets reported by a content script
+ */
+async function handleReportFilterEvents({ events, reset }, sender) {
+    const tabId = sender?.tab?.id;
+    if (tabId === undefined) {
+        return { success: false, error: 'Not sent from a tab' };
+    }
+    await recordFilterEvents(tabId, events, reset === true);
+    return { success: true };
+}
+
+/**
+ * Get a tab's session of filtered tweets (for the popup)
+ */
+async function handleGetTabSession({ tabId }) {
+    return { success: true, data: await getTabSession(tabId) };
+}
+
+/**
+ * Record timeline impressions reported by a content script
+ */
+function handleReportImpressions({ impressions }) {
+    const retentionDays = settings.get('impressionRetentionDays');
+    if (!Array.isArray(impressions) || !(retentionDays > 0)) {
+        return { success: true };
+    }
+    impressionStats.record(impressions, retentionDays);
+    return { success: true };
+}
+
+/**
+ * Get the per-day timeline composition (home timeline and everything seen)
+ */
+async function handleGetImpressionStats() {
+    const retentionDays = settings.get('impressionRetentionDays');
+    await impressionStats.prune(retentionDays);
+    const days = impressionStats.getAll();
+    
+    return {
+        success: true,
+        data: {
+            retentionDays,
+            home: summarizeImpressionDays(days, IMPRESSION_SOURCES.HOME),
+            other: summarizeImpressionDays(days, IMPRESSION_SOURCES.OTHER)
+        }
+    };
+}
+
+/**
+ * Set impression stats handler (only clearing is supported)
+ */
+async function handleSetImpressionStats({ action }) {
+    if (action === 'clear') {
+        await impressionStats.clear();
+        return handleGetImpressionStats();
+    }
+    return { success: false, error: 'Invalid impression stats operation' };
+}
+
+/**
+ * Record tweet timestamps reported by a content script
+ * Returns the updated histograms of the authors involved so the tab can infer their timezones.
+ */
+function handleReportPostingTimes({ samples }) {
+    if (!Array.isArray(samples)) {
+        return { success: true, data: {} };
+    }
+    return { success: true, data: postingHours.record(samples) };
+}
+
+/**
+ * Get watchlist handler: watched accounts with their snapshots and change history
+ */
+function handleGetWatchlist() {
+    return {
+        success: true,
+        data: watchlist.getAll(),
+        keys: watchlist.getKeys()
+    };
+}
+
+/**
+ * Set watchlist handler
+ * 'add' takes the user info the tab already has as the first snapshot; 'check' re-fetches every account now.
+ */
+async function handleSetWatchlist({ action, user, info }) {
+    switch (action) {
+        case 'add':
+            try {
+                watchlist.add(user, info || null);
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+            break;
+        case 'remove':
+            watchlist.remove(user);
+            break;
+        case 'clear':
+            await watchlist.clear();
+            break;
+        case 'check': {
+            if (!apiClient.hasHeaders()) {
+                return { success: false, error: 'Browse X first so the extension can make API requests' };
+            }
+            const result = await runWatchlistCheck({ force: true });
+            return { success: true, data: watchlist.getAll(), ...result };
+        }
+    }
+    
+    // Notify all tabs about watchlist change
+    try {
+        const tabs = await browserAPI.tabs.query({ url: ['*://*.x.com/*', '*://*.twitter.com/*'] });
+        for (const tab of tabs) {
+            try {
+                await browserAPI.tabs.sendMessage(tab.id, {
+                    type: MESSAGE_TYPES.WATCHLIST_UPDATED,
+                    payload: watchlist.getKeys()
+                });
+            } catch (e) {
+                // Tab might not have content script loaded
+            }
+        }
+    } catch (e) {
+        console.debug('Could not notify tabs:', e);
+    }
+    
+    return {
+        success: true,
+        data: watchlist.getAll(),
+        size: watchlist.size
+    };
+}
+
+/**
+ * Store research mode observations reported by a content script
+ */
+async function handleReportObservations({ observations }) {
+    if (!Array.isArray(observations)) {
+        return { success: false, error: 'Invalid observations' };
+    }
+    const count = await addResearchObservations(observations);
+    return { success: true, count };
+}
+
+/**
+ * Get research mode status: the session being recorded (or null) and all sessions with their counts
+ */
+async function handleGetResearchStatus() {
+    const sessions = await listResearchSessions();
+    return {
+        success: true,
+        active: sessions.find(session => session.stoppedAt === null) || null,
+        sessions
+    };
+}
+
+/**
+ * Set research mode handler (start, stop, delete)
+ */
+async function handleSetResearchMode({ action, name, sessionId }) {
+    switch (action) {
+        case 'start':
+            await startResearchSession(name);
+            break;
+        case 'stop':
+            await stopResearchSession();
+            break;
+        case 'delete':
+            if (!sessionId) return { success: false, error: 'Missing session' };
+            await deleteResearchSession(sessionId);
+            break;
+        default:
+            return { success: false, error: 'Invalid research mode operation' };
+    }
+    
+    // Tell all tabs which session to record into (null when stopped)
+    const active = await getActiveResearchSession();
+    try {
+        const tabs = await browserAPI.tabs.query({ url: ['*://*.x.com/*', '*://*.twitter.com/*'] });
+        for (const tab of tabs) {
+            try {
+                await browserAPI.tabs.sendMessage(tab.id, {
+                    type: MESSAGE_TYPES.RESEARCH_MODE_UPDATED,
+                    payload: { sessionId: active?.id || null }
+                });
+            } catch (e) {
+                // Tab might not have content script loaded
+            }
+        }
+    } catch (e) {
+        console.debug('Could not notify tabs:', e);
+    }
+    
+    return handleGetResearchStatus();
+}
+
+/**
+ * Export a research session as NDJSON or CSV
+ */
+async function handleExportResearchSession({ sessionId, format }) {
+    const session = await getResearchSession(sessionId);
+    if (!session || !RESEARCH_EXPORT_FORMATS[format]) {
+        return { success: false, error: 'Unknown session or format' };
+    }
+    
+    const observations = await getResearchObservations(sessionId);
+    return {
+        success: true,
+        filename: getResearchExportFilename(session, format),
+        mimeType: RESEARCH_EXPORT_FORMATS[format].mimeType,
+        text: format === 'csv' ? observationsToCsv(observations) : observationsToNdjson(observations),
+        count: observations.length
+    };
+}
+
+/**
+ * Get cloud cache status handler
+ */
+function handleGetCloudCacheStatus() {
+    return {
+        success: true,
+        enabled: cloudCache.isEnabled(),
+        configured: cloudCache.isConfigured(),
+        stats: cloudCache.getStats()
+    };
+}
+
+/**
+ * Set cloud cache enabled handler
+ */
+async function handleSetCloudCacheEnabled({ enabled }) {
+    await cloudCache.setEnabled(enabled);
+    return {
+        success: true,
+        enabled: cloudCache.isEnabled()
+    };
+}
+
+/**
+ * Get cloud stats handler
+ */
+function handleGetCloudStats() {
+    return {
+        success: true,
+        stats: cloudCache.getStats()
+    };
+}
+
+/**
+ * Get cloud server stats handler (total entries in cloud cache)
+ *
+ * Optimized for UX:
+ * - returns cached stats immediately when available
+ * - triggers a background refresh (stale-while-revalidate)
+ */
+async function handleGetCloudServerStats() {
+    try {
+        const cached = cloudCache.getCachedServerStats?.();
+
+        // If we have cached stats, return instantly and refresh in the background
+        if (cached) {
+            cloudCache.refreshServerStats?.({ timeoutMs: 15000 }).catch(() => {});
+            return {
+                success: true,
+                serverStats: cached,
+                cached: true
+            };
+        }
+
+        // First-time fetch: wait for a (longer) network request
+        const serverStats = await cloudCache.fetchServerStats({
+            timeoutMs: 15000,
+            allowStale: false,
+            force: true
+        });
+
+        return {
+            success: true,
+            serverStats,
+            cached: false
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Sync local cache to cloud handler
+ */
+async function handleSyncLocalToCloud() {
+    try {
+        // Get all local cache entries as array
         const cacheArray = userCache.getAll();
         
         if (!cacheArray || cacheArray.length === 0) {
@@ -772,14 +1627,21 @@ async function handleSyncLocalToCloud() {
 }
 
 /**
- * Import data handler - imports settings, blocked countries, blocked regions, and cache from exported JSON
+ * Import data handler - imports settings, blocked countries, regions, tags, devices, allowed and blocked users, filter rules, filter lists, and cache from exported JSON
  */
-async function handleImportData({ settings: importSettings, blockedCountries: importBlockedCountries, blockedRegions: importBlockedRegions, blockedTags: importBlockedTags, cache: importCache }) {
+async function handleImportData({ settings: importSettings, blockedCountries: importBlockedCountries, blockedRegions: importBlockedRegions, blockedTags: importBlockedTags, blockedDevices: importBlockedDevices, allowedUsers: importAllowedUsers, blockedUsers: importBlockedUsers, filterRules: importFilterRules, filterLists: importFilterLists, profiles: importProfiles, countryGroups: importCountryGroups, cache: importCache }) {
     const results = {
         settings: false,
         blockedCountries: { count: 0 },
         blockedRegions: { count: 0 },
         blockedTags: { count: 0 },
+        blockedDevices: { count: 0 },
+        allowedUsers: { count: 0 },
+        blockedUsers: { count: 0 },
+        filterLists: { count: 0, needsAccess: 0 },
+        filterRules: { count: 0 },
+        profiles: { count: 0 },
+        countryGroups: { count: 0 },
         cache: { count: 0 }
     };
     
@@ -820,11 +1682,65 @@ async function handleImportData({ settings: importSettings, blockedCountries: im
             results.blockedTags.count = importBlockedTags.length;
         }
         
+        // Import blocked devices if provided (unknown categories are dropped)
+        if (Array.isArray(importBlockedDevices)) {
+            await blockedDevices.clear();
+            for (const device of importBlockedDevices) {
+                blockedDevices.add(device);
+            }
+            results.blockedDevices.count = blockedDevices.size;
+        }
+        
+        // Import allowed users if provided (invalid handles are dropped)
+        if (Array.isArray(importAllowedUsers)) {
+            await allowedUsers.clear();
+            for (const user of importAllowedUsers) {
+                allowedUsers.add(user);
+            }
+            results.allowedUsers.count = allowedUsers.size;
+        }
+        
+        // Import blocked users if provided (invalid handles are dropped)
+        if (Array.isArray(importBlockedUsers)) {
+            await blockedUsers.clear();
+            blockedUsers.addMany(importBlockedUsers);
+            results.blockedUsers.count = blockedUsers.size;
+        }
+        
+        // Import filter list subscriptions if provided (entries are kept until the next refresh)
+        if (Array.isArray(importFilterLists)) {
+            await filterLists.set(importFilterLists);
+            results.filterLists.count = filterLists.size;
+            results.filterLists.needsAccess = await flagFilterListsNeedingAccess();
+        }
+        
+        // Import filter rules if provided (invalid rules are dropped)
+        if (Array.isArray(importFilterRules)) {
+            await filterRules.set(importFilterRules);
+            results.filterRules.count = filterRules.size;
+        }
+        
+        // Import filter profiles if provided; the imported lists above belong to the active profile
+        if (importProfiles && Array.isArray(importProfiles.profiles)) {
+            await profiles.set(importProfiles);
+            profiles.update(profiles.activeId, getActiveProfileLists());
+            results.profiles.count = profiles.size;
+        }
+        
+        // Import country groups if provided (invalid groups and unknown countries or regions are dropped)
+        if (Array.isArray(importCountryGroups)) {
+            await countryGroups.set(importCountryGroups);
+            results.countryGroups.count = countryGroups.size;
+        }
+        
         // Import cache entries if provided
         if (Array.isArray(importCache)) {
             for (const entry of importCache) {
                 if (entry.screenName) {
-                    userCache.set(entry.screenName, entry);
+                    // The exported suspicion score is derived data; it's recomputed from the entry when needed
+                    const cached = { ...entry };
+                    delete cached.suspicion;
+                    userCache.set(entry.screenName, cached);
                     results.cache.count++;
                 }
             }
@@ -855,6 +1771,41 @@ async function handleImportData({ settings: importSettings, blockedCountries: im
                         type: MESSAGE_TYPES.BLOCKED_TAGS_UPDATED,
                         payload: blockedTags.getAll()
                     });
+                    // Notify about blocked devices update
+                    await browserAPI.tabs.sendMessage(tab.id, {
+                        type: MESSAGE_TYPES.BLOCKED_DEVICES_UPDATED,
+                        payload: blockedDevices.getAll()
+                    });
+                    // Notify about allowlist update
+                    await browserAPI.tabs.sendMessage(tab.id, {
+                        type: MESSAGE_TYPES.ALLOWED_USERS_UPDATED,
+                        payload: allowedUsers.getAll()
+                    });
+                    // Notify about blocked users update
+                    await browserAPI.tabs.sendMessage(tab.id, {
+                        type: MESSAGE_TYPES.BLOCKED_USERS_UPDATED,
+                        payload: blockedUsers.getAll()
+                    });
+                    // Notify about filter lists update
+                    await browserAPI.tabs.sendMessage(tab.id, {
+                        type: MESSAGE_TYPES.FILTER_LISTS_UPDATED,
+                        payload: filterLists.getMergedEntries()
+                    });
+                    // Notify about filter rules update
+                    await browserAPI.tabs.sendMessage(tab.id, {
+                        type: MESSAGE_TYPES.FILTER_RULES_UPDATED,
+                        payload: filterRules.getAll()
+                    });
+                    // Notify about profiles update
+                    await browserAPI.tabs.sendMessage(tab.id, {
+                        type: MESSAGE_TYPES.PROFILES_UPDATED,
+                        payload: getProfilesPayload()
+                    });
+                    // Notify about country groups update
+                    await browserAPI.tabs.sendMessage(tab.id, {
+                        type: MESSAGE_TYPES.COUNTRY_GROUPS_UPDATED,
+                        payload: countryGroups.getAll()
+                    });
                 } catch (e) {
                     // Tab might not have content script loaded
                 }
@@ -869,6 +1820,14 @@ async function handleImportData({ settings: importSettings, blockedCountries: im
             importedBlockedCountries: results.blockedCountries.count,
             importedBlockedRegions: results.blockedRegions.count,
             importedBlockedTags: results.blockedTags.count,
+            importedBlockedDevices: results.blockedDevices.count,
+            importedAllowedUsers: results.allowedUsers.count,
+            importedBlockedUsers: results.blockedUsers.count,
+            importedFilterLists: results.filterLists.count,
+            filterListsNeedingAccess: results.filterLists.needsAccess,
+            importedFilterRules: results.filterRules.count,
+            importedProfiles: results.profiles.count,
+            importedCountryGroups: results.countryGroups.count,
             importedCache: results.cache.count
         };
     } catch (error) {
@@ -879,6 +1838,14 @@ async function handleImportData({ settings: importSettings, blockedCountries: im
             importedBlockedCountries: results.blockedCountries.count,
             importedBlockedRegions: results.blockedRegions.count,
             importedBlockedTags: results.blockedTags.count,
+            importedBlockedDevices: results.blockedDevices.count,
+            importedAllowedUsers: results.allowedUsers.count,
+            importedBlockedUsers: results.blockedUsers.count,
+            importedFilterLists: results.filterLists.count,
+            filterListsNeedingAccess: results.filterLists.needsAccess,
+            importedFilterRules: results.filterRules.count,
+            importedProfiles: results.profiles.count,
+            importedCountryGroups: results.countryGroups.count,
             importedCache: results.cache.count
         };
     }
@@ -971,6 +1938,73 @@ function stopKeepAlive() {
     stopNotFoundCacheCleanup();
 }
 
+/**
+ * Refresh stale filter list subscriptions, then keep checking periodically
+ * Each list is only downloaded once its own refresh interval ("Expires" header, default 24h) has passed.
+ */
+function startFilterListRefresh() {
+    if (filterListRefreshInterval) {
+        clearInterval(filterListRefreshInterval);
+    }
+    
+    const check = async () => {
+        if (filterListRefreshRunning) return;
+        filterListRefreshRunning = true;
+        try {
+            const updated = await refreshFilterLists();
+            if (updated > 0) {
+                await notifyFilterListsUpdated();
+            }
+        } catch (error) {
+            console.error('Filter list refresh failed:', error);
+        } finally {
+            filterListRefreshRunning = false;
+        }
+    };
+    
+    check();
+    filterListRefreshInterval = setInterval(check, FILTER_LIST_CONFIG.CHECK_INTERVAL_MS);
+}
+
+/**
+ * Run a watchlist check unless one is already running
+ * @param {Object} [options] - Passed to checkWatchlist
+ * @returns {Promise<{checked: number, changed: number}>}
+ */
+async function runWatchlistCheck(options) {
+    if (watchlistCheckRunning) return { checked: 0, changed: 0 };
+    watchlistCheckRunning = true;
+    try {
+        return await checkWatchlist(options);
+    } catch (error) {
+        console.error('Watchlist check failed:', error);
+        return { checked: 0, changed: 0 };
+    } finally {
+        watchlistCheckRunning = false;
+    }
+}
+
+/**
+ * Schedule watchlist checks
+ * An alarm rather than an interval, so checks still happen after the service worker has been stopped.
+ * An existing alarm is kept so restarting the worker doesn't push the next check back.
+ */
+async function startWatchlistChecks() {
+    if (!browserAPI.alarms) return;
+    
+    try {
+        const existing = await browserAPI.alarms.get(WATCHLIST_CONFIG.ALARM_NAME);
+        if (!existing) {
+            await browserAPI.alarms.create(WATCHLIST_CONFIG.ALARM_NAME, {
+                delayInMinutes: 1,
+                periodInMinutes: WATCHLIST_CONFIG.ALARM_PERIOD_MINUTES
+            });
+        }
+    } catch (error) {
+        console.error('Failed to schedule watchlist checks:', error);
+    }
+}
+
 /**
  * Start periodic cleanup of expired entries in notFoundCache
  * This prevents stale entries from accumulating over time
@@ -1026,6 +2060,22 @@ browserAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
 });
 
+// Drop a closed tab's session of filtered tweets
+if (browserAPI.tabs?.onRemoved) {
+    browserAPI.tabs.onRemoved.addListener(tabId => {
+        clearTabSession(tabId).catch(() => {});
+    });
+}
+
+// Watchlist checks (the alarm also wakes a stopped service worker)
+if (browserAPI.alarms?.onAlarm) {
+    browserAPI.alarms.onAlarm.addListener(async alarm => {
+        if (alarm.name !== WATCHLIST_CONFIG.ALARM_NAME) return;
+        await initialize();
+        await runWatchlistCheck();
+    });
+}
+
 // Set up install/update listener (Chrome MV3 style)
 if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.onInstalled) {
     chrome.runtime.onInstalled.addListener(handleInstalled);
@@ -0,0 +1,120 @@
+/**
+ * Tab Sessions
+ * Keeps the filter events reported by each tab's content script (format documented in
+ * shared/tab-session.js). Sessions are dropped when the tab closes or reloads.
+ *
+ * Each tab's events are mirrored to storage.session (one key per tab), so they survive the
+ * service worker being stopped while idle; storage.session itself is cleared when the browser closes.
+ */
+
+import browserAPI from '../shared/browser-api.js';
+import { FILTER_LOG_CONFIG, STORAGE_KEYS } from '../shared/constants.js';
+import { getFilterEventKey, summarizeTabSession } from '../shared/tab-session.js';
+
+// tabId → Map(event key → event), oldest first; sessions stored by an earlier worker are loaded on first use
+const sessions = new Map();
+
+// Reads and writes run one at a time, so a report can't overwrite a session being loaded
+let queue = Promise.resolve();
+
+/**
+ * Run a task after the ones already queued
+ * @param {Function} task - Async task
+ * @returns {Promise<*>} - Task result
+ */
+function enqueue(task) {
+    const result = queue.then(task);
+    queue = result.catch(error => console.error('Tab session update failed:', error));
+    return result;
+}
+
+/**
+ * Get the storage.session key of a tab's session
+ * @param {number} tabId - Tab ID
+ * @returns {string} - Storage key
+ */
+function getStorageKey(tabId) {
+    return `${STORAGE_KEYS.TAB_SESSION_PREFIX}${tabId}`;
+}
+
+/**
+ * Get a tab's session, loading it from storage.session if this worker hasn't seen the tab yet
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<Map<string, Object>>} - Session
+ */
+async function loadSession(tabId) {
+    let session = sessions.get(tabId);
+    if (session) return session;
+
+    session = new Map();
+    if (browserAPI.storage.session) {
+        const key = getStorageKey(tabId);
+        const result = await browserAPI.storage.session.get(key);
+        for (const event of Array.isArray(result[key]) ? result[key] : []) {
+            session.set(getFilterEventKey(event), event);
+        }
+    }
+    sessions.set(tabId, session);
+    return session;
+}
+
+/**
+ * Record events reported by a tab
+ * A tweet reported again (e.g. hidden after being highlighted) replaces its earlier event.
+ * @param {number} tabId - Reporting tab
+ * @param {Array<Object>} events - New events
+ * @param {boolean} [reset=false] - Start a new session (page load)
+ * @returns {Promise<void>}
+ */
+export function recordFilterEvents(tabId, events, reset = false) {
+    return enqueue(async () => {
+        let session;
+        if (reset) {
+            session = new Map();
+            sessions.set(tabId, session);
+        } else {
+            session = await loadSession(tabId);
+        }
+
+        for (const event of Array.isArray(events) ? events : []) {
+            if (!event?.screenName) continue;
+            const key = getFilterEventKey(event);
+            session.delete(key);
+            session.set(key, event);
+        }
+
+        while (session.size > FILTER_LOG_CONFIG.MAX_ENTRIES) {
+            session.delete(session.keys().next().value);
+        }
+
+        if (browserAPI.storage.session) {
+            await browserAPI.storage.session.set({ [getStorageKey(tabId)]: Array.from(session.values()) });
+        }
+    });
+}
+
+/**
+ * Get the summary of a tab's session
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<Object>} - Summary (see summarizeTabSession)
+ */
+export function getTabSession(tabId) {
+    return enqueue(async () => {
+        const session = await loadSession(tabId);
+        return summarizeTabSession(Array.from(session.values()));
+    });
+}
+
+/**
+ * Drop a tab's session
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<void>}
+ */
+export function clearTabSession(tabId) {
+    return enqueue(async () => {
+        sessions.delete(tabId);
+        if (browserAPI.storage.session) {
+            await browserAPI.storage.session.remove(getStorageKey(tabId));
+        }
+    });
+}
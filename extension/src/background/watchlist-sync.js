@@ -0,0 +1,78 @@
+/**
+ * Watchlist Sync
+ * Re-fetches watched accounts through the API client (and so its request queue and rate limit
+ * handling), records what changed (see shared/watchlist.js) and raises a notification per changed account.
+ */
+
+import browserAPI from '../shared/browser-api.js';
+import { WATCHLIST_CONFIG } from '../shared/constants.js';
+import { describeWatchChange } from '../shared/watchlist.js';
+import { watchlist, userCache, settings } from '../shared/storage.js';
+import { apiClient, API_ERROR_CODES } from './api-client.js';
+
+// Errors that affect every lookup, so the rest of the batch waits for the next run
+const BATCH_STOPPING_ERRORS = [API_ERROR_CODES.NO_HEADERS, API_ERROR_CODES.RATE_LIMITED, API_ERROR_CODES.UNAUTHORIZED];
+
+/**
+ * Show a notification for an account's changes
+ * @param {string} screenName - Screen name
+ * @param {Array<Object>} changes - Changes (see shared/watchlist.js)
+ */
+async function notifyChanges(screenName, changes) {
+    if (!settings.get('watchlistNotifications') || !browserAPI.notifications) return;
+
+    try {
+        await browserAPI.notifications.create(`x-posed-watch-${screenName.toLowerCase()}-${Date.now()}`, {
+            type: 'basic',
+            iconUrl: browserAPI.runtime.getURL('icons/icon128.png'),
+            title: `@${screenName} changed`,
+            message: changes.map(describeWatchChange).join('\n')
+        });
+    } catch (error) {
+        console.warn('Failed to show watchlist notification:', error.message);
+    }
+}
+
+/**
+ * Re-fetch the watched accounts that are due a check
+ * Does nothing until headers have been captured or while rate limited.
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Check every account now instead of the least recently checked due ones
+ * @returns {Promise<{checked: number, changed: number}>} - Accounts looked up and accounts that changed
+ */
+export async function checkWatchlist({ force = false } = {}) {
+    const result = { checked: 0, changed: 0 };
+    if (!apiClient.hasHeaders() || apiClient.getRateLimitStatus().isRateLimited) {
+        return result;
+    }
+
+    const due = force
+        ? watchlist.getDue(-Infinity, WATCHLIST_CONFIG.MAX_ACCOUNTS)
+        : watchlist.getDue(WATCHLIST_CONFIG.CHECK_INTERVAL_MS, WATCHLIST_CONFIG.BATCH_SIZE);
+
+    for (const screenName of due) {
+        try {
+            const data = await apiClient.fetchUserInfo(screenName);
+            userCache.set(screenName, data);
+            result.checked++;
+
+            const changes = watchlist.recordCheck(screenName, data);
+            if (changes.length > 0) {
+                result.changed++;
+                console.log(`👁️ @${screenName} changed:`, changes.map(describeWatchChange).join('; '));
+                await notifyChanges(screenName, changes);
+            }
+        } catch (error) {
+            if (BATCH_STOPPING_ERRORS.includes(error.code)) {
+                console.warn(`👁️ Watchlist check paused: ${error.message}`);
+                break;
+            }
+            watchlist.recordError(screenName, error.message);
+        }
+    }
+
+    if (due.length > 0) {
+        await watchlist.save();
+    }
+    return result;
+}
@@ -0,0 +1,319 @@
+/**
+ * Account Clusters (Content Script)
+ * On conversation, quote tweet, search and hashtag pages, adds a "Find clusters" button that
+ * opens a panel grouping the tweet authors loaded so far by shared traits (see shared/account-clusters.js).
+ * Each cluster can be highlighted on the page or exported as CSV in one click.
+ *
+ * Authors are recorded as the observer renders their tweets (see onTweetAuthorInfo), so the
+ * panel makes no API calls of its own.
+ */
+
+import { SELECTORS, Z_INDEX, CLUSTER_CONFIG } from '../shared/constants.js';
+import { createElement } from '../shared/utils.js';
+import { createAnalyzedAccount } from '../shared/follower-analysis.js';
+import { createClusterAccount, findAccountClusters, clusterMembersToCsv, PAGE_CLUSTER_COMBINATIONS } from '../shared/account-clusters.js';
+import { userInfoCache, onTweetAuthorInfo } from './observer.js';
+import { downloadFile } from './ui.js';
+import { onPageChange } from './page-watcher.js';
+
+const LAUNCHER_ID = 'x-posed-cluster-launcher';
+const PANEL_ID = 'x-posed-cluster-panel';
+const MEMBER_CLASS = 'x-cluster-member';
+
+// Supported pages: replies, quote tweets, search and hashtag results
+const PAGE_PATH = /^\/(?:[A-Za-z0-9_]{1,15}\/status\/\d+(?:\/quotes)?|search|hashtag\/[^/]+)\/?$/;
+
+// Current page key, its authors (screenName → account), the clusters shown and the highlighted members (lowercase)
+let currentKey = null;
+const authors = new Map();
+let clusters = [];
+const highlighted = new Set();
+
+let minSize = CLUSTER_CONFIG.SIZE_OPTIONS[0];
+let removePageListener = null;
+let removeAuthorListener = null;
+let refreshInterval = null;
+
+// ============================================
+// COLLECTION
+// ============================================
+
+/**
+ * Get a key for the current page, or null if clusters aren't offered there
+ * @returns {string|null} - Page key (path and query)
+ */
+function getPageKey() {
+    const { pathname, search } = window.location;
+    return PAGE_PATH.test(pathname) ? `${pathname}${search}` : null;
+}
+
+/**
+ * Get a tweet's author
+ * @param {HTMLElement} tweet - The tweet article
+ * @returns {string|null} - Screen name (the first processed username; quoted users come after)
+ */
+function getTweetAuthor(tweet) {
+    return tweet.querySelector('[data-x-screen-name]')?.dataset.xScreenName || null;
+}
+
+/**
+ * Record a tweet author (results column only; the sidebar's tweets are skipped)
+ * X unloads tweets scrolled far away, so authors are kept until the page changes.
+ * @param {string} screenName - Author's screen name
+ * @param {Object} info - User info
+ * @param {HTMLElement} tweet - The tweet article
+ */
+function recordAuthor(screenName, info, tweet) {
+    if (!currentKey || !tweet.closest('[data-testid="primaryColumn"]')) return;
+    authors.set(screenName, createClusterAccount(createAnalyzedAccount(screenName, info)));
+    if (highlighted.has(screenName.toLowerCase())) tweet.classList.add(MEMBER_CLASS);
+}
+
+/**
+ * Pick up tweets rendered before the page was detected
+ */
+function seedFromPage() {
+    for (const tweet of document.querySelectorAll(`[data-testid="primaryColumn"] ${SELECTORS.TWEET}`)) {
+        const screenName = getTweetAuthor(tweet);
+        const info = screenName ? userInfoCache.get(screenName) : null;
+        if (info && !authors.has(screenName)) {
+            authors.set(screenName, createClusterAccount(createAnalyzedAccount(screenName, info)));
+        }
+    }
+}
+
+// ============================================
+// HIGHLIGHTING
+// ============================================
+
+/**
+ * Mark the tweets of highlighted members on the page
+ * Tweets rendered later are marked as their authors are recorded.
+ */
+function applyHighlights() {
+    for (const tweet of document.querySelectorAll(SELECTORS.TWEET)) {
+        const screenName = getTweetAuthor(tweet);
+        tweet.classList.toggle(MEMBER_CLASS, !!screenName && highlighted.has(screenName.toLowerCase()));
+    }
+}
+
+/**
+ * Highlight a cluster's members, or stop highlighting them if they all are
+ * @param {Object} cluster - Cluster
+ */
+function toggleHighlight(cluster) {
+    const members = cluster.members.map(screenName => screenName.toLowerCase());
+    if (members.every(member => highlighted.has(member))) {
+        members.forEach(member => highlighted.delete(member));
+    } else {
+        members.forEach(member => highlighted.add(member));
+    }
+    applyHighlights();
+    renderPanel();
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+/**
+ * Download clusters as CSV
+ * @param {Array<Object>} selected - Clusters to export
+ * @param {string} suffix - File name suffix
+ */
+function exportCsv(selected, suffix) {
+    downloadFile(clusterMembersToCsv(selected, authors), 'text/csv', `x-posed-clusters-${suffix}`, 'csv');
+}
+
+// ============================================
+// PANEL
+// ============================================
+
+/**
+ * Create a cluster entry with its highlight and export buttons
+ * @param {Object} cluster - Cluster
+ * @param {number} index - Position in the list (for the file name)
+ * @returns {HTMLElement} - Entry element
+ */
+function createClusterEntry(cluster, index) {
+    const isHighlighted = cluster.members.every(screenName => highlighted.has(screenName.toLowerCase()));
+    return createElement('div', { className: 'x-analyzer-cluster' }, [
+        createElement('div', { textContent: cluster.description }),
+        createElement('div', { className: 'x-cluster-members', textContent: cluster.members.map(screenName => `@${screenName}`).join(', ') }),
+        createElement('div', { className: 'x-cluster-actions' }, [
+            createElement('button', {
+                className: 'x-analyzer-btn',
+                type: 'button',
+                title: 'Highlight the members\' tweets on this page',
+                textContent: isHighlighted ? 'Remove highlight' : '🖍️ Highlight all',
+                onClick: () => toggleHighlight(cluster)
+            }),
+            createElement('button', {
+                className: 'x-analyzer-btn',
+                type: 'button',
+                title: 'Export the members as CSV',
+                textContent: 'CSV',
+                onClick: () => exportCsv([cluster], `cluster-${index + 1}`)
+            })
+        ])
+    ]);
+}
+
+/**
+ * Render the panel body from the collected authors
+ */
+function renderPanel() {
+    const panel = document.getElementById(PANEL_ID);
+    if (!panel || !currentKey) return;
+
+    const accounts = Array.from(authors.values());
+    clusters = findAccountClusters(accounts, PAGE_CLUSTER_COMBINATIONS, minSize);
+
+    const body = panel.querySelector('.x-analyzer-body');
+    body.replaceChildren();
+    body.appendChild(createElement('div', {
+        className: 'x-analyzer-summary',
+        textContent: `${accounts.length} authors · ${clusters.length} ${clusters.length === 1 ? 'cluster' : 'clusters'}`
+    }));
+
+    if (clusters.length === 0) {
+        body.appendChild(createElement('div', {
+            className: 'x-analyzer-empty',
+            textContent: `No group of ${minSize} or more authors shares ${CLUSTER_CONFIG.MIN_SHARED_TRAITS} of creation week, country, device and handle pattern yet. Scroll to load more.`
+        }));
+    } else {
+        clusters.forEach((cluster, i) => body.appendChild(createClusterEntry(cluster, i)));
+    }
+
+    panel.querySelector('.x-analyzer-export').disabled = clusters.length === 0;
+}
+
+/**
+ * Open the panel
+ */
+function openPanel() {
+    if (document.getElementById(PANEL_ID) || !currentKey) return;
+
+    const header = createElement('div', { className: 'x-analyzer-header' }, [
+        createElement('span', { className: 'x-analyzer-title', textContent: '🕸️ Account clusters' }),
+        createElement('button', { className: 'x-analyzer-close', type: 'button', title: 'Close', textContent: '✕', onClick: closePanel })
+    ]);
+
+    const sizeSelect = createElement('select', {
+        className: 'x-cluster-size',
+        title: 'Minimum cluster size',
+        onChange: () => {
+            minSize = Number(sizeSelect.value);
+            renderPanel();
+        }
+    }, CLUSTER_CONFIG.SIZE_OPTIONS.map(size => createElement('option', { value: String(size), textContent: `${size}+ accounts` })));
+    sizeSelect.value = String(minSize);
+
+    const actions = createElement('div', { className: 'x-analyzer-actions' }, [
+        sizeSelect,
+        createElement('button', {
+            className: 'x-analyzer-btn x-analyzer-export',
+            type: 'button',
+            title: 'Export the members of every cluster as CSV',
+            textContent: 'Export all (CSV)',
+            onClick: () => exportCsv(clusters, 'all')
+        })
+    ]);
+
+    const panel = createElement('div', {
+        className: 'x-analyzer-panel',
+        id: PANEL_ID,
+        style: { zIndex: String(Z_INDEX.ANALYZER_PANEL) }
+    }, [header, createElement('div', { className: 'x-analyzer-body' }), actions]);
+    document.body.appendChild(panel);
+
+    renderPanel();
+    refreshInterval = setInterval(renderPanel, CLUSTER_CONFIG.REFRESH_MS);
+}
+
+/**
+ * Close the panel (collected authors and highlights are kept for the page)
+ */
+function closePanel() {
+    if (refreshInterval) {
+        clearInterval(refreshInterval);
+        refreshInterval = null;
+    }
+    document.getElementById(PANEL_ID)?.remove();
+}
+
+/**
+ * Show or remove the launcher button
+ * @param {boolean} show - Whether clusters are offered on the current page
+ */
+function updateLauncher(show) {
+    let launcher = document.getElementById(LAUNCHER_ID);
+    if (!show) {
+        launcher?.remove();
+        return;
+    }
+
+    if (!launcher) {
+        launcher = createElement('button', {
+            className: 'x-analyzer-launcher x-cluster-launcher',
+            id: LAUNCHER_ID,
+            type: 'button',
+            textContent: '🕸️ Find clusters',
+            style: { zIndex: String(Z_INDEX.ANALYZER_PANEL) },
+            onClick: openPanel
+        });
+        document.body.appendChild(launcher);
+    }
+}
+
+/**
+ * Follow X's in-page navigation: reset when the page changes
+ */
+function checkPage() {
+    const key = getPageKey();
+    if (key === currentKey) return;
+
+    closePanel();
+    authors.clear();
+    clusters = [];
+    highlighted.clear();
+    applyHighlights();
+    currentKey = key;
+    if (key) seedFromPage();
+    updateLauncher(!!key);
+}
+
+// ============================================
+// LIFECYCLE
+// ============================================
+
+/**
+ * Start watching for pages to offer clusters on
+ */
+export function startAccountClusters() {
+    if (removePageListener) return;
+    removeAuthorListener = onTweetAuthorInfo(recordAuthor);
+    checkPage();
+    removePageListener = onPageChange(checkPage);
+}
+
+/**
+ * Remove the cluster UI and highlights and stop watching
+ */
+export function cleanupAccountClusters() {
+    if (removePageListener) {
+        removePageListener();
+        removePageListener = null;
+    }
+    if (removeAuthorListener) {
+        removeAuthorListener();
+        removeAuthorListener = null;
+    }
+    closePanel();
+    document.getElementById(LAUNCHER_ID)?.remove();
+    authors.clear();
+    clusters = [];
+    highlighted.clear();
+    applyHighlights();
+    currentKey = null;
+}
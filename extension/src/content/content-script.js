@@ -5,7 +5,8 @@
  */
 
 import browserAPI from '../shared/browser-api.js';
-import { MESSAGE_TYPES, CSS_CLASSES, VERSION } from '../shared/constants.js';
+import { MESSAGE_TYPES, CSS_CLASSES, VERSION, FILTER_ACTIONS, FILTER_CONDITION_TYPES, AFFILIATION_CATEGORIES, FILTER_LOG_CONFIG, IMPRESSION_STATS_CONFIG, RESEARCH_CONFIG, POSTING_HOURS_CONFIG, FILTER_MODES } from '../shared/constants.js';
+import { getAffiliationLabel, getAffiliationCategories, normalizeAffiliateValue } from '../shared/filter-rules.js';
 
 // Import modules
 import {
@@ -14,6 +15,7 @@ import {
     startThemeObserver,
     injectSidebarLink,
     removeSidebarLink,
+    showToast,
     cleanupUI
 } from './ui.js';
 
@@ -24,9 +26,20 @@ import {
     processElement,
     createProcessElementSafe,
     updateBlockedTweets,
+    takeFilterEvents,
+    takeImpressions,
+    takeObservations,
+    revealTweet,
     cleanupObservers
 } from './observer.js';
 
+import { registerUserActionProvider } from './user-actions.js';
+import { startFollowerAnalyzer, cleanupFollowerAnalyzer } from './follower-analyzer.js';
+import { startThreadReport, cleanupThreadReport } from './thread-report.js';
+import { startSearchBreakdown, cleanupSearchBreakdown } from './search-breakdown.js';
+import { startAccountClusters, cleanupAccountClusters } from './account-clusters.js';
+import { takePostingSamples, applyPostingHistograms, cleanupPostingHours } from './posting-hours.js';
+
 // ============================================
 // STATE
 // ============================================
@@ -35,9 +48,24 @@ let isEnabled = true;
 let blockedCountries = new Set();
 let blockedRegions = new Set();
 let blockedTags = new Set();
+let blockedDevices = new Set();
+let allowedUsers = new Set();
+let blockedUsers = new Set();
+// Accounts on the watchlist (lowercase), re-checked by the background for changes
+let watchedUsers = new Set();
+// Entries from subscribed filter lists, kept apart from the local lists (see shared/filter-lists.js)
+let filterListEntries = createFilterListSets();
+let filterRules = [];
+// User-defined country groups (see shared/country-groups.js)
+let countryGroups = [];
+// Named filter profiles ({id, name}) for the sidebar switcher
+let profiles = [];
+let activeProfileId = null;
 let settings = {};
 let csrfToken = null;
 let debugMode = false;
+// Research mode session being recorded (see shared/research-log.js), or null
+let researchSessionId = null;
 
 // Cleanup tracking
 let cleanupFunctions = [];
@@ -48,6 +76,34 @@ let memoizedProcessElementSafe = null;
 let memoizedIsEnabledFn = null;
 let memoizedScanPageFn = null;
 
+// Filter state passed to the observer (getters always return current values)
+const filterContext = {
+    get blockedCountries() { return blockedCountries; },
+    get blockedRegions() { return blockedRegions; },
+    get blockedTags() { return blockedTags; },
+    get blockedDevices() { return blockedDevices; },
+    get allowedUsers() { return allowedUsers; },
+    get blockedUsers() { return blockedUsers; },
+    get filterListEntries() { return filterListEntries; },
+    get filterRules() { return filterRules; },
+    get countryGroups() { return countryGroups; },
+    get settings() { return settings; }
+};
+
+/**
+ * Convert merged filter list entries (arrays) into Sets for the observer
+ * @param {Object} [entries] - { countries, regions, tags, handles } arrays
+ * @returns {{countries: Set, regions: Set, tags: Set, handles: Set}}
+ */
+function createFilterListSets(entries = {}) {
+    return {
+        countries: new Set(entries.countries || []),
+        regions: new Set(entries.regions || []),
+        tags: new Set(entries.tags || []),
+        handles: new Set(entries.handles || [])
+    };
+}
+
 // ============================================
 // DEBUG LOGGER
 // ============================================
@@ -121,6 +177,95 @@ function setupPageScriptListener() {
     });
 }
 
+/**
+ * Report filtered tweets to the background's per-tab session (shown in the popup)
+ * The first report starts a new session, so a reload doesn't mix in the previous page's tweets.
+ */
+function startFilterEventReporting() {
+    sendMessage({ type: MESSAGE_TYPES.REPORT_FILTER_EVENTS, payload: { events: [], reset: true } });
+    
+    const intervalId = setInterval(() => {
+        const events = takeFilterEvents();
+        if (events.length > 0) {
+            sendMessage({ type: MESSAGE_TYPES.REPORT_FILTER_EVENTS, payload: { events } });
+        }
+    }, FILTER_LOG_CONFIG.REPORT_INTERVAL_MS);
+    
+    cleanupFunctions.push(() => clearInterval(intervalId));
+}
+
+/**
+ * Report timeline impressions to the background's per-day stats (shown on the options page)
+ * Impressions still queued when the page unloads are sent on cleanup.
+ */
+function startImpressionReporting() {
+    const report = () => {
+        const impressions = takeImpressions();
+        if (impressions.length > 0) {
+            sendMessage({ type: MESSAGE_TYPES.REPORT_IMPRESSIONS, payload: { impressions } });
+        }
+    };
+    
+    const intervalId = setInterval(report, IMPRESSION_STATS_CONFIG.REPORT_INTERVAL_MS);
+    
+    cleanupFunctions.push(() => {
+        clearInterval(intervalId);
+        report();
+    });
+}
+
+/**
+ * Report research mode observations to the background's log while a session is recording
+ * Observations still queued when the page unloads are sent on cleanup.
+ */
+function startObservationReporting() {
+    sendMessage({ type: MESSAGE_TYPES.GET_RESEARCH_STATUS }).then(response => {
+        if (response?.success) {
+            researchSessionId = response.active?.id || null;
+        }
+    });
+    
+    const report = () => {
+        const observations = takeObservations();
+        if (observations.length > 0) {
+            sendMessage({ type: MESSAGE_TYPES.REPORT_OBSERVATIONS, payload: { observations } });
+        }
+    };
+    
+    const intervalId = setInterval(report, RESEARCH_CONFIG.REPORT_INTERVAL_MS);
+    
+    cleanupFunctions.push(() => {
+        clearInterval(intervalId);
+        report();
+    });
+}
+
+/**
+ * Report tweet timestamps to the background's posting-hour histograms
+ * The histograms sent back feed the hovercard and the posting-hours filter, which is re-applied
+ * when an author's inferred timezone changes. Samples still queued when the page unloads are sent on cleanup.
+ */
+function startPostingHoursReporting() {
+    const report = () => {
+        const samples = takePostingSamples();
+        if (samples.length === 0) return;
+        
+        sendMessage({ type: MESSAGE_TYPES.REPORT_POSTING_TIMES, payload: { samples } }).then(response => {
+            if (response?.success && applyPostingHistograms(response.data)
+                && settings.postingHoursFilterMode && settings.postingHoursFilterMode !== FILTER_MODES.OFF) {
+                updateBlockedTweets(filterContext);
+            }
+        });
+    };
+    
+    const intervalId = setInterval(report, POSTING_HOURS_CONFIG.REPORT_INTERVAL_MS);
+    
+    cleanupFunctions.push(() => {
+        clearInterval(intervalId);
+        report();
+    });
+}
+
 /**
  * Listen for messages from background script
  */
@@ -167,6 +312,15 @@ async function handleBackgroundMessage(type, payload) {
                 document.querySelectorAll(`.${CSS_CLASSES.INFO_BADGE}`).forEach(el => el.remove());
             }
             
+            // Re-apply filters if the blocking mode or a setting-based filter changed (arrays are compared by value)
+            const filterKeys = ['highlightBlockedTweets', 'collapseBlockedTweets', 'newAccountFilterEnabled', 'newAccountMaxDays', 'newAccountLocation', 'cascadeRegionBlocks',
+                'verificationFilterMode', 'verificationFilterStatuses', 'verificationFilterInvert', 'verificationFilterVpnOnly', 'verificationFilterLocations',
+                'handleChangeThreshold', 'handleChangeFilterMode', 'suspicionWeights', 'suspicionHighlightScore', 'suspicionHideScore',
+                'postingHoursFilterMode'];
+            if (filterKeys.some(key => JSON.stringify(prevSettings[key]) !== JSON.stringify(settings[key]))) {
+                updateBlockedTweets(filterContext);
+            }
+            
             if (prevSettings.showSidebarBlockerLink !== settings.showSidebarBlockerLink) {
                 if (settings.showSidebarBlockerLink === false) {
                     removeSidebarLink(debug);
@@ -179,17 +333,72 @@ async function handleBackgroundMessage(type, payload) {
 
         case MESSAGE_TYPES.BLOCKED_COUNTRIES_UPDATED:
             blockedCountries = new Set(payload);
-            updateBlockedTweets(blockedCountries, blockedRegions, blockedTags, settings);
+            updateBlockedTweets(filterContext);
             return { success: true };
 
         case MESSAGE_TYPES.BLOCKED_REGIONS_UPDATED:
             blockedRegions = new Set(payload);
-            updateBlockedTweets(blockedCountries, blockedRegions, blockedTags, settings);
+            updateBlockedTweets(filterContext);
             return { success: true };
 
         case MESSAGE_TYPES.BLOCKED_TAGS_UPDATED:
             blockedTags = new Set(payload);
-            updateBlockedTweets(blockedCountries, blockedRegions, blockedTags, settings);
+            updateBlockedTweets(filterContext);
+            return { success: true };
+
+        case MESSAGE_TYPES.BLOCKED_DEVICES_UPDATED:
+            blockedDevices = new Set(payload);
+            updateBlockedTweets(filterContext);
+            return { success: true };
+
+        case MESSAGE_TYPES.ALLOWED_USERS_UPDATED:
+            allowedUsers = new Set(payload);
+            updateBlockedTweets(filterContext);
+            return { success: true };
+
+        case MESSAGE_TYPES.BLOCKED_USERS_UPDATED:
+            blockedUsers = new Set(payload);
+            updateBlockedTweets(filterContext);
+            return { success: true };
+
+        case MESSAGE_TYPES.WATCHLIST_UPDATED:
+            watchedUsers = new Set(payload);
+            return { success: true };
+
+        case MESSAGE_TYPES.FILTER_LISTS_UPDATED:
+            filterListEntries = createFilterListSets(payload);
+            updateBlockedTweets(filterContext);
+            return { success: true };
+
+        case MESSAGE_TYPES.FILTER_RULES_UPDATED:
+            filterRules = Array.isArray(payload) ? payload : [];
+            updateBlockedTweets(filterContext);
+            return { success: true };
+
+        case MESSAGE_TYPES.RESEARCH_MODE_UPDATED:
+            researchSessionId = payload?.sessionId || null;
+            debug(researchSessionId ? `Research mode recording into ${researchSessionId}` : 'Research mode stopped');
+            return { success: true };
+
+        case MESSAGE_TYPES.REVEAL_TWEET:
+            return revealTweet(payload.tweetPath, payload.screenName)
+                ? { success: true }
+                : { success: false, error: 'Tweet is no longer on the page' };
+
+        case MESSAGE_TYPES.COUNTRY_GROUPS_UPDATED:
+            countryGroups = Array.isArray(payload) ? payload : [];
+            updateBlockedTweets(filterContext);
+            return { success: true };
+
+        case MESSAGE_TYPES.PROFILES_UPDATED:
+            // Sent on profile changes; carries the active profile's lists and settings so a switch re-filters once
+            profiles = payload.profiles || [];
+            activeProfileId = payload.activeId;
+            blockedCountries = new Set(payload.blockedCountries);
+            blockedRegions = new Set(payload.blockedRegions);
+            blockedTags = new Set(payload.blockedTags);
+            settings = payload.settings || settings;
+            updateBlockedTweets(filterContext);
             return { success: true };
 
         default:
@@ -197,6 +406,224 @@ async function handleBackgroundMessage(type, payload) {
     }
 }
 
+// ============================================
+// USER ACTIONS
+// ============================================
+
+/**
+ * Add or remove a user from the allowlist and re-apply filters right away
+ * @param {string} screenName - The user's screen name
+ * @param {boolean} allow - True to allow, false to remove from the allowlist
+ */
+async function setUserAllowed(screenName, allow) {
+    const response = await sendMessage({
+        type: MESSAGE_TYPES.SET_ALLOWED_USERS,
+        payload: { action: allow ? 'add' : 'remove', user: screenName }
+    });
+
+    if (!response?.success) {
+        showToast({ title: 'Allowlist', message: `Could not update @${screenName}`, icon: '⚠️', iconType: 'error', duration: 4000 });
+        return;
+    }
+
+    allowedUsers = new Set(response.data);
+    updateBlockedTweets(filterContext);
+    showToast({
+        title: allow ? 'Always shown' : 'Removed from allowlist',
+        message: allow ? `@${screenName} will never be hidden or highlighted` : `Filters apply to @${screenName} again`,
+        icon: allow ? '✅' : '↩️',
+        iconType: 'success',
+        duration: 3000
+    });
+}
+
+/**
+ * Add or remove a user from the blocklist and re-apply filters right away
+ * @param {string} screenName - The user's screen name
+ * @param {boolean} block - True to block, false to unblock
+ */
+async function setUserBlocked(screenName, block) {
+    const response = await sendMessage({
+        type: MESSAGE_TYPES.SET_BLOCKED_USERS,
+        payload: { action: block ? 'add' : 'remove', user: screenName }
+    });
+
+    if (!response?.success) {
+        showToast({ title: 'Blocked accounts', message: `Could not update @${screenName}`, icon: '⚠️', iconType: 'error', duration: 4000 });
+        return;
+    }
+
+    blockedUsers = new Set(response.data);
+    updateBlockedTweets(filterContext);
+    showToast({
+        title: block ? 'Account blocked' : 'Account unblocked',
+        message: block ? `Posts from @${screenName} are now filtered` : `@${screenName} is no longer blocked`,
+        icon: block ? '⛔' : '↩️',
+        iconType: 'success',
+        duration: 3000
+    });
+}
+
+/**
+ * Add or remove a user from the watchlist
+ * @param {string} screenName - The user's screen name
+ * @param {boolean} watch - True to watch, false to stop watching
+ * @param {Object|null} info - The user's current info, kept as the baseline changes are compared with
+ */
+async function setUserWatched(screenName, watch, info) {
+    const response = await sendMessage({
+        type: MESSAGE_TYPES.SET_WATCHLIST,
+        payload: { action: watch ? 'add' : 'remove', user: screenName, info: watch ? info : null }
+    });
+
+    if (!response?.success) {
+        showToast({ title: 'Watchlist', message: response?.error || `Could not update @${screenName}`, icon: '⚠️', iconType: 'error', duration: 4000 });
+        return;
+    }
+
+    watchedUsers = new Set(response.data.map(entry => entry.screenName.toLowerCase()));
+    showToast({
+        title: watch ? 'Watching account' : 'Stopped watching',
+        message: watch ? `You'll be notified when @${screenName}'s location, device or profile changes` : `@${screenName} was removed from the watchlist`,
+        icon: watch ? '👁️' : '↩️',
+        iconType: 'success',
+        duration: 3000
+    });
+}
+
+/**
+ * Find the single-condition rule created by a "highlight all" affiliation action
+ * @param {string} type - FILTER_CONDITION_TYPES.AFFILIATE or AFFILIATION
+ * @param {string} value - Normalized affiliate value or category key
+ * @returns {Object|undefined} - The rule, if one exists
+ */
+function findAffiliationRule(type, value) {
+    return filterRules.find(rule => rule.condition?.type === type
+        && rule.condition.values?.length === 1
+        && rule.condition.values[0] === value);
+}
+
+/**
+ * Add or remove a rule that highlights every account with an affiliation label or category
+ * @param {Object} options
+ * @param {string} options.name - Rule name shown in Options and collapse placeholders
+ * @param {Object} options.condition - Single affiliation condition
+ * @param {Object} [options.existing] - Existing rule to remove instead
+ */
+async function toggleAffiliationRule({ name, condition, existing }) {
+    const response = await sendMessage({
+        type: MESSAGE_TYPES.SET_FILTER_RULES,
+        payload: existing
+            ? { action: 'remove', id: existing.id }
+            : { action: 'add', rule: { name, action: FILTER_ACTIONS.HIGHLIGHT, condition } }
+    });
+
+    if (!response?.success) {
+        showToast({ title: 'Affiliation filter', message: response?.error || 'Could not update the rule', icon: '⚠️', iconType: 'error', duration: 4000 });
+        return;
+    }
+
+    filterRules = response.data;
+    updateBlockedTweets(filterContext);
+    showToast({
+        title: existing ? 'Highlight removed' : 'Highlighting affiliation',
+        message: existing ? `Removed the "${name}" rule` : `Added rule "${name}" (edit it in Options → Rules)`,
+        icon: existing ? '↩️' : '🏢',
+        iconType: 'success',
+        duration: 3000
+    });
+}
+
+/**
+ * Build the affiliation actions for a user (label, then the most specific category)
+ * @param {Object|null} info - User info with meta
+ * @returns {Array<Object>} - User actions
+ */
+function getAffiliationActions(info) {
+    const label = getAffiliationLabel(info?.meta);
+    if (!label) return [];
+
+    const actions = [];
+    const affiliate = normalizeAffiliateValue(label);
+    const labelRule = findAffiliationRule(FILTER_CONDITION_TYPES.AFFILIATE, affiliate);
+    actions.push({
+        id: 'affiliate',
+        icon: labelRule ? '↩️' : '🏢',
+        label: labelRule ? `Stop highlighting "${label}"` : `Highlight all with "${label}"`,
+        title: 'Highlight every account affiliated with this organization',
+        active: !!labelRule,
+        run: () => toggleAffiliationRule({
+            name: `Affiliation: ${label}`,
+            condition: { type: FILTER_CONDITION_TYPES.AFFILIATE, values: [affiliate] },
+            existing: labelRule
+        })
+    });
+
+    const category = getAffiliationCategories(info.meta).find(c => c !== 'any');
+    if (category) {
+        const categoryName = AFFILIATION_CATEGORIES[category];
+        const categoryRule = findAffiliationRule(FILTER_CONDITION_TYPES.AFFILIATION, category);
+        actions.push({
+            id: 'affiliation',
+            icon: categoryRule ? '↩️' : '🏛️',
+            label: categoryRule ? `Stop highlighting ${categoryName}` : `Highlight all ${categoryName}`,
+            title: `Highlight every account with a ${categoryName.toLowerCase()} label`,
+            active: !!categoryRule,
+            run: () => toggleAffiliationRule({
+                name: `Affiliation: ${categoryName}`,
+                condition: { type: FILTER_CONDITION_TYPES.AFFILIATION, values: [category] },
+                existing: categoryRule
+            })
+        });
+    }
+
+    return actions;
+}
+
+/**
+ * Register the actions offered in the badge menu and hovercard
+ */
+function registerUserActions() {
+    registerUserActionProvider(screenName => {
+        const key = screenName.toLowerCase();
+        const allowed = allowedUsers.has(key);
+        const blocked = blockedUsers.has(key);
+        return [{
+            id: 'allow',
+            icon: allowed ? '↩️' : '✅',
+            label: allowed ? 'Remove from allowlist' : 'Always show',
+            title: allowed
+                ? 'Let filters apply to this account again'
+                : 'Never hide, collapse or highlight this account',
+            active: allowed,
+            run: () => setUserAllowed(screenName, !allowed)
+        }, {
+            id: 'block',
+            icon: blocked ? '↩️' : '⛔',
+            label: blocked ? 'Unblock account' : 'Block account',
+            title: blocked
+                ? 'Remove this account from your blocked accounts'
+                : 'Filter this account with your blocking mode (allowlisted accounts are still shown)',
+            active: blocked,
+            run: () => setUserBlocked(screenName, !blocked)
+        }];
+    });
+    registerUserActionProvider((screenName, info) => {
+        const watched = watchedUsers.has(screenName.toLowerCase());
+        return [{
+            id: 'watch',
+            icon: watched ? '↩️' : '👁️',
+            label: watched ? 'Stop watching' : 'Watch for changes',
+            title: watched
+                ? 'Remove this account from your watchlist'
+                : 'Re-check this account periodically and notify you when its location, device, VPN flag, name, verification or handle count changes',
+            active: watched,
+            run: () => setUserWatched(screenName, !watched, info)
+        }];
+    });
+    registerUserActionProvider((screenName, info) => getAffiliationActions(info));
+}
+
 // ============================================
 // INITIALIZATION
 // ============================================
@@ -218,12 +645,20 @@ async function initialize() {
         // Inject page script for header interception
         injectPageScript();
 
-        // Load initial settings, blocked countries, blocked regions, and blocked tags
-        const [settingsResponse, blockedResponse, blockedRegionsResponse, blockedTagsResponse] = await Promise.all([
+        // Load initial settings, blocked countries, regions, tags, devices, allowed and blocked users, filter rules, lists, profiles, country groups and the watchlist
+        const [settingsResponse, blockedResponse, blockedRegionsResponse, blockedTagsResponse, blockedDevicesResponse, allowedUsersResponse, blockedUsersResponse, filterRulesResponse, filterListsResponse, profilesResponse, countryGroupsResponse, watchlistResponse] = await Promise.all([
             sendMessage({ type: MESSAGE_TYPES.GET_SETTINGS }),
             sendMessage({ type: MESSAGE_TYPES.GET_BLOCKED_COUNTRIES }),
             sendMessage({ type: MESSAGE_TYPES.GET_BLOCKED_REGIONS }),
-            sendMessage({ type: MESSAGE_TYPES.GET_BLOCKED_TAGS })
+            sendMessage({ type: MESSAGE_TYPES.GET_BLOCKED_TAGS }),
+            sendMessage({ type: MESSAGE_TYPES.GET_BLOCKED_DEVICES }),
+            sendMessage({ type: MESSAGE_TYPES.GET_ALLOWED_USERS }),
+            sendMessage({ type: MESSAGE_TYPES.GET_BLOCKED_USERS }),
+            sendMessage({ type: MESSAGE_TYPES.GET_FILTER_RULES }),
+            sendMessage({ type: MESSAGE_TYPES.GET_FILTER_LISTS }),
+            sendMessage({ type: MESSAGE_TYPES.GET_PROFILES }),
+            sendMessage({ type: MESSAGE_TYPES.GET_COUNTRY_GROUPS }),
+            sendMessage({ type: MESSAGE_TYPES.GET_WATCHLIST })
         ]);
 
         if (settingsResponse?.success) {
@@ -246,9 +681,45 @@ async function initialize() {
             blockedTags = new Set(blockedTagsResponse.data);
         }
 
+        if (blockedDevicesResponse?.success) {
+            blockedDevices = new Set(blockedDevicesResponse.data);
+        }
+
+        if (allowedUsersResponse?.success) {
+            allowedUsers = new Set(allowedUsersResponse.data);
+        }
+
+        if (blockedUsersResponse?.success) {
+            blockedUsers = new Set(blockedUsersResponse.data);
+        }
+
+        if (filterRulesResponse?.success && Array.isArray(filterRulesResponse.data)) {
+            filterRules = filterRulesResponse.data;
+        }
+
+        if (filterListsResponse?.success) {
+            filterListEntries = createFilterListSets(filterListsResponse.entries);
+        }
+
+        if (profilesResponse?.success) {
+            profiles = profilesResponse.data.map(({ id, name }) => ({ id, name }));
+            activeProfileId = profilesResponse.activeId;
+        }
+
+        if (countryGroupsResponse?.success && Array.isArray(countryGroupsResponse.data)) {
+            countryGroups = countryGroupsResponse.data;
+        }
+
+        if (watchlistResponse?.success) {
+            watchedUsers = new Set(watchlistResponse.keys);
+        }
+
         // Inject styles
         injectStyles();
 
+        // Badge menu / hovercard actions
+        registerUserActions();
+
         // Detect and apply theme
         detectAndApplyTheme(debug);
         startThemeObserver();
@@ -256,6 +727,24 @@ async function initialize() {
         // Create memoized functions once (not on every call)
         createMemoizedFunctions();
         
+        // Per-tab session panel in the popup
+        startFilterEventReporting();
+        
+        // Per-day timeline composition on the options page
+        startImpressionReporting();
+        
+        // Research mode observation log (started and stopped from the popup)
+        startObservationReporting();
+        
+        // Posting-hour histograms (hovercard timezone line and filter)
+        startPostingHoursReporting();
+        
+        // Analysis panels on follower/following and conversation pages, the search/hashtag widget and cluster detection
+        startFollowerAnalyzer();
+        startThreadReport();
+        startSearchBreakdown();
+        startAccountClusters();
+        
         // Start DOM observation when ready
         if (document.readyState === 'loading') {
             document.addEventListener('DOMContentLoaded', () => {
@@ -290,8 +779,15 @@ function createMemoizedFunctions() {
         get blockedCountries() { return blockedCountries; },
         get blockedRegions() { return blockedRegions; },
         get blockedTags() { return blockedTags; },
+        get blockedDevices() { return blockedDevices; },
+        get allowedUsers() { return allowedUsers; },
+        get blockedUsers() { return blockedUsers; },
+        get filterListEntries() { return filterListEntries; },
+        get filterRules() { return filterRules; },
+        get countryGroups() { return countryGroups; },
         get settings() { return settings; },
         get csrfToken() { return csrfToken; },
+        get researchSessionId() { return researchSessionId; },
         sendMessage,
         debug,
         get debugMode() { return debugMode; }
@@ -331,6 +827,11 @@ function cleanup() {
     // Cleanup modules
     cleanupUI();
     cleanupObservers();
+    cleanupFollowerAnalyzer();
+    cleanupThreadReport();
+    cleanupSearchBreakdown();
+    cleanupAccountClusters();
+    cleanupPostingHours();
     
     debug('Cleanup complete');
 }
@@ -363,6 +864,14 @@ window.__X_POSED_CONTENT__ = {
         blockedCountries: Array.from(blockedCountries),
         blockedRegions: Array.from(blockedRegions),
         blockedTags: Array.from(blockedTags),
+        blockedDevices: Array.from(blockedDevices),
+        allowedUsers: Array.from(allowedUsers),
+        blockedUsers: Array.from(blockedUsers),
+        filterListEntries: Object.fromEntries(Object.entries(filterListEntries).map(([kind, set]) => [kind, Array.from(set)])),
+        filterRules,
+        profiles,
+        activeProfileId,
+        countryGroups,
         settings
     })
 };
@@ -4,8 +4,9 @@
  * Uses native Canvas API with image loading for profile pics and media
  */
 
-import { VERSION, Z_INDEX } from '../shared/constants.js';
+import { VERSION, Z_INDEX, THREAD_REPORT_CONFIG } from '../shared/constants.js';
 import { getCountryCode } from '../shared/utils.js';
+import { formatReportLocation } from '../shared/follower-analysis.js';
 
 /**
  * Capture a tweet as evidence with metadata overlay
@@ -57,6 +58,28 @@ export async function captureEvidence(tweetElement, userInfo, screenName) {
     }
 }
 
+/**
+ * Capture a thread report (see shared/thread-report.js) as an image
+ * @param {Object} report - { screenName, tweetId, tweetUrl, summary } where summary is from summarizeThreadAuthors
+ */
+export function captureThreadReport(report) {
+    try {
+        const captureTime = new Date().toISOString();
+        const canvas = createThreadReportCanvas({ ...report, captureTime, version: VERSION });
+        
+        showEvidencePreview(canvas, {
+            screenName: report.screenName,
+            captureTime,
+            tweetUrl: report.tweetUrl,
+            title: 'Thread Report Captured',
+            filename: generateFilename(`${report.screenName}_${report.tweetId}`, 'thread-report')
+        });
+    } catch (error) {
+        console.error('X-Posed: Thread report capture failed:', error);
+        showErrorNotification('Failed to capture thread report: ' + error.message);
+    }
+}
+
 /**
  * Show loading toast using safe DOM methods
  */
@@ -101,6 +124,39 @@ function showLoadingToast(message) {
     return toast;
 }
 
+/**
+ * Extract a tweet's URL, ID and timestamp from its article element
+ * Also used by research mode to log the tweets seen (see observer.js).
+ * @param {HTMLElement} tweetElement - The tweet article
+ * @returns {{tweetUrl: string|null, tweetId: string|null, timestamp: string}} - URL and ID are null if the tweet has no status link
+ */
+export function extractTweetLink(tweetElement) {
+    // Get timestamp
+    let timestamp = '';
+    const timeEl = tweetElement.querySelector('time');
+    if (timeEl) {
+        timestamp = timeEl.getAttribute('datetime') || timeEl.textContent || '';
+    }
+    
+    // Get tweet URL
+    let tweetUrl = null;
+    const timeLink = tweetElement.querySelector('a[href*="/status/"] time')?.closest('a');
+    if (timeLink) {
+        tweetUrl = 'https://x.com' + timeLink.getAttribute('href');
+    } else {
+        const statusLink = tweetElement.querySelector('a[href*="/status/"]');
+        if (statusLink) {
+            const href = statusLink.getAttribute('href');
+            if (href.includes('/status/')) {
+                tweetUrl = 'https://x.com' + href;
+            }
+        }
+    }
+    
+    const tweetId = tweetUrl?.match(/\/status\/(\d+)/)?.[1] || null;
+    return { tweetUrl, tweetId, timestamp };
+}
+
 /**
  * Extract data from tweet element
  */
@@ -126,27 +182,10 @@ async function extractTweetData(tweetElement, screenName) {
         tweetText = tweetTextEl.textContent || '';
     }
     
-    // Get timestamp
-    let timestamp = '';
-    const timeEl = tweetElement.querySelector('time');
-    if (timeEl) {
-        timestamp = timeEl.getAttribute('datetime') || timeEl.textContent || '';
-    }
-    
-    // Get tweet URL
-    let tweetUrl = window.location.href;
-    const timeLink = tweetElement.querySelector('a[href*="/status/"] time')?.closest('a');
-    if (timeLink) {
-        tweetUrl = 'https://x.com' + timeLink.getAttribute('href');
-    } else {
-        const statusLink = tweetElement.querySelector('a[href*="/status/"]');
-        if (statusLink) {
-            const href = statusLink.getAttribute('href');
-            if (href.includes('/status/')) {
-                tweetUrl = 'https://x.com' + href;
-            }
-        }
-    }
+    // Get timestamp and tweet URL
+    const link = extractTweetLink(tweetElement);
+    const timestamp = link.timestamp;
+    const tweetUrl = link.tweetUrl || window.location.href;
     
     // Get attached media
     const mediaUrls = [];
@@ -515,6 +554,128 @@ async function createEvidenceCanvas(data) {
     return canvas;
 }
 
+/**
+ * Create the thread report canvas: header, clusters, then one bar section per breakdown
+ */
+function createThreadReportCanvas(data) {
+    const { summary } = data;
+    const width = 580;
+    const padding = 24;
+    const rowHeight = 22;
+    const sectionGap = 14;
+    const topRows = THREAD_REPORT_CONFIG.IMAGE_TOP_ROWS;
+    
+    const sections = [
+        { title: '🌍  Countries', rows: summary.countries.slice(0, topRows).map(({ value, count }) => ({ label: formatReportLocation(value), count })) },
+        { title: '🗺️  Regions', rows: summary.regions.slice(0, topRows).map(({ value, count }) => ({ label: formatReportLocation(value), count })) },
+        { title: '📱  Devices', rows: summary.devices.map(({ value, count }) => ({ label: value, count })) },
+        { title: '🔒  VPN / proxy', rows: [{ label: 'Inaccurate location', count: summary.vpn }] },
+        { title: '📅  Account age', rows: summary.ages }
+    ].filter(section => section.rows.length > 0);
+    const clusters = summary.clusters.slice(0, topRows);
+    
+    // Height: header + clusters + sections + footer
+    const headerHeight = 92;
+    const clustersHeight = clusters.length > 0 ? 30 + clusters.length * rowHeight + sectionGap : 0;
+    const sectionsHeight = sections.reduce((sum, section) => sum + 30 + section.rows.length * rowHeight + sectionGap, 0);
+    const footerHeight = 50;
+    const height = padding + headerHeight + clustersHeight + sectionsHeight + footerHeight + padding;
+    
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    const scale = 2;
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    ctx.scale(scale, scale);
+    
+    // Background - Dark theme (matches tweet evidence)
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, width, height);
+    ctx.strokeStyle = '#2f3336';
+    ctx.lineWidth = 1;
+    roundRect(ctx, 0, 0, width, height, 12);
+    ctx.stroke();
+    
+    let y = padding;
+    
+    // === HEADER ===
+    ctx.fillStyle = '#e7e9ea';
+    ctx.font = 'bold 18px -apple-system, "Segoe UI", sans-serif';
+    ctx.fillText('🧵  Thread report', padding, y + 20);
+    
+    ctx.fillStyle = '#1d9bf0';
+    ctx.font = '13px -apple-system, "Segoe UI", sans-serif';
+    ctx.fillText(truncateText(ctx, data.tweetUrl.replace('https://x.com/', 'x.com/'), width - padding * 2), padding, y + 44);
+    
+    ctx.fillStyle = '#71767b';
+    ctx.font = '14px -apple-system, "Segoe UI", sans-serif';
+    ctx.fillText(`${summary.replies} replies from ${summary.total} accounts · ${summary.withData} with data`, padding, y + 68);
+    
+    y += headerHeight;
+    
+    // === CLUSTERS ===
+    if (clusters.length > 0) {
+        ctx.fillStyle = '#ffad1f';
+        ctx.font = 'bold 14px -apple-system, "Segoe UI", sans-serif';
+        ctx.fillText('⚠️  Clusters', padding, y + 16);
+        y += 30;
+        
+        ctx.font = '14px -apple-system, "Segoe UI", sans-serif';
+        for (const cluster of clusters) {
+            ctx.fillStyle = '#e7e9ea';
+            ctx.fillText(truncateText(ctx, cluster.description, width - padding * 2 - 16), padding + 16, y + 15);
+            y += rowHeight;
+        }
+        y += sectionGap;
+    }
+    
+    // === BREAKDOWNS ===
+    const labelWidth = 170;
+    const valueWidth = 80;
+    const barX = padding + labelWidth;
+    const barWidth = width - padding * 2 - labelWidth - valueWidth;
+    
+    for (const section of sections) {
+        ctx.fillStyle = '#e7e9ea';
+        ctx.font = 'bold 14px -apple-system, "Segoe UI", sans-serif';
+        ctx.fillText(section.title, padding, y + 16);
+        y += 30;
+        
+        for (const { label, count } of section.rows) {
+            const share = summary.withData > 0 ? count / summary.withData : 0;
+            
+            ctx.fillStyle = '#e7e9ea';
+            ctx.font = '13px -apple-system, "Segoe UI", sans-serif';
+            ctx.fillText(truncateText(ctx, label, labelWidth - 12), padding + 16, y + 15);
+            
+            ctx.fillStyle = '#2f3336';
+            roundRect(ctx, barX, y + 7, barWidth, 8, 4);
+            ctx.fill();
+            if (share > 0) {
+                ctx.fillStyle = '#1d9bf0';
+                roundRect(ctx, barX, y + 7, Math.max(barWidth * share, 8), 8, 4);
+                ctx.fill();
+            }
+            
+            ctx.fillStyle = '#71767b';
+            ctx.fillText(`${count} · ${Math.round(share * 100)}%`, barX + barWidth + 12, y + 15);
+            y += rowHeight;
+        }
+        y += sectionGap;
+    }
+    
+    // Footer - capture time and branding
+    const dateStr = new Date(data.captureTime).toISOString().replace('T', '  ').substring(0, 21) + ' UTC';
+    ctx.fillStyle = '#71767b';
+    ctx.font = '13px -apple-system, "Segoe UI", sans-serif';
+    ctx.fillText(`🕐  Captured ${dateStr}`, padding, y + 14);
+    ctx.fillStyle = '#536471';
+    ctx.font = '11px -apple-system, "Segoe UI", sans-serif';
+    ctx.fillText(`Generated by X-Posed v${data.version}`, padding, y + 36);
+    
+    return canvas;
+}
+
 /**
  * Draw rounded rectangle
  */
@@ -611,7 +772,7 @@ function showEvidencePreview(canvas, info) {
     titleIcon.style.marginRight = '8px';
     titleIcon.textContent = '📸';
     title.appendChild(titleIcon);
-    title.appendChild(document.createTextNode('Evidence Captured'));
+    title.appendChild(document.createTextNode(info.title || 'Evidence Captured'));
     
     // Create close button
     const closeBtn = document.createElement('button');
@@ -652,7 +813,7 @@ function showEvidencePreview(canvas, info) {
     footer.className = 'x-evidence-footer';
     
     // Filename preview
-    const filename = generateFilename(info.screenName);
+    const filename = info.filename || generateFilename(info.screenName);
     const filenameDiv = document.createElement('div');
     filenameDiv.className = 'x-evidence-filename';
     filenameDiv.textContent = filename;
@@ -734,11 +895,11 @@ function showEvidencePreview(canvas, info) {
 /**
  * Generate evidence filename
  */
-function generateFilename(screenName) {
+function generateFilename(screenName, prefix = 'evidence') {
     const date = new Date();
     const dateStr = date.toISOString().split('T')[0];
     const timeStr = date.toTimeString().split(' ')[0].replace(/:/g, '-');
-    return `evidence_${screenName}_${dateStr}_${timeStr}.png`;
+    return `${prefix}_${screenName}_${dateStr}_${timeStr}.png`;
 }
 
 /**
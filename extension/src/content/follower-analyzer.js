@@ -0,0 +1,343 @@
+/**
+ * Follower Analyzer (Content Script)
+ * On followers, following and verified followers pages, adds an "Analyze" button that opens a
+ * panel summarizing every account loaded in the list: location distribution, device split,
+ * VPN share and account age. "Load all" scrolls the list step by step so every cell gets
+ * looked up, then waits for the lookups. Results export as CSV or JSON.
+ *
+ * Accounts are collected from the UserCells the observer has already processed, so the
+ * analyzer makes no API calls of its own.
+ */
+
+import { SELECTORS, Z_INDEX, FOLLOWER_ANALYZER_CONFIG, VERSION } from '../shared/constants.js';
+import { createElement, formatPercent } from '../shared/utils.js';
+import { parseFollowerListPath, createAnalyzedAccount, summarizeFollowerAccounts, followerAccountsToCsv, formatReportLocation, FOLLOWER_LIST_LABELS } from '../shared/follower-analysis.js';
+import { userInfoCache, processingQueue } from './observer.js';
+import { onPageChange } from './page-watcher.js';
+import { downloadFile } from './ui.js';
+
+const LAUNCHER_ID = 'x-posed-analyzer-launcher';
+const PANEL_ID = 'x-posed-analyzer-panel';
+
+// Current list page ({screenName, list}) and the accounts collected on it: screenName → account
+let currentPage = null;
+const accounts = new Map();
+
+let removePageListener = null;
+let refreshInterval = null;
+let loadAllRunning = false;
+
+// ============================================
+// COLLECTION
+// ============================================
+
+/**
+ * Collect the processed UserCells of the list (the sidebar's "Who to follow" cells are skipped)
+ * Accounts whose lookup hasn't finished are kept and filled in on a later pass.
+ */
+function collectAccounts() {
+    const cells = document.querySelectorAll(`[data-testid="primaryColumn"] ${SELECTORS.USER_CELL}[data-x-screen-name]`);
+
+    for (const cell of cells) {
+        const screenName = cell.dataset.xScreenName;
+        const existing = accounts.get(screenName);
+        if (existing && existing.vpn !== null) continue;
+        if (!existing && accounts.size >= FOLLOWER_ANALYZER_CONFIG.MAX_ACCOUNTS) continue;
+
+        accounts.set(screenName, createAnalyzedAccount(screenName, userInfoCache.get(screenName) || null));
+    }
+
+    // Fill in accounts that scrolled away before their lookup finished
+    for (const [screenName, account] of accounts) {
+        if (account.vpn !== null) continue;
+        const info = userInfoCache.get(screenName);
+        if (info) accounts.set(screenName, createAnalyzedAccount(screenName, info));
+    }
+}
+
+/**
+ * Wait the given time
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Scroll through the whole list, collecting as it loads
+ * Scrolls one screen at a time so every cell becomes visible (and is looked up by the observer).
+ * Stops when the list stops growing, the cap is reached, the user stops it, or the page changes.
+ */
+async function loadAll() {
+    const page = currentPage;
+    loadAllRunning = true;
+    renderPanel();
+
+    let idleSteps = 0;
+    while (loadAllRunning && currentPage === page && idleSteps < FOLLOWER_ANALYZER_CONFIG.MAX_IDLE_SCROLLS
+        && accounts.size < FOLLOWER_ANALYZER_CONFIG.MAX_ACCOUNTS) {
+        const before = accounts.size;
+        const atBottom = window.innerHeight + window.scrollY >= document.documentElement.scrollHeight - 2;
+        window.scrollBy(0, Math.round(window.innerHeight * 0.8));
+        await delay(FOLLOWER_ANALYZER_CONFIG.SCROLL_DELAY_MS);
+        collectAccounts();
+        idleSteps = accounts.size > before || !atBottom ? 0 : idleSteps + 1;
+        renderPanel();
+    }
+
+    // Let the last lookups finish
+    const deadline = Date.now() + FOLLOWER_ANALYZER_CONFIG.LOOKUP_WAIT_MS;
+    while (loadAllRunning && currentPage === page && processingQueue.size > 0 && Date.now() < deadline) {
+        await delay(FOLLOWER_ANALYZER_CONFIG.SCROLL_DELAY_MS);
+        collectAccounts();
+        renderPanel();
+    }
+
+    loadAllRunning = false;
+    if (currentPage === page) {
+        collectAccounts();
+        renderPanel();
+    }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+/**
+ * Get the export file name for the current list (without date or extension)
+ * @returns {string} - File name
+ */
+function getExportName() {
+    return `x-posed-${currentPage.screenName}-${currentPage.list}`;
+}
+
+/**
+ * Export the collected accounts as CSV
+ */
+function exportCsv() {
+    downloadFile(followerAccountsToCsv(Array.from(accounts.values())), 'text/csv', getExportName(), 'csv');
+}
+
+/**
+ * Export the summary and collected accounts as JSON
+ */
+function exportJson() {
+    const list = Array.from(accounts.values());
+    const data = {
+        version: VERSION,
+        exportDate: new Date().toISOString(),
+        account: currentPage.screenName,
+        list: currentPage.list,
+        summary: summarizeFollowerAccounts(list),
+        accounts: list
+    };
+    downloadFile(JSON.stringify(data, null, 2), 'application/json', getExportName(), 'json');
+}
+
+// ============================================
+// PANEL
+// ============================================
+
+/**
+ * Create a section of labelled bars
+ * @param {string} title - Section title
+ * @param {Array<{label: string, count: number}>} rows - Rows
+ * @param {number} total - Count the percentages are relative to
+ * @returns {HTMLElement} - Section element
+ */
+function createBarSection(title, rows, total) {
+    const section = createElement('div', { className: 'x-analyzer-section' }, [
+        createElement('div', { className: 'x-analyzer-section-title', textContent: title })
+    ]);
+
+    for (const { label, count } of rows) {
+        section.appendChild(createElement('div', { className: 'x-analyzer-row' }, [
+            createElement('span', { className: 'x-analyzer-row-label', textContent: label }),
+            createElement('span', { className: 'x-analyzer-bar' }, [
+                createElement('span', { className: 'x-analyzer-bar-fill', style: { width: formatPercent(count, total) } })
+            ]),
+            createElement('span', { className: 'x-analyzer-row-value', textContent: `${count} · ${formatPercent(count, total)}` })
+        ]));
+    }
+
+    return section;
+}
+
+/**
+ * Render the panel body from the collected accounts
+ */
+function renderPanel() {
+    const panel = document.getElementById(PANEL_ID);
+    if (!panel || !currentPage) return;
+
+    const summary = summarizeFollowerAccounts(Array.from(accounts.values()));
+    const body = panel.querySelector('.x-analyzer-body');
+    body.replaceChildren();
+
+    const capped = accounts.size >= FOLLOWER_ANALYZER_CONFIG.MAX_ACCOUNTS ? ` (limit ${FOLLOWER_ANALYZER_CONFIG.MAX_ACCOUNTS})` : '';
+    body.appendChild(createElement('div', {
+        className: 'x-analyzer-summary',
+        textContent: `${summary.total} accounts loaded${capped} · ${summary.withData} with data`
+    }));
+
+    if (summary.withData === 0) {
+        body.appendChild(createElement('div', { className: 'x-analyzer-empty', textContent: 'Scroll the list or use "Load all" to collect accounts.' }));
+    } else {
+        const locationRows = summary.locations.slice(0, FOLLOWER_ANALYZER_CONFIG.TOP_LOCATIONS)
+            .map(({ value, count }) => ({ label: formatReportLocation(value), count }));
+        const otherLocations = summary.locations.slice(FOLLOWER_ANALYZER_CONFIG.TOP_LOCATIONS)
+            .reduce((sum, { count }) => sum + count, 0);
+        if (otherLocations > 0) locationRows.push({ label: '🌐 Other', count: otherLocations });
+        if (summary.noLocation > 0) locationRows.push({ label: '❔ No location', count: summary.noLocation });
+
+        const ageRows = [...summary.ages];
+        if (summary.unknownAge > 0) ageRows.push({ label: 'Unknown', count: summary.unknownAge });
+
+        body.appendChild(createBarSection('Locations', locationRows, summary.withData));
+        body.appendChild(createBarSection('Devices', summary.devices.map(({ value, count }) => ({ label: value, count })), summary.withData));
+        body.appendChild(createBarSection('VPN / proxy', [{ label: '🔒 Inaccurate location', count: summary.vpn }], summary.withData));
+        body.appendChild(createBarSection('Account age', ageRows, summary.withData));
+    }
+
+    const loadBtn = panel.querySelector('.x-analyzer-load');
+    loadBtn.textContent = loadAllRunning ? '⏹ Stop' : '⬇ Load all and analyze';
+    panel.querySelectorAll('.x-analyzer-export').forEach(btn => {
+        btn.disabled = accounts.size === 0;
+    });
+}
+
+/**
+ * Open the panel (or bring it back if already open)
+ */
+function openPanel() {
+    if (document.getElementById(PANEL_ID) || !currentPage) return;
+
+    const header = createElement('div', { className: 'x-analyzer-header' }, [
+        createElement('span', {
+            className: 'x-analyzer-title',
+            textContent: `📊 @${currentPage.screenName} · ${FOLLOWER_LIST_LABELS[currentPage.list]}`
+        }),
+        createElement('button', { className: 'x-analyzer-close', type: 'button', title: 'Close', textContent: '✕', onClick: closePanel })
+    ]);
+
+    const actions = createElement('div', { className: 'x-analyzer-actions' }, [
+        createElement('button', {
+            className: 'x-analyzer-btn x-analyzer-load',
+            type: 'button',
+            onClick: () => {
+                if (loadAllRunning) {
+                    loadAllRunning = false;
+                } else {
+                    loadAll();
+                }
+            }
+        }),
+        createElement('button', {
+            className: 'x-analyzer-btn x-analyzer-export',
+            type: 'button',
+            title: 'Export the loaded accounts as CSV',
+            textContent: 'CSV',
+            onClick: exportCsv
+        }),
+        createElement('button', {
+            className: 'x-analyzer-btn x-analyzer-export',
+            type: 'button',
+            title: 'Export the summary and loaded accounts as JSON',
+            textContent: 'JSON',
+            onClick: exportJson
+        })
+    ]);
+
+    const panel = createElement('div', {
+        className: 'x-analyzer-panel',
+        id: PANEL_ID,
+        style: { zIndex: String(Z_INDEX.ANALYZER_PANEL) }
+    }, [header, createElement('div', { className: 'x-analyzer-body' }), actions]);
+    document.body.appendChild(panel);
+
+    collectAccounts();
+    renderPanel();
+    refreshInterval = setInterval(() => {
+        collectAccounts();
+        renderPanel();
+    }, FOLLOWER_ANALYZER_CONFIG.REFRESH_MS);
+}
+
+/**
+ * Close the panel (stops "Load all"; collected accounts are kept for the page)
+ */
+function closePanel() {
+    loadAllRunning = false;
+    if (refreshInterval) {
+        clearInterval(refreshInterval);
+        refreshInterval = null;
+    }
+    document.getElementById(PANEL_ID)?.remove();
+}
+
+/**
+ * Show or remove the launcher button
+ * @param {boolean} show - Whether the current page is a follower list
+ */
+function updateLauncher(show) {
+    let launcher = document.getElementById(LAUNCHER_ID);
+    if (!show) {
+        launcher?.remove();
+        return;
+    }
+
+    if (!launcher) {
+        launcher = createElement('button', {
+            className: 'x-analyzer-launcher',
+            id: LAUNCHER_ID,
+            type: 'button',
+            style: { zIndex: String(Z_INDEX.ANALYZER_PANEL) },
+            onClick: openPanel
+        });
+        document.body.appendChild(launcher);
+    }
+    launcher.textContent = `📊 Analyze ${FOLLOWER_LIST_LABELS[currentPage.list]}`;
+}
+
+/**
+ * Follow X's in-page navigation: reset when the list page changes
+ */
+function checkPage() {
+    const page = parseFollowerListPath(window.location.pathname);
+    const unchanged = page && currentPage && page.screenName === currentPage.screenName && page.list === currentPage.list;
+    if (unchanged || (!page && !currentPage)) return;
+
+    closePanel();
+    accounts.clear();
+    currentPage = page;
+    updateLauncher(!!page);
+}
+
+// ============================================
+// LIFECYCLE
+// ============================================
+
+/**
+ * Start watching for follower list pages
+ */
+export function startFollowerAnalyzer() {
+    if (removePageListener) return;
+    checkPage();
+    removePageListener = onPageChange(checkPage);
+}
+
+/**
+ * Remove the analyzer UI and stop watching
+ */
+export function cleanupFollowerAnalyzer() {
+    if (removePageListener) {
+        removePageListener();
+        removePageListener = null;
+    }
+    closePanel();
+    document.getElementById(LAUNCHER_ID)?.remove();
+    accounts.clear();
+    currentPage = null;
+}
@@ -10,6 +10,11 @@
 
 import browserAPI from '../shared/browser-api.js';
 import { CSS_CLASSES, MESSAGE_TYPES, Z_INDEX } from '../shared/constants.js';
+import { parseCreatedAt, getFlagMismatch, describeFlagMismatch } from '../shared/utils.js';
+import { computeSuspicionScore } from '../shared/suspicion-score.js';
+import { describePostingPattern } from '../shared/posting-hours.js';
+import { getUserActions } from './user-actions.js';
+import { getPostingPattern } from './posting-hours.js';
 
 const CARD_ID = 'x-posed-hovercard';
 
@@ -27,22 +32,6 @@ function safeText(value, maxLen = 140) {
     return String(value).replace(/[\u0000-\u001F\u007F]/g, '').slice(0, maxLen);
 }
 
-function parseCreatedAt(createdAtStr) {
-    if (!createdAtStr) return null;
-    const d = new Date(createdAtStr);
-    if (!Number.isNaN(d.getTime())) return d;
-
-    // Fallback: try to extract year as a last resort.
-    const m = String(createdAtStr).match(/\b(19\d{2}|20\d{2})\b/);
-    if (m) {
-        const year = Number(m[1]);
-        const fallback = new Date(Date.UTC(year, 0, 1));
-        return Number.isNaN(fallback.getTime()) ? null : fallback;
-    }
-
-    return null;
-}
-
 function yearsSince(date) {
     if (!date) return null;
     const ms = Date.now() - date.getTime();
@@ -96,6 +85,47 @@ function createRow({ icon, label, value }) {
     return row;
 }
 
+// Suspicion score with the factors that added points
+function createScoreBreakdown({ score, max, factors }) {
+    const wrap = createEl('div', 'x-posed-score');
+    wrap.appendChild(createRow({ icon: '🧮', label: 'Suspicion score', value: `${score} / ${max}` }));
+
+    const list = createEl('div', 'x-posed-score-factors');
+    if (factors.length === 0) {
+        list.appendChild(createEl('div', 'x-posed-score-factor', 'No risk signals found'));
+    }
+    for (const factor of factors) {
+        list.appendChild(createEl('div', 'x-posed-score-factor', `+${factor.points} ${factor.label}`));
+    }
+    wrap.appendChild(list);
+    return wrap;
+}
+
+function createActions(actions, onAction) {
+    const row = createEl('div', 'x-posed-card-actions');
+
+    for (const action of actions) {
+        const btn = createEl('button', `x-posed-action x-posed-action-${action.id}`, `${action.icon} ${safeText(action.label, 40)}`);
+        btn.type = 'button';
+        if (action.title) btn.title = safeText(action.title, 200);
+        if (action.active) btn.classList.add('x-posed-action-active');
+
+        btn.addEventListener('click', async e => {
+            e.preventDefault();
+            e.stopPropagation();
+            btn.disabled = true;
+            try {
+                await action.run();
+            } finally {
+                if (onAction) onAction();
+            }
+        });
+        row.appendChild(btn);
+    }
+
+    return row;
+}
+
 function ensureCard() {
     let card = document.getElementById(CARD_ID);
     if (card && card.isConnected) return card;
@@ -150,7 +180,7 @@ function positionCard(card, anchorEl) {
     card.style.top = `${Math.round(top)}px`;
 }
 
-function buildCardContent({ screenName, info, loading = false, errorText = '' }) {
+function buildCardContent({ screenName, info, displayName = '', loading = false, errorText = '', actions = [], onAction = null, settings = {} }) {
     const card = ensureCard();
     card.replaceChildren();
 
@@ -226,6 +256,18 @@ function buildCardContent({ screenName, info, loading = false, errorText = '' })
         body.appendChild(createRow({ icon: '🔒', label: 'Signal', value: 'VPN / Proxy suspected' }));
     }
 
+    // Flag in the display name vs detected country (prefer the API's name, it includes every emoji)
+    const flagMismatch = getFlagMismatch(meta.name || displayName, info?.location);
+    if (flagMismatch?.mismatch) {
+        body.appendChild(createRow({ icon: '🎭', label: 'Name flag', value: describeFlagMismatch(flagMismatch) }));
+    }
+
+    // Timezone inferred from the hours the author's tweets were posted at (once enough were seen)
+    const postingPattern = getPostingPattern(screenName, info?.location);
+    if (postingPattern) {
+        body.appendChild(createRow({ icon: '🕒', label: 'Posting pattern', value: describePostingPattern(postingPattern, info?.location) }));
+    }
+
     // Verification summary row (if any signal exists)
     const verificationBits = [];
     if (meta.blueVerified) verificationBits.push('Blue');
@@ -290,6 +332,11 @@ function buildCardContent({ screenName, info, loading = false, errorText = '' })
         body.appendChild(createRow({ icon: '🏢', label: 'Affiliation', value: content }));
     }
 
+    // Score once there's something to score (weights and thresholds are set in Options)
+    if (!errorText && (info?.location || info?.meta)) {
+        body.appendChild(createScoreBreakdown(computeSuspicionScore(info, meta.name || displayName, settings)));
+    }
+
     // Intentionally omit `profileImageShape` ("Avatar") and `learnMoreUrl` rows:
     // they add noise without providing actionable signal.
 
@@ -306,6 +353,7 @@ function buildCardContent({ screenName, info, loading = false, errorText = '' })
 
     card.appendChild(header);
     card.appendChild(body);
+    if (actions.length > 0) card.appendChild(createActions(actions, onAction));
     return card;
 }
 
@@ -314,6 +362,7 @@ class HovercardController {
         this.card = null;
         this.hideTimeout = null;
         this.currentAnchor = null;
+        this.content = null; // Last rendered { screenName, info, displayName, loading, errorText }
 
         // Per-session cache to avoid repeated API hits while you hover around
         this.hoverCache = new Map(); // screenName -> { data, fetchedAt }
@@ -325,11 +374,11 @@ class HovercardController {
         this._handleScroll = this._handleScroll.bind(this);
     }
 
-    attach(badgeEl, { screenName, info, csrfToken = null }) {
+    attach(badgeEl, { screenName, info, csrfToken = null, displayName = '' }) {
         if (!badgeEl || badgeEl.dataset.xPosedHovercardAttached === 'true') return;
         badgeEl.dataset.xPosedHovercardAttached = 'true';
 
-        const onEnter = () => this.show(badgeEl, { screenName, info, csrfToken });
+        const onEnter = () => this.show(badgeEl, { screenName, info, csrfToken, displayName });
         const onLeave = () => this.hideSoon();
 
         badgeEl.addEventListener('mouseenter', onEnter);
@@ -339,7 +388,7 @@ class HovercardController {
         badgeEl.classList.add('x-posed-has-hovercard');
     }
 
-    show(anchorEl, { screenName, info, csrfToken = null }) {
+    show(anchorEl, { screenName, info, csrfToken = null, displayName = '' }) {
         if (!anchorEl || !anchorEl.isConnected) return;
 
         if (this.hideTimeout) {
@@ -350,12 +399,10 @@ class HovercardController {
         this.currentAnchor = anchorEl;
 
         // Show immediate card (using whatever we currently know)
-        this.card = buildCardContent({ screenName, info, loading: true });
-        this.card.classList.add('x-posed-hovercard-visible');
-        positionCard(this.card, anchorEl);
+        this._render(anchorEl, { screenName, info, displayName, loading: true });
 
         // Fetch rich metadata ONLY on hover (forces API), with short TTL caching.
-        this._fetchAndUpdate(anchorEl, screenName, csrfToken).catch(() => {});
+        this._fetchAndUpdate(anchorEl, screenName, csrfToken, displayName).catch(() => {});
 
         // Keep visible if hovering card
         this.card.removeEventListener('mouseenter', this._handleCardEnter);
@@ -385,6 +432,7 @@ class HovercardController {
         }
 
         this.currentAnchor = null;
+        this.content = null;
         window.removeEventListener('scroll', this._handleScroll, true);
         window.removeEventListener('resize', this._handleScroll, true);
     }
@@ -400,16 +448,14 @@ class HovercardController {
         this.hideSoon(120);
     }
 
-    async _fetchAndUpdate(anchorEl, screenName, csrfToken) {
+    async _fetchAndUpdate(anchorEl, screenName, csrfToken, displayName = '') {
         const key = String(screenName || '').toLowerCase();
         if (!key) return;
 
         const cached = this.hoverCache.get(key);
         if (cached && Date.now() - cached.fetchedAt < this.cacheTtlMs) {
             if (this.currentAnchor === anchorEl && this.card?.classList.contains('x-posed-hovercard-visible')) {
-                this.card = buildCardContent({ screenName, info: cached.data, loading: false });
-                this.card.classList.add('x-posed-hovercard-visible');
-                positionCard(this.card, anchorEl);
+                this._render(anchorEl, { screenName, info: cached.data, displayName, loading: false });
             }
             return;
         }
@@ -431,9 +477,7 @@ class HovercardController {
         if (!response?.success || !response.data) {
             const msg = response?.error || 'Failed to fetch details';
             if (this.currentAnchor === anchorEl && this.card?.classList.contains('x-posed-hovercard-visible')) {
-                this.card = buildCardContent({ screenName, info: {}, loading: false, errorText: msg });
-                this.card.classList.add('x-posed-hovercard-visible');
-                positionCard(this.card, anchorEl);
+                this._render(anchorEl, { screenName, info: {}, displayName, loading: false, errorText: msg });
             }
             return;
         }
@@ -441,12 +485,27 @@ class HovercardController {
         this.hoverCache.set(key, { data: response.data, fetchedAt: Date.now() });
 
         if (this.currentAnchor === anchorEl && this.card?.classList.contains('x-posed-hovercard-visible')) {
-            this.card = buildCardContent({ screenName, info: response.data, loading: false });
-            this.card.classList.add('x-posed-hovercard-visible');
-            positionCard(this.card, anchorEl);
+            this._render(anchorEl, { screenName, info: response.data, displayName, loading: false });
         }
     }
 
+    _render(anchorEl, content) {
+        this.content = content;
+        this.card = buildCardContent({
+            ...content,
+            actions: getUserActions(content.screenName, content.info),
+            settings: window.__X_POSED_CONTENT__?.getState?.().settings || {},
+            // Re-render so toggled actions (e.g. allow/unallow) show their new state
+            onAction: () => {
+                if (this.currentAnchor === anchorEl && this.content === content) {
+                    this._render(anchorEl, content);
+                }
+            }
+        });
+        this.card.classList.add('x-posed-hovercard-visible');
+        positionCard(this.card, anchorEl);
+    }
+
     _handleScroll() {
         if (!this.card || !this.currentAnchor || !this.currentAnchor.isConnected) {
             this.hide();
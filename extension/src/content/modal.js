@@ -1,16 +1,18 @@
 /**
  * Country/Region Blocker Modal Component
- * Provides UI for blocking/unblocking countries and regions
- * Uses tabbed interface for switching between countries and regions
+ * Provides UI for blocking/unblocking countries, regions, tags and devices, and for the verification filter
+ * Uses tabbed interface for switching between the lists, with a filter profile switcher in the header
  */
 
-import { COUNTRY_LIST, REGION_LIST, CSS_CLASSES, TIMING } from '../shared/constants.js';
+import { COUNTRY_LIST, REGION_LIST, REGION_NAMES, REGION_COUNTRIES, CSS_CLASSES, TIMING, DEVICE_CATEGORIES, DEVICE_CATEGORY_EMOJIS, VERIFICATION_STATUSES } from '../shared/constants.js';
 import { getFlagEmoji, formatCountryName, createElement, debounce, extractTagsFromText, COMMON_PROFILE_TAGS } from '../shared/utils.js';
+import { describeCountryGroupSize, formatCountryGroupMember } from '../shared/country-groups.js';
 
 // Track blocked sets globally for proper syncing
 let localBlockedCountries = null;
 let localBlockedRegions = null;
 let localBlockedTags = null;
+let localBlockedDevices = null;
 
 let currentModal = null;
 
@@ -27,6 +29,13 @@ let activeTab = 'countries';
 let cachedFilteredTags = null;
 let cachedTagFilter = '';
 
+const VERIFICATION_STATUS_ICONS = {
+    blue: '🔵',
+    verified: '🏅',
+    identity: '🪪',
+    none: '⚪'
+};
+
 /**
  * Show the blocker modal
  * @param {Set} blockedCountries - Set of currently blocked countries
@@ -35,8 +44,13 @@ let cachedTagFilter = '';
  * @param {Function} onRegionAction - Callback for region actions
  * @param {Set} blockedTags - Set of currently blocked tags (optional)
  * @param {Function} onTagAction - Callback for tag actions (optional)
+ * @param {Set} blockedDevices - Set of currently blocked device categories (optional)
+ * @param {Function} onDeviceAction - Callback for device actions (optional)
+ * @param {Object} profileSwitcher - { profiles: [{id, name}], activeId, onSwitch(id) => Promise<boolean> } (optional)
+ * @param {Object} countryGroups - { groups: [{id, name, countries, mode}], onModeChange(id, mode) => Promise<Object> } (optional)
+ * @param {Object} verificationFilter - { filter: {mode, statuses, invert, vpnOnly, locations}, onChange(changes) => Promise<Object> } (optional)
  */
-export function showModal(blockedCountries, blockedRegions, onCountryAction, onRegionAction, blockedTags = null, onTagAction = null) {
+export function showModal(blockedCountries, blockedRegions, onCountryAction, onRegionAction, blockedTags = null, onTagAction = null, blockedDevices = null, onDeviceAction = null, profileSwitcher = null, countryGroups = null, verificationFilter = null) {
     // Remove existing modal if present
     if (currentModal) {
         currentModal.remove();
@@ -47,6 +61,7 @@ export function showModal(blockedCountries, blockedRegions, onCountryAction, onR
     localBlockedCountries = blockedCountries;
     localBlockedRegions = blockedRegions;
     localBlockedTags = blockedTags || new Set();
+    localBlockedDevices = blockedDevices || new Set();
 
     // Reset active tab
     activeTab = 'countries';
@@ -63,34 +78,43 @@ export function showModal(blockedCountries, blockedRegions, onCountryAction, onR
     const header = createHeader(() => {
         overlay.remove();
         currentModal = null;
-    });
+    }, profileSwitcher);
 
     // Create tab bar
     const { tabBar, switchTab, updateTabCounts } = createTabBar();
     
+    // Create bodies for all tabs
+    const { body: verificationBody, renderVerification, filter, clearVerification } = createVerificationBody(verificationFilter);
+
     // Initial tab counts
-    updateTabCounts(blockedCountries.size, blockedRegions.size, localBlockedTags.size);
+    updateTabCounts(blockedCountries.size, blockedRegions.size, localBlockedTags.size, localBlockedDevices.size, getVerificationCount(filter));
 
-    // Create bodies for all tabs
     const { body: countryBody, renderCountries, searchInput: countrySearch } = createCountryBody(blockedCountries, onCountryAction);
-    const { body: regionBody, renderRegions, searchInput: regionSearch } = createRegionBody(blockedRegions, onRegionAction);
+    const { body: regionBody, renderRegions, searchInput: regionSearch } = createRegionBody(blockedRegions, onRegionAction, countryGroups);
     const { body: tagBody, renderTags, searchInput: tagSearch } = createTagBody(localBlockedTags, onTagAction);
+    const { body: deviceBody, renderDevices } = createDeviceBody(localBlockedDevices, onDeviceAction);
 
     // Tab content container
     const tabContent = createElement('div', { className: 'x-blocker-tab-content' });
     tabContent.appendChild(countryBody);
     tabContent.appendChild(regionBody);
     tabContent.appendChild(tagBody);
+    tabContent.appendChild(deviceBody);
+    tabContent.appendChild(verificationBody);
 
     // Initially show countries tab
     countryBody.style.display = 'block';
     regionBody.style.display = 'none';
     tagBody.style.display = 'none';
+    deviceBody.style.display = 'none';
+    verificationBody.style.display = 'none';
 
     // Tab switching logic
     const handleTabSwitch = tab => {
         activeTab = tab;
         switchTab(tab);
+        deviceBody.style.display = tab === 'devices' ? 'block' : 'none';
+        verificationBody.style.display = tab === 'verification' ? 'block' : 'none';
         
         if (tab === 'countries') {
             countryBody.style.display = 'block';
@@ -110,6 +134,16 @@ export function showModal(blockedCountries, blockedRegions, onCountryAction, onR
             tagBody.style.display = 'block';
             updateStats(localBlockedTags.size, 'tags');
             setTimeout(() => tagSearch.focus(), 50);
+        } else if (tab === 'devices') {
+            countryBody.style.display = 'none';
+            regionBody.style.display = 'none';
+            tagBody.style.display = 'none';
+            updateStats(localBlockedDevices.size, 'devices');
+        } else if (tab === 'verification') {
+            countryBody.style.display = 'none';
+            regionBody.style.display = 'none';
+            tagBody.style.display = 'none';
+            updateVerificationStats(filter);
         }
     };
 
@@ -117,18 +151,24 @@ export function showModal(blockedCountries, blockedRegions, onCountryAction, onR
     tabBar.querySelector('[data-tab="countries"]').addEventListener('click', () => handleTabSwitch('countries'));
     tabBar.querySelector('[data-tab="regions"]').addEventListener('click', () => handleTabSwitch('regions'));
     tabBar.querySelector('[data-tab="tags"]').addEventListener('click', () => handleTabSwitch('tags'));
+    tabBar.querySelector('[data-tab="devices"]').addEventListener('click', () => handleTabSwitch('devices'));
+    tabBar.querySelector('[data-tab="verification"]').addEventListener('click', () => handleTabSwitch('verification'));
 
     // Create footer
     const footer = createFooter(
         blockedCountries, 
         blockedRegions, 
         localBlockedTags,
+        localBlockedDevices,
         onCountryAction, 
         onRegionAction,
         onTagAction,
+        onDeviceAction,
         renderCountries, 
         renderRegions,
         renderTags,
+        renderDevices,
+        clearVerification,
         () => {
             overlay.remove();
             currentModal = null;
@@ -176,12 +216,16 @@ export function showModal(blockedCountries, blockedRegions, onCountryAction, onR
     renderCountries();
     renderRegions();
     renderTags();
+    renderDevices();
+    renderVerification();
 }
 
 /**
  * Create modal header using safe DOM methods
+ * @param {Function} onClose - Close button handler
+ * @param {Object|null} profileSwitcher - See showModal; the switcher is shown with 2+ profiles
  */
-function createHeader(onClose) {
+function createHeader(onClose, profileSwitcher) {
     const header = createElement('div', { className: 'x-blocker-header' });
 
     // Create title with shield icon
@@ -226,13 +270,50 @@ function createHeader(onClose) {
     closeBtn.addEventListener('click', onClose);
 
     header.appendChild(title);
+    
+    if (profileSwitcher?.profiles?.length > 1) {
+        header.appendChild(createProfileSelect(profileSwitcher));
+    }
+    
     header.appendChild(closeBtn);
 
     return header;
 }
 
 /**
- * Create tab bar for switching between countries, regions, and tags
+ * Create the filter profile dropdown for the header
+ * @param {Object} profileSwitcher - { profiles, activeId, onSwitch }
+ * @returns {HTMLElement} - Select element
+ */
+function createProfileSelect({ profiles, activeId, onSwitch }) {
+    const select = createElement('select', {
+        className: 'x-blocker-profile-select',
+        'aria-label': 'Filter profile',
+        title: 'Switch filter profile'
+    });
+    
+    for (const profile of profiles) {
+        const option = createElement('option', { value: profile.id });
+        option.textContent = `🗂️ ${profile.name}`;
+        option.selected = profile.id === activeId;
+        select.appendChild(option);
+    }
+    
+    select.addEventListener('change', async () => {
+        select.disabled = true;
+        const switched = await onSwitch(select.value);
+        // On success the modal is re-opened with the new profile's lists
+        if (!switched) {
+            select.value = activeId;
+            select.disabled = false;
+        }
+    });
+    
+    return select;
+}
+
+/**
+ * Create tab bar for switching between countries, regions, tags, devices and verification
  */
 function createTabBar() {
     const tabBar = createElement('div', { className: 'x-blocker-tabs' });
@@ -273,24 +354,56 @@ function createTabBar() {
     });
     tagsTab.appendChild(tagsCount);
 
+    const devicesTab = createElement('button', {
+        className: 'x-blocker-tab',
+        'data-tab': 'devices'
+    });
+    devicesTab.appendChild(document.createTextNode('📱 Devices '));
+    const devicesCount = createElement('span', { 
+        className: 'x-blocker-tab-count', 
+        id: 'modal-devices-count',
+        textContent: '0'
+    });
+    devicesTab.appendChild(devicesCount);
+
+    const verificationTab = createElement('button', {
+        className: 'x-blocker-tab',
+        'data-tab': 'verification'
+    });
+    verificationTab.appendChild(document.createTextNode('✅ Verified '));
+    const verificationCount = createElement('span', { 
+        className: 'x-blocker-tab-count', 
+        id: 'modal-verification-count',
+        textContent: '0'
+    });
+    verificationTab.appendChild(verificationCount);
+
     tabBar.appendChild(countriesTab);
     tabBar.appendChild(regionsTab);
     tabBar.appendChild(tagsTab);
+    tabBar.appendChild(devicesTab);
+    tabBar.appendChild(verificationTab);
 
     // Update count function
-    const updateTabCounts = (countries, regions, tags) => {
+    const updateTabCounts = (countries, regions, tags, devices, verification) => {
         countriesCount.textContent = countries;
         countriesCount.style.display = countries > 0 ? 'inline-flex' : 'none';
         regionsCount.textContent = regions;
         regionsCount.style.display = regions > 0 ? 'inline-flex' : 'none';
         tagsCount.textContent = tags;
         tagsCount.style.display = tags > 0 ? 'inline-flex' : 'none';
+        devicesCount.textContent = devices;
+        devicesCount.style.display = devices > 0 ? 'inline-flex' : 'none';
+        verificationCount.textContent = verification;
+        verificationCount.style.display = verification > 0 ? 'inline-flex' : 'none';
     };
 
     const switchTab = tab => {
         countriesTab.classList.toggle('active', tab === 'countries');
         regionsTab.classList.toggle('active', tab === 'regions');
         tagsTab.classList.toggle('active', tab === 'tags');
+        devicesTab.classList.toggle('active', tab === 'devices');
+        verificationTab.classList.toggle('active', tab === 'verification');
     };
 
     return { tabBar, switchTab, updateTabCounts };
@@ -364,14 +477,14 @@ function createCountryBody(blockedCountries, onAction) {
 }
 
 /**
- * Create region body with search and region list
+ * Create region body with search, the user's country groups and the region list
  */
-function createRegionBody(blockedRegions, onAction) {
+function createRegionBody(blockedRegions, onAction, countryGroups) {
     const body = createElement('div', { className: 'x-blocker-body x-blocker-tab-panel', 'data-panel': 'regions' });
 
     const info = createElement('div', {
         className: 'x-blocker-info',
-        textContent: 'Block entire regions. Some users show regional locations like "South Asia" or "Europe" instead of specific countries.'
+        textContent: 'Block entire regions. Some users show regional locations like "South Asia" or "Europe" instead of specific countries. A blocked region also covers its member countries unless that is turned off in Options.'
     });
 
     const search = createElement('input', {
@@ -384,8 +497,27 @@ function createRegionBody(blockedRegions, onAction) {
         className: 'x-blocker-countries x-blocker-regions'
     });
 
+    // User-defined country groups (built in Options), listed above X's regions
+    const groups = countryGroups?.groups || [];
+    const groupsSection = createElement('div', { className: 'x-blocker-groups-section' });
+    const groupsContainer = createElement('div', {
+        className: 'x-blocker-countries x-blocker-regions'
+    });
+    groupsSection.appendChild(createElement('div', {
+        className: 'x-blocker-section-label',
+        textContent: 'Your Country Groups (click to cycle off, block, highlight)'
+    }));
+    groupsSection.appendChild(groupsContainer);
+
     body.appendChild(info);
     body.appendChild(search);
+    if (groups.length > 0) {
+        body.appendChild(groupsSection);
+        body.appendChild(createElement('div', {
+            className: 'x-blocker-section-label',
+            textContent: 'X Regions'
+        }));
+    }
     body.appendChild(regionsContainer);
 
     let currentFilter = '';
@@ -418,6 +550,13 @@ function createRegionBody(blockedRegions, onAction) {
         }
 
         regionsContainer.appendChild(fragment);
+
+        groupsContainer.replaceChildren();
+        for (const group of groups) {
+            if (group.name.toLowerCase().includes(filterLower)) {
+                groupsContainer.appendChild(createGroupItem(group, countryGroups.onModeChange));
+            }
+        }
     };
 
     // Search functionality with debouncing
@@ -618,6 +757,236 @@ function createTagBody(blockedTags, onAction) {
     return { body, renderTags: renderAll, searchInput: tagInput };
 }
 
+/**
+ * Create device body with one item per device category
+ */
+function createDeviceBody(blockedDevices, onAction) {
+    const body = createElement('div', { className: 'x-blocker-body x-blocker-tab-panel', 'data-panel': 'devices' });
+
+    const info = createElement('div', {
+        className: 'x-blocker-info',
+        textContent: 'Block users by the client they post from. "Unknown" covers accounts whose device could not be determined.'
+    });
+
+    const devicesContainer = createElement('div', {
+        className: 'x-blocker-countries x-blocker-devices'
+    });
+
+    body.appendChild(info);
+    body.appendChild(devicesContainer);
+
+    const renderDevices = () => {
+        devicesContainer.replaceChildren();
+        const fragment = document.createDocumentFragment();
+
+        for (const device of DEVICE_CATEGORIES) {
+            fragment.appendChild(createDeviceItem(device, blockedDevices, onAction));
+        }
+
+        devicesContainer.appendChild(fragment);
+    };
+
+    return { body, renderDevices };
+}
+
+/**
+ * Create a single device category item using safe DOM methods
+ * @param {string} device - Device category (iOS, Android, Web, Unknown)
+ */
+function createDeviceItem(device, blockedDevices, onAction) {
+    const isBlocked = blockedDevices.has(device);
+    
+    const item = createElement('div', {
+        className: `x-country-item x-device-item${isBlocked ? ' blocked' : ''}`
+    });
+
+    const iconSpan = createElement('span', {
+        className: 'x-country-flag x-device-icon',
+        textContent: DEVICE_CATEGORY_EMOJIS[device]
+    });
+
+    const name = createElement('span', {
+        className: 'x-country-name x-device-name',
+        textContent: device
+    });
+
+    const status = createElement('span', {
+        className: 'x-country-status',
+        textContent: isBlocked ? 'BLOCKED' : ''
+    });
+
+    item.appendChild(iconSpan);
+    item.appendChild(name);
+    item.appendChild(status);
+
+    // Click handler - sync from response data
+    item.addEventListener('click', async () => {
+        if (!onAction) return;
+        const response = await onAction('toggle', device);
+        
+        if (response?.success && response.data) {
+            localBlockedDevices.clear();
+            for (const d of response.data) {
+                localBlockedDevices.add(d);
+            }
+            
+            const nowBlocked = localBlockedDevices.has(device);
+            item.classList.toggle('blocked', nowBlocked);
+            status.textContent = nowBlocked ? 'BLOCKED' : '';
+            
+            updateStats(localBlockedDevices.size, 'devices');
+            const devicesCountEl = document.getElementById('modal-devices-count');
+            if (devicesCountEl) {
+                devicesCountEl.textContent = localBlockedDevices.size;
+                devicesCountEl.style.display = localBlockedDevices.size > 0 ? 'inline-flex' : 'none';
+            }
+        }
+    });
+
+    return item;
+}
+
+/**
+ * Create the verification filter body: mode, statuses and match options
+ * The location restriction is edited in Options (it needs the full country list) and only summarized here.
+ * @param {Object|null} verificationFilter - See showModal
+ */
+function createVerificationBody(verificationFilter) {
+    const body = createElement('div', { className: 'x-blocker-body x-blocker-tab-panel', 'data-panel': 'verification' });
+    const filter = verificationFilter?.filter || { mode: 'off', statuses: [], invert: false, vpnOnly: false, locations: [] };
+
+    const info = createElement('div', {
+        className: 'x-blocker-info',
+        textContent: 'Filter accounts by their verification badges. Pick the statuses, then block matching accounts (per your blocking mode) or highlight them.'
+    });
+
+    const modes = createElement('div', { className: 'x-verification-modes' });
+    const statusesContainer = createElement('div', { className: 'x-blocker-countries x-blocker-devices' });
+    const optionsContainer = createElement('div', { className: 'x-verification-options' });
+    const locationNote = createElement('div', {
+        className: 'x-verification-note',
+        textContent: filter.locations.length > 0
+            ? `Only accounts from ${filter.locations.map(key => REGION_NAMES[key] || formatCountryName(key)).join(', ')}. Change this in Options.`
+            : 'Applies to accounts from any location. Restrict it in Options.'
+    });
+
+    body.appendChild(info);
+    body.appendChild(modes);
+    body.appendChild(statusesContainer);
+    body.appendChild(optionsContainer);
+    body.appendChild(locationNote);
+
+    // Apply a change once the background has saved it
+    const update = async changes => {
+        if (!verificationFilter?.onChange) return null;
+        const response = await verificationFilter.onChange(changes);
+        if (response?.success) {
+            Object.assign(filter, changes);
+            renderVerification();
+            updateVerificationStats(filter);
+        }
+        return response;
+    };
+
+    const renderVerification = () => {
+        modes.replaceChildren();
+        for (const [mode, label] of [['off', 'Off'], ['block', 'Block'], ['highlight', 'Highlight']]) {
+            modes.appendChild(createElement('button', {
+                className: `x-verification-mode${filter.mode === mode ? ' active' : ''}`,
+                textContent: label,
+                onClick: () => update({ mode })
+            }));
+        }
+
+        statusesContainer.replaceChildren();
+        const fragment = document.createDocumentFragment();
+        for (const [status, label] of Object.entries(VERIFICATION_STATUSES)) {
+            fragment.appendChild(createVerificationItem(status, label, filter, update));
+        }
+        statusesContainer.appendChild(fragment);
+
+        optionsContainer.replaceChildren(
+            createVerificationOption('Match accounts without these statuses', filter.invert, checked => update({ invert: checked })),
+            createVerificationOption('Only when the location is inaccurate (VPN/proxy)', filter.vpnOnly, checked => update({ vpnOnly: checked }))
+        );
+    };
+
+    const clearVerification = () => update({ mode: 'off', statuses: [] });
+
+    return { body, renderVerification, filter, clearVerification };
+}
+
+/**
+ * Create a single verification status item
+ * @param {string} status - VERIFICATION_STATUSES key
+ * @param {string} label - Display label
+ * @param {Object} filter - Current filter ({mode, statuses, ...})
+ * @param {Function} update - (changes) => Promise<Object> response
+ */
+function createVerificationItem(status, label, filter, update) {
+    const isSelected = filter.statuses.includes(status);
+    const statusText = { off: 'SELECTED', block: 'BLOCKED', highlight: 'HIGHLIGHTED' };
+
+    const item = createElement('div', {
+        className: `x-country-item x-device-item x-verification-item${isSelected ? ` ${filter.mode === 'off' ? 'selected' : filter.mode === 'block' ? 'blocked' : 'highlighted'}` : ''}`
+    });
+
+    item.appendChild(createElement('span', { className: 'x-country-flag x-device-icon', textContent: VERIFICATION_STATUS_ICONS[status] }));
+    item.appendChild(createElement('span', { className: 'x-country-name x-device-name', textContent: label }));
+    item.appendChild(createElement('span', { className: 'x-country-status', textContent: isSelected ? statusText[filter.mode] || '' : '' }));
+
+    item.addEventListener('click', () => {
+        const statuses = isSelected
+            ? filter.statuses.filter(s => s !== status)
+            : [...filter.statuses, status];
+        update({ statuses });
+    });
+
+    return item;
+}
+
+/**
+ * Create a checkbox row for a verification filter option
+ * @param {string} label - Option label
+ * @param {boolean} checked - Current value
+ * @param {Function} onChange - (checked) => void
+ */
+function createVerificationOption(label, checked, onChange) {
+    const checkbox = createElement('input', { type: 'checkbox' });
+    checkbox.checked = checked;
+    checkbox.addEventListener('change', () => onChange(checkbox.checked));
+    return createElement('label', { className: 'x-verification-option' }, [checkbox, label]);
+}
+
+/**
+ * Count the statuses the verification filter is acting on (0 when it is off)
+ * @param {Object} filter - Current filter ({mode, statuses, ...})
+ * @returns {number}
+ */
+function getVerificationCount(filter) {
+    return filter.mode === 'off' ? 0 : filter.statuses.length;
+}
+
+/**
+ * Update the verification tab count, and the footer stats while the tab is open
+ * @param {Object} filter - Current filter ({mode, statuses, ...})
+ */
+function updateVerificationStats(filter) {
+    const count = getVerificationCount(filter);
+    const countEl = document.getElementById('modal-verification-count');
+    if (countEl) {
+        countEl.textContent = count;
+        countEl.style.display = count > 0 ? 'inline-flex' : 'none';
+    }
+
+    const stats = document.getElementById('x-blocker-stats');
+    if (stats && activeTab === 'verification') {
+        stats.textContent = count === 0
+            ? 'Verification filter off'
+            : `${count} ${count === 1 ? 'status' : 'statuses'} ${filter.mode === 'block' ? 'blocked' : 'highlighted'}`;
+    }
+}
+
 /**
  * Create a single tag item for the blocked tags list
  */
@@ -755,6 +1124,14 @@ function createRegionItem(region, blockedRegions, onAction) {
         textContent: region.name
     });
 
+    // Member countries covered when the region is blocked
+    const members = REGION_COUNTRIES[regionKey] || [];
+    const memberCount = createElement('span', {
+        className: 'x-region-members',
+        textContent: `${members.length} ${members.length === 1 ? 'country' : 'countries'}`,
+        title: members.map(formatCountryName).join(', ')
+    });
+
     // Status
     const status = createElement('span', {
         className: 'x-country-status',
@@ -763,6 +1140,7 @@ function createRegionItem(region, blockedRegions, onAction) {
 
     item.appendChild(flagSpan);
     item.appendChild(name);
+    item.appendChild(memberCount);
     item.appendChild(status);
 
     // Click handler - sync from response data
@@ -788,10 +1166,54 @@ function createRegionItem(region, blockedRegions, onAction) {
     return item;
 }
 
+/**
+ * Create a single country group item
+ * Clicking cycles the group through off → block → highlight.
+ * @param {Object} group - Group object with {id, name, countries, mode}
+ * @param {Function} onModeChange - (id, mode) => Promise<Object> response
+ */
+function createGroupItem(group, onModeChange) {
+    const nextMode = { off: 'block', block: 'highlight', highlight: 'off' };
+    const statusText = { off: '', block: 'BLOCKED', highlight: 'HIGHLIGHTED' };
+
+    const item = createElement('div', { className: 'x-country-item x-region-item x-group-item' });
+    const flagSpan = createElement('span', { className: 'x-country-flag x-region-flag', textContent: '🧭' });
+    const name = createElement('span', { className: 'x-country-name x-region-name', textContent: group.name });
+    const memberCount = createElement('span', {
+        className: 'x-region-members',
+        textContent: describeCountryGroupSize(group),
+        title: group.countries.map(formatCountryGroupMember).join(', ')
+    });
+    const status = createElement('span', { className: 'x-country-status' });
+
+    const renderMode = () => {
+        item.classList.toggle('blocked', group.mode === 'block');
+        item.classList.toggle('highlighted', group.mode === 'highlight');
+        status.textContent = statusText[group.mode] || '';
+    };
+
+    item.appendChild(flagSpan);
+    item.appendChild(name);
+    item.appendChild(memberCount);
+    item.appendChild(status);
+    renderMode();
+
+    item.addEventListener('click', async () => {
+        const mode = nextMode[group.mode] || 'block';
+        const response = await onModeChange(group.id, mode);
+        if (response?.success) {
+            group.mode = mode;
+            renderMode();
+        }
+    });
+
+    return item;
+}
+
 /**
  * Create modal footer
  */
-function createFooter(blockedCountries, blockedRegions, blockedTags, onCountryAction, onRegionAction, onTagAction, renderCountries, renderRegions, renderTags, onClose) {
+function createFooter(blockedCountries, blockedRegions, blockedTags, blockedDevices, onCountryAction, onRegionAction, onTagAction, onDeviceAction, renderCountries, renderRegions, renderTags, renderDevices, clearVerification, onClose) {
     const footer = createElement('div', { className: 'x-blocker-footer' });
 
     const stats = createElement('div', {
@@ -830,6 +1252,15 @@ function createFooter(blockedCountries, blockedRegions, blockedTags, onCountryAc
                     renderTags();
                     updateStats(0, 'tags');
                 }
+            } else if (activeTab === 'devices' && onDeviceAction) {
+                const response = await onDeviceAction('clear');
+                if (response?.success) {
+                    blockedDevices.clear();
+                    renderDevices();
+                    updateStats(0, 'devices');
+                }
+            } else if (activeTab === 'verification') {
+                await clearVerification();
             }
         }
     });
@@ -858,6 +1289,7 @@ function updateStats(count, type = 'countries') {
         let label;
         if (type === 'countries') label = 'countries';
         else if (type === 'regions') label = 'regions';
+        else if (type === 'devices') label = 'devices';
         else label = 'tags';
         stats.textContent = `${count} ${label} blocked`;
     }
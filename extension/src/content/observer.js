@@ -3,9 +3,19 @@
  * Handles DOM observation, user processing, and caching
  */
 
-import { SELECTORS, CSS_CLASSES, MESSAGE_TYPES, TIMING, isRegion } from '../shared/constants.js';
-import { extractUsername, findInsertionPoint, getLoggedInUsername, extractTagsFromText } from '../shared/utils.js';
-import { createBadge, findUserCellInsertionPoint, showRateLimitToast } from './ui.js';
+import { SELECTORS, CSS_CLASSES, MESSAGE_TYPES, TIMING, FILTER_ACTIONS, FILTER_REASON_LABELS, FILTER_MODES, FILTER_LOG_CONFIG, IMPRESSION_STATS_CONFIG, RESEARCH_CONFIG, isRegion, getLocationEmoji, getCountryRegion } from '../shared/constants.js';
+import { extractUsername, findInsertionPoint, getLoggedInUsername, getDeviceCategory, getAccountAgeDays, getBlockingMode, exceedsHandleChangeThreshold } from '../shared/utils.js';
+import { findMatchingTag, findFilterRuleMatch, compareFilterActions, getVerificationStatuses } from '../shared/filter-rules.js';
+import { findCountryGroupMatch } from '../shared/country-groups.js';
+import { computeSuspicionScore, getSuspicionAction } from '../shared/suspicion-score.js';
+import { createFilterLogEntry } from '../shared/filter-exceptions.js';
+import { createFilterEvent } from '../shared/tab-session.js';
+import { createImpression } from '../shared/impression-stats.js';
+import { createObservation } from '../shared/research-log.js';
+import { formatUtcOffset } from '../shared/posting-hours.js';
+import { createBadge, findUserCellInsertionPoint, showRateLimitToast, updateRuleLabel, updateWhyChip, showCollapsePlaceholder, removeCollapsePlaceholder } from './ui.js';
+import { extractTweetLink } from './evidence-capture.js';
+import { recordPostingTime, getPostingPattern } from './posting-hours.js';
 import { LRUCache } from '../shared/lru-cache.js';
 
 // ============================================
@@ -79,6 +89,20 @@ export const processingQueue = new Map();
 // Toast cooldown tracking
 let lastRateLimitToastTime = 0;
 
+// Filter events not yet reported to the background (see tab-session.js)
+let pendingFilterEvents = [];
+
+// Timeline impressions not yet reported to the background (see impression-stats.js),
+// and the tweets already counted (by permalink, oldest first) so re-rendered tweets count once
+let pendingImpressions = [];
+const seenImpressionTweets = new Set();
+
+// Research mode observations not yet reported to the background (see research-log.js)
+let pendingObservations = [];
+
+// Called with (screenName, info, tweet) whenever a tweet author's info is rendered
+const tweetAuthorListeners = new Set();
+
 // Cleanup functions registry
 export const observerCleanupFunctions = [];
 
@@ -167,34 +191,450 @@ function extractTextWithEmojis(element) {
 }
 
 /**
- * Check if a display name contains any blocked tags
- * @param {string} displayName - The display name to check
- * @param {Set} blockedTags - Set of blocked tags
- * @returns {boolean} - True if any blocked tag is found
+ * Get the display name for a processed element (cached on the element)
+ * @param {HTMLElement} element - The username element
+ * @returns {string} - Display name with emojis
+ */
+function getDisplayName(element) {
+    if (element.dataset.xDisplayName === undefined) {
+        element.dataset.xDisplayName = extractDisplayName(element);
+    }
+    return element.dataset.xDisplayName;
+}
+
+// ============================================
+// FILTERING
+// ============================================
+
+/**
+ * Check if a screen name belongs to the logged-in user
+ * @param {string} screenName - The screen name to check
+ * @returns {boolean} - True if it's the logged-in user
  */
-function hasBlockedTag(displayName, blockedTags) {
-    if (!displayName || !blockedTags || blockedTags.size === 0) return false;
+function isOwnAccount(screenName) {
+    const loggedInUser = getLoggedInUsername();
+    return !!loggedInUser && !!screenName && screenName.toLowerCase() === loggedInUser.toLowerCase();
+}
+
+/**
+ * Check if a screen name is on the user's allowlist
+ * @param {string} screenName - The screen name to check
+ * @param {Set<string>} allowedUsers - Allowed handles (lowercase)
+ * @returns {boolean} - True if the user is allowed
+ */
+function isAllowedUser(screenName, allowedUsers) {
+    return !!allowedUsers && !!screenName && allowedUsers.has(screenName.toLowerCase());
+}
+
+/**
+ * Check if filters apply to an element
+ * Only the main tweet author is filtered - never quoted users, the logged-in user or allowed users
+ * @param {HTMLElement} element - The username element
+ * @param {string} screenName - The element's screen name
+ * @param {Set<string>} [allowedUsers] - Allowed handles (lowercase)
+ * @returns {boolean} - True if the element can be hidden/highlighted/labeled
+ */
+function isFilterable(element, screenName, allowedUsers) {
+    return !isInsideQuoteTweet(element) && !isOwnAccount(screenName) && !isAllowedUser(screenName, allowedUsers);
+}
+
+/**
+ * Check the "new accounts" setting against a user
+ * Entries without a creation date (e.g. from the cloud cache) never match.
+ * @param {Object} info - User info (meta.createdAt, location)
+ * @param {Object} settings - Settings with newAccountMaxDays, newAccountLocation and cascadeRegionBlocks
+ * @returns {boolean} - True if the account is younger than the limit (and from the chosen country or region)
+ */
+function isNewAccountMatch(info, settings) {
+    const days = getAccountAgeDays(info.meta?.createdAt);
+    if (days === null || days >= (Number(settings.newAccountMaxDays) || 0)) return false;
     
-    // Extract tags from display name
-    const nameTags = extractTagsFromText(displayName);
+    const wanted = settings.newAccountLocation;
+    if (!wanted) return true;
+    const location = (info.location || '').toLowerCase();
+    if (!location) return false;
+    if (location === wanted) return true;
+    // Like region blocks, a region also covers the countries in it
+    return settings.cascadeRegionBlocks !== false && getCountryRegion(location) === wanted;
+}
+
+/**
+ * Check the verification filter setting against a user
+ * Entries without profile metadata (e.g. from the cloud cache) never match, since their
+ * verification status is unknown.
+ * @param {Object} info - User info (meta, location, locationAccurate)
+ * @param {Object} settings - Settings with the verificationFilter* keys
+ * @returns {boolean} - True if the user's verification status, VPN state and location all match
+ */
+function isVerificationMatch(info, settings) {
+    const wanted = settings.verificationFilterStatuses;
+    if (!info.meta || !Array.isArray(wanted) || wanted.length === 0) return false;
     
-    // Check each tag against blocked set
-    for (const tag of nameTags) {
-        if (blockedTags.has(tag)) {
-            return true;
+    const statuses = getVerificationStatuses(info.meta);
+    const hasAny = wanted.some(status => statuses.includes(status));
+    if (hasAny === (settings.verificationFilterInvert === true)) return false;
+    
+    if (settings.verificationFilterVpnOnly && info.locationAccurate !== false) return false;
+    
+    const locations = settings.verificationFilterLocations;
+    if (!Array.isArray(locations) || locations.length === 0) return true;
+    const location = (info.location || '').toLowerCase();
+    return !!location && (locations.includes(location) || locations.includes(getCountryRegion(location)));
+}
+
+/**
+ * Check a value against a local blocked set and the matching subscribed filter list entries
+ * @param {string} value - Lowercase handle, country or region
+ * @param {Set<string>} [localSet] - Local blocked set
+ * @param {Set<string>} [listSet] - Entries from filter lists
+ * @returns {string|null} - 'local' or 'list' depending on where the value was found, or null
+ */
+function isListed(value, localSet, listSet) {
+    if (localSet && localSet.has(value)) return 'local';
+    if (listSet && listSet.has(value)) return 'list';
+    return null;
+}
+
+/**
+ * Check a display name against local blocked tags and filter list tags
+ * @param {string} displayName - Display name with emojis
+ * @param {Set<string>} [localTags] - Local blocked tags
+ * @param {Set<string>} [listTags] - Tags from filter lists
+ * @returns {{tag: string, source: string}|null} - The matching tag and 'local' or 'list', or null
+ */
+function findListedTag(displayName, localTags, listTags) {
+    const localTag = localTags && localTags.size > 0 ? findMatchingTag(displayName, localTags) : null;
+    if (localTag !== null) return { tag: localTag, source: 'local' };
+    const listTag = listTags && listTags.size > 0 ? findMatchingTag(displayName, listTags) : null;
+    return listTag !== null ? { tag: listTag, source: 'list' } : null;
+}
+
+/**
+ * Find the strongest filter match for a user
+ * Blocked users, countries, regions, devices, tags and the new-account setting follow the global blocking mode;
+ * country groups, the verification, handle-change and posting-hours filters and the suspicion score thresholds follow
+ * it or highlight, and filter rules carry their own action. The strongest action wins (hide > collapse > highlight > label).
+ * Matches record what matched (`value`, and `source` for list-backed reasons) so the "why?" menu and the popup's
+ * session log can explain them (see filter-exceptions.js).
+ * In collapse mode, hide actions are downgraded to collapse so nothing disappears without a trace.
+ * @param {string} screenName - The user's screen name
+ * @param {Object|null} info - User info, or null if not fetched yet (only blocked users and tags are checked then)
+ * @param {string} displayName - Display name with emojis
+ * @param {Object} ctx - Filter state (blockedUsers, blockedCountries, blockedRegions, blockedDevices, blockedTags,
+ *   filterListEntries, filterRules, countryGroups, settings)
+ * @returns {{action: string, reason: string, value?: *, source?: string, rule?: Object, group?: Object}|null}
+ *   - Match, or null if nothing matched
+ */
+function findFilterMatch(screenName, info, displayName, { blockedUsers, blockedCountries, blockedRegions, blockedDevices, blockedTags, filterListEntries, filterRules, countryGroups, settings }) {
+    const listAction = getBlockingMode(settings);
+    const lists = filterListEntries || {};
+    let match = null;
+    
+    const handleSource = screenName ? isListed(screenName.toLowerCase(), blockedUsers, lists.handles) : null;
+    if (handleSource) {
+        match = { action: listAction, reason: 'user', value: screenName.toLowerCase(), source: handleSource };
+    }
+    
+    if (!match && info?.location) {
+        const locationLower = info.location.toLowerCase();
+        const countrySource = isListed(locationLower, blockedCountries, lists.countries);
+        const regionSource = countrySource ? null : isListed(locationLower, blockedRegions, lists.regions);
+        if (countrySource) {
+            match = { action: listAction, reason: 'country', value: locationLower, source: countrySource };
+        } else if (regionSource) {
+            match = { action: listAction, reason: 'region', value: locationLower, source: regionSource };
+        } else if (settings?.cascadeRegionBlocks !== false) {
+            const region = getCountryRegion(locationLower);
+            const cascadeSource = region ? isListed(region, blockedRegions, lists.regions) : null;
+            if (cascadeSource) {
+                match = { action: listAction, reason: 'region', value: region, source: cascadeSource };
+            }
         }
     }
     
-    // Also check if the display name contains any blocked tag as a substring
-    const displayLower = displayName.toLowerCase();
-    for (const blockedTag of blockedTags) {
-        const tagLower = blockedTag.toLowerCase();
-        if (displayLower.includes(tagLower)) {
-            return true;
+    if (info?.location) {
+        const groupMatch = findCountryGroupMatch(countryGroups, info.location, listAction, { cascadeRegions: settings?.cascadeRegionBlocks !== false });
+        if (groupMatch && (!match || compareFilterActions(groupMatch.action, match.action) > 0)) {
+            match = { action: groupMatch.action, reason: 'group', value: info.location.toLowerCase(), group: groupMatch.group };
         }
     }
     
-    return false;
+    if (!match && info && blockedDevices && blockedDevices.size > 0 && blockedDevices.has(getDeviceCategory(info.device))) {
+        match = { action: listAction, reason: 'device', value: getDeviceCategory(info.device) };
+    }
+    
+    if (!match && info && settings?.newAccountFilterEnabled && isNewAccountMatch(info, settings)) {
+        match = { action: listAction, reason: 'age' };
+    }
+    
+    const verificationMode = settings?.verificationFilterMode;
+    if (info && verificationMode && verificationMode !== FILTER_MODES.OFF && isVerificationMatch(info, settings)) {
+        const action = verificationMode === FILTER_MODES.BLOCK ? listAction : FILTER_ACTIONS.HIGHLIGHT;
+        if (!match || compareFilterActions(action, match.action) > 0) {
+            match = { action, reason: 'verification' };
+        }
+    }
+    
+    const handleChangeMode = settings?.handleChangeFilterMode;
+    if (info && handleChangeMode && handleChangeMode !== FILTER_MODES.OFF && exceedsHandleChangeThreshold(info.meta, settings.handleChangeThreshold)) {
+        const action = handleChangeMode === FILTER_MODES.BLOCK ? listAction : FILTER_ACTIONS.HIGHLIGHT;
+        if (!match || compareFilterActions(action, match.action) > 0) {
+            match = { action, reason: 'handleChanges' };
+        }
+    }
+    
+    const postingHoursMode = settings?.postingHoursFilterMode;
+    if (info?.location && postingHoursMode && postingHoursMode !== FILTER_MODES.OFF) {
+        const pattern = getPostingPattern(screenName, info.location);
+        const action = postingHoursMode === FILTER_MODES.BLOCK ? listAction : FILTER_ACTIONS.HIGHLIGHT;
+        if (pattern?.mismatch && (!match || compareFilterActions(action, match.action) > 0)) {
+            match = { action, reason: 'postingHours', value: formatUtcOffset(pattern.offset) };
+        }
+    }
+    
+    if (info && (settings?.suspicionHighlightScore > 0 || settings?.suspicionHideScore > 0)) {
+        const { score } = computeSuspicionScore(info, displayName, settings);
+        const action = getSuspicionAction(score, settings, listAction);
+        if (action && (!match || compareFilterActions(action, match.action) > 0)) {
+            match = { action, reason: 'suspicion', value: score };
+        }
+    }
+    
+    const tagMatch = match ? null : findListedTag(displayName, blockedTags, lists.tags);
+    if (tagMatch) {
+        match = { action: listAction, reason: 'tag', value: tagMatch.tag, source: tagMatch.source };
+    }
+    
+    if (info) {
+        const ruleMatch = findFilterRuleMatch(filterRules, info, displayName, { cascadeRegions: settings?.cascadeRegionBlocks !== false });
+        if (ruleMatch && (!match || compareFilterActions(ruleMatch.action, match.action) > 0)) {
+            match = { action: ruleMatch.action, reason: 'rule', rule: ruleMatch.rule };
+        }
+    }
+    
+    if (match?.action === FILTER_ACTIONS.HIDE && listAction === FILTER_ACTIONS.COLLAPSE) {
+        match = { ...match, action: FILTER_ACTIONS.COLLAPSE };
+    }
+    
+    return match;
+}
+
+/**
+ * Get the label chip text for a match (only rules with the label action have one)
+ * @param {Object|null} match - Result of findFilterMatch
+ * @returns {string} - Label text or empty string
+ */
+function getMatchLabel(match) {
+    if (match?.action !== FILTER_ACTIONS.LABEL || !match.rule) return '';
+    return match.rule.label || match.rule.name;
+}
+
+/**
+ * Build the collapse placeholder text, e.g. "Hidden: post from 🇷🇺 via Android (rule: Countries)"
+ * @param {Object} match - Result of findFilterMatch
+ * @param {Object|null} info - User info, if known
+ * @param {string} screenName - The user's screen name
+ * @returns {string} - Placeholder text
+ */
+function describeFilterMatch(match, info, screenName) {
+    const source = info?.location ? getLocationEmoji(info.location) : `@${screenName}`;
+    const via = info?.device ? ` via ${getDeviceCategory(info.device)}` : '';
+    const ruleName = (match.rule || match.group)?.name || FILTER_REASON_LABELS[match.reason] || match.reason;
+    return `Hidden: post from ${source}${via} (rule: ${ruleName})`;
+}
+
+/**
+ * Apply a filter match to a tweet
+ * Tweets hidden by the "Show VPN users" setting stay hidden. A hidden or collapsed tweet the
+ * user chose to reveal stays revealed (highlighted) for the same author.
+ * @param {HTMLElement} tweet - The tweet article
+ * @param {Object|null} match - Result of findFilterMatch, or null to clear
+ * @param {string} screenName - The tweet author's screen name
+ * @param {Object|null} info - User info, if known (used for the collapse placeholder)
+ */
+function applyFilterToTweet(tweet, match, screenName, info) {
+    let action = match?.action;
+    
+    if ((action === FILTER_ACTIONS.COLLAPSE || action === FILTER_ACTIONS.HIDE) && tweet.dataset.xRevealedFor === screenName) {
+        action = FILTER_ACTIONS.HIGHLIGHT;
+    }
+    
+    const vpnBlocked = tweet.classList.contains('x-tweet-vpn-blocked');
+    tweet.classList.toggle(CSS_CLASSES.TWEET_BLOCKED, action === FILTER_ACTIONS.HIDE || vpnBlocked);
+    tweet.classList.toggle('x-tweet-highlighted', action === FILTER_ACTIONS.HIGHLIGHT);
+    
+    if (action === FILTER_ACTIONS.COLLAPSE) {
+        showCollapsePlaceholder(tweet, describeFilterMatch(match, info, screenName), () => {
+            tweet.dataset.xRevealedFor = screenName;
+            tweet.classList.add('x-tweet-highlighted');
+        });
+    } else {
+        removeCollapsePlaceholder(tweet);
+    }
+    
+    // Record why the tweet was filtered (read by the "why?" chip and the popup's session panel)
+    if (match) {
+        tweet.dataset.xFilterReason = match.reason;
+        tweet.dataset.xFilterValue = match.value ?? '';
+        if (match.action === FILTER_ACTIONS.HIDE || match.action === FILTER_ACTIONS.COLLAPSE || match.action === FILTER_ACTIONS.HIGHLIGHT) {
+            queueFilterEvent(tweet, screenName, match, info);
+        }
+    } else {
+        delete tweet.dataset.xFilterReason;
+        delete tweet.dataset.xFilterValue;
+    }
+}
+
+/**
+ * Get a tweet's permalink path from its timestamp link
+ * @param {HTMLElement} tweet - The tweet article
+ * @returns {string|null} - Path like "/user/status/123", or null if not found
+ */
+function getTweetPath(tweet) {
+    const href = tweet.querySelector('a[href*="/status/"] time')?.closest('a')?.getAttribute('href');
+    return href?.match(/^\/[^/]+\/status\/\d+/)?.[0] || null;
+}
+
+/**
+ * Queue a filter event for the background's per-tab session
+ * Re-applying the same match (e.g. when the lists change) doesn't report the tweet again.
+ * @param {HTMLElement} tweet - The tweet article
+ * @param {string} screenName - The tweet author's screen name
+ * @param {Object} match - Result of findFilterMatch
+ * @param {Object|null} info - User info, if known
+ */
+function queueFilterEvent(tweet, screenName, match, info) {
+    const key = `${screenName}|${match.action}|${match.reason}|${match.value ?? ''}`;
+    if (tweet.dataset.xFilterReported === key) return;
+    tweet.dataset.xFilterReported = key;
+    
+    pendingFilterEvents.push(createFilterEvent(screenName, match, info, getTweetPath(tweet)));
+    if (pendingFilterEvents.length > FILTER_LOG_CONFIG.MAX_ENTRIES) {
+        pendingFilterEvents.shift();
+    }
+}
+
+/**
+ * Take the filter events queued since the last call
+ * @returns {Array<Object>} - Events (see tab-session.js), oldest first
+ */
+export function takeFilterEvents() {
+    const events = pendingFilterEvents;
+    pendingFilterEvents = [];
+    return events;
+}
+
+/**
+ * Queue a timeline impression for the background's per-day stats
+ * Each tweet counts once, even when X unloads it and renders it again while scrolling.
+ * @param {HTMLElement} tweet - The tweet article
+ * @param {Object|null} info - The tweet author's user info, or null for tweets filtered before the lookup
+ * @param {boolean} filtered - Whether the tweet was hidden or collapsed
+ */
+function queueImpression(tweet, info, filtered) {
+    if (tweet.dataset.xImpression) return;
+    tweet.dataset.xImpression = 'true';
+    
+    const tweetPath = getTweetPath(tweet);
+    if (tweetPath) {
+        if (seenImpressionTweets.has(tweetPath)) return;
+        seenImpressionTweets.add(tweetPath);
+        if (seenImpressionTweets.size > IMPRESSION_STATS_CONFIG.MAX_SEEN_TWEETS) {
+            seenImpressionTweets.delete(seenImpressionTweets.values().next().value);
+        }
+    }
+    
+    pendingImpressions.push(createImpression(info, filtered, window.location.pathname));
+    if (pendingImpressions.length > IMPRESSION_STATS_CONFIG.MAX_PENDING) {
+        pendingImpressions.shift();
+    }
+}
+
+/**
+ * Take the impressions queued since the last call
+ * @returns {Array<Object>} - Impressions (see impression-stats.js), oldest first
+ */
+export function takeImpressions() {
+    const impressions = pendingImpressions;
+    pendingImpressions = [];
+    return impressions;
+}
+
+/**
+ * Queue a research mode observation of a tweet
+ * Tweets without a status link can't be identified and are skipped; the background keeps
+ * the first observation of each tweet per session.
+ * @param {HTMLElement} tweet - The tweet article
+ * @param {string} sessionId - Recording session ID
+ * @param {string} screenName - The tweet author's screen name
+ * @param {Object|null} info - The tweet author's user info, or null for tweets filtered before the lookup
+ * @param {Object|null} filter - { action, reason, value } applied to the tweet, or null
+ */
+function queueObservation(tweet, sessionId, screenName, info, filter) {
+    if (tweet.dataset.xObservedIn === sessionId) return;
+    tweet.dataset.xObservedIn = sessionId;
+    
+    const link = extractTweetLink(tweet);
+    if (!link.tweetId) return;
+    
+    pendingObservations.push(createObservation(sessionId, link, screenName, info, filter, window.location.href));
+    if (pendingObservations.length > RESEARCH_CONFIG.MAX_PENDING) {
+        pendingObservations.shift();
+    }
+}
+
+/**
+ * Take the research mode observations queued since the last call
+ * @returns {Array<Object>} - Observations (see research-log.js), oldest first
+ */
+export function takeObservations() {
+    const observations = pendingObservations;
+    pendingObservations = [];
+    return observations;
+}
+
+/**
+ * Reveal a hidden or collapsed tweet and scroll it into view
+ * @param {string} tweetPath - Tweet permalink path
+ * @param {string} screenName - The tweet author's screen name (as reported in the event)
+ * @returns {boolean} - False if the tweet is no longer on the page (X unloads tweets scrolled far away)
+ */
+export function revealTweet(tweetPath, screenName) {
+    const tweet = Array.from(document.querySelectorAll(SELECTORS.TWEET))
+        .find(article => getTweetPath(article) === tweetPath);
+    if (!tweet) return false;
+    
+    tweet.dataset.xRevealedFor = screenName;
+    tweet.classList.remove(CSS_CLASSES.TWEET_BLOCKED, 'x-tweet-vpn-blocked');
+    removeCollapsePlaceholder(tweet);
+    tweet.classList.add('x-tweet-highlighted');
+    
+    tweet.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    tweet.classList.remove('x-tweet-revealed');
+    void tweet.offsetWidth; // Restart the flash animation
+    tweet.classList.add('x-tweet-revealed');
+    return true;
+}
+
+/**
+ * Get the "why?" chip entry for a match (only highlighted accounts get the chip)
+ * @param {string} screenName - The user's screen name
+ * @param {Object|null} match - Result of findFilterMatch
+ * @returns {Object|null} - Entry, or null to remove the chip
+ */
+function getWhyEntry(screenName, match) {
+    return match?.action === FILTER_ACTIONS.HIGHLIGHT ? createFilterLogEntry(screenName, match) : null;
+}
+
+/**
+ * Listen for tweet authors as their info is rendered (quoted users excluded)
+ * Fires for every tweet the MutationObserver picks up, including ones later hidden by a filter.
+ * @param {Function} listener - Called with (screenName, info, tweet)
+ * @returns {Function} - Removes the listener
+ */
+export function onTweetAuthorInfo(listener) {
+    tweetAuthorListeners.add(listener);
+    return () => tweetAuthorListeners.delete(listener);
 }
 
 // ============================================
@@ -432,19 +872,92 @@ export function createProcessElementSafe(processElement) {
     };
 }
 
+/**
+ * Apply filters and render the badge once a user's info is known
+ * Shared by the local cache, in-flight and fresh fetch paths of processElement
+ * @param {HTMLElement} element - The username element
+ * @param {string} screenName - The user's screen name
+ * @param {Object} info - User info
+ * @param {boolean} isUserCell - Whether the element is a UserCell
+ * @param {Object} ctx - Processing context (see processElement)
+ */
+function renderUserInfo(element, screenName, info, isUserCell, ctx) {
+    const { settings, csrfToken, debug } = ctx;
+    
+    element.dataset.xCountry = info.location || '';
+    element.dataset.xDevice = info.device || '';
+    element.dataset.xVpn = info.locationAccurate === false ? 'true' : '';
+    element.dataset.xIsRegion = isRegion(info.location) ? 'true' : '';
+    
+    const tweet = element.closest(SELECTORS.TWEET);
+    const isTweetAuthor = tweet && !isInsideQuoteTweet(element);
+    if (isTweetAuthor) {
+        recordPostingTime(screenName, tweet);
+    }
+    if (isTweetAuthor && tweetAuthorListeners.size > 0) {
+        for (const listener of tweetAuthorListeners) {
+            listener(screenName, info, tweet);
+        }
+    }
+    
+    const displayName = getDisplayName(element);
+    const match = isFilterable(element, screenName, ctx.allowedUsers)
+        ? findFilterMatch(screenName, info, displayName, ctx)
+        : null;
+    const vpnHidden = info.locationAccurate === false && settings.showVpnUsers === false && !isOwnAccount(screenName) && !isAllowedUser(screenName, ctx.allowedUsers);
+    
+    if (isTweetAuthor && settings.impressionRetentionDays > 0) {
+        const filtered = vpnHidden || match?.action === FILTER_ACTIONS.HIDE || match?.action === FILTER_ACTIONS.COLLAPSE;
+        queueImpression(tweet, info, filtered);
+    }
+    if (isTweetAuthor && ctx.researchSessionId) {
+        const filter = vpnHidden
+            ? { action: FILTER_ACTIONS.HIDE, reason: 'vpn', value: null }
+            : match && { action: match.action, reason: match.reason, value: match.value ?? null };
+        queueObservation(tweet, ctx.researchSessionId, screenName, info, filter);
+    }
+    
+    if (match) {
+        if (tweet) {
+            applyFilterToTweet(tweet, match, screenName, info);
+        }
+        if (debug) debug(`Filter matched @${screenName} (${match.reason}${match.rule || match.group ? `: ${(match.rule || match.group).name}` : ''}) → ${match.action}`);
+        
+        // Hidden tweets don't need a badge
+        if (match.action === FILTER_ACTIONS.HIDE) {
+            return;
+        }
+    }
+    
+    // Hide if VPN detected and showVpnUsers is disabled
+    if (vpnHidden) {
+        if (tweet) {
+            tweet.classList.add(CSS_CLASSES.TWEET_BLOCKED);
+            tweet.classList.add('x-tweet-vpn-blocked');
+        }
+        return;
+    }
+    
+    if (info.location || info.device) {
+        try {
+            createBadge(element, screenName, info, isUserCell, settings, debug, csrfToken, displayName);
+            updateRuleLabel(element, getMatchLabel(match));
+            updateWhyChip(element, getWhyEntry(screenName, match));
+        } catch (badgeError) {
+            if (debug) debug(`Badge creation error for @${screenName}: ${badgeError.message}`);
+        }
+    }
+}
+
 /**
  * Process a single username element
+ * @param {HTMLElement} element - The username element or UserCell
+ * @param {Object} ctx - Processing context: blockedUsers, blockedCountries, blockedRegions, blockedDevices, blockedTags,
+ *   allowedUsers (Sets), filterListEntries (Sets by kind), filterRules and countryGroups (Arrays), settings, csrfToken, sendMessage,
+ *   debug, debugMode, researchSessionId (recording session, or null)
  */
-export async function processElement(element, {
-    blockedCountries,
-    blockedRegions,
-    blockedTags,
-    settings,
-    csrfToken,
-    sendMessage,
-    debug,
-    debugMode
-}) {
+export async function processElement(element, ctx) {
+    const { csrfToken, sendMessage, debug, debugMode } = ctx;
     const isUserCell = element.matches && element.matches(SELECTORS.USER_CELL);
     
     const screenName = isUserCell
@@ -475,6 +988,9 @@ export async function processElement(element, {
             delete element.dataset.xProcessed;
             delete element.dataset.xScreenName;
             delete element.dataset.xCountry;
+            delete element.dataset.xDevice;
+            delete element.dataset.xDisplayName;
+            delete element.dataset.xTagBlocked;
         }
     }
     
@@ -483,34 +999,45 @@ export async function processElement(element, {
 
     if (debug) debug(`Processing @${screenName}`);
 
-    // Check for blocked tags in display name early (before API call)
-    if (blockedTags && blockedTags.size > 0) {
-        const displayName = extractDisplayName(element);
-        if (displayName && hasBlockedTag(displayName, blockedTags)) {
-            element.dataset.xTagBlocked = 'true';
-            element.dataset.xDisplayName = displayName;
-            
-            const isQuote = isInsideQuoteTweet(element);
-            const loggedInUser = getLoggedInUsername();
-            const isSelf = loggedInUser && screenName.toLowerCase() === loggedInUser.toLowerCase();
+    // Check blocked users and tags in display name early (before API call)
+    const lists = ctx.filterListEntries || {};
+    const hasEarlyFilters = [ctx.blockedUsers, ctx.blockedTags, lists.handles, lists.tags].some(set => set && set.size > 0);
+    if (hasEarlyFilters && isFilterable(element, screenName, ctx.allowedUsers)) {
+        const displayName = getDisplayName(element);
+        const match = findFilterMatch(screenName, null, displayName, ctx);
+        if (match) {
+            if (match.reason === 'tag') {
+                element.dataset.xTagBlocked = 'true';
+            }
             
-            if (!isQuote && !isSelf) {
-                const tweet = element.closest(SELECTORS.TWEET);
-                if (tweet) {
-                    if (settings.highlightBlockedTweets) {
-                        tweet.classList.add('x-tweet-highlighted');
-                        tweet.classList.remove(CSS_CLASSES.TWEET_BLOCKED);
-                    } else {
-                        tweet.classList.add(CSS_CLASSES.TWEET_BLOCKED);
-                        tweet.classList.remove('x-tweet-highlighted');
-                    }
-                    if (debug) debug(`Blocked @${screenName} due to tag in display name: "${displayName}"`);
-                    
-                    if (!settings.highlightBlockedTweets) {
-                        return;
-                    }
+            const tweet = element.closest(SELECTORS.TWEET);
+            if (tweet) {
+                applyFilterToTweet(tweet, match, screenName, null);
+                if (debug) {
+                    debug(match.reason === 'user'
+                        ? `Blocked @${screenName} (blocked account)`
+                        : `Blocked @${screenName} due to tag in display name: "${displayName}"`);
                 }
             }
+            
+            // Tweets that stop here never reach renderUserInfo, so count and log them now (author unknown)
+            const stopsHere = match.reason === 'user' || (tweet && match.action === FILTER_ACTIONS.HIDE);
+            const isTweetAuthor = tweet && !isInsideQuoteTweet(element);
+            if (stopsHere && isTweetAuthor && ctx.settings?.impressionRetentionDays > 0) {
+                queueImpression(tweet, null, match.action === FILTER_ACTIONS.HIDE || match.action === FILTER_ACTIONS.COLLAPSE);
+            }
+            if (stopsHere && isTweetAuthor && ctx.researchSessionId) {
+                queueObservation(tweet, ctx.researchSessionId, screenName, null, { action: match.action, reason: match.reason, value: match.value ?? null });
+            }
+            
+            // Blocked accounts are never looked up, whatever the blocking mode
+            if (match.reason === 'user') {
+                return;
+            }
+            
+            if (tweet && match.action === FILTER_ACTIONS.HIDE) {
+                return;
+            }
         }
     }
 
@@ -519,62 +1046,7 @@ export async function processElement(element, {
         if (debug) debug(`Using local cache for @${screenName}`);
         const info = userInfoCache.get(screenName);
         if (info) {
-            element.dataset.xCountry = info.location || '';
-            element.dataset.xVpn = info.locationAccurate === false ? 'true' : '';
-            element.dataset.xIsRegion = isRegion(info.location) ? 'true' : '';
-                
-            // Handle blocked country or region - only for main tweet author, not quoted tweets
-            if (info.location) {
-                const locationLower = info.location.toLowerCase();
-                const isBlockedCountry = blockedCountries.has(locationLower);
-                const isBlockedRegion = blockedRegions && blockedRegions.has(locationLower);
-                
-                if (isBlockedCountry || isBlockedRegion) {
-                    // Only block/highlight if this is the main tweet author, not a quoted user
-                    const isQuote = isInsideQuoteTweet(element);
-                    const loggedInUser = getLoggedInUsername();
-                    const isSelf = loggedInUser && screenName.toLowerCase() === loggedInUser.toLowerCase();
-                    
-                    if (!isQuote && !isSelf) {
-                        const tweet = element.closest(SELECTORS.TWEET);
-                        if (tweet) {
-                            if (settings.highlightBlockedTweets) {
-                                tweet.classList.add('x-tweet-highlighted');
-                                tweet.classList.remove(CSS_CLASSES.TWEET_BLOCKED);
-                            } else {
-                                tweet.classList.add(CSS_CLASSES.TWEET_BLOCKED);
-                                tweet.classList.remove('x-tweet-highlighted');
-                            }
-                        }
-                        // Don't return - still need to show badge for highlighted mode
-                        if (!settings.highlightBlockedTweets) {
-                            return;
-                        }
-                    }
-                    // If it's a quote, continue to show badge but don't block/highlight parent tweet
-                }
-            }
-            
-            // Hide if VPN detected and showVpnUsers is disabled
-            const loggedInUser = getLoggedInUsername();
-            const isSelf = loggedInUser && screenName.toLowerCase() === loggedInUser.toLowerCase();
-        
-            if (info.locationAccurate === false && settings.showVpnUsers === false && !isSelf) {
-                const tweet = element.closest(SELECTORS.TWEET);
-                if (tweet) {
-                    tweet.classList.add(CSS_CLASSES.TWEET_BLOCKED);
-                    tweet.classList.add('x-tweet-vpn-blocked');
-                }
-                return;
-            }
-            
-            if (info.location || info.device) {
-                try {
-                    createBadge(element, screenName, info, isUserCell, settings, debug, csrfToken);
-                } catch (badgeError) {
-                    if (debug) debug(`Badge creation error for @${screenName}: ${badgeError.message}`);
-                }
-            }
+            renderUserInfo(element, screenName, info, isUserCell, ctx);
         }
         return;
     }
@@ -595,39 +1067,7 @@ export async function processElement(element, {
         if (userInfoCache.has(screenName)) {
             const info = userInfoCache.get(screenName);
             if (info) {
-                element.dataset.xCountry = info.location || '';
-                element.dataset.xIsRegion = isRegion(info.location) ? 'true' : '';
-                if (info.location) {
-                    const locationLower = info.location.toLowerCase();
-                    const isBlockedCountry = blockedCountries.has(locationLower);
-                    const isBlockedRegion = blockedRegions && blockedRegions.has(locationLower);
-                    
-                    if (isBlockedCountry || isBlockedRegion) {
-                        // Only block/highlight if not inside a quote tweet
-                        const isQuote = isInsideQuoteTweet(element);
-                        const loggedInUser = getLoggedInUsername();
-                        const isSelf = loggedInUser && screenName.toLowerCase() === loggedInUser.toLowerCase();
-                        
-                        if (!isQuote && !isSelf) {
-                            const tweet = element.closest(SELECTORS.TWEET);
-                            if (tweet) {
-                                if (settings.highlightBlockedTweets) {
-                                    tweet.classList.add('x-tweet-highlighted');
-                                    tweet.classList.remove(CSS_CLASSES.TWEET_BLOCKED);
-                                } else {
-                                    tweet.classList.add(CSS_CLASSES.TWEET_BLOCKED);
-                                    tweet.classList.remove('x-tweet-highlighted');
-                                }
-                            }
-                            if (!settings.highlightBlockedTweets) {
-                                return;
-                            }
-                        }
-                    }
-                }
-                if (info.location || info.device) {
-                    createBadge(element, screenName, info, isUserCell, settings, debug, csrfToken);
-                }
+                renderUserInfo(element, screenName, info, isUserCell, ctx);
             }
         }
         return;
@@ -721,55 +1161,7 @@ export async function processElement(element, {
         
         userInfoCache.set(screenName, info);
         
-        element.dataset.xCountry = info.location || '';
-        element.dataset.xVpn = info.locationAccurate === false ? 'true' : '';
-        element.dataset.xIsRegion = isRegion(info.location) ? 'true' : '';
-
-        // Handle blocked country or region
-        // Only block/highlight if this is NOT inside a quote tweet (we only care about main tweet author)
-        const isQuote = isInsideQuoteTweet(element);
-        if (info.location && !isQuote) {
-            const locationLower = info.location.toLowerCase();
-            const isBlockedCountry = blockedCountries.has(locationLower);
-            const isBlockedRegion = blockedRegions && blockedRegions.has(locationLower);
-            
-            if (isBlockedCountry || isBlockedRegion) {
-                const tweet = element.closest(SELECTORS.TWEET);
-                if (tweet) {
-                    if (settings.highlightBlockedTweets) {
-                        tweet.classList.add('x-tweet-highlighted');
-                        tweet.classList.remove(CSS_CLASSES.TWEET_BLOCKED);
-                    } else {
-                        tweet.classList.add(CSS_CLASSES.TWEET_BLOCKED);
-                        tweet.classList.remove('x-tweet-highlighted');
-                    }
-                }
-                // Don't return if highlight mode - still need to show badge
-                if (!settings.highlightBlockedTweets) {
-                    processingQueue.delete(screenName);
-                    return;
-                }
-            }
-        }
-
-        // Hide if VPN detected and showVpnUsers is disabled
-        if (info.locationAccurate === false && settings.showVpnUsers === false) {
-            const tweet = element.closest(SELECTORS.TWEET);
-            if (tweet) {
-                tweet.classList.add(CSS_CLASSES.TWEET_BLOCKED);
-                tweet.classList.add('x-tweet-vpn-blocked');
-            }
-            processingQueue.delete(screenName);
-            return;
-        }
-
-        if (info.location || info.device) {
-            try {
-                createBadge(element, screenName, info, isUserCell, settings, debug, csrfToken);
-            } catch (badgeError) {
-                if (debug) debug(`Badge creation error for @${screenName}: ${badgeError.message}`);
-            }
-        }
+        renderUserInfo(element, screenName, info, isUserCell, ctx);
     } catch (error) {
         userInfoCache.set(screenName, null);
     } finally {
@@ -784,48 +1176,41 @@ export async function processElement(element, {
 // ============================================
 
 /**
- * Update visibility of tweets based on blocked countries and regions
- * @param {Set} blockedCountries - Set of blocked country names (lowercase)
- * @param {Set} blockedRegions - Set of blocked region names (lowercase)
- * @param {Object} settings - Settings object with highlightBlockedTweets flag
+ * Re-apply filters to all processed users (after blocked lists, allowlist, rules or settings change)
+ * @param {Object} ctx - Filter state: blockedUsers, blockedCountries, blockedRegions, blockedDevices, blockedTags,
+ *   allowedUsers (Sets), filterListEntries (Sets by kind), filterRules and countryGroups (Arrays) and settings (blocking mode flags)
  */
-export function updateBlockedTweets(blockedCountries, blockedRegions, blockedTags, settings = {}) {
-    const highlightMode = settings.highlightBlockedTweets === true;
-    
+export function updateBlockedTweets(ctx) {
     document.querySelectorAll('[data-x-screen-name]').forEach(element => {
-        const location = element.dataset.xCountry;
+        // Quoted users never affect the outer tweet
+        if (isInsideQuoteTweet(element)) return;
         
-        if (!location) return;
+        const screenName = element.dataset.xScreenName;
         
-        const tweet = element.closest(SELECTORS.TWEET);
-        if (!tweet) return;
+        // Prefer full info (device, meta) for rules; fall back to what's stored on the element
+        const { xCountry: location, xDevice: device } = element.dataset;
+        const info = userInfoCache.get(screenName) || (location || device ? { location, device } : null);
         
-        const locationLower = location.toLowerCase();
-        const isBlockedCountry = blockedCountries.has(locationLower);
-        const isBlockedRegion = blockedRegions && blockedRegions.has(locationLower);
-        const isBlocked = isBlockedCountry || isBlockedRegion;
+        // Unfilterable users (own account, allowlist) still go through applyFilterToTweet so earlier matches are cleared
+        const match = isFilterable(element, screenName, ctx.allowedUsers)
+            ? findFilterMatch(screenName, info, getDisplayName(element), ctx)
+            : null;
         
-        if (highlightMode) {
-            // Highlight mode: show with red border
-            tweet.classList.toggle('x-tweet-highlighted', isBlocked);
-            tweet.classList.remove(CSS_CLASSES.TWEET_BLOCKED);
-            
-            // Badge visible in highlight mode
-            const badge = element.querySelector(`.${CSS_CLASSES.INFO_BADGE}`);
-            if (badge) {
-                badge.style.display = '';
-            }
-        } else {
-            // Hide mode: hide completely
-            tweet.classList.toggle(CSS_CLASSES.TWEET_BLOCKED, isBlocked);
-            tweet.classList.remove('x-tweet-highlighted');
-            
-            // Badge hidden when tweet is blocked
-            const badge = element.querySelector(`.${CSS_CLASSES.INFO_BADGE}`);
-            if (badge) {
-                badge.style.display = isBlocked ? 'none' : '';
+        const tweet = element.closest(SELECTORS.TWEET);
+        if (tweet) {
+            if (isAllowedUser(screenName, ctx.allowedUsers)) {
+                tweet.classList.remove('x-tweet-vpn-blocked');
             }
+            applyFilterToTweet(tweet, match, screenName, info);
+        }
+        
+        // Badge hidden when tweet is hidden
+        const badge = element.querySelector(`.${CSS_CLASSES.INFO_BADGE}`);
+        if (badge) {
+            badge.style.display = match?.action === FILTER_ACTIONS.HIDE && tweet?.dataset.xRevealedFor !== screenName ? 'none' : '';
         }
+        updateRuleLabel(element, getMatchLabel(match));
+        updateWhyChip(element, getWhyEntry(screenName, match));
     });
 }
 
@@ -850,4 +1235,9 @@ export function cleanupObservers() {
     processingQueue.clear();
     userInfoCache.clear();
     pendingVisibility.clear();
+    pendingFilterEvents = [];
+    pendingImpressions = [];
+    seenImpressionTweets.clear();
+    pendingObservations = [];
+    tweetAuthorListeners.clear();
 }
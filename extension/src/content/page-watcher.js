@@ -0,0 +1,56 @@
+/**
+ * Page Watcher
+ * X navigates without page loads, so the page panels (follower analyzer, thread report, ...)
+ * need to know when the URL changes. One shared timer polls it while anyone is listening.
+ */
+
+import { PAGE_WATCHER_CONFIG } from '../shared/constants.js';
+
+// Called with no arguments after the path or query changes
+const pageChangeListeners = new Set();
+
+let lastUrl = null;
+let checkInterval = null;
+
+/**
+ * Get the part of the URL pages are told apart by
+ * @returns {string} - Path and query
+ */
+function getPageUrl() {
+    return `${window.location.pathname}${window.location.search}`;
+}
+
+/**
+ * Notify the listeners if the URL changed since the last check
+ */
+function checkUrl() {
+    const url = getPageUrl();
+    if (url === lastUrl) return;
+
+    lastUrl = url;
+    for (const listener of pageChangeListeners) {
+        listener();
+    }
+}
+
+/**
+ * Listen for in-page navigation
+ * The listener isn't called for the page that's already open; check it once when starting.
+ * @param {Function} listener - Called after the URL changes
+ * @returns {Function} - Removes the listener (the timer stops with the last one)
+ */
+export function onPageChange(listener) {
+    pageChangeListeners.add(listener);
+    if (!checkInterval) {
+        lastUrl = getPageUrl();
+        checkInterval = setInterval(checkUrl, PAGE_WATCHER_CONFIG.CHECK_MS);
+    }
+
+    return () => {
+        pageChangeListeners.delete(listener);
+        if (pageChangeListeners.size === 0 && checkInterval) {
+            clearInterval(checkInterval);
+            checkInterval = null;
+        }
+    };
+}
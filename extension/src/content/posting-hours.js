@@ -0,0 +1,80 @@
+/**
+ * Posting Hours (Content Script)
+ * Collects the timestamps of the tweets the observer renders and keeps the posting-hour
+ * histograms the background sends back, so the hovercard and the posting-hours filter can
+ * compare an author's inferred timezone with their reported country (see shared/posting-hours.js).
+ */
+
+import { POSTING_HOURS_CONFIG } from '../shared/constants.js';
+import { inferUtcOffset, comparePostingPattern } from '../shared/posting-hours.js';
+import { extractTweetLink } from './evidence-capture.js';
+
+// Lowercase screenName → histogram (24 UTC hours), for authors seen on this page
+const histograms = new Map();
+
+let pendingSamples = [];
+
+/**
+ * Queue a tweet's timestamp for its author's histogram
+ * Tweets without a status link or timestamp are skipped; the background counts each tweet once.
+ * @param {string} screenName - The tweet author's screen name
+ * @param {HTMLElement} tweet - The tweet article
+ */
+export function recordPostingTime(screenName, tweet) {
+    if (tweet.dataset.xPostingTime) return;
+    tweet.dataset.xPostingTime = 'true';
+
+    const link = extractTweetLink(tweet);
+    if (!link.tweetId || !link.timestamp) return;
+
+    pendingSamples.push({ screenName, tweetId: link.tweetId, time: link.timestamp });
+    if (pendingSamples.length > POSTING_HOURS_CONFIG.MAX_PENDING) {
+        pendingSamples.shift();
+    }
+}
+
+/**
+ * Take the samples queued since the last call
+ * @returns {Array<Object>} - Samples (see posting-hours.js), oldest first
+ */
+export function takePostingSamples() {
+    const samples = pendingSamples;
+    pendingSamples = [];
+    return samples;
+}
+
+/**
+ * Store histograms sent back by the background
+ * @param {Object} authors - { [lowercase screenName]: hours }
+ * @returns {boolean} - Whether any author's inferred offset changed (filters need re-applying)
+ */
+export function applyPostingHistograms(authors) {
+    let changed = false;
+    for (const [key, hours] of Object.entries(authors || {})) {
+        const before = inferUtcOffset(histograms.get(key))?.offset ?? null;
+        histograms.set(key, hours);
+        if ((inferUtcOffset(hours)?.offset ?? null) !== before) {
+            changed = true;
+        }
+    }
+    return changed;
+}
+
+/**
+ * Compare an author's posting hours with their reported location
+ * @param {string} screenName - The user's screen name
+ * @param {string|null} location - Reported country or region
+ * @returns {Object|null} - From comparePostingPattern, or null without enough samples
+ */
+export function getPostingPattern(screenName, location) {
+    const hours = screenName ? histograms.get(screenName.toLowerCase()) : null;
+    return hours ? comparePostingPattern(hours, location) : null;
+}
+
+/**
+ * Drop the collected histograms and queued samples
+ */
+export function cleanupPostingHours() {
+    histograms.clear();
+    pendingSamples = [];
+}
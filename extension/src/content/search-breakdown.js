@@ -0,0 +1,218 @@
+/**
+ * Search Breakdown (Content Script)
+ * On search and hashtag result pages, adds a collapsible widget above the results with the
+ * country and device distribution of the authors loaded so far. It updates live as the
+ * observer renders new results (see onTweetAuthorInfo), so it's easy to tell whether a
+ * topic is being pushed from outside the expected geography.
+ */
+
+import { SELECTORS, SEARCH_BREAKDOWN_CONFIG } from '../shared/constants.js';
+import { createElement, formatPercent } from '../shared/utils.js';
+import { createAnalyzedAccount, summarizeFollowerAccounts, formatReportLocation } from '../shared/follower-analysis.js';
+import { userInfoCache, onTweetAuthorInfo } from './observer.js';
+import { onPageChange } from './page-watcher.js';
+
+const WIDGET_ID = 'x-posed-search-breakdown';
+
+// Current results page key and its authors: screenName → account
+let currentKey = null;
+const authors = new Map();
+
+let collapsed = false;
+let removePageListener = null;
+let renderTimeout = null;
+let removeListener = null;
+
+/**
+ * Get a key for the current results page, or null if it isn't a search or hashtag page
+ * The key changes with the query and the results tab (Top, Latest, ...).
+ * @returns {string|null} - Page key
+ */
+function getResultsPageKey() {
+    const { pathname, search } = window.location;
+    if (pathname.startsWith('/hashtag/')) {
+        const params = new URLSearchParams(search);
+        return `${pathname.toLowerCase()}|${params.get('f') || ''}`;
+    }
+    if (pathname === '/search') {
+        const params = new URLSearchParams(search);
+        const query = params.get('q');
+        return query ? `search:${query.toLowerCase()}|${params.get('f') || ''}` : null;
+    }
+    return null;
+}
+
+/**
+ * Record a tweet author (results only; the sidebar's tweets are skipped)
+ * @param {string} screenName - Author's screen name
+ * @param {Object} info - User info
+ * @param {HTMLElement} tweet - The tweet article
+ */
+function recordAuthor(screenName, info, tweet) {
+    if (!currentKey || !tweet.closest('[data-testid="primaryColumn"]')) return;
+    authors.set(screenName, createAnalyzedAccount(screenName, info));
+    scheduleRender();
+}
+
+/**
+ * Pick up results rendered before the page was detected
+ */
+function seedFromPage() {
+    const elements = document.querySelectorAll(`[data-testid="primaryColumn"] ${SELECTORS.TWEET} [data-x-screen-name]`);
+    for (const element of elements) {
+        const screenName = element.dataset.xScreenName;
+        const info = userInfoCache.get(screenName);
+        if (info && !authors.has(screenName)) {
+            authors.set(screenName, createAnalyzedAccount(screenName, info));
+        }
+    }
+}
+
+// ============================================
+// WIDGET
+// ============================================
+
+/**
+ * Create a row of chips, e.g. "🇺🇸 United States 42%"
+ * @param {string} title - Row title
+ * @param {Array<{label: string, count: number}>} items - Items, most frequent first
+ * @param {number} total - Count the percentages are relative to
+ * @returns {HTMLElement} - Row element
+ */
+function createChipRow(title, items, total) {
+    return createElement('div', { className: 'x-search-breakdown-row' }, [
+        createElement('span', { className: 'x-search-breakdown-label', textContent: title }),
+        ...items.map(({ label, count }) => createElement('span', {
+            className: 'x-search-breakdown-chip',
+            title: `${count} of ${total} authors`,
+            textContent: `${label} ${formatPercent(count, total)}`
+        }))
+    ]);
+}
+
+/**
+ * Create the widget, or re-insert it if X re-rendered the column
+ * @returns {HTMLElement|null} - Widget, or null if the results column isn't there yet
+ */
+function ensureWidget() {
+    let widget = document.getElementById(WIDGET_ID);
+    if (widget) return widget;
+
+    const column = document.querySelector('[data-testid="primaryColumn"]');
+    if (!column) return null;
+
+    widget = createElement('div', { className: 'x-search-breakdown', id: WIDGET_ID }, [
+        createElement('button', {
+            className: 'x-search-breakdown-header',
+            type: 'button',
+            onClick: () => {
+                collapsed = !collapsed;
+                renderWidget();
+            }
+        }),
+        createElement('div', { className: 'x-search-breakdown-body' })
+    ]);
+
+    column.insertBefore(widget, column.firstChild);
+    return widget;
+}
+
+/**
+ * Render the widget from the collected authors
+ */
+function renderWidget() {
+    if (!currentKey) return;
+    const widget = ensureWidget();
+    if (!widget) return;
+
+    const summary = summarizeFollowerAccounts(Array.from(authors.values()));
+    widget.classList.toggle('x-search-breakdown-collapsed', collapsed);
+    widget.querySelector('.x-search-breakdown-header').textContent =
+        `🌍 Author geography · ${summary.withData} authors ${collapsed ? '▸' : '▾'}`;
+
+    const body = widget.querySelector('.x-search-breakdown-body');
+    body.replaceChildren();
+    if (collapsed) return;
+
+    if (summary.withData === 0) {
+        body.appendChild(createElement('div', { className: 'x-search-breakdown-empty', textContent: 'Waiting for results…' }));
+        return;
+    }
+
+    const topCount = SEARCH_BREAKDOWN_CONFIG.TOP_COUNTRIES;
+    const countries = summary.locations.slice(0, topCount)
+        .map(({ value, count }) => ({ label: formatReportLocation(value), count }));
+    const other = summary.locations.slice(topCount).reduce((sum, { count }) => sum + count, 0);
+    if (other > 0) countries.push({ label: '🌐 Other', count: other });
+    if (summary.noLocation > 0) countries.push({ label: '❔ No location', count: summary.noLocation });
+
+    body.appendChild(createChipRow('Countries', countries, summary.withData));
+    body.appendChild(createChipRow('Devices', summary.devices.map(({ value, count }) => ({ label: value, count })), summary.withData));
+    if (summary.vpn > 0) {
+        body.appendChild(createChipRow('VPN / proxy', [{ label: '🔒', count: summary.vpn }], summary.withData));
+    }
+}
+
+/**
+ * Render on the next tick, batching updates while results stream in
+ */
+function scheduleRender() {
+    if (renderTimeout) return;
+    renderTimeout = setTimeout(() => {
+        renderTimeout = null;
+        renderWidget();
+    }, SEARCH_BREAKDOWN_CONFIG.RENDER_DEBOUNCE_MS);
+}
+
+/**
+ * Follow X's in-page navigation: reset when the query or results tab changes
+ * (a widget dropped by a re-render of the column comes back with the next results)
+ */
+function checkPage() {
+    const key = getResultsPageKey();
+    if (key === currentKey) return;
+
+    authors.clear();
+    currentKey = key;
+    if (key) {
+        seedFromPage();
+        renderWidget();
+    } else {
+        document.getElementById(WIDGET_ID)?.remove();
+    }
+}
+
+// ============================================
+// LIFECYCLE
+// ============================================
+
+/**
+ * Start watching for search and hashtag pages
+ */
+export function startSearchBreakdown() {
+    if (removePageListener) return;
+    removeListener = onTweetAuthorInfo(recordAuthor);
+    checkPage();
+    removePageListener = onPageChange(checkPage);
+}
+
+/**
+ * Remove the widget and stop watching
+ */
+export function cleanupSearchBreakdown() {
+    if (removePageListener) {
+        removePageListener();
+        removePageListener = null;
+    }
+    if (renderTimeout) {
+        clearTimeout(renderTimeout);
+        renderTimeout = null;
+    }
+    if (removeListener) {
+        removeListener();
+        removeListener = null;
+    }
+    document.getElementById(WIDGET_ID)?.remove();
+    authors.clear();
+    currentKey = null;
+}
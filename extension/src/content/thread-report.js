@@ -0,0 +1,323 @@
+/**
+ * Thread Report (Content Script)
+ * On a tweet's conversation page, adds a "Thread report" button that opens a panel
+ * breaking down the authors of the replies loaded so far by country, region, device,
+ * VPN and account age, and calling out clusters (see shared/thread-report.js).
+ * The report exports as CSV or JSON and captures as an image via evidence-capture.js.
+ *
+ * Authors are read from the tweets the observer has already processed, so the report
+ * makes no API calls of its own.
+ */
+
+import { SELECTORS, Z_INDEX, THREAD_REPORT_CONFIG, VERSION } from '../shared/constants.js';
+import { createElement, formatPercent } from '../shared/utils.js';
+import { createAnalyzedAccount, followerAccountsToCsv, formatReportLocation } from '../shared/follower-analysis.js';
+import { parseConversationPath, summarizeThreadAuthors } from '../shared/thread-report.js';
+import { userInfoCache } from './observer.js';
+import { captureThreadReport } from './evidence-capture.js';
+import { downloadFile } from './ui.js';
+import { onPageChange } from './page-watcher.js';
+
+const LAUNCHER_ID = 'x-posed-thread-report-launcher';
+const PANEL_ID = 'x-posed-thread-report-panel';
+
+// Current conversation ({screenName, tweetId}), its replies (tweet ID → author) and authors (screenName → author)
+let currentPage = null;
+const replies = new Map();
+const authors = new Map();
+
+let removePageListener = null;
+let refreshInterval = null;
+
+// ============================================
+// COLLECTION
+// ============================================
+
+/**
+ * Get a tweet's ID from its timestamp link
+ * @param {HTMLElement} tweet - The tweet article
+ * @returns {string|null} - Tweet ID
+ */
+function getTweetId(tweet) {
+    const href = tweet.querySelector('a[href*="/status/"] time')?.closest('a')?.getAttribute('href');
+    return href?.match(/\/status\/(\d+)/)?.[1] || null;
+}
+
+/**
+ * Collect the replies loaded on the page
+ * Tweets above the focal tweet (the thread it replies to) are skipped when the focal tweet is loaded.
+ * Authors whose lookup hasn't finished are kept and filled in on a later pass.
+ */
+function collectReplies() {
+    const tweets = Array.from(document.querySelectorAll(`[data-testid="primaryColumn"] ${SELECTORS.TWEET}`));
+    const focal = tweets.find(tweet => getTweetId(tweet) === currentPage.tweetId);
+
+    for (const tweet of tweets) {
+        if (tweet === focal) continue;
+        if (focal && !(focal.compareDocumentPosition(tweet) & Node.DOCUMENT_POSITION_FOLLOWING)) continue;
+
+        const tweetId = getTweetId(tweet);
+        // The first processed username in the article is the author (quoted users come after)
+        const screenName = tweet.querySelector('[data-x-screen-name]')?.dataset.xScreenName;
+        if (!tweetId || !screenName || replies.has(tweetId)) continue;
+
+        replies.set(tweetId, screenName);
+        const author = authors.get(screenName);
+        if (author) {
+            author.replies++;
+        } else {
+            authors.set(screenName, { ...createAnalyzedAccount(screenName, userInfoCache.get(screenName) || null), replies: 1 });
+        }
+    }
+
+    for (const [screenName, author] of authors) {
+        if (author.vpn !== null) continue;
+        const info = userInfoCache.get(screenName);
+        if (info) authors.set(screenName, { ...createAnalyzedAccount(screenName, info), replies: author.replies });
+    }
+}
+
+/**
+ * Build the report for export and capture
+ * @returns {Object} - { screenName, tweetId, tweetUrl, summary, authors }
+ */
+function buildReport() {
+    const list = Array.from(authors.values());
+    return {
+        screenName: currentPage.screenName,
+        tweetId: currentPage.tweetId,
+        tweetUrl: `https://x.com/${currentPage.screenName}/status/${currentPage.tweetId}`,
+        summary: summarizeThreadAuthors(list),
+        authors: list
+    };
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+/**
+ * Get the export file name for the current thread (without date or extension)
+ * @returns {string} - File name
+ */
+function getExportName() {
+    return `x-posed-thread-${currentPage.screenName}-${currentPage.tweetId}`;
+}
+
+/**
+ * Export the reply authors as CSV
+ */
+function exportCsv() {
+    downloadFile(followerAccountsToCsv(Array.from(authors.values()), ['replies']), 'text/csv', getExportName(), 'csv');
+}
+
+/**
+ * Export the report as JSON
+ */
+function exportJson() {
+    const data = {
+        version: VERSION,
+        exportDate: new Date().toISOString(),
+        ...buildReport()
+    };
+    downloadFile(JSON.stringify(data, null, 2), 'application/json', getExportName(), 'json');
+}
+
+// ============================================
+// PANEL
+// ============================================
+
+/**
+ * Create a section of labelled bars
+ * @param {string} title - Section title
+ * @param {Array<{label: string, count: number}>} rows - Rows
+ * @param {number} total - Count the percentages are relative to
+ * @returns {HTMLElement} - Section element
+ */
+function createBarSection(title, rows, total) {
+    const section = createElement('div', { className: 'x-analyzer-section' }, [
+        createElement('div', { className: 'x-analyzer-section-title', textContent: title })
+    ]);
+
+    for (const { label, count } of rows) {
+        section.appendChild(createElement('div', { className: 'x-analyzer-row' }, [
+            createElement('span', { className: 'x-analyzer-row-label', textContent: label }),
+            createElement('span', { className: 'x-analyzer-bar' }, [
+                createElement('span', { className: 'x-analyzer-bar-fill', style: { width: formatPercent(count, total) } })
+            ]),
+            createElement('span', { className: 'x-analyzer-row-value', textContent: `${count} · ${formatPercent(count, total)}` })
+        ]));
+    }
+
+    return section;
+}
+
+/**
+ * Render the panel body from the collected replies
+ */
+function renderPanel() {
+    const panel = document.getElementById(PANEL_ID);
+    if (!panel || !currentPage) return;
+
+    const { summary } = buildReport();
+    const body = panel.querySelector('.x-analyzer-body');
+    body.replaceChildren();
+
+    body.appendChild(createElement('div', {
+        className: 'x-analyzer-summary',
+        textContent: `${summary.replies} replies from ${summary.total} accounts · ${summary.withData} with data`
+    }));
+
+    if (summary.withData === 0) {
+        body.appendChild(createElement('div', { className: 'x-analyzer-empty', textContent: 'Scroll through the replies to add them to the report.' }));
+    } else {
+        if (summary.clusters.length > 0) {
+            body.appendChild(createElement('div', { className: 'x-analyzer-section' }, [
+                createElement('div', { className: 'x-analyzer-section-title', textContent: '⚠️ Clusters' }),
+                ...summary.clusters.map(cluster => createElement('div', { className: 'x-analyzer-cluster', textContent: cluster.description }))
+            ]));
+        }
+
+        const topRows = THREAD_REPORT_CONFIG.TOP_ROWS;
+        const toLocationRows = counts => counts.slice(0, topRows).map(({ value, count }) => ({ label: formatReportLocation(value), count }));
+        const ageRows = [...summary.ages];
+        if (summary.unknownAge > 0) ageRows.push({ label: 'Unknown', count: summary.unknownAge });
+
+        body.appendChild(createBarSection('Countries', toLocationRows(summary.countries), summary.withData));
+        body.appendChild(createBarSection('Regions', toLocationRows(summary.regions), summary.withData));
+        body.appendChild(createBarSection('Devices', summary.devices.map(({ value, count }) => ({ label: value, count })), summary.withData));
+        body.appendChild(createBarSection('VPN / proxy', [{ label: '🔒 Inaccurate location', count: summary.vpn }], summary.withData));
+        body.appendChild(createBarSection('Account age', ageRows, summary.withData));
+    }
+
+    panel.querySelectorAll('.x-analyzer-export').forEach(btn => {
+        btn.disabled = authors.size === 0;
+    });
+}
+
+/**
+ * Open the panel
+ */
+function openPanel() {
+    if (document.getElementById(PANEL_ID) || !currentPage) return;
+
+    const header = createElement('div', { className: 'x-analyzer-header' }, [
+        createElement('span', { className: 'x-analyzer-title', textContent: `🧵 Thread report · @${currentPage.screenName}` }),
+        createElement('button', { className: 'x-analyzer-close', type: 'button', title: 'Close', textContent: '✕', onClick: closePanel })
+    ]);
+
+    const actions = createElement('div', { className: 'x-analyzer-actions' }, [
+        createElement('button', {
+            className: 'x-analyzer-btn x-analyzer-export x-analyzer-capture',
+            type: 'button',
+            title: 'Capture the report as an image',
+            textContent: '📸 Capture image',
+            onClick: () => captureThreadReport(buildReport())
+        }),
+        createElement('button', {
+            className: 'x-analyzer-btn x-analyzer-export',
+            type: 'button',
+            title: 'Export the reply authors as CSV',
+            textContent: 'CSV',
+            onClick: exportCsv
+        }),
+        createElement('button', {
+            className: 'x-analyzer-btn x-analyzer-export',
+            type: 'button',
+            title: 'Export the report and reply authors as JSON',
+            textContent: 'JSON',
+            onClick: exportJson
+        })
+    ]);
+
+    const panel = createElement('div', {
+        className: 'x-analyzer-panel',
+        id: PANEL_ID,
+        style: { zIndex: String(Z_INDEX.ANALYZER_PANEL) }
+    }, [header, createElement('div', { className: 'x-analyzer-body' }), actions]);
+    document.body.appendChild(panel);
+
+    collectReplies();
+    renderPanel();
+    refreshInterval = setInterval(() => {
+        collectReplies();
+        renderPanel();
+    }, THREAD_REPORT_CONFIG.REFRESH_MS);
+}
+
+/**
+ * Close the panel (collected replies are kept for the page)
+ */
+function closePanel() {
+    if (refreshInterval) {
+        clearInterval(refreshInterval);
+        refreshInterval = null;
+    }
+    document.getElementById(PANEL_ID)?.remove();
+}
+
+/**
+ * Show or remove the launcher button
+ * @param {boolean} show - Whether the current page is a conversation
+ */
+function updateLauncher(show) {
+    let launcher = document.getElementById(LAUNCHER_ID);
+    if (!show) {
+        launcher?.remove();
+        return;
+    }
+
+    if (!launcher) {
+        launcher = createElement('button', {
+            className: 'x-analyzer-launcher',
+            id: LAUNCHER_ID,
+            type: 'button',
+            textContent: '🧵 Thread report',
+            style: { zIndex: String(Z_INDEX.ANALYZER_PANEL) },
+            onClick: openPanel
+        });
+        document.body.appendChild(launcher);
+    }
+}
+
+/**
+ * Follow X's in-page navigation: reset when the conversation changes
+ */
+function checkPage() {
+    const page = parseConversationPath(window.location.pathname);
+    if (page?.tweetId === currentPage?.tweetId) return;
+
+    closePanel();
+    replies.clear();
+    authors.clear();
+    currentPage = page;
+    updateLauncher(!!page);
+}
+
+// ============================================
+// LIFECYCLE
+// ============================================
+
+/**
+ * Start watching for conversation pages
+ */
+export function startThreadReport() {
+    if (removePageListener) return;
+    checkPage();
+    removePageListener = onPageChange(checkPage);
+}
+
+/**
+ * Remove the report UI and stop watching
+ */
+export function cleanupThreadReport() {
+    if (removePageListener) {
+        removePageListener();
+        removePageListener = null;
+    }
+    closePanel();
+    document.getElementById(LAUNCHER_ID)?.remove();
+    replies.clear();
+    authors.clear();
+    currentPage = null;
+}
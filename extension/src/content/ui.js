@@ -4,11 +4,13 @@
  */
 
 import browserAPI from '../shared/browser-api.js';
-import { SELECTORS, CSS_CLASSES, TIMING } from '../shared/constants.js';
-import { findInsertionPoint, getFlagEmoji, getDeviceEmoji, debounce, throttle } from '../shared/utils.js';
+import { SELECTORS, CSS_CLASSES, TIMING, Z_INDEX } from '../shared/constants.js';
+import { findInsertionPoint, getFlagEmoji, getDeviceEmoji, debounce, throttle, getFlagMismatch, describeFlagMismatch, exceedsHandleChangeThreshold } from '../shared/utils.js';
 import { showModal } from './modal.js';
 import { captureEvidence } from './evidence-capture.js';
 import { hovercard } from './hovercard.js';
+import { getUserActions } from './user-actions.js';
+import { describeFilterLogEntry, getFilterExceptions } from '../shared/filter-exceptions.js';
 
 // ============================================
 // STATE (module-local)
@@ -22,6 +24,7 @@ let resizeTimeout = null;
 let sidebarModifying = false;
 let sidebarCheckInterval = null;
 let sidebarCheckTimeout = null;
+let userActionMenu = null;
 
 // Cleanup functions registry - using Map with keys to prevent duplicates and memory leaks
 const cleanupRegistry = new Map();
@@ -343,6 +346,27 @@ function showToastWithTimeBadge({ title, message, timeBadge, icon = '⏳', iconT
     return toast;
 }
 
+// ============================================
+// DOWNLOADS
+// ============================================
+
+/**
+ * Download text as a file named after today's date
+ * @param {string} text - File contents
+ * @param {string} type - MIME type
+ * @param {string} baseName - File name before the date (e.g. "x-posed-jack-followers")
+ * @param {string} extension - File extension
+ */
+export function downloadFile(text, type, baseName, extension) {
+    const date = new Date().toISOString().split('T')[0];
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${baseName}-${date}.${extension}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 // ============================================
 // BADGE CREATION
 // ============================================
@@ -415,8 +439,9 @@ export function findUserCellInsertionPoint(userCell, screenName) {
 
 /**
  * Create info badge for a user
+ * @param {string} displayName - Display name with emojis, used to flag name/location mismatches (optional)
  */
-export function createBadge(element, screenName, info, isUserCell, settings, debug, csrfToken = null) {
+export function createBadge(element, screenName, info, isUserCell, settings, debug, csrfToken = null, displayName = '') {
     if (element.querySelector(`.${CSS_CLASSES.INFO_BADGE}`)) {
         return;
     }
@@ -458,6 +483,25 @@ export function createBadge(element, screenName, info, isUserCell, settings, deb
             vpnSpan.textContent = '🔒';
             badge.appendChild(vpnSpan);
         }
+
+        // Flag in the display name that doesn't match the detected country
+        const flagMismatch = getFlagMismatch(displayName, info.location);
+        if (flagMismatch?.mismatch) {
+            const mismatchSpan = document.createElement('span');
+            mismatchSpan.className = 'x-flag-mismatch';
+            mismatchSpan.title = describeFlagMismatch(flagMismatch);
+            mismatchSpan.textContent = '🎭';
+            badge.appendChild(mismatchSpan);
+        }
+    }
+
+    // Account that changed its handle more often than the configured limit
+    if (exceedsHandleChangeThreshold(info.meta, settings.handleChangeThreshold)) {
+        const changesSpan = document.createElement('span');
+        changesSpan.className = 'x-handle-changes';
+        changesSpan.title = `Changed handle ${info.meta.usernameChanges} times (limit: ${settings.handleChangeThreshold})`;
+        changesSpan.textContent = '🔁';
+        badge.appendChild(changesSpan);
     }
 
     // Add device
@@ -518,6 +562,22 @@ export function createBadge(element, screenName, info, isUserCell, settings, deb
         });
     }
 
+    // Per-user actions menu (allowlist, ...)
+    const menuBtn = document.createElement('button');
+    menuBtn.type = 'button';
+    menuBtn.className = 'x-badge-menu-btn';
+    menuBtn.title = 'Account actions';
+    menuBtn.setAttribute('aria-label', 'Account actions');
+    menuBtn.textContent = '⋯';
+    badge.appendChild(menuBtn);
+
+    menuBtn.addEventListener('click', e => {
+        e.preventDefault();
+        e.stopPropagation();
+        hovercard.hide();
+        showUserActionMenu(menuBtn, screenName, info);
+    });
+
     const insertionPoint = isUserCell
         ? findUserCellInsertionPoint(element, screenName)
         : findInsertionPoint(element, screenName);
@@ -530,7 +590,226 @@ export function createBadge(element, screenName, info, isUserCell, settings, deb
     }
 
     // Attach hovercard; we fetch rich metadata only on hover
-    hovercard.attach(badge, { screenName, info, csrfToken });
+    hovercard.attach(badge, { screenName, info, csrfToken, displayName });
+}
+
+/**
+ * Show the per-user actions menu below a badge button
+ * Clicking the same button again, clicking outside or scrolling closes it.
+ * @param {HTMLElement} anchor - The badge menu button
+ * @param {string} screenName - The user's screen name
+ * @param {Object} info - User info
+ */
+function showUserActionMenu(anchor, screenName, info) {
+    toggleActionMenu(anchor, `@${sanitizeText(screenName)}`, '', getUserActions(screenName, info));
+}
+
+/**
+ * Open an actions menu below an anchor, or close it if it's already open for that anchor
+ * @param {HTMLElement} anchor - The button that opened the menu
+ * @param {string} headerText - Menu header
+ * @param {string} noteText - Explanation shown under the header (optional)
+ * @param {Array<Object>} actions - UserAction-shaped items ({id, icon, label, title?, active?, run})
+ */
+function toggleActionMenu(anchor, headerText, noteText, actions) {
+    const wasOpenForAnchor = userActionMenu?.anchor === anchor;
+    closeUserActionMenu();
+    if (wasOpenForAnchor) return;
+
+    if (actions.length === 0) return;
+
+    const menu = document.createElement('div');
+    menu.className = 'x-user-menu';
+    menu.style.zIndex = String(Z_INDEX.TOAST);
+
+    const header = document.createElement('div');
+    header.className = 'x-user-menu-header';
+    header.textContent = headerText;
+    menu.appendChild(header);
+
+    if (noteText) {
+        const note = document.createElement('div');
+        note.className = 'x-user-menu-note';
+        note.textContent = noteText;
+        menu.appendChild(note);
+    }
+
+    for (const action of actions) {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = `x-user-menu-item x-user-menu-item-${action.id}`;
+        item.classList.toggle('active', action.active === true);
+        if (action.title) item.title = action.title;
+        item.textContent = `${action.icon} ${action.label}`;
+
+        item.addEventListener('click', async e => {
+            e.preventDefault();
+            e.stopPropagation();
+            closeUserActionMenu();
+            await action.run();
+        });
+        menu.appendChild(item);
+    }
+
+    document.body.appendChild(menu);
+
+    const rect = anchor.getBoundingClientRect();
+    const menuRect = menu.getBoundingClientRect();
+    const left = Math.min(rect.left, window.innerWidth - menuRect.width - 8);
+    const top = rect.bottom + menuRect.height + 4 > window.innerHeight
+        ? rect.top - menuRect.height - 4
+        : rect.bottom + 4;
+    menu.style.left = `${Math.max(8, Math.round(left))}px`;
+    menu.style.top = `${Math.max(8, Math.round(top))}px`;
+
+    const handleOutsideClick = e => {
+        if (!menu.contains(e.target)) closeUserActionMenu();
+    };
+    const handleScroll = () => closeUserActionMenu();
+
+    // Capture phase on document has already passed for the click that opened the menu
+    document.addEventListener('click', handleOutsideClick, true);
+    window.addEventListener('scroll', handleScroll, true);
+
+    userActionMenu = {
+        anchor,
+        close() {
+            document.removeEventListener('click', handleOutsideClick, true);
+            window.removeEventListener('scroll', handleScroll, true);
+            menu.remove();
+        }
+    };
+    registerCleanup('userActionMenu', closeUserActionMenu);
+}
+
+/**
+ * Close the per-user actions menu if open
+ */
+function closeUserActionMenu() {
+    if (userActionMenu) {
+        userActionMenu.close();
+        userActionMenu = null;
+    }
+}
+
+/**
+ * Show or remove the filter rule label chip on a user's badge
+ * @param {HTMLElement} element - The processed username element
+ * @param {string} text - Label text (empty string removes the chip)
+ */
+export function updateRuleLabel(element, text) {
+    const badge = element.querySelector(`.${CSS_CLASSES.INFO_BADGE}`);
+    if (!badge) return;
+
+    let chip = badge.querySelector('.x-rule-label');
+    if (!text) {
+        if (chip) chip.remove();
+        return;
+    }
+
+    if (!chip) {
+        chip = document.createElement('span');
+        chip.className = 'x-rule-label';
+        badge.insertBefore(chip, badge.querySelector('.x-hover-hint'));
+    }
+    chip.textContent = text;
+    chip.title = `Matched filter rule: ${text}`;
+}
+
+/**
+ * Show or remove the "why?" chip on a highlighted user's badge
+ * The chip opens a menu explaining the match, with one-click exceptions (unblock, allowlist).
+ * @param {HTMLElement} element - The processed username element
+ * @param {Object|null} entry - Filter log entry (see filter-exceptions.js), or null to remove the chip
+ */
+export function updateWhyChip(element, entry) {
+    const badge = element.querySelector(`.${CSS_CLASSES.INFO_BADGE}`);
+    if (!badge) return;
+
+    let chip = badge.querySelector('.x-why-chip');
+    if (!entry) {
+        if (chip) chip.remove();
+        return;
+    }
+
+    if (!chip) {
+        chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'x-why-chip';
+        chip.textContent = 'why?';
+        badge.insertBefore(chip, badge.querySelector('.x-hover-hint'));
+    }
+    chip.title = `Highlighted: ${describeFilterLogEntry(entry)}`;
+
+    // Re-bind on every call so the menu always reflects the current match
+    chip.onclick = e => {
+        e.preventDefault();
+        e.stopPropagation();
+        const actions = getFilterExceptions(entry).map(exception => ({
+            id: exception.id,
+            icon: exception.icon,
+            label: exception.label,
+            run: async () => {
+                try {
+                    const response = await browserAPI.runtime.sendMessage(exception.message);
+                    if (!response?.success) throw new Error(response?.error || 'Request failed');
+                    showToast({ title: 'Exception added', message: exception.label, icon: exception.icon, iconType: 'success', duration: 3000 });
+                } catch (error) {
+                    showToast({ title: 'Could not add exception', message: error.message, icon: '⚠️', iconType: 'error', duration: 4000 });
+                }
+            }
+        }));
+        toggleActionMenu(chip, 'Why highlighted?', describeFilterLogEntry(entry), actions);
+    };
+}
+
+/**
+ * Collapse a tweet to a one-line placeholder with a "Show" button
+ * Updates the text if the tweet is already collapsed.
+ * @param {HTMLElement} tweet - The tweet article
+ * @param {string} text - Placeholder text (why the tweet was filtered)
+ * @param {Function} onShow - Called when the user reveals the tweet
+ */
+export function showCollapsePlaceholder(tweet, text, onShow) {
+    let placeholder = tweet.querySelector(`:scope > .${CSS_CLASSES.COLLAPSE_PLACEHOLDER}`);
+
+    if (!placeholder) {
+        placeholder = document.createElement('div');
+        placeholder.className = CSS_CLASSES.COLLAPSE_PLACEHOLDER;
+
+        const label = document.createElement('span');
+        label.className = 'x-collapse-text';
+
+        const showBtn = document.createElement('button');
+        showBtn.type = 'button';
+        showBtn.className = 'x-collapse-show';
+        showBtn.textContent = 'Show';
+
+        placeholder.appendChild(label);
+        placeholder.appendChild(showBtn);
+        tweet.insertBefore(placeholder, tweet.firstChild);
+    }
+
+    // Re-bind on every call so the callback always refers to the current author
+    placeholder.querySelector('.x-collapse-show').onclick = e => {
+        e.preventDefault();
+        e.stopPropagation();
+        removeCollapsePlaceholder(tweet);
+        if (onShow) onShow();
+    };
+
+    placeholder.querySelector('.x-collapse-text').textContent = text;
+    tweet.classList.add(CSS_CLASSES.TWEET_COLLAPSED);
+}
+
+/**
+ * Restore a collapsed tweet
+ * @param {HTMLElement} tweet - The tweet article
+ */
+export function removeCollapsePlaceholder(tweet) {
+    const placeholder = tweet.querySelector(`:scope > .${CSS_CLASSES.COLLAPSE_PLACEHOLDER}`);
+    if (placeholder) placeholder.remove();
+    tweet.classList.remove(CSS_CLASSES.TWEET_COLLAPSED);
 }
 
 // ============================================
@@ -779,6 +1058,13 @@ function addBlockerLink(nav, blockedCountries, blockedRegions, sendMessage, MESS
  * Show the country/region blocker modal
  */
 function showBlockerModal(blockedCountries, blockedRegions, sendMessage, MESSAGE_TYPES) {
+    // Get blockedTags, devices, profiles and country groups from the global state (window.__X_POSED_CONTENT__)
+    const state = window.__X_POSED_CONTENT__?.getState?.() || {};
+    
+    // After a profile switch the content script holds new sets, so prefer the current state
+    if (state.blockedCountries) blockedCountries = new Set(state.blockedCountries);
+    if (state.blockedRegions) blockedRegions = new Set(state.blockedRegions);
+    
     // Country action handler
     const onCountryAction = async (action, country) => {
         const response = await sendMessage({
@@ -815,8 +1101,6 @@ function showBlockerModal(blockedCountries, blockedRegions, sendMessage, MESSAGE
         return response;
     };
     
-    // Get blockedTags from the global state (window.__X_POSED_CONTENT__)
-    const state = window.__X_POSED_CONTENT__?.getState?.() || {};
     const blockedTags = new Set(state.blockedTags || []);
     
     // Tag action handler
@@ -836,7 +1120,80 @@ function showBlockerModal(blockedCountries, blockedRegions, sendMessage, MESSAGE
         return response;
     };
     
-    showModal(blockedCountries, blockedRegions, onCountryAction, onRegionAction, blockedTags, onTagAction);
+    const blockedDevices = new Set(state.blockedDevices || []);
+    
+    // Device action handler
+    const onDeviceAction = async (action, device) => {
+        const response = await sendMessage({
+            type: MESSAGE_TYPES.SET_BLOCKED_DEVICES,
+            payload: { action, device }
+        });
+        
+        if (response?.success) {
+            blockedDevices.clear();
+            for (const d of response.data) {
+                blockedDevices.add(d);
+            }
+        }
+        
+        return response;
+    };
+    
+    // Profile switcher: the background re-filters open tabs, then the modal re-opens with the new lists
+    const profileSwitcher = {
+        profiles: state.profiles || [],
+        activeId: state.activeProfileId,
+        onSwitch: async id => {
+            const response = await sendMessage({
+                type: MESSAGE_TYPES.SET_PROFILES,
+                payload: { action: 'switch', id }
+            });
+            
+            if (!response?.success) {
+                showToast({ title: 'Profiles', message: response?.error || 'Could not switch profile', icon: '⚠️', iconType: 'error', duration: 4000 });
+                return false;
+            }
+            
+            const profile = response.data.find(p => p.id === id);
+            showToast({ title: 'Profile switched', message: `Now using "${profile?.name}"`, icon: '🗂️', iconType: 'success', duration: 3000 });
+            showBlockerModal(blockedCountries, blockedRegions, sendMessage, MESSAGE_TYPES);
+            return true;
+        }
+    };
+    
+    // Country groups are built in Options; the modal only switches their mode
+    const countryGroups = {
+        groups: (state.countryGroups || []).map(group => ({ ...group })),
+        onModeChange: (id, mode) => sendMessage({
+            type: MESSAGE_TYPES.SET_COUNTRY_GROUPS,
+            payload: { action: 'setMode', id, mode }
+        })
+    };
+    
+    // Verification filter: the modal edits its mode, statuses and match options; locations are set in Options
+    const currentSettings = state.settings || {};
+    const settingKeys = {
+        mode: 'verificationFilterMode',
+        statuses: 'verificationFilterStatuses',
+        invert: 'verificationFilterInvert',
+        vpnOnly: 'verificationFilterVpnOnly',
+        locations: 'verificationFilterLocations'
+    };
+    const verificationFilter = {
+        filter: {
+            mode: currentSettings.verificationFilterMode || 'off',
+            statuses: [...(currentSettings.verificationFilterStatuses || [])],
+            invert: currentSettings.verificationFilterInvert === true,
+            vpnOnly: currentSettings.verificationFilterVpnOnly === true,
+            locations: [...(currentSettings.verificationFilterLocations || [])]
+        },
+        onChange: changes => sendMessage({
+            type: MESSAGE_TYPES.SET_SETTINGS,
+            payload: Object.fromEntries(Object.entries(changes).map(([key, value]) => [settingKeys[key], value]))
+        })
+    };
+    
+    showModal(blockedCountries, blockedRegions, onCountryAction, onRegionAction, blockedTags, onTagAction, blockedDevices, onDeviceAction, profileSwitcher, countryGroups, verificationFilter);
 }
 
 // ============================================
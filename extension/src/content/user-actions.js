@@ -0,0 +1,49 @@
+/**
+ * Per-user actions (Content Script)
+ * Shared by the badge menu and the hovercard so both offer the same actions
+ * (e.g. allowlist) without depending on content-script state directly.
+ */
+
+// Registered providers: (screenName, info) => Array<UserAction>
+const providers = [];
+
+/**
+ * @typedef {Object} UserAction
+ * @property {string} id - Stable identifier (used as a CSS modifier)
+ * @property {string} icon - Emoji shown before the label
+ * @property {string} label - Button text
+ * @property {string} [title] - Tooltip
+ * @property {boolean} [active] - Whether the action is currently "on" (e.g. already allowed)
+ * @property {Function} run - Performs the action; may return a Promise
+ */
+
+/**
+ * Register a provider of per-user actions
+ * @param {Function} provider - (screenName, info) => Array<UserAction>
+ * @returns {Function} - Unregister function
+ */
+export function registerUserActionProvider(provider) {
+    providers.push(provider);
+    return () => {
+        const index = providers.indexOf(provider);
+        if (index !== -1) providers.splice(index, 1);
+    };
+}
+
+/**
+ * Collect the actions available for a user
+ * @param {string} screenName - The user's screen name
+ * @param {Object|null} info - User info, if known
+ * @returns {Array<UserAction>} - Actions in registration order
+ */
+export function getUserActions(screenName, info) {
+    const actions = [];
+    for (const provider of providers) {
+        try {
+            actions.push(...(provider(screenName, info) || []));
+        } catch (error) {
+            console.error('X-Posed: User action provider error:', error);
+        }
+    }
+    return actions;
+}
@@ -4,8 +4,15 @@
  */
 
 import browserAPI from '../shared/browser-api.js';
-import { MESSAGE_TYPES, VERSION, COUNTRY_FLAGS, COUNTRY_LIST, REGION_LIST, REGION_FLAGS, REGION_NAMES, STORAGE_KEYS, TIMING } from '../shared/constants.js';
-import { getFlagEmoji, formatCountryName, applyTheme, debounce } from '../shared/utils.js';
+import { MESSAGE_TYPES, VERSION, COUNTRY_FLAGS, COUNTRY_LIST, REGION_LIST, REGION_FLAGS, REGION_NAMES, STORAGE_KEYS, TIMING, FILTER_ACTIONS, FILTER_CONDITION_TYPES, DEVICE_CATEGORIES, DEVICE_CATEGORY_EMOJIS, VERIFICATION_STATUSES, AFFILIATION_CATEGORIES, FILTER_MODES, REGION_COUNTRIES, SUSPICION_FACTORS, SUSPICION_CONFIG, IMPRESSION_STATS_CONFIG } from '../shared/constants.js';
+import { getFlagEmoji, formatCountryName, formatPercent, applyTheme, debounce, getBlockingMode, normalizeScreenName } from '../shared/utils.js';
+import { normalizeFilterRule, describeCondition } from '../shared/filter-rules.js';
+import { countFilterListEntries, isValidFilterListUrl } from '../shared/filter-lists.js';
+import { describeCountryGroupSize, formatCountryGroupMember } from '../shared/country-groups.js';
+import { computeSuspicionScore, getSuspicionWeights, getMaxSuspicionScore } from '../shared/suspicion-score.js';
+import { UNKNOWN_COUNTRY } from '../shared/impression-stats.js';
+import { formatReportLocation } from '../shared/follower-analysis.js';
+import { describeWatchChange } from '../shared/watchlist.js';
 
 // Region storage uses lowercase keys, but we display proper names
 
@@ -23,7 +30,29 @@ const elements = {
     optSidebarLink: document.getElementById('opt-sidebar-link'),
     // Blocking Mode
     optHideBlocked: document.getElementById('opt-hide-blocked'),
+    optCollapseBlocked: document.getElementById('opt-collapse-blocked'),
     optHighlightBlocked: document.getElementById('opt-highlight-blocked'),
+    // New Account Filter
+    optNewAccountFilter: document.getElementById('opt-new-account-filter'),
+    optNewAccountDays: document.getElementById('opt-new-account-days'),
+    optNewAccountLocation: document.getElementById('opt-new-account-location'),
+    optVerificationMode: document.getElementById('opt-verification-mode'),
+    verificationParams: document.getElementById('verification-params'),
+    optVerificationInvert: document.getElementById('opt-verification-invert'),
+    optVerificationStatuses: document.getElementById('opt-verification-statuses'),
+    optVerificationVpn: document.getElementById('opt-verification-vpn'),
+    optVerificationLocations: document.getElementById('opt-verification-locations'),
+    optHandleChangeMode: document.getElementById('opt-handle-change-mode'),
+    optHandleChangeThreshold: document.getElementById('opt-handle-change-threshold'),
+    optPostingHoursMode: document.getElementById('opt-posting-hours-mode'),
+    optSuspicionHighlight: document.getElementById('opt-suspicion-highlight'),
+    optSuspicionHide: document.getElementById('opt-suspicion-hide'),
+    suspicionWeights: document.getElementById('suspicion-weights'),
+    suspicionMaxScore: document.getElementById('suspicion-max-score'),
+    btnResetSuspicionWeights: document.getElementById('btn-reset-suspicion-weights'),
+    newAccountParams: document.getElementById('new-account-params'),
+    // Region cascade
+    optCascadeRegions: document.getElementById('opt-cascade-regions'),
     // Blocked Countries
     blockedList: document.getElementById('blocked-list'),
     blockedCount: document.getElementById('blocked-count'),
@@ -39,16 +68,79 @@ const elements = {
     // Tabs
     tabCountries: document.getElementById('tab-countries'),
     tabRegions: document.getElementById('tab-regions'),
+    tabGroups: document.getElementById('tab-groups'),
     tabTags: document.getElementById('tab-tags'),
+    tabDevices: document.getElementById('tab-devices'),
+    tabUsers: document.getElementById('tab-users'),
+    tabRules: document.getElementById('tab-rules'),
+    tabLists: document.getElementById('tab-lists'),
+    tabAllowed: document.getElementById('tab-allowed'),
     panelCountries: document.getElementById('panel-countries'),
     panelRegions: document.getElementById('panel-regions'),
+    panelGroups: document.getElementById('panel-groups'),
     panelTags: document.getElementById('panel-tags'),
+    panelDevices: document.getElementById('panel-devices'),
+    panelUsers: document.getElementById('panel-users'),
+    panelRules: document.getElementById('panel-rules'),
+    panelLists: document.getElementById('panel-lists'),
+    panelAllowed: document.getElementById('panel-allowed'),
     // Blocked Tags
     blockedTagsList: document.getElementById('blocked-tags-list'),
     blockedTagsCount: document.getElementById('blocked-tags-count'),
     tagInput: document.getElementById('tag-input'),
     btnAddTag: document.getElementById('btn-add-tag'),
     btnClearBlockedTags: document.getElementById('btn-clear-blocked-tags'),
+    // Blocked Devices
+    blockedDevicesCount: document.getElementById('blocked-devices-count'),
+    deviceGrid: document.getElementById('device-grid'),
+    btnClearBlockedDevices: document.getElementById('btn-clear-blocked-devices'),
+    // Blocked Users
+    blockedUsersList: document.getElementById('blocked-users-list'),
+    blockedUsersCount: document.getElementById('blocked-users-count'),
+    blockedUsersInput: document.getElementById('blocked-users-input'),
+    blockedUsersStatus: document.getElementById('blocked-users-status'),
+    btnAddBlockedUsers: document.getElementById('btn-add-blocked-users'),
+    btnClearBlockedUsers: document.getElementById('btn-clear-blocked-users'),
+    // Filter Profiles
+    profileSelect: document.getElementById('profile-select'),
+    profileNameInput: document.getElementById('profile-name-input'),
+    profileStatus: document.getElementById('profile-status'),
+    btnCreateProfile: document.getElementById('btn-create-profile'),
+    btnRenameProfile: document.getElementById('btn-rename-profile'),
+    btnDeleteProfile: document.getElementById('btn-delete-profile'),
+    // Filter Lists
+    filterListsList: document.getElementById('filter-lists-list'),
+    filterListsCount: document.getElementById('filter-lists-count'),
+    filterListsStatus: document.getElementById('filter-lists-status'),
+    filterListUrl: document.getElementById('filter-list-url'),
+    filterListFileInput: document.getElementById('filter-list-file-input'),
+    btnSubscribeFilterList: document.getElementById('btn-subscribe-filter-list'),
+    btnLoadFilterList: document.getElementById('btn-load-filter-list'),
+    btnRefreshFilterLists: document.getElementById('btn-refresh-filter-lists'),
+    btnClearFilterLists: document.getElementById('btn-clear-filter-lists'),
+    // Country Groups
+    countryGroupsList: document.getElementById('country-groups-list'),
+    countryGroupsCount: document.getElementById('country-groups-count'),
+    countryGroupsStatus: document.getElementById('country-groups-status'),
+    countryGroupName: document.getElementById('country-group-name'),
+    countryGroupAddRegion: document.getElementById('country-group-add-region'),
+    countryGroupSearch: document.getElementById('country-group-search'),
+    countryGroupGrid: document.getElementById('country-group-grid'),
+    btnSaveCountryGroup: document.getElementById('btn-save-country-group'),
+    btnCancelCountryGroup: document.getElementById('btn-cancel-country-group'),
+    btnClearCountryGroups: document.getElementById('btn-clear-country-groups'),
+    // Allowed Users
+    allowedUsersList: document.getElementById('allowed-users-list'),
+    allowedUsersCount: document.getElementById('allowed-users-count'),
+    allowedUserInput: document.getElementById('allowed-user-input'),
+    btnAddAllowedUser: document.getElementById('btn-add-allowed-user'),
+    btnClearAllowedUsers: document.getElementById('btn-clear-allowed-users'),
+    // Filter Rules
+    filterRulesList: document.getElementById('filter-rules-list'),
+    filterRulesCount: document.getElementById('filter-rules-count'),
+    ruleEditor: document.getElementById('rule-editor'),
+    btnAddRule: document.getElementById('btn-add-rule'),
+    btnClearRules: document.getElementById('btn-clear-rules'),
     // Cloud cache
     optCloudCache: document.getElementById('opt-cloud-cache'),
     cloudStatus: document.getElementById('cloud-status'),
@@ -66,6 +158,16 @@ const elements = {
     // Rate limit
     rateLimitBanner: document.getElementById('rate-limit-banner'),
     rateLimitTime: document.getElementById('rate-limit-time'),
+    // Watchlist
+    watchlistCount: document.getElementById('watchlist-count'),
+    optWatchlistNotifications: document.getElementById('opt-watchlist-notifications'),
+    watchlistList: document.getElementById('watchlist-list'),
+    btnCheckWatchlist: document.getElementById('btn-check-watchlist'),
+    watchlistStatus: document.getElementById('watchlist-status'),
+    // Timeline composition
+    optImpressionRetention: document.getElementById('opt-impression-retention'),
+    timelineStats: document.getElementById('timeline-stats'),
+    btnClearImpressions: document.getElementById('btn-clear-impressions'),
     // Cache
     cacheSize: document.getElementById('cache-size'),
     btnClearCache: document.getElementById('btn-clear-cache'),
@@ -83,6 +185,17 @@ let currentSettings = {};
 let blockedCountries = [];
 let blockedRegions = [];
 let blockedTags = [];
+let blockedDevices = [];
+let allowedUsers = [];
+let blockedUsers = [];
+let watchlist = [];
+let filterLists = [];
+let countryGroups = [];
+let groupDraft = { id: null, countries: new Set() }; // Group being built in the editor
+let profiles = [];
+let activeProfileId = null;
+let filterRules = [];
+let ruleDraft = null; // Rule being edited (condition stored as editor nodes)
 let rateLimitMonitorInterval = null;
 
 /**
@@ -138,8 +251,17 @@ async function initialize() {
     await loadBlockedCountries();
     await loadBlockedRegions();
     await loadBlockedTags();
+    await loadBlockedDevices();
+    await loadAllowedUsers();
+    await loadBlockedUsers();
+    await loadFilterRules();
+    await loadFilterLists();
+    await loadCountryGroups();
+    await loadProfiles();
     await loadCacheStats();
     await loadStatistics();
+    await loadWatchlist();
+    await loadImpressionStats();
     await loadCloudCacheStatus();
     await loadRateLimitStatus();
 
@@ -228,14 +350,33 @@ async function loadSettings() {
             if (elements.optShowVpnUsers) {
                 elements.optShowVpnUsers.checked = currentSettings.showVpnUsers !== false;
             }
+            if (elements.optCascadeRegions) {
+                elements.optCascadeRegions.checked = currentSettings.cascadeRegionBlocks !== false;
+            }
             
             // Blocking mode toggles - mutually exclusive
-            const highlightMode = currentSettings.highlightBlockedTweets === true;
-            if (elements.optHideBlocked) {
-                elements.optHideBlocked.checked = !highlightMode;
+            renderBlockingMode(getBlockingMode(currentSettings));
+            
+            renderNewAccountFilter();
+            renderVerificationFilter();
+            
+            if (elements.optHandleChangeThreshold) {
+                elements.optHandleChangeThreshold.value = currentSettings.handleChangeThreshold ?? 3;
+            }
+            if (elements.optHandleChangeMode) {
+                elements.optHandleChangeMode.value = currentSettings.handleChangeFilterMode || FILTER_MODES.OFF;
+            }
+            if (elements.optPostingHoursMode) {
+                elements.optPostingHoursMode.value = currentSettings.postingHoursFilterMode || FILTER_MODES.OFF;
+            }
+            
+            renderSuspicionSettings();
+            
+            if (elements.optWatchlistNotifications) {
+                elements.optWatchlistNotifications.checked = currentSettings.watchlistNotifications !== false;
             }
-            if (elements.optHighlightBlocked) {
-                elements.optHighlightBlocked.checked = highlightMode;
+            if (elements.optImpressionRetention) {
+                elements.optImpressionRetention.value = String(currentSettings.impressionRetentionDays ?? 0);
             }
         }
     } catch (error) {
@@ -244,220 +385,2120 @@ async function loadSettings() {
 }
 
 /**
- * Load blocked countries
+ * Load blocked countries
+ */
+async function loadBlockedCountries() {
+    try {
+        const response = await browserAPI.runtime.sendMessage({
+            type: MESSAGE_TYPES.GET_BLOCKED_COUNTRIES
+        });
+
+        if (response?.success) {
+            blockedCountries = response.data || [];
+            renderBlockedCountries();
+            renderCountryGrid();
+            updateBlockedCount();
+        }
+    } catch (error) {
+        console.error('Failed to load blocked countries:', error);
+    }
+}
+
+/**
+ * Load blocked regions
+ */
+async function loadBlockedRegions() {
+    try {
+        const response = await browserAPI.runtime.sendMessage({
+            type: MESSAGE_TYPES.GET_BLOCKED_REGIONS
+        });
+
+        if (response?.success) {
+            blockedRegions = response.data || [];
+            renderBlockedRegions();
+            renderRegionGrid();
+            updateBlockedRegionsCount();
+        }
+    } catch (error) {
+        console.error('Failed to load blocked regions:', error);
+    }
+}
+
+/**
+ * Update blocked count badge
+ */
+function updateBlockedCount() {
+    if (elements.blockedCount) {
+        elements.blockedCount.textContent = blockedCountries.length;
+        elements.blockedCount.style.display = blockedCountries.length > 0 ? 'inline-flex' : 'none';
+    }
+}
+
+/**
+ * Update blocked regions count badge
+ */
+function updateBlockedRegionsCount() {
+    if (elements.blockedRegionsCount) {
+        elements.blockedRegionsCount.textContent = blockedRegions.length;
+        elements.blockedRegionsCount.style.display = blockedRegions.length > 0 ? 'inline-flex' : 'none';
+    }
+}
+
+/**
+ * Load blocked tags
+ */
+async function loadBlockedTags() {
+    try {
+        const response = await browserAPI.runtime.sendMessage({
+            type: MESSAGE_TYPES.GET_BLOCKED_TAGS
+        });
+
+        if (response?.success) {
+            blockedTags = response.data || [];
+            renderBlockedTags();
+            updateBlockedTagsCount();
+        }
+    } catch (error) {
+        console.error('Failed to load blocked tags:', error);
+    }
+}
+
+/**
+ * Update blocked tags count badge
+ */
+function updateBlockedTagsCount() {
+    if (elements.blockedTagsCount) {
+        elements.blockedTagsCount.textContent = blockedTags.length;
+        elements.blockedTagsCount.style.display = blockedTags.length > 0 ? 'inline-flex' : 'none';
+    }
+}
+
+/**
+ * Render blocked tags list
+ */
+function renderBlockedTags() {
+    const list = elements.blockedTagsList;
+    if (!list) return;
+    
+    // Clear list safely
+    list.replaceChildren();
+    
+    if (blockedTags.length === 0) {
+        const emptyState = document.createElement('p');
+        emptyState.className = 'empty-state';
+        emptyState.textContent = 'No tags blocked';
+        list.appendChild(emptyState);
+        return;
+    }
+    
+    for (const tag of blockedTags.sort()) {
+        const item = document.createElement('div');
+        item.className = 'blocked-item';
+        
+        // Build blocked-item-info
+        const itemInfo = document.createElement('div');
+        itemInfo.className = 'blocked-item-info';
+        
+        // Tag display
+        const tagSpan = document.createElement('span');
+        tagSpan.className = 'blocked-tag-text';
+        tagSpan.textContent = tag;
+        itemInfo.appendChild(tagSpan);
+        
+        item.appendChild(itemInfo);
+        
+        // Remove button
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'blocked-remove';
+        removeBtn.dataset.tag = tag;
+        removeBtn.setAttribute('aria-label', `Remove ${tag}`);
+        
+        const removeSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        removeSvg.setAttribute('viewBox', '0 0 24 24');
+        removeSvg.setAttribute('width', '16');
+        removeSvg.setAttribute('height', '16');
+        const removePath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        removePath.setAttribute('fill', 'currentColor');
+        removePath.setAttribute('d', 'M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z');
+        removeSvg.appendChild(removePath);
+        removeBtn.appendChild(removeSvg);
+        
+        // Add event handler directly
+        removeBtn.addEventListener('click', async () => {
+            await removeBlockedTag(tag);
+        });
+        
+        item.appendChild(removeBtn);
+        list.appendChild(item);
+    }
+}
+
+/**
+ * Add a new blocked tag
+ */
+async function addBlockedTag(tag) {
+    if (!tag || tag.trim() === '') return;
+    
+    try {
+        const response = await browserAPI.runtime.sendMessage({
+            type: MESSAGE_TYPES.SET_BLOCKED_TAGS,
+            payload: { action: 'add', tag: tag.trim() }
+        });
+
+        if (response?.success) {
+            blockedTags = response.data || [];
+            renderBlockedTags();
+            updateBlockedTagsCount();
+            showSaveStatus();
+        }
+    } catch (error) {
+        console.error('Failed to add blocked tag:', error);
+    }
+}
+
+/**
+ * Remove a blocked tag
+ */
+async function removeBlockedTag(tag) {
+    try {
+        const response = await browserAPI.runtime.sendMessage({
+            type: MESSAGE_TYPES.SET_BLOCKED_TAGS,
+            payload: { action: 'remove', tag }
+        });
+
+        if (response?.success) {
+            blockedTags = response.data || [];
+            renderBlockedTags();
+            updateBlockedTagsCount();
+            showSaveStatus();
+        }
+    } catch (error) {
+        console.error('Failed to remove blocked tag:', error);
+    }
+}
+
+/**
+ * Clear all blocked tags
+ */
+async function clearAllBlockedTags() {
+    if (blockedTags.length === 0) return;
+    
+    if (!confirm('Are you sure you want to unblock all tags?')) return;
+    
+    try {
+        const response = await browserAPI.runtime.sendMessage({
+            type: MESSAGE_TYPES.SET_BLOCKED_TAGS,
+            payload: { action: 'clear' }
+        });
+
+        if (response?.success) {
+            blockedTags = [];
+            renderBlockedTags();
+            updateBlockedTagsCount();
+            showSaveStatus();
+        }
+    } catch (error) {
+        console.error('Failed to clear blocked tags:', error);
+    }
+}
+
+/**
+ * Reflect the blocking mode in the mutually exclusive toggles
+ * @param {string} mode - FILTER_ACTIONS.HIDE, COLLAPSE or HIGHLIGHT
+ */
+function renderBlockingMode(mode) {
+    if (elements.optHideBlocked) {
+        elements.optHideBlocked.checked = mode === FILTER_ACTIONS.HIDE;
+    }
+    if (elements.optCollapseBlocked) {
+        elements.optCollapseBlocked.checked = mode === FILTER_ACTIONS.COLLAPSE;
+    }
+    if (elements.optHighlightBlocked) {
+        elements.optHighlightBlocked.checked = mode === FILTER_ACTIONS.HIGHLIGHT;
+    }
+}
+
+/**
+ * Switch the blocking mode and save it
+ * @param {string} mode - FILTER_ACTIONS.HIDE, COLLAPSE or HIGHLIGHT
+ */
+function setBlockingMode(mode) {
+    renderBlockingMode(mode);
+    saveSettings({
+        highlightBlockedTweets: mode === FILTER_ACTIONS.HIGHLIGHT,
+        collapseBlockedTweets: mode === FILTER_ACTIONS.COLLAPSE
+    });
+}
+
+/**
+ * Render the new account filter controls from current settings
+ */
+function renderNewAccountFilter() {
+    if (!elements.optNewAccountFilter) return;
+    
+    const enabled = currentSettings.newAccountFilterEnabled === true;
+    elements.optNewAccountFilter.checked = enabled;
+    elements.newAccountParams?.classList.toggle('disabled', !enabled);
+    
+    if (elements.optNewAccountDays) {
+        elements.optNewAccountDays.value = currentSettings.newAccountMaxDays ?? 30;
+    }
+    
+    const select = elements.optNewAccountLocation;
+    if (select) {
+        // Populate once: regions first, then countries
+        if (select.options.length <= 1) {
+            const regionGroup = document.createElement('optgroup');
+            regionGroup.label = 'Regions';
+            for (const region of REGION_LIST) {
+                regionGroup.appendChild(new Option(`${region.flag} ${region.name}`, region.key));
+            }
+            
+            const countryGroup = document.createElement('optgroup');
+            countryGroup.label = 'Countries';
+            for (const country of COUNTRY_LIST) {
+                countryGroup.appendChild(new Option(formatCountryName(country), country));
+            }
+            
+            select.appendChild(regionGroup);
+            select.appendChild(countryGroup);
+        }
+        select.value = currentSettings.newAccountLocation || '';
+    }
+}
+
+/**
+ * Render the verification filter controls from current settings
+ */
+function renderVerificationFilter() {
+    if (!elements.optVerificationMode) return;
+    
+    const mode = currentSettings.verificationFilterMode || FILTER_MODES.OFF;
+    elements.optVerificationMode.value = mode;
+    elements.verificationParams?.classList.toggle('disabled', mode === FILTER_MODES.OFF);
+    
+    if (elements.optVerificationInvert) {
+        elements.optVerificationInvert.value = String(currentSettings.verificationFilterInvert === true);
+    }
+    if (elements.optVerificationVpn) {
+        elements.optVerificationVpn.checked = currentSettings.verificationFilterVpnOnly === true;
+    }
+    
+    const statuses = elements.optVerificationStatuses;
+    if (statuses) {
+        if (statuses.options.length === 0) {
+            for (const [value, label] of Object.entries(VERIFICATION_STATUSES)) {
+                statuses.appendChild(new Option(label, value));
+            }
+        }
+        const selected = currentSettings.verificationFilterStatuses || [];
+        for (const option of statuses.options) {
+            option.selected = selected.includes(option.value);
+        }
+    }
+    
+    const locations = elements.optVerificationLocations;
+    if (locations) {
+        // Populate once: regions first, then countries
+        if (locations.options.length === 0) {
+            const regionGroup = document.createElement('optgroup');
+            regionGroup.label = 'Regions';
+            for (const region of REGION_LIST) {
+                regionGroup.appendChild(new Option(`${region.flag} ${region.name}`, region.key));
+            }
+            
+            const countryGroup = document.createElement('optgroup');
+            countryGroup.label = 'Countries';
+            for (const country of COUNTRY_LIST) {
+                countryGroup.appendChild(new Option(formatCountryName(country), country));
+            }
+            
+            locations.appendChild(regionGroup);
+            locations.appendChild(countryGroup);
+        }
+        const selected = currentSettings.verificationFilterLocations || [];
+        for (const option of locations.options) {
+            option.selected = selected.includes(option.value);
+        }
+    }
+}
+
+/**
+ * Render the suspicion score thresholds and one weight input per factor
+ */
+function renderSuspicionSettings() {
+    if (!elements.suspicionWeights) return;
+    
+    if (elements.optSuspicionHighlight) {
+        elements.optSuspicionHighlight.value = currentSettings.suspicionHighlightScore ?? 0;
+    }
+    if (elements.optSuspicionHide) {
+        elements.optSuspicionHide.value = currentSettings.suspicionHideScore ?? 0;
+    }
+    
+    const weights = getSuspicionWeights(currentSettings);
+    elements.suspicionWeights.replaceChildren();
+    for (const [key, factor] of Object.entries(SUSPICION_FACTORS)) {
+        const row = document.createElement('label');
+        row.className = 'suspicion-weight';
+        
+        const label = document.createElement('span');
+        label.textContent = factor.label;
+        
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.className = 'rule-number';
+        input.min = '0';
+        input.max = String(SUSPICION_CONFIG.MAX_WEIGHT);
+        input.value = weights[key];
+        input.dataset.factor = key;
+        
+        row.appendChild(label);
+        row.appendChild(input);
+        elements.suspicionWeights.appendChild(row);
+    }
+    
+    if (elements.suspicionMaxScore) {
+        elements.suspicionMaxScore.textContent = `Highest possible score: ${getMaxSuspicionScore(currentSettings)}`;
+    }
+}
+
+/**
+ * Load blocked devices
+ */
+async function loadBlockedDevices() {
+    try {
+        const response = await browserAPI.runtime.sendMessage({
+            type: MESSAGE_TYPES.GET_BLOCKED_DEVICES
+        });
+
+        if (response?.success) {
+            blockedDevices = response.data || [];
+            renderDeviceGrid();
+            updateBlockedDevicesCount();
+        }
+    } catch (error) {
+        console.error('Failed to load blocked devices:', error);
+    }
+}
+
+/**
+ * Update blocked devices count badge
+ */
+function updateBlockedDevicesCount() {
+    if (elements.blockedDevicesCount) {
+        elements.blockedDevicesCount.textContent = blockedDevices.length;
+        elements.blockedDevicesCount.style.display = blockedDevices.length > 0 ? 'inline-flex' : 'none';
+    }
+}
+
+/**
+ * Render the device category grid
+ */
+function renderDeviceGrid() {
+    if (!elements.deviceGrid) return;
+    
+    elements.deviceGrid.replaceChildren();
+    
+    for (const device of DEVICE_CATEGORIES) {
+        const isBlocked = blockedDevices.includes(device);
+        const item = document.createElement('div');
+        item.className = `country-item device-item${isBlocked ? ' blocked' : ''}`;
+        item.dataset.device = device;
+        
+        const iconSpan = document.createElement('span');
+        iconSpan.className = 'country-item-flag';
+        iconSpan.textContent = DEVICE_CATEGORY_EMOJIS[device];
+        
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'country-item-name';
+        nameSpan.textContent = device;
+        
+        item.appendChild(iconSpan);
+        item.appendChild(nameSpan);
+        
+        if (isBlocked) {
+            const blockedSpan = document.createElement('span');
+            blockedSpan.className = 'country-item-blocked';
+            blockedSpan.textContent = '✓';
+            item.appendChild(blockedSpan);
+        }
+        
+        item.addEventListener('click', () => toggleDevice(device));
+        elements.deviceGrid.appendChild(item);
+    }
+}
+
+/**
+ * Toggle a device category's blocked status
+ */
+async function toggleDevice(device) {
+    try {
+        const response = await browserAPI.runtime.sendMessage({
+            type: MESSAGE_TYPES.SET_BLOCKED_DEVICES,
+            payload: { action: 'toggle', device }
+        });
+
+        if (response?.success) {
+            blockedDevices = response.data || [];
+            renderDeviceGrid();
+            updateBlockedDevicesCount();
+            showSaveStatus();
+        }
+    } catch (error) {
+        console.error('Failed to toggle device:', error);
+    }
+}
+
+/**
+ * Clear all blocked devices
+ */
+async function clearAllBlockedDevices() {
+    if (blockedDevices.length === 0) return;
+    
+    if (!confirm('Are you sure you want to unblock all devices?')) return;
+    
+    try {
+        const response = await browserAPI.runtime.sendMessage({
+            type: MESSAGE_TYPES.SET_BLOCKED_DEVICES,
+            payload: { action: 'clear' }
+        });
+
+        if (response?.success) {
+            blockedDevices = [];
+            renderDeviceGrid();
+            updateBlockedDevicesCount();
+            showSaveStatus();
+        }
+    } catch (error) {
+        console.error('Failed to clear blocked devices:', error);
+    }
+}
+
+/**
+ * Load blocked users
+ */
+async function loadBlockedUsers() {
+    try {
+        const response = await browserAPI.runtime.sendMessage({
+            type: MESSAGE_TYPES.GET_BLOCKED_USERS
+        });
+
+        if (response?.success) {
+            blockedUsers = response.data || [];
+            renderBlockedUsers();
+            updateBlockedUsersCount();
+        }
+    } catch (error) {
+        console.error('Failed to load blocked users:', error);
+    }
+}
+
+/**
+ * Update blocked users count badge
+ */
+function updateBlockedUsersCount() {
+    if (elements.blockedUsersCount) {
+        elements.blockedUsersCount.textContent = blockedUsers.length;
+        elements.blockedUsersCount.style.display = blockedUsers.length > 0 ? 'inline-flex' : 'none';
+    }
+}
+
+/**
+ * Render blocked users list
+ */
+function renderBlockedUsers() {
+    const list = elements.blockedUsersList;
+    if (!list) return;
+    
+    list.replaceChildren();
+    
+    if (blockedUsers.length === 0) {
+        const emptyState = document.createElement('p');
+        emptyState.className = 'empty-state';
+        emptyState.textContent = 'No accounts blocked';
+        list.appendChild(emptyState);
+        return;
+    }
+    
+    for (const user of blockedUsers.sort()) {
+        const item = document.createElement('div');
+        item.className = 'blocked-item';
+        
+        const itemInfo = document.createElement('div');
+        itemInfo.className = 'blocked-item-info';
+        
+        const userSpan = document.createElement('span');
+        userSpan.className = 'blocked-tag-text';
+        userSpan.textContent = `@${user}`;
+        itemInfo.appendChild(userSpan);
+        
+        item.appendChild(itemInfo);
+        
+        // Remove button
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'blocked-remove';
+        removeBtn.dataset.user = user;
+        removeBtn.setAttribute('aria-label', `Unblock @${user}`);
+        
+        const removeSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        removeSvg.setAttribute('viewBox', '0 0 24 24');
+        removeSvg.setAttribute('width', '16');
+        removeSvg.setAttribute('height', '16');
+        const removePath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        removePath.setAttribute('fill', 'currentColor');
+        removePath.setAttribute('d', 'M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z');
+        removeSvg.appendChild(removePath);
+        removeBtn.appendChild(removeSvg);
+        
+        removeBtn.addEventListener('click', async () => {
+            await removeBlockedUser(user);
+        });
+        
+        item.appendChild(removeBtn);
+        list.appendChild(item);
+    }
+}
+
+/**
+ * Add every handle pasted into the blocked users textarea
+ * Entries may be separated by newlines, commas or spaces; invalid ones are reported and kept in the box.
+ */
+async function addBlockedUsersFromInput() {
+    const input = elements.blockedUsersInput;
+    const entries = input.value.split(/[\s,;]+/).filter(Boolean);
+    if (entries.length === 0) return;
+    
+    try {
+        const response = await browserAPI.runtime.sendMessage({
+            type: MESSAGE_TYPES.SET_BLOCKED_USERS,
+            payload: { action: 'addMany', users: entries }
+        });
+
+        if (response?.success) {
+            blockedUsers = response.data || [];
+            renderBlockedUsers();
+            updateBlockedUsersCount();
+            showSaveStatus();
+            
+            const invalidEntries = entries.filter(entry => !normalizeScreenName(entry));
+            input.value = invalidEntries.join('\n');
+            
+            const parts = [`Added ${response.added} account${response.added === 1 ? '' : 's'}`];
+            if (response.invalid > 0) {
+                parts.push(`${response.invalid} invalid entr${response.invalid === 1 ? 'y' : 'ies'} left in the box`);
+            }
+            if (elements.blockedUsersStatus) {
+                elements.blockedUsersStatus.textContent = parts.join(' · ');
+            }
+        }
+    } catch (error) {
+        console.error('Failed to add blocked users:', error);
+    }
+}
+
+/**
+ * Remove a blocked user
+ */
+async function removeBlockedUser(user) {
+    try {
+        const response = await browserAPI.runtime.sendMessage({
+            type: MESSAGE_TYPES.SET_BLOCKED_USERS,
+            payload: { action: 'remove', user }
+        });
+
+        if (response?.success) {
+            blockedUsers = response.data || [];
+            renderBlockedUsers();
+            updateBlockedUsersCount();
+            showSaveStatus();
+        }
+    } catch (error) {
+        console.error('Failed to remove blocked user:', error);
+    }
+}
+
+/**
+ * Clear all blocked users
+ */
+async function clearAllBlockedUsers() {
+    if (blockedUsers.length === 0) return;
+    
+    if (!confirm('Are you sure you want to unblock all accounts?')) return;
+    
+    try {
+        const response = await browserAPI.runtime.sendMessage({
+            type: MESSAGE_TYPES.SET_BLOCKED_USERS,
+            payload: { action: 'clear' }
+        });
+
+        if (response?.success) {
+            blockedUsers = [];
+            renderBlockedUsers();
+            updateBlockedUsersCount();
+            showSaveStatus();
+        }
+    } catch (error) {
+        console.error('Failed to clear blocked users:', error);
+    }
+}
+
+/**
+ * Load allowed users
+ */
+async function loadAllowedUsers() {
+    try {
+        const response = await browserAPI.runtime.sendMessage({
+            type: MESSAGE_TYPES.GET_ALLOWED_USERS
+        });
+
+        if (response?.success) {
+            allowedUsers = response.data || [];
+            renderAllowedUsers();
+            updateAllowedUsersCount();
+        }
+    } catch (error) {
+        console.error('Failed to load allowed users:', error);
+    }
+}
+
+/**
+ * Update allowed users count badge
+ */
+function updateAllowedUsersCount() {
+    if (elements.allowedUsersCount) {
+        elements.allowedUsersCount.textContent = allowedUsers.length;
+        elements.allowedUsersCount.style.display = allowedUsers.length > 0 ? 'inline-flex' : 'none';
+    }
+}
+
+/**
+ * Render allowed users list
+ */
+function renderAllowedUsers() {
+    const list = elements.allowedUsersList;
+    if (!list) return;
+    
+    list.replaceChildren();
+    
+    if (allowedUsers.length === 0) {
+        const emptyState = document.createElement('p');
+        emptyState.className = 'empty-state';
+        emptyState.textContent = 'No allowed accounts';
+        list.appendChild(emptyState);
+        return;
+    }
+    
+    for (const user of allowedUsers.sort()) {
+        const item = document.createElement('div');
+        item.className = 'blocked-item';
+        
+        const itemInfo = document.createElement('div');
+        itemInfo.className = 'blocked-item-info';
+        
+        const userSpan = document.createElement('span');
+        userSpan.className = 'blocked-tag-text';
+        userSpan.textContent = `@${user}`;
+        itemInfo.appendChild(userSpan);
+        
+        item.appendChild(itemInfo);
+        
+        // Remove button
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'blocked-remove';
+        removeBtn.dataset.user = user;
+        removeBtn.setAttribute('aria-label', `Remove @${user}`);
+        
+        const removeSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        removeSvg.setAttribute('viewBox', '0 0 24 24');
+        removeSvg.setAttribute('width', '16');
+        removeSvg.setAttribute('height', '16');
+        const removePath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        removePath.setAttribute('fill', 'currentColor');
+        removePath.setAttribute('d', 'M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z');
+        removeSvg.appendChild(removePath);
+        removeBtn.appendChild(removeSvg);
+        
+        removeBtn.addEventListener('click', async () => {
+            await setAllowedUser('remove', user);
+        });
+        
+        item.appendChild(removeBtn);
+        list.appendChild(item);
+    }
+}
+
+/**
+ * Add or remove an allowed user
+ * @param {string} action - 'add' or 'remove'
+ * @param {string} user - Handle, @handle or profile URL
+ */
+async function setAllowedUser(action, user) {
+    try {
+        const response = await browserAPI.runtime.sendMessage({
+            type: MESSAGE_TYPES.SET_ALLOWED_USERS,
+            payload: { action, user }
+        });
+
+        if (response?.success) {
+            allowedUsers = response.data || [];
+            renderAllowedUsers();
+            updateAllowedUsersCount();
+            showSaveStatus();
+        }
+    } catch (error) {
+        console.error(`Failed to ${action} allowed user:`, error);
+    }
+}
+
+/**
+ * Add the handle typed into the allowed user input
+ */
+async function addAllowedUserFromInput() {
+    const input = elements.allowedUserInput;
+    const user = normalizeScreenName(input.value);
+    
+    if (!user) {
+        input.classList.add('input-error');
+        return;
+    }
+    
+    input.classList.remove('input-error');
+    input.value = '';
+    await setAllowedUser('add', user);
+}
+
+/**
+ * Clear all allowed users
+ */
+async function clearAllAllowedUsers() {
+    if (allowedUsers.length === 0) return;
+    
+    if (!confirm('Are you sure you want to remove all allowed accounts?')) return;
+    
+    try {
+        const response = await browserAPI.runtime.sendMessage({
+            type: MESSAGE_TYPES.SET_ALLOWED_USERS,
+            payload: { action: 'clear' }
+        });
+
+        if (response?.success) {
+            allowedUsers = [];
+            renderAllowedUsers();
+            updateAllowedUsersCount();
+            showSaveStatus();
+        }
+    } catch (error) {
+        console.error('Failed to clear allowed users:', error);
+    }
+}
+
+/**
+ * Load filter rules
+ */
+async function loadFilterRules() {
+    try {
+        const response = await browserAPI.runtime.sendMessage({
+            type: MESSAGE_TYPES.GET_FILTER_RULES
+        });
+
+        if (response?.success) {
+            filterRules = response.data || [];
+            renderFilterRules();
+            updateFilterRulesCount();
+        }
+    } catch (error) {
+        console.error('Failed to load filter rules:', error);
+    }
+}
+
+/**
+ * Update filter rules count badge (enabled rules only)
+ */
+function updateFilterRulesCount() {
+    if (elements.filterRulesCount) {
+        const enabledCount = filterRules.filter(rule => rule.enabled !== false).length;
+        elements.filterRulesCount.textContent = enabledCount;
+        elements.filterRulesCount.style.display = enabledCount > 0 ? 'inline-flex' : 'none';
+    }
+}
+
+/**
+ * Send a filter rules update to the background and refresh the list
+ * @param {Object} payload - SET_FILTER_RULES payload ({action, rule, id, rules})
+ * @returns {Promise<boolean>} - True on success
+ */
+async function updateFilterRules(payload) {
+    try {
+        const response = await browserAPI.runtime.sendMessage({
+            type: MESSAGE_TYPES.SET_FILTER_RULES,
+            payload
+        });
+
+        if (response?.success) {
+            filterRules = response.data || [];
+            renderFilterRules();
+            updateFilterRulesCount();
+            showSaveStatus();
+            return true;
+        }
+        console.error('Failed to update filter rules:', response?.error);
+    } catch (error) {
+        console.error('Failed to update filter rules:', error);
+    }
+    return false;
+}
+
+/**
+ * Render filter rules list
+ */
+function renderFilterRules() {
+    const list = elements.filterRulesList;
+    if (!list) return;
+    
+    list.replaceChildren();
+    
+    if (filterRules.length === 0) {
+        const emptyState = document.createElement('p');
+        emptyState.className = 'empty-state';
+        emptyState.textContent = 'No filter rules';
+        list.appendChild(emptyState);
+        return;
+    }
+    
+    for (const rule of filterRules) {
+        const item = document.createElement('div');
+        item.className = `blocked-item rule-item${rule.enabled === false ? ' disabled' : ''}`;
+        
+        // Enable/disable toggle
+        const toggle = document.createElement('label');
+        toggle.className = 'toggle toggle-small';
+        const toggleInput = document.createElement('input');
+        toggleInput.type = 'checkbox';
+        toggleInput.checked = rule.enabled !== false;
+        toggleInput.setAttribute('aria-label', `Enable ${rule.name}`);
+        toggleInput.addEventListener('change', () => updateFilterRules({ action: 'toggle', id: rule.id }));
+        const toggleSlider = document.createElement('span');
+        toggleSlider.className = 'toggle-slider';
+        toggle.appendChild(toggleInput);
+        toggle.appendChild(toggleSlider);
+        
+        // Name, action and summary
+        const itemInfo = document.createElement('div');
+        itemInfo.className = 'blocked-item-info rule-item-info';
+        
+        const header = document.createElement('div');
+        header.className = 'rule-item-header';
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'blocked-name';
+        nameSpan.textContent = rule.name;
+        const actionChip = document.createElement('span');
+        actionChip.className = `rule-action-chip rule-action-${rule.action}`;
+        actionChip.textContent = rule.action === FILTER_ACTIONS.LABEL && rule.label
+            ? `label: ${rule.label}`
+            : rule.action;
+        header.appendChild(nameSpan);
+        header.appendChild(actionChip);
+        
+        const summary = document.createElement('span');
+        summary.className = 'rule-summary';
+        summary.textContent = describeCondition(rule.condition);
+        
+        itemInfo.appendChild(header);
+        itemInfo.appendChild(summary);
+        
+        // Edit button
+        const editBtn = document.createElement('button');
+        editBtn.className = 'btn btn-secondary btn-small rule-edit';
+        editBtn.textContent = 'Edit';
+        editBtn.addEventListener('click', () => openRuleEditor(rule));
+        
+        // Remove button
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'blocked-remove';
+        removeBtn.setAttribute('aria-label', `Remove ${rule.name}`);
+        
+        const removeSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        removeSvg.setAttribute('viewBox', '0 0 24 24');
+        removeSvg.setAttribute('width', '16');
+        removeSvg.setAttribute('height', '16');
+        const removePath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        removePath.setAttribute('fill', 'currentColor');
+        removePath.setAttribute('d', 'M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z');
+        removeSvg.appendChild(removePath);
+        removeBtn.appendChild(removeSvg);
+        removeBtn.addEventListener('click', async () => {
+            if (!confirm(`Delete rule "${rule.name}"?`)) return;
+            await updateFilterRules({ action: 'remove', id: rule.id });
+            if (ruleDraft?.id === rule.id) {
+                closeRuleEditor();
+            }
+        });
+        
+        item.appendChild(toggle);
+        item.appendChild(itemInfo);
+        item.appendChild(editBtn);
+        item.appendChild(removeBtn);
+        list.appendChild(item);
+    }
+}
+
+/**
+ * Clear all filter rules
+ */
+async function clearAllFilterRules() {
+    if (filterRules.length === 0) return;
+    
+    if (!confirm('Are you sure you want to delete all filter rules?')) return;
+    
+    if (await updateFilterRules({ action: 'clear' })) {
+        closeRuleEditor();
+    }
+}
+
+// ============================================
+// FILTER PROFILES
+// ============================================
+
+/**
+ * Load filter profiles
+ */
+async function loadProfiles() {
+    try {
+        const response = await browserAPI.runtime.sendMessage({
+            type: MESSAGE_TYPES.GET_PROFILES
+        });
+
+        if (response?.success) {
+            profiles = response.data || [];
+            activeProfileId = response.activeId;
+            renderProfiles();
+        }
+    } catch (error) {
+        console.error('Failed to load profiles:', error);
+    }
+}
+
+/**
+ * Render the profile dropdown
+ */
+function renderProfiles() {
+    const select = elements.profileSelect;
+    if (!select) return;
+    
+    select.replaceChildren();
+    for (const profile of profiles) {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        option.selected = profile.id === activeProfileId;
+        select.appendChild(option);
+    }
+    
+    if (elements.btnDeleteProfile) {
+        elements.btnDeleteProfile.disabled = profiles.length < 2;
+    }
+}
+
+/**
+ * Send a profiles update to the background and refresh the dropdown
+ * After a switch the blocked lists and blocking mode shown here belong to the new profile, so they're reloaded.
+ * @param {Object} payload - SET_PROFILES payload ({action, id, name})
+ * @returns {Promise<boolean>} - True on success
+ */
+async function updateProfiles(payload) {
+    const status = elements.profileStatus;
+    if (status) status.textContent = '';
+    
+    try {
+        const response = await browserAPI.runtime.sendMessage({
+            type: MESSAGE_TYPES.SET_PROFILES,
+            payload
+        });
+
+        if (!response?.success) {
+            if (status) status.textContent = response?.error || 'Could not update profiles';
+            renderProfiles();
+            return false;
+        }
+        
+        profiles = response.data || [];
+        activeProfileId = response.activeId;
+        renderProfiles();
+        
+        if (payload.action === 'switch') {
+            await loadSettings();
+            await loadBlockedCountries();
+            await loadBlockedRegions();
+            await loadBlockedTags();
+        }
+        
+        showSaveStatus();
+        return true;
+    } catch (error) {
+        console.error('Failed to update profiles:', error);
+        if (status) status.textContent = error.message;
+        return false;
+    }
+}
+
+/**
+ * Create a profile (or rename the active one) from the name input
+ * @param {string} action - 'create' or 'rename'
+ */
+async function saveProfileName(action) {
+    const input = elements.profileNameInput;
+    const name = input.value.trim();
+    
+    if (!name) {
+        input.classList.add('input-error');
+        input.focus();
+        return;
+    }
+    
+    if (await updateProfiles({ action, id: activeProfileId, name })) {
+        input.value = '';
+        input.classList.remove('input-error');
+    }
+}
+
+/**
+ * Delete the active profile
+ * The background never deletes the active profile, so switch to another one first.
+ */
+async function deleteActiveProfile() {
+    const current = profiles.find(profile => profile.id === activeProfileId);
+    const fallback = profiles.find(profile => profile.id !== activeProfileId);
+    if (!current || !fallback) return;
+    
+    if (!confirm(`Delete profile "${current.name}"? Its blocked countries, regions and tags will be lost, and "${fallback.name}" becomes active.`)) return;
+    
+    if (await updateProfiles({ action: 'switch', id: fallback.id })) {
+        await updateProfiles({ action: 'remove', id: current.id });
+    }
+}
+
+// ============================================
+// FILTER LISTS
+// ============================================
+
+/**
+ * Load filter list subscriptions
+ */
+async function loadFilterLists() {
+    try {
+        const response = await browserAPI.runtime.sendMessage({
+            type: MESSAGE_TYPES.GET_FILTER_LISTS
+        });
+
+        if (response?.success) {
+            filterLists = response.data || [];
+            renderFilterLists();
+            updateFilterListsCount();
+        }
+    } catch (error) {
+        console.error('Failed to load filter lists:', error);
+    }
+}
+
+/**
+ * Update filter lists count badge (enabled lists only)
+ */
+function updateFilterListsCount() {
+    if (elements.filterListsCount) {
+        const enabledCount = filterLists.filter(list => list.enabled !== false).length;
+        elements.filterListsCount.textContent = enabledCount;
+        elements.filterListsCount.style.display = enabledCount > 0 ? 'inline-flex' : 'none';
+    }
+}
+
+/**
+ * Show a message under the subscribe controls
+ * @param {string} message - Status text (empty to clear)
+ * @param {boolean} [isError=false] - Style as an error
+ */
+function showFilterListStatus(message, isError = false) {
+    const status = elements.filterListsStatus;
+    if (!status) return;
+    status.textContent = message;
+    status.classList.toggle('filter-list-error', isError);
+}
+
+/**
+ * Send a filter lists update to the background and refresh the list
+ * @param {Object} payload - SET_FILTER_LISTS payload ({action, id, url, text, name, lists})
+ * @returns {Promise<boolean>} - True on success
+ */
+async function updateFilterLists(payload) {
+    try {
+        const response = await browserAPI.runtime.sendMessage({
+            type: MESSAGE_TYPES.SET_FILTER_LISTS,
+            payload
+        });
+
+        if (response?.success) {
+            filterLists = response.data || [];
+            renderFilterLists();
+            updateFilterListsCount();
+            showSaveStatus();
+            return true;
+        }
+        
+        showFilterListStatus(response?.error || 'Could not update filter lists', true);
+    } catch (error) {
+        console.error('Failed to update filter lists:', error);
+        showFilterListStatus(error.message, true);
+    }
+    return false;
+}
+
+/**
+ * Describe a list's version, size and last update, e.g. "v2026.10 · 120 entries · updated 10/19/2026, 9:00 AM"
+ * @param {Object} list - Stored subscription
+ * @returns {string} - Summary line
+ */
+function describeFilterList(list) {
+    const parts = [];
+    if (list.version) parts.push(`v${list.version}`);
+    
+    const count = countFilterListEntries(list.entries);
+    parts.push(`${count} entr${count === 1 ? 'y' : 'ies'}`);
+    parts.push(list.source === 'url' ? new URL(list.url).hostname : 'local file');
+    
+    if (list.lastUpdated) {
+        parts.push(`updated ${new Date(list.lastUpdated).toLocaleString()}`);
+    }
+    return parts.join(' · ');
+}
+
+/**
+ * Render filter list subscriptions
+ */
+function renderFilterLists() {
+    const container = elements.filterListsList;
+    if (!container) return;
+    
+    container.replaceChildren();
+    
+    if (filterLists.length === 0) {
+        const emptyState = document.createElement('p');
+        emptyState.className = 'empty-state';
+        emptyState.textContent = 'No filter lists';
+        container.appendChild(emptyState);
+        return;
+    }
+    
+    for (const list of filterLists) {
+        const item = document.createElement('div');
+        item.className = `blocked-item rule-item${list.enabled === false ? ' disabled' : ''}`;
+        
+        // Enable/disable toggle
+        const toggle = document.createElement('label');
+        toggle.className = 'toggle toggle-small';
+        const toggleInput = document.createElement('input');
+        toggleInput.type = 'checkbox';
+        toggleInput.checked = list.enabled !== false;
+        toggleInput.setAttribute('aria-label', `Enable ${list.title}`);
+        toggleInput.addEventListener('change', () => updateFilterLists({ action: 'toggle', id: list.id }));
+        const toggleSlider = document.createElement('span');
+        toggleSlider.className = 'toggle-slider';
+        toggle.appendChild(toggleInput);
+        toggle.appendChild(toggleSlider);
+        
+        // Title, metadata and last error
+        const itemInfo = document.createElement('div');
+        itemInfo.className = 'blocked-item-info rule-item-info';
+        
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'blocked-name';
+        nameSpan.textContent = list.title;
+        if (list.url) nameSpan.title = list.url;
+        
+        const summary = document.createElement('span');
+        summary.className = 'rule-summary';
+        summary.textContent = describeFilterList(list);
+        
+        itemInfo.appendChild(nameSpan);
+        itemInfo.appendChild(summary);
+        
+        if (list.needsAccess) {
+            const access = document.createElement('span');
+            access.className = 'rule-summary filter-list-error';
+            access.textContent = `Imported from a backup: allow access to ${new URL(list.url).hostname} to keep it updated`;
+            itemInfo.appendChild(access);
+        } else if (list.error) {
+            const error = document.createElement('span');
+            error.className = 'rule-summary filter-list-error';
+            error.textContent = `Last refresh failed: ${list.error}`;
+            itemInfo.appendChild(error);
+        }
+        
+        item.appendChild(toggle);
+        item.appendChild(itemInfo);
+        
+        // Refresh button (URL lists only); imported lists ask for host access first
+        if (list.source === 'url') {
+            const refreshBtn = document.createElement('button');
+            refreshBtn.className = 'btn btn-secondary btn-small rule-edit';
+            refreshBtn.textContent = list.needsAccess ? 'Allow access' : 'Refresh';
+            refreshBtn.addEventListener('click', async () => {
+                refreshBtn.disabled = true;
+                if (list.needsAccess) await requestFilterListAccess(list.url);
+                await updateFilterLists({ action: 'refresh', id: list.id });
+                refreshBtn.disabled = false;
+            });
+            item.appendChild(refreshBtn);
+        }
+        
+        // Remove button
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'blocked-remove';
+        removeBtn.setAttribute('aria-label', `Remove ${list.title}`);
+        
+        const removeSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        removeSvg.setAttribute('viewBox', '0 0 24 24');
+        removeSvg.setAttribute('width', '16');
+        removeSvg.setAttribute('height', '16');
+        const removePath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        removePath.setAttribute('fill', 'currentColor');
+        removePath.setAttribute('d', 'M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z');
+        removeSvg.appendChild(removePath);
+        removeBtn.appendChild(removeSvg);
+        removeBtn.addEventListener('click', async () => {
+            if (!confirm(`Remove filter list "${list.title}"?`)) return;
+            await updateFilterLists({ action: 'remove', id: list.id });
+        });
+        
+        item.appendChild(removeBtn);
+        container.appendChild(item);
+    }
+}
+
+/**
+ * Ask for access to a filter list's host
+ * Lists served with open CORS headers work without it, so a refusal isn't an error.
+ * @param {string} url - List URL
+ */
+async function requestFilterListAccess(url) {
+    if (!browserAPI.permissions?.request) return;
+    try {
+        await browserAPI.permissions.request({ origins: [`${new URL(url).origin}/*`] });
+    } catch (error) {
+        console.debug('Host permission request failed:', error);
+    }
+}
+
+/**
+ * Subscribe to the URL typed into the filter list input
+ * Asks for access to the list's host first; lists served with open CORS headers work without it.
+ */
+async function subscribeFilterListFromInput() {
+    const input = elements.filterListUrl;
+    const url = input.value.trim();
+    
+    if (!isValidFilterListUrl(url)) {
+        showFilterListStatus('Enter an https:// URL', true);
+        return;
+    }
+    
+    await requestFilterListAccess(url);
+    
+    showFilterListStatus('Downloading…');
+    elements.btnSubscribeFilterList.disabled = true;
+    
+    if (await updateFilterLists({ action: 'subscribe', url })) {
+        input.value = '';
+        showFilterListStatus('Subscribed');
+    }
+    elements.btnSubscribeFilterList.disabled = false;
+}
+
+/**
+ * Import a filter list from a local file
+ * @param {File} file - Text or JSON list
+ */
+async function importFilterListFile(file) {
+    try {
+        const text = await file.text();
+        const name = file.name.replace(/\.(txt|json)$/i, '');
+        if (await updateFilterLists({ action: 'import', text, name })) {
+            showFilterListStatus(`Loaded ${file.name}`);
+        }
+    } catch (error) {
+        console.error('Failed to read filter list file:', error);
+        showFilterListStatus('Could not read the file', true);
+    }
+}
+
+/**
+ * Remove all filter lists
+ */
+async function clearAllFilterLists() {
+    if (filterLists.length === 0) return;
+    
+    if (!confirm('Are you sure you want to remove all filter lists?')) return;
+    
+    await updateFilterLists({ action: 'clear' });
+}
+
+// ============================================
+// COUNTRY GROUPS
+// ============================================
+
+/**
+ * Load user-defined country groups
+ */
+async function loadCountryGroups() {
+    try {
+        const response = await browserAPI.runtime.sendMessage({
+            type: MESSAGE_TYPES.GET_COUNTRY_GROUPS
+        });
+
+        if (response?.success) {
+            countryGroups = response.data || [];
+            renderCountryGroups();
+            updateCountryGroupsCount();
+        }
+    } catch (error) {
+        console.error('Failed to load country groups:', error);
+    }
+    
+    renderCountryGroupRegionOptions();
+    renderCountryGroupGrid();
+}
+
+/**
+ * Update country groups count badge (active groups only)
+ */
+function updateCountryGroupsCount() {
+    if (elements.countryGroupsCount) {
+        const activeCount = countryGroups.filter(group => group.mode !== FILTER_MODES.OFF).length;
+        elements.countryGroupsCount.textContent = activeCount;
+        elements.countryGroupsCount.style.display = activeCount > 0 ? 'inline-flex' : 'none';
+    }
+}
+
+/**
+ * Show a message next to the group editor buttons
+ * @param {string} message - Status text (empty to clear)
+ * @param {boolean} [isError=false] - Style as an error
+ */
+function showCountryGroupStatus(message, isError = false) {
+    const status = elements.countryGroupsStatus;
+    if (!status) return;
+    status.textContent = message;
+    status.classList.toggle('filter-list-error', isError);
+}
+
+/**
+ * Send a country groups update to the background and refresh the list
+ * @param {Object} payload - SET_COUNTRY_GROUPS payload ({action, group, id, mode, groups})
+ * @returns {Promise<boolean>} - True on success
+ */
+async function updateCountryGroups(payload) {
+    try {
+        const response = await browserAPI.runtime.sendMessage({
+            type: MESSAGE_TYPES.SET_COUNTRY_GROUPS,
+            payload
+        });
+
+        if (response?.success) {
+            countryGroups = response.data || [];
+            renderCountryGroups();
+            updateCountryGroupsCount();
+            showSaveStatus();
+            return true;
+        }
+        
+        showCountryGroupStatus(response?.error || 'Could not update country groups', true);
+    } catch (error) {
+        console.error('Failed to update country groups:', error);
+        showCountryGroupStatus(error.message, true);
+    }
+    return false;
+}
+
+/**
+ * Describe a group's members, e.g. "3 countries: France, Germany, Italy"
+ * @param {Object} group - Stored group
+ * @returns {string} - Summary line (long member lists are shortened)
+ */
+function describeCountryGroup(group) {
+    const count = group.countries.length;
+    if (count === 0) return 'No countries';
+    
+    const names = group.countries.slice(0, 8).map(formatCountryGroupMember).join(', ');
+    const more = count > 8 ? ` and ${count - 8} more` : '';
+    return `${describeCountryGroupSize(group)}: ${names}${more}`;
+}
+
+/**
+ * Render saved country groups
+ */
+function renderCountryGroups() {
+    const container = elements.countryGroupsList;
+    if (!container) return;
+    
+    container.replaceChildren();
+    
+    if (countryGroups.length === 0) {
+        const emptyState = document.createElement('p');
+        emptyState.className = 'empty-state';
+        emptyState.textContent = 'No country groups';
+        container.appendChild(emptyState);
+        return;
+    }
+    
+    for (const group of countryGroups) {
+        const item = document.createElement('div');
+        item.className = `blocked-item rule-item${group.mode === FILTER_MODES.OFF ? ' disabled' : ''}`;
+        
+        // Mode: off / block (follows the blocking mode) / highlight
+        const modeSelect = document.createElement('select');
+        modeSelect.className = 'rule-select';
+        modeSelect.setAttribute('aria-label', `What ${group.name} does`);
+        for (const [value, label] of [[FILTER_MODES.OFF, 'Off'], [FILTER_MODES.BLOCK, 'Block'], [FILTER_MODES.HIGHLIGHT, 'Highlight']]) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            modeSelect.appendChild(option);
+        }
+        modeSelect.value = group.mode;
+        modeSelect.addEventListener('change', () => updateCountryGroups({ action: 'setMode', id: group.id, mode: modeSelect.value }));
+        
+        // Name and members
+        const itemInfo = document.createElement('div');
+        itemInfo.className = 'blocked-item-info rule-item-info';
+        
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'blocked-name';
+        nameSpan.textContent = group.name;
+        
+        const summary = document.createElement('span');
+        summary.className = 'rule-summary';
+        summary.textContent = describeCountryGroup(group);
+        summary.title = group.countries.map(formatCountryGroupMember).join(', ');
+        
+        itemInfo.appendChild(nameSpan);
+        itemInfo.appendChild(summary);
+        
+        // Edit button
+        const editBtn = document.createElement('button');
+        editBtn.className = 'btn btn-secondary btn-small rule-edit';
+        editBtn.textContent = 'Edit';
+        editBtn.addEventListener('click', () => editCountryGroup(group));
+        
+        // Remove button
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'blocked-remove';
+        removeBtn.setAttribute('aria-label', `Remove ${group.name}`);
+        
+        const removeSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        removeSvg.setAttribute('viewBox', '0 0 24 24');
+        removeSvg.setAttribute('width', '16');
+        removeSvg.setAttribute('height', '16');
+        const removePath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        removePath.setAttribute('fill', 'currentColor');
+        removePath.setAttribute('d', 'M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z');
+        removeSvg.appendChild(removePath);
+        removeBtn.appendChild(removeSvg);
+        removeBtn.addEventListener('click', async () => {
+            if (!confirm(`Remove country group "${group.name}"?`)) return;
+            if (await updateCountryGroups({ action: 'remove', id: group.id }) && groupDraft.id === group.id) {
+                resetCountryGroupEditor();
+            }
+        });
+        
+        item.appendChild(modeSelect);
+        item.appendChild(itemInfo);
+        item.appendChild(editBtn);
+        item.appendChild(removeBtn);
+        container.appendChild(item);
+    }
+}
+
+/**
+ * Fill the "Add region" select with X's regions
+ */
+function renderCountryGroupRegionOptions() {
+    const select = elements.countryGroupAddRegion;
+    if (!select || select.options.length > 1) return;
+    
+    for (const region of REGION_LIST) {
+        const option = document.createElement('option');
+        option.value = region.key;
+        option.textContent = `${region.flag} ${region.name} (${REGION_COUNTRIES[region.key]?.length || 0})`;
+        select.appendChild(option);
+    }
+}
+
+/**
+ * Render the country and region picker for the group being edited
+ * Regions come first; a region in a group covers its member countries (see country-groups.js).
+ * @param {string} [filter=''] - Search text
+ */
+function renderCountryGroupGrid(filter = elements.countryGroupSearch?.value || '') {
+    const grid = elements.countryGroupGrid;
+    if (!grid) return;
+    
+    const filterLower = filter.toLowerCase();
+    const members = [
+        ...REGION_LIST.map(region => ({ key: region.key, flag: region.flag, name: region.name })),
+        ...COUNTRY_LIST.map(country => ({ key: country, flag: COUNTRY_FLAGS[country] || '🌍', name: formatCountryName(country) }))
+    ].filter(member => member.name.toLowerCase().includes(filterLower));
+    
+    grid.replaceChildren();
+    
+    if (members.length === 0) {
+        const emptyState = document.createElement('div');
+        emptyState.className = 'empty-state';
+        emptyState.textContent = 'No countries or regions match your search';
+        grid.appendChild(emptyState);
+        return;
+    }
+    
+    for (const { key, flag, name } of members) {
+        const isSelected = groupDraft.countries.has(key);
+        const item = document.createElement('div');
+        item.className = `country-item${isSelected ? ' blocked' : ''}`;
+        
+        const flagSpan = document.createElement('span');
+        flagSpan.className = 'country-item-flag';
+        flagSpan.textContent = flag;
+        
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'country-item-name';
+        nameSpan.textContent = name;
+        
+        item.appendChild(flagSpan);
+        item.appendChild(nameSpan);
+        
+        if (isSelected) {
+            const selectedSpan = document.createElement('span');
+            selectedSpan.className = 'country-item-blocked';
+            selectedSpan.textContent = '✓';
+            item.appendChild(selectedSpan);
+        }
+        
+        item.addEventListener('click', () => {
+            if (groupDraft.countries.has(key)) {
+                groupDraft.countries.delete(key);
+            } else {
+                groupDraft.countries.add(key);
+            }
+            updateCountryGroupDraftStatus();
+            renderCountryGroupGrid();
+        });
+        grid.appendChild(item);
+    }
+}
+
+/**
+ * Show how many countries and regions the draft group has
+ */
+function updateCountryGroupDraftStatus() {
+    const editing = groupDraft.id ? 'Editing · ' : '';
+    showCountryGroupStatus(`${editing}${describeCountryGroupSize({ countries: Array.from(groupDraft.countries) })} selected`);
+}
+
+/**
+ * Load a saved group into the editor
+ * @param {Object} group - Stored group
+ */
+function editCountryGroup(group) {
+    groupDraft = { id: group.id, countries: new Set(group.countries) };
+    if (elements.countryGroupName) {
+        elements.countryGroupName.value = group.name;
+        elements.countryGroupName.focus();
+    }
+    updateCountryGroupDraftStatus();
+    renderCountryGroupGrid();
+}
+
+/**
+ * Clear the editor back to a new, empty group
+ */
+function resetCountryGroupEditor() {
+    groupDraft = { id: null, countries: new Set() };
+    if (elements.countryGroupName) elements.countryGroupName.value = '';
+    if (elements.countryGroupSearch) elements.countryGroupSearch.value = '';
+    showCountryGroupStatus('');
+    renderCountryGroupGrid('');
+}
+
+/**
+ * Save the group in the editor (adds a new group or updates the one being edited)
+ */
+async function saveCountryGroup() {
+    const name = elements.countryGroupName?.value.trim() || '';
+    if (!name) {
+        showCountryGroupStatus('Enter a name for the group', true);
+        return;
+    }
+    if (groupDraft.countries.size === 0) {
+        showCountryGroupStatus('Pick at least one country or region', true);
+        return;
+    }
+    
+    const existing = countryGroups.find(group => group.id === groupDraft.id);
+    const group = {
+        id: groupDraft.id || undefined,
+        name,
+        countries: Array.from(groupDraft.countries).sort(),
+        // New groups start blocked; edits keep the current mode
+        mode: existing ? existing.mode : FILTER_MODES.BLOCK
+    };
+    
+    if (await updateCountryGroups({ action: existing ? 'update' : 'add', group })) {
+        resetCountryGroupEditor();
+        showCountryGroupStatus(existing ? `Updated "${name}"` : `Created "${name}"`);
+    }
+}
+
+/**
+ * Remove all country groups
+ */
+async function clearAllCountryGroups() {
+    if (countryGroups.length === 0) return;
+    
+    if (!confirm('Are you sure you want to remove all country groups?')) return;
+    
+    if (await updateCountryGroups({ action: 'clear' })) {
+        resetCountryGroupEditor();
+    }
+}
+
+// ============================================
+// RULE EDITOR
+// ============================================
+
+// Condition types offered in the editor (groups are added via "+ Group")
+const RULE_CONDITION_OPTIONS = [
+    { type: FILTER_CONDITION_TYPES.COUNTRY, label: 'Country' },
+    { type: FILTER_CONDITION_TYPES.REGION, label: 'Region' },
+    { type: FILTER_CONDITION_TYPES.DEVICE, label: 'Device' },
+    { type: FILTER_CONDITION_TYPES.VPN, label: 'VPN / proxy' },
+    { type: FILTER_CONDITION_TYPES.ACCOUNT_AGE, label: 'Account age' },
+    { type: FILTER_CONDITION_TYPES.VERIFIED, label: 'Verification' },
+    { type: FILTER_CONDITION_TYPES.TAG, label: 'Name tag' },
+    { type: FILTER_CONDITION_TYPES.FLAG_MISMATCH, label: 'Name flag vs location' },
+    { type: FILTER_CONDITION_TYPES.AFFILIATION, label: 'Affiliation type' },
+    { type: FILTER_CONDITION_TYPES.AFFILIATE, label: 'Affiliated with' }
+];
+
+/**
+ * Convert a stored condition into an editor node
+ * NOT wrappers become a `negate` flag so every node can be negated with a checkbox.
  */
-async function loadBlockedCountries() {
-    try {
-        const response = await browserAPI.runtime.sendMessage({
-            type: MESSAGE_TYPES.GET_BLOCKED_COUNTRIES
-        });
-
-        if (response?.success) {
-            blockedCountries = response.data || [];
-            renderBlockedCountries();
-            renderCountryGrid();
-            updateBlockedCount();
-        }
-    } catch (error) {
-        console.error('Failed to load blocked countries:', error);
+function toEditorNode(condition) {
+    let negate = false;
+    let current = condition;
+    while (current?.type === FILTER_CONDITION_TYPES.NOT) {
+        negate = !negate;
+        current = current.condition;
+    }
+    
+    if (current?.type === FILTER_CONDITION_TYPES.AND || current?.type === FILTER_CONDITION_TYPES.OR) {
+        return { negate, type: current.type, conditions: current.conditions.map(toEditorNode) };
     }
+    return { ...createLeafNode(current?.type || FILTER_CONDITION_TYPES.COUNTRY), ...current, negate };
 }
 
 /**
- * Load blocked regions
+ * Convert an editor node back into a stored condition
  */
-async function loadBlockedRegions() {
-    try {
-        const response = await browserAPI.runtime.sendMessage({
-            type: MESSAGE_TYPES.GET_BLOCKED_REGIONS
-        });
+function fromEditorNode(node) {
+    const { negate, ...rest } = node;
+    const condition = rest.conditions
+        ? { type: rest.type, conditions: rest.conditions.map(fromEditorNode) }
+        : rest;
+    return negate ? { type: FILTER_CONDITION_TYPES.NOT, condition } : condition;
+}
 
-        if (response?.success) {
-            blockedRegions = response.data || [];
-            renderBlockedRegions();
-            renderRegionGrid();
-            updateBlockedRegionsCount();
-        }
-    } catch (error) {
-        console.error('Failed to load blocked regions:', error);
+/**
+ * Create an empty leaf node of the given type
+ */
+function createLeafNode(type) {
+    switch (type) {
+        case FILTER_CONDITION_TYPES.VPN:
+        case FILTER_CONDITION_TYPES.FLAG_MISMATCH:
+            return { negate: false, type, value: true };
+        case FILTER_CONDITION_TYPES.ACCOUNT_AGE:
+            return { negate: false, type, operator: 'lt', days: 30 };
+        default:
+            return { negate: false, type, values: [] };
     }
 }
 
 /**
- * Update blocked count badge
+ * Open the rule editor for an existing rule (or a new one)
+ * @param {Object|null} rule - Rule to edit, or null to create
  */
-function updateBlockedCount() {
-    if (elements.blockedCount) {
-        elements.blockedCount.textContent = blockedCountries.length;
-        elements.blockedCount.style.display = blockedCountries.length > 0 ? 'inline-flex' : 'none';
-    }
+function openRuleEditor(rule = null) {
+    ruleDraft = rule
+        ? { ...rule, condition: toEditorNode(rule.condition) }
+        : {
+            id: null,
+            name: '',
+            enabled: true,
+            action: FILTER_ACTIONS.HIGHLIGHT,
+            label: '',
+            condition: { negate: false, type: FILTER_CONDITION_TYPES.AND, conditions: [createLeafNode(FILTER_CONDITION_TYPES.COUNTRY)] }
+        };
+    renderRuleEditor();
 }
 
 /**
- * Update blocked regions count badge
+ * Close the rule editor without saving
  */
-function updateBlockedRegionsCount() {
-    if (elements.blockedRegionsCount) {
-        elements.blockedRegionsCount.textContent = blockedRegions.length;
-        elements.blockedRegionsCount.style.display = blockedRegions.length > 0 ? 'inline-flex' : 'none';
+function closeRuleEditor() {
+    ruleDraft = null;
+    if (elements.ruleEditor) {
+        elements.ruleEditor.replaceChildren();
+        elements.ruleEditor.style.display = 'none';
     }
 }
 
 /**
- * Load blocked tags
+ * Render the rule editor for the current draft
  */
-async function loadBlockedTags() {
-    try {
-        const response = await browserAPI.runtime.sendMessage({
-            type: MESSAGE_TYPES.GET_BLOCKED_TAGS
-        });
-
-        if (response?.success) {
-            blockedTags = response.data || [];
-            renderBlockedTags();
-            updateBlockedTagsCount();
-        }
-    } catch (error) {
-        console.error('Failed to load blocked tags:', error);
-    }
+function renderRuleEditor() {
+    const editor = elements.ruleEditor;
+    if (!editor || !ruleDraft) return;
+    
+    editor.replaceChildren();
+    editor.style.display = 'block';
+    
+    const title = document.createElement('h3');
+    title.className = 'rule-editor-title';
+    title.textContent = ruleDraft.id ? 'Edit Rule' : 'New Rule';
+    editor.appendChild(title);
+    
+    // Name + action row
+    const row = document.createElement('div');
+    row.className = 'rule-editor-row';
+    
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'country-search';
+    nameInput.placeholder = 'Rule name (e.g. New Android accounts)';
+    nameInput.maxLength = 80;
+    nameInput.value = ruleDraft.name;
+    nameInput.addEventListener('input', e => {
+        ruleDraft.name = e.target.value;
+    });
+    
+    const actionSelect = createSelect([
+        { value: FILTER_ACTIONS.HIDE, label: 'Hide' },
+        { value: FILTER_ACTIONS.COLLAPSE, label: 'Collapse' },
+        { value: FILTER_ACTIONS.HIGHLIGHT, label: 'Highlight' },
+        { value: FILTER_ACTIONS.LABEL, label: 'Label' }
+    ], ruleDraft.action);
+    actionSelect.setAttribute('aria-label', 'Rule action');
+    
+    const labelInput = document.createElement('input');
+    labelInput.type = 'text';
+    labelInput.className = 'country-search rule-label-input';
+    labelInput.placeholder = 'Label text (defaults to rule name)';
+    labelInput.maxLength = 80;
+    labelInput.value = ruleDraft.label || '';
+    labelInput.style.display = ruleDraft.action === FILTER_ACTIONS.LABEL ? '' : 'none';
+    labelInput.addEventListener('input', e => {
+        ruleDraft.label = e.target.value;
+    });
+    
+    actionSelect.addEventListener('change', e => {
+        ruleDraft.action = e.target.value;
+        labelInput.style.display = ruleDraft.action === FILTER_ACTIONS.LABEL ? '' : 'none';
+    });
+    
+    row.appendChild(nameInput);
+    row.appendChild(actionSelect);
+    row.appendChild(labelInput);
+    editor.appendChild(row);
+    
+    // Condition tree (root is always a group)
+    editor.appendChild(createConditionEditor(ruleDraft.condition, 0, null));
+    
+    // Save / cancel
+    const actions = document.createElement('div');
+    actions.className = 'blocked-actions';
+    
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'btn btn-secondary btn-small';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', closeRuleEditor);
+    
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'btn btn-primary btn-small';
+    saveBtn.textContent = 'Save Rule';
+    saveBtn.addEventListener('click', saveRuleDraft);
+    
+    actions.appendChild(cancelBtn);
+    actions.appendChild(saveBtn);
+    editor.appendChild(actions);
 }
 
 /**
- * Update blocked tags count badge
+ * Create a <select> element
+ * @param {Array<{value: string, label: string}>} options - Options
+ * @param {string|string[]} selected - Selected value(s)
+ * @param {boolean} multiple - Allow multiple selection
  */
-function updateBlockedTagsCount() {
-    if (elements.blockedTagsCount) {
-        elements.blockedTagsCount.textContent = blockedTags.length;
-        elements.blockedTagsCount.style.display = blockedTags.length > 0 ? 'inline-flex' : 'none';
+function createSelect(options, selected, multiple = false) {
+    const select = document.createElement('select');
+    select.className = 'rule-select';
+    select.multiple = multiple;
+    const selectedValues = Array.isArray(selected) ? selected : [selected];
+    
+    for (const { value, label } of options) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        option.selected = selectedValues.includes(value);
+        select.appendChild(option);
     }
+    return select;
 }
 
 /**
- * Render blocked tags list
+ * Create the editor UI for a condition node (recursive for groups)
+ * @param {Object} node - Editor node (mutated in place)
+ * @param {number} depth - Nesting depth
+ * @param {Function|null} onRemove - Removes this node from its parent (null for the root)
  */
-function renderBlockedTags() {
-    const list = elements.blockedTagsList;
-    if (!list) return;
+function createConditionEditor(node, depth, onRemove) {
+    const isGroup = node.type === FILTER_CONDITION_TYPES.AND || node.type === FILTER_CONDITION_TYPES.OR;
     
-    // Clear list safely
-    list.replaceChildren();
+    const container = document.createElement('div');
+    container.className = isGroup ? 'rule-group' : 'rule-condition';
     
-    if (blockedTags.length === 0) {
-        const emptyState = document.createElement('p');
-        emptyState.className = 'empty-state';
-        emptyState.textContent = 'No tags blocked';
-        list.appendChild(emptyState);
-        return;
-    }
+    const header = document.createElement('div');
+    header.className = 'rule-condition-row';
     
-    for (const tag of blockedTags.sort()) {
-        const item = document.createElement('div');
-        item.className = 'blocked-item';
-        
-        // Build blocked-item-info
-        const itemInfo = document.createElement('div');
-        itemInfo.className = 'blocked-item-info';
-        
-        // Tag display
-        const tagSpan = document.createElement('span');
-        tagSpan.className = 'blocked-tag-text';
-        tagSpan.textContent = tag;
-        itemInfo.appendChild(tagSpan);
+    // NOT checkbox
+    const negateLabel = document.createElement('label');
+    negateLabel.className = 'rule-negate';
+    const negateInput = document.createElement('input');
+    negateInput.type = 'checkbox';
+    negateInput.checked = node.negate === true;
+    negateInput.addEventListener('change', e => {
+        node.negate = e.target.checked;
+    });
+    negateLabel.appendChild(negateInput);
+    negateLabel.appendChild(document.createTextNode('NOT'));
+    header.appendChild(negateLabel);
+    
+    if (isGroup) {
+        const groupSelect = createSelect([
+            { value: FILTER_CONDITION_TYPES.AND, label: 'ALL of (AND)' },
+            { value: FILTER_CONDITION_TYPES.OR, label: 'ANY of (OR)' }
+        ], node.type);
+        groupSelect.addEventListener('change', e => {
+            node.type = e.target.value;
+        });
+        header.appendChild(groupSelect);
         
-        item.appendChild(itemInfo);
+        const addConditionBtn = document.createElement('button');
+        addConditionBtn.className = 'btn btn-secondary btn-small';
+        addConditionBtn.textContent = '+ Condition';
+        addConditionBtn.addEventListener('click', () => {
+            node.conditions.push(createLeafNode(FILTER_CONDITION_TYPES.COUNTRY));
+            renderRuleEditor();
+        });
+        header.appendChild(addConditionBtn);
         
-        // Remove button
+        // Limit nesting to keep rules readable
+        if (depth < 3) {
+            const addGroupBtn = document.createElement('button');
+            addGroupBtn.className = 'btn btn-secondary btn-small';
+            addGroupBtn.textContent = '+ Group';
+            addGroupBtn.addEventListener('click', () => {
+                node.conditions.push({
+                    negate: false,
+                    type: FILTER_CONDITION_TYPES.OR,
+                    conditions: [createLeafNode(FILTER_CONDITION_TYPES.COUNTRY)]
+                });
+                renderRuleEditor();
+            });
+            header.appendChild(addGroupBtn);
+        }
+    } else {
+        const typeSelect = createSelect(
+            RULE_CONDITION_OPTIONS.map(o => ({ value: o.type, label: o.label })),
+            node.type
+        );
+        typeSelect.addEventListener('change', e => {
+            const negate = node.negate;
+            for (const key of Object.keys(node)) delete node[key];
+            Object.assign(node, createLeafNode(e.target.value), { negate });
+            renderRuleEditor();
+        });
+        header.appendChild(typeSelect);
+        header.appendChild(createConditionValueEditor(node));
+    }
+    
+    if (onRemove) {
         const removeBtn = document.createElement('button');
         removeBtn.className = 'blocked-remove';
-        removeBtn.dataset.tag = tag;
-        removeBtn.setAttribute('aria-label', `Remove ${tag}`);
-        
-        const removeSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-        removeSvg.setAttribute('viewBox', '0 0 24 24');
-        removeSvg.setAttribute('width', '16');
-        removeSvg.setAttribute('height', '16');
-        const removePath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        removePath.setAttribute('fill', 'currentColor');
-        removePath.setAttribute('d', 'M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z');
-        removeSvg.appendChild(removePath);
-        removeBtn.appendChild(removeSvg);
-        
-        // Add event handler directly
-        removeBtn.addEventListener('click', async () => {
-            await removeBlockedTag(tag);
+        removeBtn.setAttribute('aria-label', 'Remove condition');
+        removeBtn.textContent = '✕';
+        removeBtn.addEventListener('click', () => {
+            onRemove();
+            renderRuleEditor();
         });
-        
-        item.appendChild(removeBtn);
-        list.appendChild(item);
+        header.appendChild(removeBtn);
     }
-}
-
-/**
- * Add a new blocked tag
- */
-async function addBlockedTag(tag) {
-    if (!tag || tag.trim() === '') return;
     
-    try {
-        const response = await browserAPI.runtime.sendMessage({
-            type: MESSAGE_TYPES.SET_BLOCKED_TAGS,
-            payload: { action: 'add', tag: tag.trim() }
+    container.appendChild(header);
+    
+    if (isGroup) {
+        const children = document.createElement('div');
+        children.className = 'rule-group-children';
+        node.conditions.forEach((child, index) => {
+            children.appendChild(createConditionEditor(child, depth + 1, () => {
+                node.conditions.splice(index, 1);
+            }));
         });
-
-        if (response?.success) {
-            blockedTags = response.data || [];
-            renderBlockedTags();
-            updateBlockedTagsCount();
-            showSaveStatus();
-        }
-    } catch (error) {
-        console.error('Failed to add blocked tag:', error);
+        container.appendChild(children);
     }
+    
+    return container;
 }
 
 /**
- * Remove a blocked tag
+ * Create the value input(s) for a leaf condition
+ * @param {Object} node - Leaf editor node (mutated in place)
  */
-async function removeBlockedTag(tag) {
-    try {
-        const response = await browserAPI.runtime.sendMessage({
-            type: MESSAGE_TYPES.SET_BLOCKED_TAGS,
-            payload: { action: 'remove', tag }
-        });
-
-        if (response?.success) {
-            blockedTags = response.data || [];
-            renderBlockedTags();
-            updateBlockedTagsCount();
-            showSaveStatus();
+function createConditionValueEditor(node) {
+    switch (node.type) {
+        case FILTER_CONDITION_TYPES.COUNTRY:
+        case FILTER_CONDITION_TYPES.REGION:
+        case FILTER_CONDITION_TYPES.DEVICE:
+        case FILTER_CONDITION_TYPES.VERIFIED:
+        case FILTER_CONDITION_TYPES.AFFILIATION: {
+            let options;
+            if (node.type === FILTER_CONDITION_TYPES.COUNTRY) {
+                options = COUNTRY_LIST.map(c => ({ value: c, label: `${COUNTRY_FLAGS[c] || '🌍'} ${formatCountryName(c)}` }));
+            } else if (node.type === FILTER_CONDITION_TYPES.REGION) {
+                options = REGION_LIST.map(r => ({ value: r.key, label: `${r.flag} ${r.name}` }));
+            } else if (node.type === FILTER_CONDITION_TYPES.DEVICE) {
+                options = DEVICE_CATEGORIES.map(d => ({ value: d, label: d }));
+            } else if (node.type === FILTER_CONDITION_TYPES.AFFILIATION) {
+                options = Object.entries(AFFILIATION_CATEGORIES).map(([value, label]) => ({ value, label }));
+            } else {
+                options = Object.entries(VERIFICATION_STATUSES).map(([value, label]) => ({ value, label }));
+            }
+            const select = createSelect(options, node.values, true);
+            select.size = Math.min(options.length, 4);
+            select.title = 'Ctrl/Cmd + click to select several';
+            select.addEventListener('change', () => {
+                node.values = Array.from(select.selectedOptions, o => o.value);
+            });
+            return select;
+        }
+        
+        case FILTER_CONDITION_TYPES.VPN: {
+            const select = createSelect([
+                { value: 'true', label: 'detected' },
+                { value: 'false', label: 'not detected' }
+            ], String(node.value));
+            select.addEventListener('change', e => {
+                node.value = e.target.value === 'true';
+            });
+            return select;
+        }
+        
+        case FILTER_CONDITION_TYPES.FLAG_MISMATCH: {
+            // Only users with a country flag in their name and a country-level location can match
+            const select = createSelect([
+                { value: 'true', label: 'differs' },
+                { value: 'false', label: 'matches' }
+            ], String(node.value));
+            select.title = 'Compares country flags in the display name with the detected country';
+            select.addEventListener('change', e => {
+                node.value = e.target.value === 'true';
+            });
+            return select;
+        }
+        
+        case FILTER_CONDITION_TYPES.ACCOUNT_AGE: {
+            const wrapper = document.createElement('span');
+            wrapper.className = 'rule-value-group';
+            const operatorSelect = createSelect([
+                { value: 'lt', label: 'younger than' },
+                { value: 'gt', label: 'older than' }
+            ], node.operator);
+            operatorSelect.addEventListener('change', e => {
+                node.operator = e.target.value;
+            });
+            const daysInput = document.createElement('input');
+            daysInput.type = 'number';
+            daysInput.min = '0';
+            daysInput.className = 'rule-number';
+            daysInput.value = node.days;
+            daysInput.addEventListener('input', e => {
+                node.days = e.target.value;
+            });
+            const unit = document.createElement('span');
+            unit.textContent = 'days';
+            wrapper.appendChild(operatorSelect);
+            wrapper.appendChild(daysInput);
+            wrapper.appendChild(unit);
+            return wrapper;
+        }
+        
+        case FILTER_CONDITION_TYPES.AFFILIATE: {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'country-search rule-text';
+            input.placeholder = 'Organizations or handles, comma separated (e.g. Acme Corp, @acme)';
+            input.title = 'Matches the affiliation label shown on the profile, or the affiliated account\'s handle';
+            input.value = (node.values || []).join(', ');
+            input.addEventListener('input', e => {
+                node.values = e.target.value.split(',').map(v => v.trim()).filter(Boolean);
+            });
+            return input;
+        }
+        
+        case FILTER_CONDITION_TYPES.TAG:
+        default: {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'country-search rule-text';
+            input.placeholder = 'Tags, comma separated (e.g. 🇷🇺, [BOT])';
+            input.value = (node.values || []).join(', ');
+            input.addEventListener('input', e => {
+                node.values = e.target.value.split(',').map(v => v.trim()).filter(Boolean);
+            });
+            return input;
         }
-    } catch (error) {
-        console.error('Failed to remove blocked tag:', error);
     }
 }
 
 /**
- * Clear all blocked tags
+ * Validate and save the rule being edited
  */
-async function clearAllBlockedTags() {
-    if (blockedTags.length === 0) return;
+async function saveRuleDraft() {
+    if (!ruleDraft) return;
     
-    if (!confirm('Are you sure you want to unblock all tags?')) return;
+    const rule = normalizeFilterRule({
+        ...ruleDraft,
+        name: ruleDraft.name.trim() || 'Untitled rule',
+        condition: fromEditorNode(ruleDraft.condition)
+    });
     
-    try {
-        const response = await browserAPI.runtime.sendMessage({
-            type: MESSAGE_TYPES.SET_BLOCKED_TAGS,
-            payload: { action: 'clear' }
-        });
-
-        if (response?.success) {
-            blockedTags = [];
-            renderBlockedTags();
-            updateBlockedTagsCount();
-            showSaveStatus();
-        }
-    } catch (error) {
-        console.error('Failed to clear blocked tags:', error);
+    if (!rule) {
+        alert('Please complete at least one condition (select a value for each condition you added).');
+        return;
+    }
+    
+    const success = await updateFilterRules(ruleDraft.id
+        ? { action: 'update', rule }
+        : { action: 'add', rule });
+    
+    if (success) {
+        closeRuleEditor();
     }
 }
 
@@ -968,12 +3009,57 @@ function renderStatistics(stats) {
             const barLabel = document.createElement('div');
             barLabel.className = 'stat-bar-label';
             
-            const countrySpan = document.createElement('span');
-            countrySpan.textContent = `${COUNTRY_FLAGS[c.country] || '🌍'} ${formatCountryName(c.country)}`;
-            barLabel.appendChild(countrySpan);
+            const countrySpan = document.createElement('span');
+            countrySpan.textContent = `${COUNTRY_FLAGS[c.country] || '🌍'} ${formatCountryName(c.country)}`;
+            barLabel.appendChild(countrySpan);
+            
+            const countSpan = document.createElement('span');
+            countSpan.textContent = `${c.count} (${c.percentage}%)`;
+            barLabel.appendChild(countSpan);
+            
+            barItem.appendChild(barLabel);
+            
+            const bar = document.createElement('div');
+            bar.className = 'stat-bar';
+            const barFill = document.createElement('div');
+            barFill.className = 'stat-bar-fill';
+            barFill.style.width = `${c.percentage}%`;
+            bar.appendChild(barFill);
+            barItem.appendChild(bar);
+            
+            statBars.appendChild(barItem);
+        }
+        
+        countriesSubsection.appendChild(statBars);
+        statsSection.appendChild(countriesSubsection);
+    }
+    
+    // Regions subsection (countries rolled up into their region)
+    if (stats.topRegions.length > 0) {
+        const regionsSubsection = document.createElement('div');
+        regionsSubsection.className = 'stats-subsection';
+        
+        const regionsSubtitle = document.createElement('h3');
+        regionsSubtitle.className = 'stats-subtitle';
+        regionsSubtitle.textContent = 'Regions';
+        regionsSubsection.appendChild(regionsSubtitle);
+        
+        const statBars = document.createElement('div');
+        statBars.className = 'stat-bars';
+        
+        for (const r of stats.topRegions) {
+            const barItem = document.createElement('div');
+            barItem.className = 'stat-bar-item';
+            
+            const barLabel = document.createElement('div');
+            barLabel.className = 'stat-bar-label';
+            
+            const regionSpan = document.createElement('span');
+            regionSpan.textContent = `${REGION_FLAGS[r.region] || '🌐'} ${REGION_NAMES[r.region] || r.region}`;
+            barLabel.appendChild(regionSpan);
             
             const countSpan = document.createElement('span');
-            countSpan.textContent = `${c.count} (${c.percentage}%)`;
+            countSpan.textContent = `${r.count} (${r.percentage}%)`;
             barLabel.appendChild(countSpan);
             
             barItem.appendChild(barLabel);
@@ -982,15 +3068,15 @@ function renderStatistics(stats) {
             bar.className = 'stat-bar';
             const barFill = document.createElement('div');
             barFill.className = 'stat-bar-fill';
-            barFill.style.width = `${c.percentage}%`;
+            barFill.style.width = `${r.percentage}%`;
             bar.appendChild(barFill);
             barItem.appendChild(bar);
             
             statBars.appendChild(barItem);
         }
         
-        countriesSubsection.appendChild(statBars);
-        statsSection.appendChild(countriesSubsection);
+        regionsSubsection.appendChild(statBars);
+        statsSection.appendChild(regionsSubsection);
     }
     
     // Device Distribution subsection
@@ -1012,7 +3098,7 @@ function renderStatistics(stats) {
             
             const iconSpan = document.createElement('span');
             iconSpan.className = 'device-icon';
-            iconSpan.textContent = d.device === 'iOS' ? '🍎' : d.device === 'Android' ? '🤖' : d.device === 'Web' ? '🌐' : '❓';
+            iconSpan.textContent = DEVICE_CATEGORY_EMOJIS[d.device] || DEVICE_CATEGORY_EMOJIS.Unknown;
             deviceStat.appendChild(iconSpan);
             
             const nameSpan = document.createElement('span');
@@ -1053,6 +3139,237 @@ function createStatsOverviewItem(value, label) {
     return item;
 }
 
+/**
+ * Load watched accounts and their change history
+ */
+async function loadWatchlist() {
+    try {
+        const response = await browserAPI.runtime.sendMessage({
+            type: MESSAGE_TYPES.GET_WATCHLIST
+        });
+
+        if (response?.success) {
+            watchlist = response.data || [];
+            renderWatchlist();
+        }
+    } catch (error) {
+        console.error('Failed to load watchlist:', error);
+    }
+}
+
+/**
+ * Render watched accounts, each with its change history (newest first)
+ */
+function renderWatchlist() {
+    if (elements.watchlistCount) {
+        elements.watchlistCount.textContent = watchlist.length;
+        elements.watchlistCount.style.display = watchlist.length > 0 ? 'inline-flex' : 'none';
+    }
+    
+    const list = elements.watchlistList;
+    if (!list) return;
+    
+    list.replaceChildren();
+    
+    if (watchlist.length === 0) {
+        const emptyState = document.createElement('p');
+        emptyState.className = 'empty-state';
+        emptyState.textContent = 'No watched accounts. Use "Watch for changes" in a hovercard to add one.';
+        list.appendChild(emptyState);
+        return;
+    }
+    
+    for (const entry of watchlist) {
+        const item = document.createElement('div');
+        item.className = 'blocked-item watchlist-item';
+        
+        const itemInfo = document.createElement('div');
+        itemInfo.className = 'blocked-item-info';
+        
+        const userLink = document.createElement('a');
+        userLink.className = 'blocked-tag-text';
+        userLink.href = `https://x.com/${entry.screenName}`;
+        userLink.target = '_blank';
+        userLink.rel = 'noopener';
+        userLink.textContent = `@${entry.screenName}`;
+        itemInfo.appendChild(userLink);
+        
+        const meta = document.createElement('span');
+        meta.className = 'watchlist-meta';
+        const checked = entry.lastCheckedAt ? `last checked ${new Date(entry.lastCheckedAt).toLocaleString()}` : 'not checked yet';
+        const changeCount = entry.history.length;
+        meta.textContent = `Watching since ${new Date(entry.addedAt).toLocaleDateString()} · ${checked} · ${changeCount} ${changeCount === 1 ? 'change' : 'changes'}`;
+        itemInfo.appendChild(meta);
+        
+        if (entry.lastError) {
+            const error = document.createElement('span');
+            error.className = 'watchlist-meta error';
+            error.textContent = `Last check failed: ${entry.lastError}`;
+            itemInfo.appendChild(error);
+        }
+        
+        if (changeCount > 0) {
+            const history = document.createElement('ul');
+            history.className = 'watchlist-history';
+            for (const change of entry.history) {
+                const row = document.createElement('li');
+                const time = document.createElement('time');
+                time.dateTime = new Date(change.at).toISOString();
+                time.textContent = new Date(change.at).toLocaleString();
+                row.appendChild(time);
+                row.appendChild(document.createTextNode(describeWatchChange(change)));
+                history.appendChild(row);
+            }
+            itemInfo.appendChild(history);
+        }
+        
+        item.appendChild(itemInfo);
+        
+        // Remove button
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'blocked-remove';
+        removeBtn.setAttribute('aria-label', `Stop watching @${entry.screenName}`);
+        
+        const removeSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        removeSvg.setAttribute('viewBox', '0 0 24 24');
+        removeSvg.setAttribute('width', '16');
+        removeSvg.setAttribute('height', '16');
+        const removePath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        removePath.setAttribute('fill', 'currentColor');
+        removePath.setAttribute('d', 'M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z');
+        removeSvg.appendChild(removePath);
+        removeBtn.appendChild(removeSvg);
+        
+        removeBtn.addEventListener('click', async () => {
+            if (changeCount > 0 && !confirm(`Stop watching @${entry.screenName} and delete its change history?`)) return;
+            await setWatchedUser('remove', entry.screenName);
+        });
+        
+        item.appendChild(removeBtn);
+        list.appendChild(item);
+    }
+}
+
+/**
+ * Update the watchlist
+ * @param {string} action - 'remove' or 'check'
+ * @param {string} [user] - Screen name (for 'remove')
+ * @returns {Promise<Object|null>} - Background response
+ */
+async function setWatchedUser(action, user) {
+    try {
+        const response = await browserAPI.runtime.sendMessage({
+            type: MESSAGE_TYPES.SET_WATCHLIST,
+            payload: { action, user }
+        });
+
+        if (response?.success) {
+            watchlist = response.data || [];
+            renderWatchlist();
+        }
+        return response;
+    } catch (error) {
+        console.error(`Failed to ${action} watchlist:`, error);
+        return null;
+    }
+}
+
+/**
+ * Load the per-day timeline composition
+ */
+async function loadImpressionStats() {
+    try {
+        const response = await browserAPI.runtime.sendMessage({
+            type: MESSAGE_TYPES.GET_IMPRESSION_STATS
+        });
+        
+        if (response?.success && response.data) {
+            renderImpressionStats(response.data);
+        }
+    } catch (error) {
+        console.error('Failed to load impression stats:', error);
+    }
+}
+
+/**
+ * Render the home timeline's country share per day
+ * @param {Object} stats - { retentionDays, home, other } from GET_IMPRESSION_STATS (days newest first)
+ */
+function renderImpressionStats(stats) {
+    const container = elements.timelineStats;
+    if (!container) return;
+    
+    container.replaceChildren();
+    
+    if (stats.home.length === 0) {
+        const emptyState = document.createElement('p');
+        emptyState.className = 'empty-state';
+        emptyState.textContent = stats.retentionDays > 0
+            ? 'Nothing recorded yet. Scroll your home timeline and check back.'
+            : 'Recording is off. Choose how long to keep history to start.';
+        container.appendChild(emptyState);
+        return;
+    }
+    
+    const homeTotal = stats.home.reduce((sum, day) => sum + day.total, 0);
+    const homeFiltered = stats.home.reduce((sum, day) => sum + day.filtered, 0);
+    const otherTotal = stats.other.reduce((sum, day) => sum + day.total, 0);
+    
+    const overview = document.createElement('div');
+    overview.className = 'stats-overview';
+    overview.appendChild(createStatsOverviewItem(String(homeTotal), `Home Tweets (${stats.home.length} days)`));
+    overview.appendChild(createStatsOverviewItem(formatPercent(homeFiltered, homeTotal), 'Hidden or Collapsed'));
+    overview.appendChild(createStatsOverviewItem(String(otherTotal), 'Seen Elsewhere'));
+    container.appendChild(overview);
+    
+    const days = document.createElement('div');
+    days.className = 'stat-bars';
+    
+    for (const day of stats.home) {
+        const dayItem = document.createElement('div');
+        dayItem.className = 'stat-bar-item';
+        
+        const dayLabel = document.createElement('div');
+        dayLabel.className = 'stat-bar-label';
+        
+        const dateSpan = document.createElement('span');
+        dateSpan.textContent = new Date(`${day.day}T00:00:00`).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+        dayLabel.appendChild(dateSpan);
+        
+        const totalSpan = document.createElement('span');
+        totalSpan.textContent = `${day.total} tweets · ${formatPercent(day.filtered, day.total)} filtered`;
+        dayLabel.appendChild(totalSpan);
+        
+        dayItem.appendChild(dayLabel);
+        
+        const topCount = IMPRESSION_STATS_CONFIG.TOP_COUNTRIES;
+        const countries = day.countries.filter(c => c.value !== UNKNOWN_COUNTRY);
+        const unknown = day.countries.find(c => c.value === UNKNOWN_COUNTRY)?.count || 0;
+        const other = countries.slice(topCount).reduce((sum, c) => sum + c.count, 0);
+        
+        const chips = document.createElement('div');
+        chips.className = 'timeline-chips';
+        const addChip = (label, count) => {
+            const chip = document.createElement('span');
+            chip.className = 'timeline-chip';
+            chip.textContent = `${label} ${formatPercent(count, day.total)}`;
+            chip.title = `${count} of ${day.total} tweets`;
+            chips.appendChild(chip);
+        };
+        
+        for (const c of countries.slice(0, topCount)) {
+            addChip(formatReportLocation(c.value), c.count);
+        }
+        if (other > 0) addChip('🌐 Other', other);
+        if (unknown > 0) addChip('❔ No location', unknown);
+        
+        dayItem.appendChild(chips);
+        days.appendChild(dayItem);
+    }
+    
+    container.appendChild(days);
+}
+
 /**
  * Render blocked countries list
  */
@@ -1321,28 +3638,24 @@ function setupEventListeners() {
         });
     }
 
-    // Blocking mode toggles - mutually exclusive
-    if (elements.optHideBlocked && elements.optHighlightBlocked) {
-        elements.optHideBlocked.addEventListener('change', e => {
-            if (e.target.checked) {
-                elements.optHighlightBlocked.checked = false;
-                saveSettings({ highlightBlockedTweets: false });
-            } else {
-                // At least one must be selected - turn on highlight
-                elements.optHighlightBlocked.checked = true;
-                saveSettings({ highlightBlockedTweets: true });
-            }
+    // Region blocks cover member countries toggle
+    if (elements.optCascadeRegions) {
+        elements.optCascadeRegions.addEventListener('change', e => {
+            saveSettings({ cascadeRegionBlocks: e.target.checked });
         });
+    }
 
-        elements.optHighlightBlocked.addEventListener('change', e => {
-            if (e.target.checked) {
-                elements.optHideBlocked.checked = false;
-                saveSettings({ highlightBlockedTweets: true });
-            } else {
-                // At least one must be selected - turn on hide
-                elements.optHideBlocked.checked = true;
-                saveSettings({ highlightBlockedTweets: false });
-            }
+    // Blocking mode toggles - mutually exclusive
+    // Turning the active mode off falls back to hide (or highlight if hide itself was turned off)
+    const blockingModeToggles = [
+        [elements.optHideBlocked, FILTER_ACTIONS.HIDE, FILTER_ACTIONS.HIGHLIGHT],
+        [elements.optCollapseBlocked, FILTER_ACTIONS.COLLAPSE, FILTER_ACTIONS.HIDE],
+        [elements.optHighlightBlocked, FILTER_ACTIONS.HIGHLIGHT, FILTER_ACTIONS.HIDE]
+    ];
+    for (const [toggle, mode, fallback] of blockingModeToggles) {
+        if (!toggle) continue;
+        toggle.addEventListener('change', e => {
+            setBlockingMode(e.target.checked ? mode : fallback);
         });
     }
 
@@ -1378,13 +3691,128 @@ function setupEventListeners() {
         });
     }
 
-    // Tab switching for blocked locations (Countries, Regions, Tags)
+    // New account filter
+    if (elements.optNewAccountFilter) {
+        elements.optNewAccountFilter.addEventListener('change', e => {
+            elements.newAccountParams?.classList.toggle('disabled', !e.target.checked);
+            saveSettings({ newAccountFilterEnabled: e.target.checked });
+        });
+    }
+    if (elements.optNewAccountDays) {
+        elements.optNewAccountDays.addEventListener('change', e => {
+            const days = Math.min(3650, Math.max(1, Number.parseInt(e.target.value, 10) || 30));
+            e.target.value = days;
+            saveSettings({ newAccountMaxDays: days });
+        });
+    }
+    if (elements.optNewAccountLocation) {
+        elements.optNewAccountLocation.addEventListener('change', e => {
+            saveSettings({ newAccountLocation: e.target.value });
+        });
+    }
+
+    // Verification filter
+    if (elements.optVerificationMode) {
+        elements.optVerificationMode.addEventListener('change', e => {
+            elements.verificationParams?.classList.toggle('disabled', e.target.value === FILTER_MODES.OFF);
+            saveSettings({ verificationFilterMode: e.target.value });
+        });
+    }
+    if (elements.optVerificationInvert) {
+        elements.optVerificationInvert.addEventListener('change', e => {
+            saveSettings({ verificationFilterInvert: e.target.value === 'true' });
+        });
+    }
+    if (elements.optVerificationStatuses) {
+        elements.optVerificationStatuses.addEventListener('change', e => {
+            saveSettings({ verificationFilterStatuses: Array.from(e.target.selectedOptions, option => option.value) });
+        });
+    }
+    if (elements.optVerificationVpn) {
+        elements.optVerificationVpn.addEventListener('change', e => {
+            saveSettings({ verificationFilterVpnOnly: e.target.checked });
+        });
+    }
+    if (elements.optVerificationLocations) {
+        elements.optVerificationLocations.addEventListener('change', e => {
+            saveSettings({ verificationFilterLocations: Array.from(e.target.selectedOptions, option => option.value) });
+        });
+    }
+
+    // Handle change filter
+    if (elements.optHandleChangeThreshold) {
+        elements.optHandleChangeThreshold.addEventListener('change', e => {
+            const threshold = Math.min(100, Math.max(0, Number.parseInt(e.target.value, 10) || 0));
+            e.target.value = threshold;
+            saveSettings({ handleChangeThreshold: threshold });
+        });
+    }
+    if (elements.optHandleChangeMode) {
+        elements.optHandleChangeMode.addEventListener('change', e => {
+            saveSettings({ handleChangeFilterMode: e.target.value });
+        });
+    }
+
+    // Posting hours filter
+    if (elements.optPostingHoursMode) {
+        elements.optPostingHoursMode.addEventListener('change', e => {
+            saveSettings({ postingHoursFilterMode: e.target.value });
+        });
+    }
+
+    // Suspicion score
+    const saveSuspicionThreshold = (key, input) => {
+        const value = Math.max(0, Number.parseInt(input.value, 10) || 0);
+        input.value = value;
+        saveSettings({ [key]: value });
+    };
+    if (elements.optSuspicionHighlight) {
+        elements.optSuspicionHighlight.addEventListener('change', e => saveSuspicionThreshold('suspicionHighlightScore', e.target));
+    }
+    if (elements.optSuspicionHide) {
+        elements.optSuspicionHide.addEventListener('change', e => saveSuspicionThreshold('suspicionHideScore', e.target));
+    }
+    if (elements.suspicionWeights) {
+        elements.suspicionWeights.addEventListener('change', async e => {
+            const key = e.target.dataset?.factor;
+            if (!key) return;
+            const weights = { ...(currentSettings.suspicionWeights || {}), [key]: Number.parseInt(e.target.value, 10) || 0 };
+            await saveSettings({ suspicionWeights: weights });
+            renderSuspicionSettings();
+        });
+    }
+    if (elements.btnResetSuspicionWeights) {
+        elements.btnResetSuspicionWeights.addEventListener('click', async () => {
+            await saveSettings({ suspicionWeights: {} });
+            renderSuspicionSettings();
+        });
+    }
+
+    // Tab switching for blocked locations (Countries, Regions, Groups, Tags, Devices, Accounts, Rules, Lists, Allowed)
     if (elements.tabCountries && elements.tabRegions && elements.tabTags) {
         const switchBlockedTab = tab => {
             // Update tab active states
             elements.tabCountries.classList.toggle('active', tab === 'countries');
             elements.tabRegions.classList.toggle('active', tab === 'regions');
             elements.tabTags.classList.toggle('active', tab === 'tags');
+            if (elements.tabGroups) {
+                elements.tabGroups.classList.toggle('active', tab === 'groups');
+            }
+            if (elements.tabDevices) {
+                elements.tabDevices.classList.toggle('active', tab === 'devices');
+            }
+            if (elements.tabUsers) {
+                elements.tabUsers.classList.toggle('active', tab === 'users');
+            }
+            if (elements.tabRules) {
+                elements.tabRules.classList.toggle('active', tab === 'rules');
+            }
+            if (elements.tabLists) {
+                elements.tabLists.classList.toggle('active', tab === 'lists');
+            }
+            if (elements.tabAllowed) {
+                elements.tabAllowed.classList.toggle('active', tab === 'allowed');
+            }
             
             // Show/hide panels
             if (elements.panelCountries) {
@@ -1396,11 +3824,47 @@ function setupEventListeners() {
             if (elements.panelTags) {
                 elements.panelTags.style.display = tab === 'tags' ? 'block' : 'none';
             }
+            if (elements.panelGroups) {
+                elements.panelGroups.style.display = tab === 'groups' ? 'block' : 'none';
+            }
+            if (elements.panelDevices) {
+                elements.panelDevices.style.display = tab === 'devices' ? 'block' : 'none';
+            }
+            if (elements.panelUsers) {
+                elements.panelUsers.style.display = tab === 'users' ? 'block' : 'none';
+            }
+            if (elements.panelRules) {
+                elements.panelRules.style.display = tab === 'rules' ? 'block' : 'none';
+            }
+            if (elements.panelLists) {
+                elements.panelLists.style.display = tab === 'lists' ? 'block' : 'none';
+            }
+            if (elements.panelAllowed) {
+                elements.panelAllowed.style.display = tab === 'allowed' ? 'block' : 'none';
+            }
         };
         
         elements.tabCountries.addEventListener('click', () => switchBlockedTab('countries'));
         elements.tabRegions.addEventListener('click', () => switchBlockedTab('regions'));
         elements.tabTags.addEventListener('click', () => switchBlockedTab('tags'));
+        if (elements.tabGroups) {
+            elements.tabGroups.addEventListener('click', () => switchBlockedTab('groups'));
+        }
+        if (elements.tabDevices) {
+            elements.tabDevices.addEventListener('click', () => switchBlockedTab('devices'));
+        }
+        if (elements.tabUsers) {
+            elements.tabUsers.addEventListener('click', () => switchBlockedTab('users'));
+        }
+        if (elements.tabRules) {
+            elements.tabRules.addEventListener('click', () => switchBlockedTab('rules'));
+        }
+        if (elements.tabLists) {
+            elements.tabLists.addEventListener('click', () => switchBlockedTab('lists'));
+        }
+        if (elements.tabAllowed) {
+            elements.tabAllowed.addEventListener('click', () => switchBlockedTab('allowed'));
+        }
     }
 
     // Tags: Add tag button
@@ -1431,6 +3895,135 @@ function setupEventListeners() {
         elements.btnClearBlockedTags.addEventListener('click', clearAllBlockedTags);
     }
 
+    // Clear all blocked devices
+    if (elements.btnClearBlockedDevices) {
+        elements.btnClearBlockedDevices.addEventListener('click', clearAllBlockedDevices);
+    }
+
+    // Blocked users: bulk add / clear all
+    if (elements.btnAddBlockedUsers && elements.blockedUsersInput) {
+        elements.btnAddBlockedUsers.addEventListener('click', addBlockedUsersFromInput);
+    }
+    if (elements.btnClearBlockedUsers) {
+        elements.btnClearBlockedUsers.addEventListener('click', clearAllBlockedUsers);
+    }
+
+    // Filter profiles: switch / create / rename / delete
+    if (elements.profileSelect) {
+        elements.profileSelect.addEventListener('change', async e => {
+            elements.profileSelect.disabled = true;
+            await updateProfiles({ action: 'switch', id: e.target.value });
+            elements.profileSelect.disabled = false;
+        });
+    }
+    if (elements.btnCreateProfile && elements.profileNameInput) {
+        elements.btnCreateProfile.addEventListener('click', () => saveProfileName('create'));
+        elements.profileNameInput.addEventListener('keydown', e => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                saveProfileName('create');
+            }
+        });
+        elements.profileNameInput.addEventListener('input', () => {
+            elements.profileNameInput.classList.remove('input-error');
+        });
+    }
+    if (elements.btnRenameProfile) {
+        elements.btnRenameProfile.addEventListener('click', () => saveProfileName('rename'));
+    }
+    if (elements.btnDeleteProfile) {
+        elements.btnDeleteProfile.addEventListener('click', deleteActiveProfile);
+    }
+
+    // Filter lists: subscribe (button or Enter) / load file / refresh all / remove all
+    if (elements.btnSubscribeFilterList && elements.filterListUrl) {
+        elements.btnSubscribeFilterList.addEventListener('click', subscribeFilterListFromInput);
+        elements.filterListUrl.addEventListener('keydown', e => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                subscribeFilterListFromInput();
+            }
+        });
+    }
+    if (elements.btnLoadFilterList && elements.filterListFileInput) {
+        elements.btnLoadFilterList.addEventListener('click', () => {
+            elements.filterListFileInput.click();
+        });
+        elements.filterListFileInput.addEventListener('change', async e => {
+            const file = e.target.files?.[0];
+            if (!file) return;
+            try {
+                await importFilterListFile(file);
+            } finally {
+                // Reset so the same file can be loaded again after editing
+                elements.filterListFileInput.value = '';
+            }
+        });
+    }
+    if (elements.btnRefreshFilterLists) {
+        elements.btnRefreshFilterLists.addEventListener('click', async () => {
+            elements.btnRefreshFilterLists.disabled = true;
+            showFilterListStatus('Refreshing…');
+            if (await updateFilterLists({ action: 'refresh' })) {
+                showFilterListStatus('');
+            }
+            elements.btnRefreshFilterLists.disabled = false;
+        });
+    }
+    if (elements.btnClearFilterLists) {
+        elements.btnClearFilterLists.addEventListener('click', clearAllFilterLists);
+    }
+
+    // Country groups: search / add a region's countries / save / cancel / remove all
+    if (elements.countryGroupSearch) {
+        const debouncedGroupSearch = debounce(value => renderCountryGroupGrid(value), TIMING.SEARCH_DEBOUNCE_MS);
+        elements.countryGroupSearch.addEventListener('input', e => debouncedGroupSearch(e.target.value));
+    }
+    if (elements.countryGroupAddRegion) {
+        elements.countryGroupAddRegion.addEventListener('change', e => {
+            for (const country of REGION_COUNTRIES[e.target.value] || []) {
+                groupDraft.countries.add(country);
+            }
+            e.target.value = '';
+            updateCountryGroupDraftStatus();
+            renderCountryGroupGrid();
+        });
+    }
+    if (elements.btnSaveCountryGroup) {
+        elements.btnSaveCountryGroup.addEventListener('click', saveCountryGroup);
+    }
+    if (elements.btnCancelCountryGroup) {
+        elements.btnCancelCountryGroup.addEventListener('click', resetCountryGroupEditor);
+    }
+    if (elements.btnClearCountryGroups) {
+        elements.btnClearCountryGroups.addEventListener('click', clearAllCountryGroups);
+    }
+
+    // Allowed users: add (button or Enter) / clear all
+    if (elements.btnAddAllowedUser && elements.allowedUserInput) {
+        elements.btnAddAllowedUser.addEventListener('click', addAllowedUserFromInput);
+        elements.allowedUserInput.addEventListener('keydown', e => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                addAllowedUserFromInput();
+            }
+        });
+        elements.allowedUserInput.addEventListener('input', () => {
+            elements.allowedUserInput.classList.remove('input-error');
+        });
+    }
+    if (elements.btnClearAllowedUsers) {
+        elements.btnClearAllowedUsers.addEventListener('click', clearAllAllowedUsers);
+    }
+
+    // Rules: new rule / clear all
+    if (elements.btnAddRule) {
+        elements.btnAddRule.addEventListener('click', () => openRuleEditor());
+    }
+    if (elements.btnClearRules) {
+        elements.btnClearRules.addEventListener('click', clearAllFilterRules);
+    }
+
     // Cloud cache toggle
     if (elements.optCloudCache) {
         elements.optCloudCache.addEventListener('change', async e => {
@@ -1452,6 +4045,67 @@ function setupEventListeners() {
         });
     }
 
+    // Watchlist
+    if (elements.optWatchlistNotifications) {
+        elements.optWatchlistNotifications.addEventListener('change', e => {
+            saveSettings({ watchlistNotifications: e.target.checked });
+        });
+    }
+    if (elements.btnCheckWatchlist) {
+        elements.btnCheckWatchlist.addEventListener('click', async () => {
+            const status = elements.watchlistStatus;
+            elements.btnCheckWatchlist.disabled = true;
+            status.className = 'sync-status';
+            status.textContent = 'Checking...';
+            
+            const response = await setWatchedUser('check');
+            if (response?.success) {
+                status.className = 'sync-status success';
+                status.textContent = `Checked ${response.checked} ${response.checked === 1 ? 'account' : 'accounts'}, ${response.changed} changed`;
+            } else {
+                status.className = 'sync-status error';
+                status.textContent = response?.error || 'Check failed';
+            }
+            elements.btnCheckWatchlist.disabled = false;
+        });
+    }
+
+    // Timeline composition
+    if (elements.optImpressionRetention) {
+        elements.optImpressionRetention.addEventListener('change', async e => {
+            const days = Number.parseInt(e.target.value, 10) || 0;
+            if (days < (currentSettings.impressionRetentionDays ?? 0)) {
+                const message = days === 0
+                    ? 'Stop recording and delete the timeline history?'
+                    : `Delete timeline history older than ${days} days?`;
+                if (!confirm(message)) {
+                    e.target.value = String(currentSettings.impressionRetentionDays ?? 0);
+                    return;
+                }
+            }
+            await saveSettings({ impressionRetentionDays: days });
+            await loadImpressionStats();
+        });
+    }
+    if (elements.btnClearImpressions) {
+        elements.btnClearImpressions.addEventListener('click', async () => {
+            if (!confirm('Delete all recorded timeline history?')) return;
+            
+            try {
+                const response = await browserAPI.runtime.sendMessage({
+                    type: MESSAGE_TYPES.SET_IMPRESSION_STATS,
+                    payload: { action: 'clear' }
+                });
+                if (response?.success && response.data) {
+                    renderImpressionStats(response.data);
+                }
+                showSaveStatus();
+            } catch (error) {
+                console.error('Failed to clear impression stats:', error);
+            }
+        });
+    }
+
     // Clear cache with confirmation
     elements.btnClearCache.addEventListener('click', async () => {
         // Get current cache size for confirmation
@@ -1459,7 +4113,7 @@ function setupEventListeners() {
         
         // Confirm before clearing
         if (cacheCount !== '0' && cacheCount !== '-') {
-            const confirmed = confirm(`Are you sure you want to clear ${cacheCount} cached users?\n\nThis will require re-fetching data for all users.`);
+            const confirmed = confirm(`Are you sure you want to clear ${cacheCount} cached users?\n\nThis will require re-fetching data for all users and resets their posting-hour history.`);
             if (!confirmed) return;
         }
         
@@ -1498,20 +4152,37 @@ function setupEventListeners() {
                 type: MESSAGE_TYPES.GET_SETTINGS
             });
 
+            // Get profiles (the active profile is refreshed from the current lists)
+            const profilesResponse = await browserAPI.runtime.sendMessage({
+                type: MESSAGE_TYPES.GET_PROFILES
+            });
+
             const data = {
                 // Metadata
                 exportedAt: new Date().toISOString(),
                 version: VERSION,
-                exportFormat: '2.2',
+                exportFormat: '2.9',
                 
                 // Configuration
                 settings: settingsResponse?.data || currentSettings,
                 blockedCountries,
                 blockedRegions,
                 blockedTags,
+                blockedDevices,
+                allowedUsers,
+                blockedUsers,
+                filterRules,
+                filterLists,
+                profiles: profilesResponse?.success
+                    ? { activeId: profilesResponse.activeId, profiles: profilesResponse.data }
+                    : undefined,
+                countryGroups,
                 
-                // User data
-                cache: cacheResponse?.data || []
+                // User data (each entry carries its suspicion score under the current weights)
+                cache: (cacheResponse?.data || []).map(entry => ({
+                    ...entry,
+                    suspicion: computeSuspicionScore(entry, '', settingsResponse?.data || currentSettings)
+                }))
             };
 
             const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
@@ -1599,6 +4270,13 @@ async function handleImportFile(file) {
         const blockedCount = Array.isArray(data.blockedCountries) ? data.blockedCountries.length : 0;
         const blockedRegionsCount = Array.isArray(data.blockedRegions) ? data.blockedRegions.length : 0;
         const blockedTagsCount = Array.isArray(data.blockedTags) ? data.blockedTags.length : 0;
+        const blockedDevicesCount = Array.isArray(data.blockedDevices) ? data.blockedDevices.length : 0;
+        const allowedUsersCount = Array.isArray(data.allowedUsers) ? data.allowedUsers.length : 0;
+        const blockedUsersCount = Array.isArray(data.blockedUsers) ? data.blockedUsers.length : 0;
+        const filterRulesCount = Array.isArray(data.filterRules) ? data.filterRules.length : 0;
+        const filterListsCount = Array.isArray(data.filterLists) ? data.filterLists.length : 0;
+        const profilesCount = Array.isArray(data.profiles?.profiles) ? data.profiles.profiles.length : 0;
+        const countryGroupsCount = Array.isArray(data.countryGroups) ? data.countryGroups.length : 0;
         const hasSettings = data.settings && typeof data.settings === 'object';
         
         const confirmMessage = [
@@ -1609,6 +4287,13 @@ async function handleImportFile(file) {
             blockedCount > 0 ? `• ${blockedCount} blocked countries` : '',
             blockedRegionsCount > 0 ? `• ${blockedRegionsCount} blocked regions` : '',
             blockedTagsCount > 0 ? `• ${blockedTagsCount} blocked tags` : '',
+            blockedDevicesCount > 0 ? `• ${blockedDevicesCount} blocked devices` : '',
+            allowedUsersCount > 0 ? `• ${allowedUsersCount} allowed accounts` : '',
+            blockedUsersCount > 0 ? `• ${blockedUsersCount} blocked accounts` : '',
+            filterRulesCount > 0 ? `• ${filterRulesCount} filter rules` : '',
+            filterListsCount > 0 ? `• ${filterListsCount} filter lists` : '',
+            profilesCount > 0 ? `• ${profilesCount} filter profiles` : '',
+            countryGroupsCount > 0 ? `• ${countryGroupsCount} country groups` : '',
             cacheCount > 0 ? `• ${cacheCount} cached users` : '',
             '',
             `Exported on: ${data.exportedAt ? new Date(data.exportedAt).toLocaleString() : 'Unknown'}`,
@@ -1628,6 +4313,13 @@ async function handleImportFile(file) {
                 blockedCountries: data.blockedCountries,
                 blockedRegions: data.blockedRegions,
                 blockedTags: data.blockedTags,
+                blockedDevices: data.blockedDevices,
+                allowedUsers: data.allowedUsers,
+                blockedUsers: data.blockedUsers,
+                filterRules: data.filterRules,
+                filterLists: data.filterLists,
+                profiles: data.profiles,
+                countryGroups: data.countryGroups,
                 cache: data.cache
             }
         });
@@ -1638,6 +4330,16 @@ async function handleImportFile(file) {
             if (response.importedBlockedCountries) results.push(`${response.importedBlockedCountries} blocked countries`);
             if (response.importedBlockedRegions) results.push(`${response.importedBlockedRegions} blocked regions`);
             if (response.importedBlockedTags) results.push(`${response.importedBlockedTags} blocked tags`);
+            if (response.importedBlockedDevices) results.push(`${response.importedBlockedDevices} blocked devices`);
+            if (response.importedAllowedUsers) results.push(`${response.importedAllowedUsers} allowed accounts`);
+            if (response.importedBlockedUsers) results.push(`${response.importedBlockedUsers} blocked accounts`);
+            if (response.importedFilterRules) results.push(`${response.importedFilterRules} filter rules`);
+            if (response.importedFilterLists) {
+                const access = response.filterListsNeedingAccess ? ` (${response.filterListsNeedingAccess} need access to their site again)` : '';
+                results.push(`${response.importedFilterLists} filter lists${access}`);
+            }
+            if (response.importedProfiles) results.push(`${response.importedProfiles} filter profiles`);
+            if (response.importedCountryGroups) results.push(`${response.importedCountryGroups} country groups`);
             if (response.importedCache) results.push(`${response.importedCache} cached users`);
             
             showStatus(`✓ Successfully imported: ${results.join(', ')}`);
@@ -1647,6 +4349,13 @@ async function handleImportFile(file) {
             await loadBlockedCountries();
             await loadBlockedRegions();
             await loadBlockedTags();
+            await loadBlockedDevices();
+            await loadAllowedUsers();
+            await loadBlockedUsers();
+            await loadFilterRules();
+            await loadFilterLists();
+            await loadCountryGroups();
+            await loadProfiles();
             await loadCacheStats();
             await loadStatistics();
         } else {
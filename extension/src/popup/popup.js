@@ -4,8 +4,9 @@
  */
 
 import browserAPI from '../shared/browser-api.js';
-import { MESSAGE_TYPES, VERSION, TIMING } from '../shared/constants.js';
-import { applyTheme } from '../shared/utils.js';
+import { MESSAGE_TYPES, VERSION, TIMING, FILTER_ACTIONS, REGION_NAMES, RESEARCH_CONFIG, getLocationEmoji } from '../shared/constants.js';
+import { applyTheme, getBlockingMode, formatCountryName } from '../shared/utils.js';
+import { describeFilterLogEntry, getFilterExceptions } from '../shared/filter-exceptions.js';
 
 // DOM Elements
 const elements = {
@@ -14,12 +15,31 @@ const elements = {
     toggleDevices: document.getElementById('toggle-devices'),
     toggleVpn: document.getElementById('toggle-vpn'),
     toggleCaptureButton: document.getElementById('toggle-capture-button'),
+    blockingMode: document.getElementById('blocking-mode'),
+    profileRow: document.getElementById('profile-row'),
+    profileSelect: document.getElementById('profile-select'),
     statCached: document.getElementById('stat-cached'),
     statBlocked: document.getElementById('stat-blocked'),
     btnClearCache: document.getElementById('btn-clear-cache'),
     btnOptions: document.getElementById('btn-options'),
     rateLimitBanner: document.getElementById('rate-limit-banner'),
-    rateLimitTime: document.getElementById('rate-limit-time')
+    rateLimitTime: document.getElementById('rate-limit-time'),
+    tabSessionSummary: document.getElementById('tab-session-summary'),
+    tabSessionGroups: document.getElementById('tab-session-groups'),
+    filterLog: document.getElementById('filter-log'),
+    researchStatus: document.getElementById('research-status'),
+    researchName: document.getElementById('research-name'),
+    btnResearchToggle: document.getElementById('btn-research-toggle'),
+    researchSessions: document.getElementById('research-sessions')
+};
+
+// Chips shown per country/region/tag row of the session panel
+const TAB_SESSION_GROUP_LIMIT = 5;
+
+const ACTION_LABELS = {
+    [FILTER_ACTIONS.HIDE]: 'Hidden',
+    [FILTER_ACTIONS.COLLAPSE]: 'Collapsed',
+    [FILTER_ACTIONS.HIGHLIGHT]: 'Highlighted'
 };
 
 // Rate limit update interval
@@ -41,6 +61,15 @@ async function initialize() {
     // Load current settings
     await loadSettings();
 
+    // Load filter profiles
+    await loadProfiles();
+
+    // Load the active tab's session of filtered tweets
+    await loadTabSession();
+
+    // Load research mode status and recorded sessions
+    await loadResearchStatus();
+
     // Load statistics
     await loadStats();
 
@@ -165,12 +194,371 @@ async function loadSettings() {
             elements.toggleDevices.checked = settings.showDevices !== false;
             elements.toggleVpn.checked = settings.showVpnIndicator !== false;
             elements.toggleCaptureButton.checked = settings.showCaptureButton !== false;
+            renderBlockingMode(getBlockingMode(settings));
         }
     } catch (error) {
         console.error('Failed to load settings:', error);
     }
 }
 
+/**
+ * Mark the active blocking mode in the mode switch
+ * @param {string} mode - FILTER_ACTIONS.HIDE, COLLAPSE or HIGHLIGHT
+ */
+function renderBlockingMode(mode) {
+    if (!elements.blockingMode) return;
+    for (const btn of elements.blockingMode.querySelectorAll('.mode-option')) {
+        const active = btn.dataset.mode === mode;
+        btn.classList.toggle('active', active);
+        btn.setAttribute('aria-checked', String(active));
+    }
+}
+
+/**
+ * Load filter profiles from background
+ */
+async function loadProfiles() {
+    try {
+        const response = await browserAPI.runtime.sendMessage({
+            type: MESSAGE_TYPES.GET_PROFILES
+        });
+
+        if (response?.success) {
+            renderProfiles(response.data || [], response.activeId);
+        }
+    } catch (error) {
+        console.error('Failed to load profiles:', error);
+    }
+}
+
+/**
+ * Fill the profile switcher (hidden until a second profile exists)
+ * @param {Array<Object>} profiles - Profiles ({id, name})
+ * @param {string} activeId - Active profile id
+ */
+function renderProfiles(profiles, activeId) {
+    if (!elements.profileSelect) return;
+    
+    elements.profileSelect.replaceChildren();
+    for (const profile of profiles) {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        option.selected = profile.id === activeId;
+        elements.profileSelect.appendChild(option);
+    }
+    elements.profileRow.style.display = profiles.length > 1 ? 'flex' : 'none';
+}
+
+/**
+ * Get the active tab
+ * @returns {Promise<Object|null>} - Tab, or null if unavailable
+ */
+async function getActiveTab() {
+    try {
+        const [tab] = await browserAPI.tabs.query({ active: true, currentWindow: true });
+        return tab || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Load the active tab's session of filtered tweets from background
+ */
+async function loadTabSession() {
+    if (!elements.filterLog) return;
+    
+    const tab = await getActiveTab();
+    let session = null;
+    if (tab?.id !== undefined) {
+        try {
+            const response = await browserAPI.runtime.sendMessage({
+                type: MESSAGE_TYPES.GET_TAB_SESSION,
+                payload: { tabId: tab.id }
+            });
+            if (response?.success) session = response.data;
+        } catch (error) {
+            console.error('Failed to load tab session:', error);
+        }
+    }
+    
+    renderTabSession(session, tab);
+}
+
+/**
+ * Render the session summary, groups and recent authors
+ * @param {Object|null} session - Summary (see tab-session.js), or null if unavailable
+ * @param {Object|null} tab - Active tab
+ */
+function renderTabSession(session, tab) {
+    const total = session ? session.hidden + session.collapsed + session.highlighted : 0;
+    
+    const parts = [];
+    if (session?.hidden) parts.push(`${session.hidden} hidden`);
+    if (session?.collapsed) parts.push(`${session.collapsed} collapsed`);
+    if (session?.highlighted) parts.push(`${session.highlighted} highlighted`);
+    elements.tabSessionSummary.textContent = total > 0
+        ? parts.join(' · ')
+        : 'Nothing filtered on this tab yet';
+    
+    elements.tabSessionGroups.replaceChildren();
+    if (total > 0) {
+        appendSessionGroup('Countries', session.countries, value => `${getLocationEmoji(value)} ${formatCountryName(value)}`);
+        appendSessionGroup('Regions', session.regions, value => `${getLocationEmoji(value)} ${REGION_NAMES[value] || value}`);
+        appendSessionGroup('Tags', session.tags, value => value);
+    }
+    
+    elements.filterLog.replaceChildren();
+    for (const author of session?.authors || []) {
+        elements.filterLog.appendChild(createAuthorEntry(author, tab));
+    }
+}
+
+/**
+ * Add a row of counts (e.g. "🇷🇺 Russia 8") to the groups area
+ * @param {string} title - Row title
+ * @param {Array<{value: string, count: number}>} counts - Counts, most frequent first
+ * @param {Function} formatValue - Value → display text
+ */
+function appendSessionGroup(title, counts, formatValue) {
+    if (!counts?.length) return;
+    
+    const row = document.createElement('div');
+    row.className = 'tab-session-group';
+    
+    const label = document.createElement('span');
+    label.className = 'tab-session-group-title';
+    label.textContent = title;
+    row.appendChild(label);
+    
+    for (const { value, count } of counts.slice(0, TAB_SESSION_GROUP_LIMIT)) {
+        const chip = document.createElement('span');
+        chip.className = 'tab-session-chip';
+        chip.textContent = `${formatValue(value)} ${count}`;
+        row.appendChild(chip);
+    }
+    
+    elements.tabSessionGroups.appendChild(row);
+}
+
+/**
+ * Create a recent-author entry with a link to their tweet, Reveal, and the one-click exceptions
+ * @param {{screenName: string, count: number, latest: Object}} author - Author summary
+ * @param {Object|null} tab - Active tab (where the tweet is revealed)
+ * @returns {HTMLElement} - Entry element
+ */
+function createAuthorEntry(author, tab) {
+    const entry = author.latest;
+    const item = document.createElement('div');
+    item.className = 'filter-log-entry';
+    
+    const header = document.createElement('div');
+    header.className = 'filter-log-header';
+    const handle = document.createElement('a');
+    handle.className = 'filter-log-handle';
+    handle.href = `https://x.com${entry.tweetPath || `/${entry.screenName}`}`;
+    handle.target = '_blank';
+    handle.rel = 'noopener noreferrer';
+    handle.title = entry.tweetPath ? 'Open tweet' : 'Open profile';
+    handle.textContent = author.count > 1 ? `@${entry.screenName} ×${author.count}` : `@${entry.screenName}`;
+    const time = document.createElement('span');
+    time.className = 'filter-log-time';
+    time.textContent = new Date(entry.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    header.appendChild(handle);
+    header.appendChild(time);
+    
+    const reason = document.createElement('div');
+    reason.className = 'filter-log-reason';
+    reason.textContent = `${ACTION_LABELS[entry.action] || entry.action} · ${describeFilterLogEntry(entry)}`;
+    
+    const actions = document.createElement('div');
+    actions.className = 'filter-log-actions';
+    
+    if (entry.tweetPath && tab?.id !== undefined && entry.action !== FILTER_ACTIONS.HIGHLIGHT) {
+        const revealBtn = document.createElement('button');
+        revealBtn.type = 'button';
+        revealBtn.className = 'filter-log-btn';
+        revealBtn.textContent = '👁 Reveal';
+        revealBtn.title = 'Show this tweet on the page';
+        revealBtn.addEventListener('click', async () => {
+            revealBtn.disabled = true;
+            try {
+                const response = await browserAPI.tabs.sendMessage(tab.id, {
+                    type: MESSAGE_TYPES.REVEAL_TWEET,
+                    payload: { tweetPath: entry.tweetPath, screenName: entry.screenName }
+                });
+                if (!response?.success) throw new Error(response?.error || 'Request failed');
+                window.close();
+            } catch (error) {
+                console.error('Failed to reveal tweet:', error);
+                revealBtn.textContent = 'Not on page';
+                revealBtn.title = 'X unloaded this tweet; open it with the link instead';
+            }
+        });
+        actions.appendChild(revealBtn);
+    }
+    
+    for (const exception of getFilterExceptions(entry)) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'filter-log-btn';
+        btn.textContent = `${exception.icon} ${exception.label}`;
+        btn.addEventListener('click', async () => {
+            btn.disabled = true;
+            try {
+                const response = await browserAPI.runtime.sendMessage(exception.message);
+                if (!response?.success) throw new Error(response?.error || 'Request failed');
+                actions.replaceChildren();
+                const done = document.createElement('span');
+                done.className = 'filter-log-done';
+                done.textContent = `✓ ${exception.label}`;
+                actions.appendChild(done);
+            } catch (error) {
+                console.error('Failed to add exception:', error);
+                btn.disabled = false;
+            }
+        });
+        actions.appendChild(btn);
+    }
+    
+    item.appendChild(header);
+    item.appendChild(reason);
+    item.appendChild(actions);
+    return item;
+}
+
+/**
+ * Load research mode status from background
+ */
+async function loadResearchStatus() {
+    if (!elements.researchSessions) return;
+    
+    try {
+        const response = await browserAPI.runtime.sendMessage({
+            type: MESSAGE_TYPES.GET_RESEARCH_STATUS
+        });
+        if (response?.success) {
+            renderResearchStatus(response);
+        }
+    } catch (error) {
+        console.error('Failed to load research status:', error);
+    }
+}
+
+/**
+ * Render the recording state and the most recent sessions
+ * @param {{active: Object|null, sessions: Array<Object>}} status - From GET_RESEARCH_STATUS
+ */
+function renderResearchStatus({ active, sessions }) {
+    const recording = !!active;
+    elements.researchStatus.classList.toggle('recording', recording);
+    elements.researchStatus.textContent = recording
+        ? `● Recording "${active.name}" · ${active.count} tweets`
+        : 'Log every tweet you see to a named session, then export it as NDJSON or CSV';
+    
+    elements.researchName.style.display = recording ? 'none' : '';
+    elements.btnResearchToggle.classList.toggle('recording', recording);
+    elements.btnResearchToggle.textContent = recording ? '■ Stop' : '● Record';
+    
+    elements.researchSessions.replaceChildren();
+    for (const session of sessions.slice(0, RESEARCH_CONFIG.POPUP_SESSIONS)) {
+        elements.researchSessions.appendChild(createResearchSessionEntry(session));
+    }
+}
+
+/**
+ * Create a session entry with its export and delete buttons
+ * @param {Object} session - Session plus { count }
+ * @returns {HTMLElement} - Entry element
+ */
+function createResearchSessionEntry(session) {
+    const item = document.createElement('div');
+    item.className = 'research-session';
+    
+    const header = document.createElement('div');
+    header.className = 'research-session-header';
+    const name = document.createElement('span');
+    name.className = 'research-session-name';
+    name.textContent = session.name;
+    name.title = session.name;
+    const meta = document.createElement('span');
+    meta.className = 'research-session-meta';
+    const started = new Date(session.startedAt).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    meta.textContent = `${session.count} · ${started}`;
+    header.appendChild(name);
+    header.appendChild(meta);
+    
+    const actions = document.createElement('div');
+    actions.className = 'filter-log-actions';
+    
+    for (const format of ['ndjson', 'csv']) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'filter-log-btn';
+        btn.textContent = `⬇ ${format.toUpperCase()}`;
+        btn.disabled = session.count === 0;
+        btn.addEventListener('click', async () => {
+            btn.disabled = true;
+            try {
+                await downloadResearchSession(session.id, format);
+            } catch (error) {
+                console.error('Failed to export research session:', error);
+            } finally {
+                btn.disabled = false;
+            }
+        });
+        actions.appendChild(btn);
+    }
+    
+    if (session.stoppedAt !== null) {
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'filter-log-btn';
+        deleteBtn.textContent = '🗑 Delete';
+        deleteBtn.addEventListener('click', async () => {
+            if (!confirm(`Delete "${session.name}" and its ${session.count} logged tweets?`)) return;
+            deleteBtn.disabled = true;
+            try {
+                const response = await browserAPI.runtime.sendMessage({
+                    type: MESSAGE_TYPES.SET_RESEARCH_MODE,
+                    payload: { action: 'delete', sessionId: session.id }
+                });
+                if (!response?.success) throw new Error(response?.error || 'Request failed');
+                renderResearchStatus(response);
+            } catch (error) {
+                console.error('Failed to delete research session:', error);
+                deleteBtn.disabled = false;
+            }
+        });
+        actions.appendChild(deleteBtn);
+    }
+    
+    item.appendChild(header);
+    item.appendChild(actions);
+    return item;
+}
+
+/**
+ * Export a session from the background's log and download it
+ * @param {string} sessionId - Session ID
+ * @param {string} format - 'ndjson' or 'csv'
+ */
+async function downloadResearchSession(sessionId, format) {
+    const response = await browserAPI.runtime.sendMessage({
+        type: MESSAGE_TYPES.EXPORT_RESEARCH_SESSION,
+        payload: { sessionId, format }
+    });
+    if (!response?.success) throw new Error(response?.error || 'Request failed');
+    
+    const url = URL.createObjectURL(new Blob([response.text], { type: response.mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = response.filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 /**
  * Load statistics from background
  */
@@ -245,6 +633,44 @@ function setupEventListeners() {
         });
     }
 
+    // Blocking mode switch (hide / collapse / highlight)
+    if (elements.blockingMode) {
+        elements.blockingMode.addEventListener('click', async e => {
+            const btn = e.target.closest('.mode-option');
+            if (!btn) return;
+            const mode = btn.dataset.mode;
+            renderBlockingMode(mode);
+            await saveSettings({
+                highlightBlockedTweets: mode === FILTER_ACTIONS.HIGHLIGHT,
+                collapseBlockedTweets: mode === FILTER_ACTIONS.COLLAPSE
+            });
+        });
+    }
+
+    // Profile switcher (open tabs re-apply filters right away)
+    if (elements.profileSelect) {
+        elements.profileSelect.addEventListener('change', async e => {
+            elements.profileSelect.disabled = true;
+            try {
+                const response = await browserAPI.runtime.sendMessage({
+                    type: MESSAGE_TYPES.SET_PROFILES,
+                    payload: { action: 'switch', id: e.target.value }
+                });
+                
+                if (response?.success) {
+                    renderProfiles(response.data || [], response.activeId);
+                    // Blocking mode and blocked counts belong to the profile
+                    await loadSettings();
+                    await loadStats();
+                }
+            } catch (error) {
+                console.error('Failed to switch profile:', error);
+            } finally {
+                elements.profileSelect.disabled = false;
+            }
+        });
+    }
+
     // Clear cache button with confirmation
     elements.btnClearCache.addEventListener('click', async () => {
         // Get current cache size for confirmation message
@@ -296,6 +722,27 @@ function setupEventListeners() {
         }
     });
 
+    // Research mode: start a named session or stop the current one
+    if (elements.btnResearchToggle) {
+        elements.btnResearchToggle.addEventListener('click', async () => {
+            const recording = elements.btnResearchToggle.classList.contains('recording');
+            elements.btnResearchToggle.disabled = true;
+            try {
+                const response = await browserAPI.runtime.sendMessage({
+                    type: MESSAGE_TYPES.SET_RESEARCH_MODE,
+                    payload: recording ? { action: 'stop' } : { action: 'start', name: elements.researchName.value }
+                });
+                if (!response?.success) throw new Error(response?.error || 'Request failed');
+                elements.researchName.value = '';
+                renderResearchStatus(response);
+            } catch (error) {
+                console.error('Failed to toggle research mode:', error);
+            } finally {
+                elements.btnResearchToggle.disabled = false;
+            }
+        });
+    }
+
     // Options button
     elements.btnOptions.addEventListener('click', () => {
         browserAPI.runtime.openOptionsPage?.() || 
@@ -0,0 +1,173 @@
+/**
+ * Account Clusters
+ * Groups accounts by shared traits and reports the groups large enough to look coordinated,
+ * such as several brand-new accounts from the same country (the thread report) or five Android
+ * accounts from the same country, created the same week, with handles like "name + 8 digits"
+ * (the cluster panel, see PAGE_CLUSTER_COMBINATIONS).
+ *
+ * Account shape: { screenName, createdAt, location, device, newAccount, vpn, month, week, handlePattern }
+ *   Traits (all but screenName and createdAt) are null when unknown or not true of the account:
+ *   newAccount and vpn are true or null, so only accounts that are new or behind a VPN group together,
+ *   and handlePattern is null for handles without a run of digits.
+ * Cluster shape: { traits: { [trait]: value }, members: string[], description }
+ *   traits holds only the traits the members share.
+ */
+
+import { SUSPICION_CONFIG, CLUSTER_CONFIG } from './constants.js';
+import { parseCreatedAt, toCsvField } from './utils.js';
+import { formatReportLocation } from './follower-analysis.js';
+
+// Traits the cluster panel groups page authors by
+const PAGE_CLUSTER_TRAITS = ['week', 'location', 'device', 'handlePattern'];
+
+// Combinations of at least CLUSTER_CONFIG.MIN_SHARED_TRAITS page traits, most specific first
+export const PAGE_CLUSTER_COMBINATIONS = (() => {
+    const combinations = [];
+    for (let mask = (1 << PAGE_CLUSTER_TRAITS.length) - 1; mask > 0; mask--) {
+        const traits = PAGE_CLUSTER_TRAITS.filter((_, i) => mask & (1 << i));
+        if (traits.length >= CLUSTER_CONFIG.MIN_SHARED_TRAITS) combinations.push(traits);
+    }
+    return combinations.sort((a, b) => b.length - a.length);
+})();
+
+/**
+ * Get the week an account was created in
+ * @param {string} createdAt - Creation date as returned by the API
+ * @returns {string|null} - Monday of the week (UTC) as YYYY-MM-DD
+ */
+export function getCreationWeek(createdAt) {
+    const date = parseCreatedAt(createdAt);
+    if (!date) return null;
+    const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - ((date.getUTCDay() + 6) % 7)));
+    return monday.toISOString().slice(0, 10);
+}
+
+/**
+ * Get the shape of a handle: letter runs become "a", digits "9", underscores stay
+ * @param {string} screenName - Screen name
+ * @returns {string|null} - e.g. "a99999999" for "Maria84736251", or null without a run of
+ *   CLUSTER_CONFIG.MIN_PATTERN_DIGITS digits (plain names are too common to group by)
+ */
+export function getHandlePattern(screenName) {
+    if (!screenName || !new RegExp(`\\d{${CLUSTER_CONFIG.MIN_PATTERN_DIGITS}}`).test(screenName)) return null;
+    return screenName.replace(/[A-Za-z]+/g, 'a').replace(/\d/g, '9');
+}
+
+/**
+ * Describe a handle pattern
+ * @param {string} pattern - From getHandlePattern
+ * @returns {string} - e.g. "letters + 8 digits"
+ */
+export function describeHandlePattern(pattern) {
+    return (pattern.match(/a|9+|_+/g) || [])
+        .map(token => {
+            if (token === 'a') return 'letters';
+            if (token.startsWith('_')) return token;
+            return `${token.length} ${token.length === 1 ? 'digit' : 'digits'}`;
+        })
+        .join(' + ');
+}
+
+/**
+ * Build a cluster account from an analyzed account
+ * @param {Object} account - follower-analysis account
+ * @returns {Object} - Account (see module docs)
+ */
+export function createClusterAccount(account) {
+    const isNew = account.accountAgeDays !== null && account.accountAgeDays < SUSPICION_CONFIG.NEW_ACCOUNT_DAYS;
+    return {
+        screenName: account.screenName,
+        createdAt: account.createdAt,
+        location: account.location,
+        device: account.device,
+        newAccount: isNew || null,
+        vpn: account.vpn || null,
+        month: parseCreatedAt(account.createdAt)?.toISOString().slice(0, 7) || null,
+        week: getCreationWeek(account.createdAt),
+        handlePattern: getHandlePattern(account.screenName)
+    };
+}
+
+/**
+ * Describe a cluster's shared traits
+ * @param {Object} traits - { [trait]: value }
+ * @returns {string} - e.g. "🇷🇺 Russia · Android · created the week of Oct 6, 2025 · handles like letters + 8 digits"
+ */
+function describeTraits(traits) {
+    const parts = [];
+    if (traits.location) parts.push(formatReportLocation(traits.location));
+    if (traits.device) parts.push(traits.device);
+    if (traits.newAccount) parts.push(`under ${SUSPICION_CONFIG.NEW_ACCOUNT_DAYS} days old`);
+    if (traits.vpn) parts.push('behind a VPN/proxy');
+    if (traits.month) {
+        const month = new Date(`${traits.month}-01T00:00:00Z`).toLocaleDateString(undefined, { year: 'numeric', month: 'short', timeZone: 'UTC' });
+        parts.push(`created in ${month}`);
+    }
+    if (traits.week) {
+        const week = new Date(`${traits.week}T00:00:00Z`).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' });
+        parts.push(`created the week of ${week}`);
+    }
+    if (traits.handlePattern) parts.push(`handles like ${describeHandlePattern(traits.handlePattern)}`);
+    return parts.join(' · ');
+}
+
+/**
+ * Find clusters of accounts sharing every trait of one of the given combinations
+ * A cluster whose members all belong to a larger (or equally large but more specific) cluster
+ * sharing the same traits is left out.
+ * @param {Array<Object>} accounts - Accounts (see module docs)
+ * @param {Array<Array<string>>} combinations - Trait combinations, most specific first
+ * @param {number} minSize - Minimum cluster size
+ * @returns {Array<Object>} - Clusters (see module docs), largest first
+ */
+export function findAccountClusters(accounts, combinations, minSize) {
+    const candidates = [];
+    for (const traits of combinations) {
+        const groups = new Map();
+        for (const account of accounts) {
+            if (traits.some(trait => account[trait] === null || account[trait] === undefined)) continue;
+            const key = traits.map(trait => account[trait]).join('|');
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(account);
+        }
+        for (const members of groups.values()) {
+            if (members.length < minSize) continue;
+            candidates.push({
+                traits: Object.fromEntries(traits.map(trait => [trait, members[0][trait]])),
+                members: members.map(account => account.screenName)
+            });
+        }
+    }
+
+    // Stable sort keeps the more specific combination first among equally large clusters
+    candidates.sort((a, b) => b.members.length - a.members.length);
+    const clusters = [];
+    for (const candidate of candidates) {
+        const covered = clusters.some(cluster =>
+            Object.keys(candidate.traits).every(trait => trait in cluster.traits) &&
+            candidate.members.every(member => cluster.members.includes(member)));
+        if (!covered) {
+            clusters.push({ ...candidate, description: `${candidate.members.length} accounts · ${describeTraits(candidate.traits)}` });
+        }
+    }
+    return clusters;
+}
+
+/**
+ * Export cluster members as CSV (one row per member and cluster)
+ * @param {Array<Object>} clusters - Clusters
+ * @param {Map<string, Object>} accounts - screenName → account
+ * @returns {string} - CSV text with a header row
+ */
+export function clusterMembersToCsv(clusters, accounts) {
+    const header = ['cluster', 'sharedTraits', 'screenName', 'location', 'device', 'createdAt', 'handlePattern'];
+    const rows = [];
+    clusters.forEach((cluster, i) => {
+        for (const screenName of cluster.members) {
+            const account = accounts.get(screenName) || {};
+            rows.push([i + 1, Object.keys(cluster.traits).join(' '), screenName, account.location, account.device,
+                account.createdAt, account.handlePattern].map(toCsvField).join(','));
+        }
+    });
+    return [header.join(','), ...rows].join('\r\n');
+}
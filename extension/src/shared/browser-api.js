@@ -85,6 +85,42 @@ const browserAPI = (() => {
                         });
                     }
                 },
+                // Kept in memory until the browser closes; not available in content scripts by default
+                session: chrome.storage.session ? {
+                    get: keys => {
+                        return new Promise((resolve, reject) => {
+                            chrome.storage.session.get(keys, result => {
+                                if (chrome.runtime.lastError) {
+                                    reject(new Error(chrome.runtime.lastError.message));
+                                } else {
+                                    resolve(result);
+                                }
+                            });
+                        });
+                    },
+                    set: items => {
+                        return new Promise((resolve, reject) => {
+                            chrome.storage.session.set(items, () => {
+                                if (chrome.runtime.lastError) {
+                                    reject(new Error(chrome.runtime.lastError.message));
+                                } else {
+                                    resolve();
+                                }
+                            });
+                        });
+                    },
+                    remove: keys => {
+                        return new Promise((resolve, reject) => {
+                            chrome.storage.session.remove(keys, () => {
+                                if (chrome.runtime.lastError) {
+                                    reject(new Error(chrome.runtime.lastError.message));
+                                } else {
+                                    resolve();
+                                }
+                            });
+                        });
+                    }
+                } : undefined,
                 onChanged: chrome.storage.onChanged
             },
             tabs: {
@@ -109,7 +145,9 @@ const browserAPI = (() => {
                             }
                         });
                     });
-                }
+                },
+                // Not available in content scripts
+                onRemoved: chrome.tabs?.onRemoved
             },
             scripting: chrome.scripting ? {
                 executeScript: details => {
@@ -123,6 +161,69 @@ const browserAPI = (() => {
                         });
                     });
                 }
+            } : undefined,
+            permissions: chrome.permissions ? {
+                contains: permissions => {
+                    return new Promise((resolve, reject) => {
+                        chrome.permissions.contains(permissions, granted => {
+                            if (chrome.runtime.lastError) {
+                                reject(new Error(chrome.runtime.lastError.message));
+                            } else {
+                                resolve(granted);
+                            }
+                        });
+                    });
+                },
+                request: permissions => {
+                    return new Promise((resolve, reject) => {
+                        chrome.permissions.request(permissions, granted => {
+                            if (chrome.runtime.lastError) {
+                                reject(new Error(chrome.runtime.lastError.message));
+                            } else {
+                                resolve(granted);
+                            }
+                        });
+                    });
+                }
+            } : undefined,
+            // Only available in the background
+            alarms: chrome.alarms ? {
+                get: name => {
+                    return new Promise((resolve, reject) => {
+                        chrome.alarms.get(name, alarm => {
+                            if (chrome.runtime.lastError) {
+                                reject(new Error(chrome.runtime.lastError.message));
+                            } else {
+                                resolve(alarm);
+                            }
+                        });
+                    });
+                },
+                create: (name, alarmInfo) => {
+                    return new Promise((resolve, reject) => {
+                        chrome.alarms.create(name, alarmInfo, () => {
+                            if (chrome.runtime.lastError) {
+                                reject(new Error(chrome.runtime.lastError.message));
+                            } else {
+                                resolve();
+                            }
+                        });
+                    });
+                },
+                onAlarm: chrome.alarms.onAlarm
+            } : undefined,
+            notifications: chrome.notifications ? {
+                create: (notificationId, options) => {
+                    return new Promise((resolve, reject) => {
+                        chrome.notifications.create(notificationId, options, id => {
+                            if (chrome.runtime.lastError) {
+                                reject(new Error(chrome.runtime.lastError.message));
+                            } else {
+                                resolve(id);
+                            }
+                        });
+                    });
+                }
             } : undefined
         };
     }
@@ -148,7 +249,8 @@ const browserAPI = (() => {
         },
         tabs: {
             query: () => Promise.resolve([]),
-            sendMessage: () => Promise.resolve()
+            sendMessage: () => Promise.resolve(),
+            onRemoved: { addListener: () => {} }
         }
     };
 })();
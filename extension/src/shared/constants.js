@@ -12,6 +12,17 @@ export const STORAGE_KEYS = {
     BLOCKED_COUNTRIES: 'x_blocked_countries',
     BLOCKED_REGIONS: 'x_blocked_regions',
     BLOCKED_TAGS: 'x_blocked_tags',
+    BLOCKED_DEVICES: 'x_blocked_devices',
+    ALLOWED_USERS: 'x_allowed_users',
+    BLOCKED_USERS: 'x_blocked_users',
+    FILTER_LISTS: 'x_filter_lists',
+    FILTER_RULES: 'x_filter_rules',
+    PROFILES: 'x_filter_profiles',
+    COUNTRY_GROUPS: 'x_country_groups',
+    IMPRESSION_STATS: 'x_impression_stats',
+    POSTING_HOURS: 'x_posting_hours',
+    WATCHLIST: 'x_watchlist',
+    TAB_SESSION_PREFIX: 'x_tab_session_', // + tab ID, in storage.session
     SETTINGS: 'x_location_settings',
     HEADERS: 'x_api_headers',
     THEME: 'x_theme_preference',
@@ -51,6 +62,7 @@ export const CLOUD_CACHE_CONFIG = {
 // Z-index layering (ensures consistent stacking order)
 export const Z_INDEX = {
     BADGE: 1,                    // Info badges on tweets
+    ANALYZER_PANEL: 9999,        // Follower analyzer panel (below modals and toasts)
     MODAL_OVERLAY: 999999,       // Country blocker modal backdrop
     MODAL: 1000000,              // Modal dialog
     EVIDENCE_MODAL: 1000000,     // Evidence capture modal
@@ -83,6 +95,36 @@ export const CACHE_CONFIG = {
     SAVE_INTERVAL_MS: 30000 // 30 seconds
 };
 
+// Filter list subscriptions (see filter-lists.js)
+export const FILTER_LIST_CONFIG = {
+    REFRESH_INTERVAL_MS: 24 * 60 * 60 * 1000, // Default refresh when a list has no "Expires" header
+    MIN_REFRESH_INTERVAL_MS: 60 * 60 * 1000, // Lists can't ask to be fetched more than hourly
+    CHECK_INTERVAL_MS: 15 * 60 * 1000, // How often the background checks for stale lists
+    FETCH_TIMEOUT_MS: 15000,
+    MAX_SIZE_BYTES: 1024 * 1024, // 1 MB
+    MAX_ENTRIES: 20000 // Per list
+};
+
+// Named filter profiles (each holds its own blocked countries, regions, tags and blocking mode)
+export const PROFILE_CONFIG = {
+    MAX_PROFILES: 20,
+    MAX_NAME_LENGTH: 40,
+    DEFAULT_NAME: 'Default'
+};
+
+// User-defined country groups (see country-groups.js)
+export const COUNTRY_GROUP_CONFIG = {
+    MAX_GROUPS: 50,
+    MAX_NAME_LENGTH: 40
+};
+
+// What an active country group, the verification, handle-change or posting-hours filter does: follow the blocking mode, or always highlight
+export const FILTER_MODES = {
+    OFF: 'off',
+    BLOCK: 'block',
+    HIGHLIGHT: 'highlight'
+};
+
 // API configuration
 export const API_CONFIG = {
     QUERY_ID: 'XRqGa7EeokUU5kppkh13EA', // AboutAccountQuery
@@ -109,6 +151,8 @@ export const CSS_CLASSES = {
     FLAG_SHIMMER: 'x-flag-shimmer',
     INFO_BADGE: 'x-info-badge',
     TWEET_BLOCKED: 'x-tweet-blocked',
+    TWEET_COLLAPSED: 'x-tweet-collapsed',
+    COLLAPSE_PLACEHOLDER: 'x-collapse-placeholder',
     MODAL_OVERLAY: 'x-blocker-modal-overlay',
     MODAL: 'x-blocker-modal',
     PROCESSED: 'x-processed'
@@ -130,10 +174,36 @@ export const MESSAGE_TYPES = {
     SET_BLOCKED_REGIONS: 'SET_BLOCKED_REGIONS',
     GET_BLOCKED_TAGS: 'GET_BLOCKED_TAGS',
     SET_BLOCKED_TAGS: 'SET_BLOCKED_TAGS',
+    GET_BLOCKED_DEVICES: 'GET_BLOCKED_DEVICES',
+    SET_BLOCKED_DEVICES: 'SET_BLOCKED_DEVICES',
+    GET_ALLOWED_USERS: 'GET_ALLOWED_USERS',
+    SET_ALLOWED_USERS: 'SET_ALLOWED_USERS',
+    GET_BLOCKED_USERS: 'GET_BLOCKED_USERS',
+    SET_BLOCKED_USERS: 'SET_BLOCKED_USERS',
+    GET_FILTER_LISTS: 'GET_FILTER_LISTS',
+    SET_FILTER_LISTS: 'SET_FILTER_LISTS',
+    GET_FILTER_RULES: 'GET_FILTER_RULES',
+    SET_FILTER_RULES: 'SET_FILTER_RULES',
+    GET_PROFILES: 'GET_PROFILES',
+    SET_PROFILES: 'SET_PROFILES',
+    GET_COUNTRY_GROUPS: 'GET_COUNTRY_GROUPS',
+    SET_COUNTRY_GROUPS: 'SET_COUNTRY_GROUPS',
     GET_STATISTICS: 'GET_STATISTICS',
     GET_THEME: 'GET_THEME',
     SET_THEME: 'SET_THEME',
     GET_RATE_LIMIT_STATUS: 'GET_RATE_LIMIT_STATUS',
+    REPORT_FILTER_EVENTS: 'REPORT_FILTER_EVENTS',
+    GET_TAB_SESSION: 'GET_TAB_SESSION',
+    REPORT_IMPRESSIONS: 'REPORT_IMPRESSIONS',
+    GET_IMPRESSION_STATS: 'GET_IMPRESSION_STATS',
+    SET_IMPRESSION_STATS: 'SET_IMPRESSION_STATS',
+    REPORT_OBSERVATIONS: 'REPORT_OBSERVATIONS',
+    GET_RESEARCH_STATUS: 'GET_RESEARCH_STATUS',
+    SET_RESEARCH_MODE: 'SET_RESEARCH_MODE',
+    EXPORT_RESEARCH_SESSION: 'EXPORT_RESEARCH_SESSION',
+    REPORT_POSTING_TIMES: 'REPORT_POSTING_TIMES',
+    GET_WATCHLIST: 'GET_WATCHLIST',
+    SET_WATCHLIST: 'SET_WATCHLIST',
     
     // Import/Export
     IMPORT_DATA: 'IMPORT_DATA',
@@ -151,7 +221,19 @@ export const MESSAGE_TYPES = {
     BLOCKED_COUNTRIES_UPDATED: 'BLOCKED_COUNTRIES_UPDATED',
     BLOCKED_REGIONS_UPDATED: 'BLOCKED_REGIONS_UPDATED',
     BLOCKED_TAGS_UPDATED: 'BLOCKED_TAGS_UPDATED',
+    BLOCKED_DEVICES_UPDATED: 'BLOCKED_DEVICES_UPDATED',
+    ALLOWED_USERS_UPDATED: 'ALLOWED_USERS_UPDATED',
+    BLOCKED_USERS_UPDATED: 'BLOCKED_USERS_UPDATED',
+    WATCHLIST_UPDATED: 'WATCHLIST_UPDATED',
+    FILTER_LISTS_UPDATED: 'FILTER_LISTS_UPDATED',
+    FILTER_RULES_UPDATED: 'FILTER_RULES_UPDATED',
+    PROFILES_UPDATED: 'PROFILES_UPDATED',
+    COUNTRY_GROUPS_UPDATED: 'COUNTRY_GROUPS_UPDATED',
     THEME_UPDATED: 'THEME_UPDATED',
+    RESEARCH_MODE_UPDATED: 'RESEARCH_MODE_UPDATED',
+    
+    // Popup to content script (active tab)
+    REVEAL_TWEET: 'REVEAL_TWEET',
     
     // Page script to content script (via custom events)
     HEADERS_CAPTURED: 'X_HEADERS_CAPTURED',
@@ -169,7 +251,198 @@ export const DEFAULT_SETTINGS = {
     showSidebarBlockerLink: true,
     debugMode: false,
     cloudCacheEnabled: false,  // Opt-in only
-    highlightBlockedTweets: false  // If true, highlight instead of hide blocked tweets
+    highlightBlockedTweets: false,  // If true, highlight instead of hide blocked tweets
+    collapseBlockedTweets: false,   // If true, collapse blocked tweets to a placeholder with a "Show" button
+    newAccountFilterEnabled: false, // Hide/highlight accounts younger than newAccountMaxDays
+    newAccountMaxDays: 30,
+    newAccountLocation: '',         // Country or region key to restrict the age filter to ('' = any)
+    cascadeRegionBlocks: true,      // Blocked regions also cover their member countries (see REGION_COUNTRIES)
+    verificationFilterMode: 'off',    // 'off', 'block' (per the blocking mode) or 'highlight' (see FILTER_MODES)
+    verificationFilterStatuses: [],   // VERIFICATION_STATUSES keys the filter looks for
+    verificationFilterInvert: false,  // Match accounts with none of the statuses instead of any of them
+    verificationFilterVpnOnly: false, // Only match accounts whose location is inaccurate (VPN/proxy)
+    verificationFilterLocations: [],  // Country or region keys to restrict the filter to ([] = any)
+    handleChangeThreshold: 3,         // Accounts with more handle changes than this get a 🔁 badge marker (0 = off)
+    handleChangeFilterMode: 'off',    // 'off', 'block' or 'highlight' accounts over the threshold (see FILTER_MODES)
+    suspicionWeights: {},             // Per-factor weight overrides (see SUSPICION_FACTORS)
+    suspicionHighlightScore: 0,       // Highlight accounts scoring at least this (0 = off)
+    suspicionHideScore: 0,            // Block (per the blocking mode) accounts scoring at least this (0 = off)
+    impressionRetentionDays: 0,       // Days of timeline composition stats to keep (0 = don't record; opt-in)
+    postingHoursFilterMode: 'off',    // 'off', 'block' or 'highlight' accounts whose posting hours don't fit their country (see FILTER_MODES)
+    watchlistNotifications: true      // Show a browser notification when a watched account changes
+};
+
+// Filter rule actions, ordered from weakest to strongest
+export const FILTER_ACTIONS = {
+    LABEL: 'label',
+    HIGHLIGHT: 'highlight',
+    COLLAPSE: 'collapse',
+    HIDE: 'hide'
+};
+
+// Human-readable names for why a tweet was filtered (see findFilterMatch in observer.js)
+export const FILTER_REASON_LABELS = {
+    user: 'Blocked accounts',
+    country: 'Countries',
+    region: 'Regions',
+    group: 'Country groups',
+    device: 'Devices',
+    tag: 'Tags',
+    age: 'New accounts',
+    verification: 'Verification filter',
+    handleChanges: 'Handle changes',
+    suspicion: 'Suspicion score',
+    postingHours: 'Posting hours'
+};
+
+// Suspicion score factors (see suspicion-score.js) with the points they add by default.
+// The defaults add up to 100; users can re-weight each factor from 0 to SUSPICION_CONFIG.MAX_WEIGHT.
+export const SUSPICION_FACTORS = {
+    vpn: { label: 'VPN/proxy detected', weight: 30 },
+    newAccount: { label: 'Account younger than 90 days', weight: 20 },
+    flagMismatch: { label: 'Display-name flag differs from location', weight: 20 },
+    handleChanges: { label: 'Handle changed more often than the limit', weight: 15 },
+    unverified: { label: 'No verification of any kind', weight: 10 },
+    unknownDevice: { label: 'Posts from an unknown client', weight: 5 }
+};
+
+// Session log of filtered tweets per tab (see tab-session.js)
+export const FILTER_LOG_CONFIG = {
+    MAX_ENTRIES: 500,            // Events kept per tab (oldest dropped first)
+    RECENT_AUTHORS: 20,          // Authors listed in the popup
+    REPORT_INTERVAL_MS: 2000     // How often the content script sends new events
+};
+
+// Per-day timeline composition stats (see impression-stats.js)
+export const IMPRESSION_STATS_CONFIG = {
+    REPORT_INTERVAL_MS: 10000,   // How often the content script sends new impressions
+    MAX_PENDING: 2000,           // Impressions queued between reports (oldest dropped first)
+    MAX_SEEN_TWEETS: 5000,       // Tweets remembered per page so X re-rendering them doesn't count twice
+    MAX_DAYS: 365,               // Upper bound on the retention setting
+    SAVE_DELAY_MS: 5000,         // Debounce for writing the stats to storage
+    TOP_COUNTRIES: 6             // Countries listed per day on the options page
+};
+
+// Research mode observation log (see research-log.js)
+export const RESEARCH_CONFIG = {
+    DB_NAME: 'x-posed-research',
+    DB_VERSION: 1,
+    REPORT_INTERVAL_MS: 3000,    // How often the content script sends new observations
+    MAX_PENDING: 2000,           // Observations queued between reports (oldest dropped first)
+    MAX_NAME_LENGTH: 80,         // Session name length
+    POPUP_SESSIONS: 5            // Past sessions listed in the popup
+};
+
+// Per-author posting-hour histograms (see posting-hours.js)
+export const POSTING_HOURS_CONFIG = {
+    MIN_SAMPLES: 20,             // Tweets needed before a UTC offset is inferred
+    QUIET_HOURS: 6,              // Length of the daily quiet window (sleep) looked for
+    QUIET_START_LOCAL: 1,        // Local hour the quiet window is assumed to start at (01:00-07:00)
+    MAX_QUIET_SHARE: 0.1,        // Largest share of tweets the quiet window may hold for the inference to count
+    OFFSET_TOLERANCE: 2,         // Hours the inferred offset may be off the country's offsets before it's a mismatch
+    MAX_AUTHORS: 5000,           // Authors kept in storage (least recently updated dropped first)
+    MAX_TWEET_IDS: 200,          // Tweet IDs remembered per author so a tweet is only counted once
+    MAX_PENDING: 2000,           // Samples queued between reports (oldest dropped first)
+    REPORT_INTERVAL_MS: 10000,   // How often the content script sends new samples
+    SAVE_DELAY_MS: 5000          // Debounce for writing the histograms to storage
+};
+
+// Watched accounts re-checked in the background (see watchlist.js)
+export const WATCHLIST_CONFIG = {
+    MAX_ACCOUNTS: 100,
+    MAX_HISTORY: 50,             // Changes kept per account (oldest dropped first)
+    CHECK_INTERVAL_MS: 6 * 60 * 60 * 1000, // How often each account is re-fetched
+    BATCH_SIZE: 10,              // Accounts re-fetched per run, least recently checked first
+    ALARM_NAME: 'x-posed-watchlist',
+    ALARM_PERIOD_MINUTES: 15     // How often the background looks for accounts due a check
+};
+
+// In-page navigation watcher shared by the page panels (see content/page-watcher.js)
+export const PAGE_WATCHER_CONFIG = {
+    CHECK_MS: 1000               // How often to check the URL (X navigates without reloads)
+};
+
+// Follower/following list analyzer (see follower-analysis.js)
+export const FOLLOWER_ANALYZER_CONFIG = {
+    REFRESH_MS: 1500,            // Panel refresh interval while open
+    SCROLL_DELAY_MS: 1200,       // Wait after each scroll step of "Load all"
+    MAX_IDLE_SCROLLS: 5,         // "Load all" stops after this many steps without new accounts
+    LOOKUP_WAIT_MS: 30000,       // Max wait for pending lookups after "Load all"
+    MAX_ACCOUNTS: 5000,          // Accounts collected per list
+    TOP_LOCATIONS: 10            // Locations shown in the panel (exports include all)
+};
+
+// Reply-thread composition report (see thread-report.js)
+export const THREAD_REPORT_CONFIG = {
+    REFRESH_MS: 1500,            // Panel refresh interval while open
+    MIN_CLUSTER_SIZE: 3,         // Accounts needed to call out a cluster
+    MIN_CLUSTER_SHARE: 0.15,     // Share of reply authors a creation-month cluster needs
+    TOP_ROWS: 10,                // Rows per breakdown in the panel
+    IMAGE_TOP_ROWS: 5            // Rows per breakdown in the captured image
+};
+
+// Coordinated-account cluster detection on reply, quote and search pages (see account-clusters.js)
+export const CLUSTER_CONFIG = {
+    REFRESH_MS: 1500,            // Panel refresh interval while open
+    MIN_SHARED_TRAITS: 3,        // Traits (of creation week, country, device, handle pattern) members must share
+    SIZE_OPTIONS: [3, 5, 10],    // Minimum cluster sizes offered in the panel (the first is the default)
+    MIN_PATTERN_DIGITS: 2        // Handles need a run of this many digits for their pattern to count as a trait
+};
+
+// Country/device breakdown widget on search and hashtag pages
+export const SEARCH_BREAKDOWN_CONFIG = {
+    RENDER_DEBOUNCE_MS: 300,     // Batch widget updates while results stream in
+    TOP_COUNTRIES: 8             // Countries shown (the rest are grouped as "Other")
+};
+
+export const SUSPICION_CONFIG = {
+    NEW_ACCOUNT_DAYS: 90,
+    MAX_WEIGHT: 100
+};
+
+// Filter rule condition types (groups combine other conditions)
+export const FILTER_CONDITION_TYPES = {
+    AND: 'and',
+    OR: 'or',
+    NOT: 'not',
+    COUNTRY: 'country',
+    REGION: 'region',
+    DEVICE: 'device',
+    VPN: 'vpn',
+    ACCOUNT_AGE: 'accountAge',
+    VERIFIED: 'verified',
+    TAG: 'tag',
+    FLAG_MISMATCH: 'flagMismatch',
+    AFFILIATION: 'affiliation',
+    AFFILIATE: 'affiliate'
+};
+
+// Device categories (see getDeviceCategory in utils.js)
+export const DEVICE_CATEGORIES = ['iOS', 'Android', 'Web', 'Unknown'];
+
+// Device category icons (matches getDeviceEmoji in utils.js)
+export const DEVICE_CATEGORY_EMOJIS = {
+    iOS: '🍎',
+    Android: '🤖',
+    Web: '🌐',
+    Unknown: '❓'
+};
+
+// Verification statuses usable in filter rules and the verification filter
+export const VERIFICATION_STATUSES = {
+    blue: 'X Premium (Blue)',
+    verified: 'Verified (legacy/org)',
+    identity: 'ID verified',
+    none: 'Not verified'
+};
+
+// Affiliation label categories usable in filter rules (see getAffiliationCategories)
+export const AFFILIATION_CATEGORIES = {
+    any: 'Any affiliation label',
+    government: 'Government',
+    stateMedia: 'State-affiliated media',
+    business: 'Business / organization',
+    automated: 'Automated account'
 };
 
 // Bearer token for X API (public, embedded in X's own code)
@@ -261,6 +534,131 @@ export const REGION_NAMES = Object.fromEntries(
 // Get sorted region list for UI (returns array of {name, key, flag} objects)
 export const REGION_LIST = REGION_DATA;
 
+// Member countries of each X region (canonical country keys from COUNTRY_FLAGS).
+// X doesn't publish its grouping, so this follows common geographic usage; Central
+// Asia is grouped with South Asia and the Caribbean and Central America with North America.
+export const REGION_COUNTRIES = {
+    'africa': [
+        'angola', 'benin', 'botswana', 'burkina faso', 'burundi', 'cameroon', 'cape verde',
+        'central african republic', 'chad', 'comoros', 'congo', 'democratic republic of the congo',
+        'djibouti', 'equatorial guinea', 'eritrea', 'eswatini', 'ethiopia', 'gabon', 'gambia', 'ghana',
+        'guinea', 'guinea-bissau', 'ivory coast', 'kenya', 'lesotho', 'liberia', 'madagascar', 'malawi',
+        'mali', 'mauritania', 'mauritius', 'mozambique', 'namibia', 'niger', 'nigeria', 'rwanda',
+        'sao tome and principe', 'senegal', 'seychelles', 'sierra leone', 'somalia', 'south africa',
+        'south sudan', 'tanzania', 'togo', 'uganda', 'zambia', 'zimbabwe'
+    ],
+    'australasia': ['australia', 'new zealand'],
+    'east asia & pacific': [
+        'brunei', 'cambodia', 'china', 'east timor', 'fiji', 'hong kong', 'indonesia', 'japan', 'kiribati',
+        'laos', 'macao', 'malaysia', 'marshall islands', 'micronesia', 'mongolia', 'myanmar', 'nauru',
+        'north korea', 'palau', 'papua new guinea', 'philippines', 'samoa', 'singapore', 'solomon islands',
+        'south korea', 'taiwan', 'thailand', 'tonga', 'tuvalu', 'vanuatu', 'vietnam'
+    ],
+    'europe': [
+        'albania', 'andorra', 'austria', 'belarus', 'belgium', 'bosnia and herzegovina', 'bulgaria', 'croatia',
+        'cyprus', 'czech republic', 'denmark', 'england', 'estonia', 'finland', 'france', 'germany', 'greece',
+        'hungary', 'iceland', 'ireland', 'italy', 'kosovo', 'latvia', 'liechtenstein', 'lithuania',
+        'luxembourg', 'malta', 'moldova', 'monaco', 'montenegro', 'netherlands', 'north macedonia', 'norway',
+        'poland', 'portugal', 'romania', 'russia', 'san marino', 'scotland', 'serbia', 'slovakia', 'slovenia',
+        'spain', 'sweden', 'switzerland', 'ukraine', 'united kingdom', 'vatican city', 'wales'
+    ],
+    'north africa': ['algeria', 'egypt', 'libya', 'morocco', 'sudan', 'tunisia'],
+    'north america': [
+        'antigua and barbuda', 'bahamas', 'barbados', 'belize', 'canada', 'costa rica', 'cuba', 'dominica',
+        'dominican republic', 'el salvador', 'grenada', 'guatemala', 'haiti', 'honduras', 'jamaica', 'mexico',
+        'nicaragua', 'panama', 'puerto rico', 'saint kitts and nevis', 'saint lucia',
+        'saint vincent and the grenadines', 'trinidad and tobago', 'united states'
+    ],
+    'south america': [
+        'argentina', 'bolivia', 'brazil', 'chile', 'colombia', 'ecuador', 'guyana', 'paraguay', 'peru',
+        'suriname', 'uruguay', 'venezuela'
+    ],
+    'south asia': [
+        'afghanistan', 'bangladesh', 'bhutan', 'india', 'kazakhstan', 'kyrgyzstan', 'maldives', 'nepal',
+        'pakistan', 'sri lanka', 'tajikistan', 'turkmenistan', 'uzbekistan'
+    ],
+    'west asia': [
+        'armenia', 'azerbaijan', 'bahrain', 'georgia', 'iran', 'iraq', 'israel', 'jordan', 'kuwait', 'lebanon',
+        'oman', 'palestine', 'qatar', 'saudi arabia', 'syria', 'turkey', 'united arab emirates', 'yemen'
+    ]
+};
+
+// Country key (including aliases such as "usa" or "czechia") → region key.
+// Aliases share their canonical country's flag, which is how they're resolved.
+export const COUNTRY_REGIONS = (() => {
+    const byFlag = {};
+    const map = {};
+    for (const [region, countries] of Object.entries(REGION_COUNTRIES)) {
+        for (const country of countries) {
+            map[country] = region;
+            byFlag[COUNTRY_FLAGS[country]] = region;
+        }
+    }
+    for (const [country, flag] of Object.entries(COUNTRY_FLAGS)) {
+        if (!map[country] && byFlag[flag]) {
+            map[country] = byFlag[flag];
+        }
+    }
+    return map;
+})();
+
+// Standard-time UTC offsets of each canonical country key, as [westernmost, easternmost] in hours.
+// Daylight saving time isn't listed; posting-hours.js allows an hour on top. Overseas territories are left out.
+export const COUNTRY_UTC_OFFSETS = {
+    'afghanistan': [4.5, 4.5], 'albania': [1, 1], 'algeria': [1, 1], 'andorra': [1, 1], 'angola': [1, 1],
+    'antigua and barbuda': [-4, -4], 'argentina': [-3, -3], 'armenia': [4, 4], 'australia': [8, 10.5], 'austria': [1, 1],
+    'azerbaijan': [4, 4], 'bahamas': [-5, -5], 'bahrain': [3, 3], 'bangladesh': [6, 6], 'barbados': [-4, -4],
+    'belarus': [3, 3], 'belgium': [1, 1], 'belize': [-6, -6], 'benin': [1, 1], 'bhutan': [6, 6],
+    'bolivia': [-4, -4], 'bosnia and herzegovina': [1, 1], 'botswana': [2, 2], 'brazil': [-5, -2], 'brunei': [8, 8],
+    'bulgaria': [2, 2], 'burkina faso': [0, 0], 'burundi': [2, 2], 'cambodia': [7, 7], 'cameroon': [1, 1],
+    'canada': [-8, -3.5], 'cape verde': [-1, -1], 'central african republic': [1, 1], 'chad': [1, 1], 'chile': [-6, -3],
+    'china': [8, 8], 'colombia': [-5, -5], 'comoros': [3, 3], 'congo': [1, 1], 'costa rica': [-6, -6],
+    'croatia': [1, 1], 'cuba': [-5, -5], 'cyprus': [2, 2], 'czech republic': [1, 1],
+    'democratic republic of the congo': [1, 2], 'denmark': [1, 1], 'djibouti': [3, 3], 'dominica': [-4, -4],
+    'dominican republic': [-4, -4], 'east timor': [9, 9], 'ecuador': [-6, -5], 'egypt': [2, 2], 'el salvador': [-6, -6],
+    'england': [0, 0], 'equatorial guinea': [1, 1], 'eritrea': [3, 3], 'estonia': [2, 2], 'eswatini': [2, 2],
+    'ethiopia': [3, 3], 'fiji': [12, 12], 'finland': [2, 2], 'france': [1, 1], 'gabon': [1, 1],
+    'gambia': [0, 0], 'georgia': [4, 4], 'germany': [1, 1], 'ghana': [0, 0], 'greece': [2, 2],
+    'grenada': [-4, -4], 'guatemala': [-6, -6], 'guinea': [0, 0], 'guinea-bissau': [0, 0], 'guyana': [-4, -4],
+    'haiti': [-5, -5], 'honduras': [-6, -6], 'hong kong': [8, 8], 'hungary': [1, 1], 'iceland': [0, 0],
+    'india': [5.5, 5.5], 'indonesia': [7, 9], 'iran': [3.5, 3.5], 'iraq': [3, 3], 'ireland': [0, 0],
+    'israel': [2, 2], 'italy': [1, 1], 'ivory coast': [0, 0], 'jamaica': [-5, -5], 'japan': [9, 9],
+    'jordan': [3, 3], 'kazakhstan': [5, 5], 'kenya': [3, 3], 'kiribati': [12, 14], 'korea': [9, 9],
+    'kosovo': [1, 1], 'kuwait': [3, 3], 'kyrgyzstan': [6, 6], 'laos': [7, 7], 'latvia': [2, 2],
+    'lebanon': [2, 2], 'lesotho': [2, 2], 'liberia': [0, 0], 'libya': [2, 2], 'liechtenstein': [1, 1],
+    'lithuania': [2, 2], 'luxembourg': [1, 1], 'macao': [8, 8], 'madagascar': [3, 3], 'malawi': [2, 2],
+    'malaysia': [8, 8], 'maldives': [5, 5], 'mali': [0, 0], 'malta': [1, 1], 'marshall islands': [12, 12],
+    'mauritania': [0, 0], 'mauritius': [4, 4], 'mexico': [-8, -5], 'micronesia': [10, 11], 'moldova': [2, 2],
+    'monaco': [1, 1], 'mongolia': [7, 8], 'montenegro': [1, 1], 'morocco': [0, 1], 'mozambique': [2, 2],
+    'myanmar': [6.5, 6.5], 'namibia': [2, 2], 'nauru': [12, 12], 'nepal': [5.75, 5.75], 'netherlands': [1, 1],
+    'new zealand': [12, 12.75], 'nicaragua': [-6, -6], 'niger': [1, 1], 'nigeria': [1, 1], 'north korea': [9, 9],
+    'north macedonia': [1, 1], 'norway': [1, 1], 'oman': [4, 4], 'pakistan': [5, 5], 'palau': [9, 9],
+    'palestine': [2, 2], 'panama': [-5, -5], 'papua new guinea': [10, 11], 'paraguay': [-4, -3], 'peru': [-5, -5],
+    'philippines': [8, 8], 'poland': [1, 1], 'portugal': [-1, 0], 'puerto rico': [-4, -4], 'qatar': [3, 3],
+    'romania': [2, 2], 'russia': [2, 12], 'rwanda': [2, 2], 'saint kitts and nevis': [-4, -4], 'saint lucia': [-4, -4],
+    'saint vincent and the grenadines': [-4, -4], 'samoa': [13, 13], 'san marino': [1, 1], 'sao tome and principe': [0, 0],
+    'saudi arabia': [3, 3], 'scotland': [0, 0], 'senegal': [0, 0], 'serbia': [1, 1], 'seychelles': [4, 4],
+    'sierra leone': [0, 0], 'singapore': [8, 8], 'slovakia': [1, 1], 'slovenia': [1, 1], 'solomon islands': [11, 11],
+    'somalia': [3, 3], 'south africa': [2, 2], 'south korea': [9, 9], 'south sudan': [2, 2], 'spain': [0, 1],
+    'sri lanka': [5.5, 5.5], 'sudan': [2, 2], 'suriname': [-3, -3], 'sweden': [1, 1], 'switzerland': [1, 1],
+    'syria': [3, 3], 'taiwan': [8, 8], 'tajikistan': [5, 5], 'tanzania': [3, 3], 'thailand': [7, 7],
+    'togo': [0, 0], 'tonga': [13, 13], 'trinidad and tobago': [-4, -4], 'tunisia': [1, 1], 'turkey': [3, 3],
+    'turkmenistan': [5, 5], 'tuvalu': [12, 12], 'uganda': [3, 3], 'ukraine': [2, 2], 'united arab emirates': [4, 4],
+    'united kingdom': [0, 0], 'united states': [-10, -5], 'uruguay': [-3, -3], 'uzbekistan': [5, 5], 'vanuatu': [11, 11],
+    'vatican city': [1, 1], 'venezuela': [-4, -4], 'vietnam': [7, 7], 'wales': [0, 0], 'yemen': [3, 3],
+    'zambia': [2, 2], 'zimbabwe': [2, 2]
+};
+
+/**
+ * Get the X region a country belongs to
+ * @param {string} country - Country name (case-insensitive)
+ * @returns {string|null} - Region key, or null for regions and unknown locations
+ */
+export function getCountryRegion(country) {
+    if (!country) return null;
+    return COUNTRY_REGIONS[country.toLowerCase()] || null;
+}
+
 /**
  * Check if a location is a region (not a country)
  * @param {string} location - Location string to check
@@ -0,0 +1,120 @@
+/**
+ * Country Groups
+ * User-defined named sets of countries ("EU-27", "Our market") that are blocked or
+ * highlighted as a unit. Groups are matched against the location X reports for an account.
+ *
+ * Shape: { id, name, countries: ['germany', 'france', 'middle east'], mode: 'off'|'block'|'highlight' }
+ *   countries may also hold X regions, which cover their member countries like blocked regions do
+ *   (unless cascadeRegionBlocks is off).
+ */
+
+import { COUNTRY_FLAGS, COUNTRY_GROUP_CONFIG, FILTER_MODES, FILTER_ACTIONS, REGION_NAMES, isRegion, getCountryRegion } from './constants.js';
+import { generateId, formatCountryName } from './utils.js';
+import { compareFilterActions } from './filter-rules.js';
+
+const VALID_MODES = new Set(Object.values(FILTER_MODES));
+
+/**
+ * Normalize a group name (trimmed, length-capped)
+ * @param {*} name - Raw name
+ * @returns {string} - Clean name, or empty string if invalid
+ */
+export function normalizeCountryGroupName(name) {
+    if (typeof name !== 'string') return '';
+    return name.trim().slice(0, COUNTRY_GROUP_CONFIG.MAX_NAME_LENGTH);
+}
+
+/**
+ * Validate and normalize a stored or imported group
+ * Countries and regions are lowercased and deduplicated; unknown names are dropped.
+ * @param {Object} group - Raw group
+ * @returns {Object|null} - Normalized group, or null if invalid
+ */
+export function normalizeCountryGroup(group) {
+    if (!group || typeof group !== 'object') return null;
+
+    const name = normalizeCountryGroupName(group.name);
+    if (!name) return null;
+
+    const countries = [];
+    for (const country of Array.isArray(group.countries) ? group.countries : []) {
+        if (typeof country !== 'string') continue;
+        const key = country.trim().toLowerCase();
+        if ((COUNTRY_FLAGS[key] || isRegion(key)) && !countries.includes(key)) {
+            countries.push(key);
+        }
+    }
+
+    return {
+        id: typeof group.id === 'string' && group.id ? group.id : generateId(),
+        name,
+        countries,
+        mode: VALID_MODES.has(group.mode) ? group.mode : FILTER_MODES.OFF
+    };
+}
+
+/**
+ * Format a group member for display
+ * @param {string} member - Country or region key
+ * @returns {string} - e.g. "Germany" or "Middle East"
+ */
+export function formatCountryGroupMember(member) {
+    return isRegion(member) ? (REGION_NAMES[member] || formatCountryName(member)) : formatCountryName(member);
+}
+
+/**
+ * Count a group's members
+ * @param {Object} group - Normalized group
+ * @returns {string} - e.g. "5 countries" or "2 countries and 1 region"
+ */
+export function describeCountryGroupSize(group) {
+    const regions = group.countries.filter(member => isRegion(member)).length;
+    const countries = group.countries.length - regions;
+    const parts = [];
+    if (countries > 0 || regions === 0) parts.push(`${countries} ${countries === 1 ? 'country' : 'countries'}`);
+    if (regions > 0) parts.push(`${regions} ${regions === 1 ? 'region' : 'regions'}`);
+    return parts.join(' and ');
+}
+
+/**
+ * Check whether a group contains a location
+ * Aliases ("usa", "czechia") match their canonical country through the shared flag.
+ * @param {Object} group - Normalized group
+ * @param {string} location - Lowercase location
+ * @param {boolean} cascadeRegions - Regions in the group also cover their member countries
+ * @returns {boolean} - True if the location is a member
+ */
+function groupContains(group, location, cascadeRegions) {
+    if (group.countries.includes(location)) return true;
+    const flag = COUNTRY_FLAGS[location];
+    if (flag && group.countries.some(country => COUNTRY_FLAGS[country] === flag)) return true;
+    return cascadeRegions && group.countries.includes(getCountryRegion(location));
+}
+
+/**
+ * Find the strongest active group containing a location
+ * @param {Array<Object>} groups - Normalized groups
+ * @param {string} location - Location as reported by X (case-insensitive)
+ * @param {string} blockAction - Action for groups in block mode (the global blocking mode)
+ * @param {Object} [options]
+ * @param {boolean} [options.cascadeRegions=true] - Regions in a group also cover their member countries
+ *   (the cascadeRegionBlocks setting)
+ * @returns {{action: string, group: Object}|null} - Match, or null if no active group contains the location
+ */
+export function findCountryGroupMatch(groups, location, blockAction, { cascadeRegions = true } = {}) {
+    if (!Array.isArray(groups) || groups.length === 0 || !location) return null;
+
+    const locationLower = location.toLowerCase();
+    let match = null;
+
+    for (const group of groups) {
+        if (group.mode === FILTER_MODES.OFF || !groupContains(group, locationLower, cascadeRegions)) continue;
+
+        const action = group.mode === FILTER_MODES.BLOCK ? blockAction : FILTER_ACTIONS.HIGHLIGHT;
+        if (!match || compareFilterActions(action, match.action) > 0) {
+            match = { action, group };
+        }
+    }
+
+    return match;
+}
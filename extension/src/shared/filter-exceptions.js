@@ -0,0 +1,133 @@
+/**
+ * Filter Exceptions
+ * Explains why an account was filtered and offers the one-click exceptions that undo it
+ * (unblock the country, region, tag, device or handle, or allowlist the account).
+ * Used by the "why?" menu on highlighted tweets and by the popup's session panel, so entries
+ * are plain objects that survive messaging between the content script and the popup.
+ *
+ * Entry shape: { screenName, reason, value, source: 'local'|'list', name, action, time }
+ *   value - What matched: lowercase country, region key, tag, device category or handle
+ *   source - 'list' if only a subscribed filter list matched (nothing local to unblock)
+ *   name - Rule or country group name, for those reasons
+ */
+
+import { MESSAGE_TYPES, FILTER_REASON_LABELS, REGION_NAMES } from './constants.js';
+import { formatCountryName } from './utils.js';
+
+/**
+ * Build a log entry from a filter match
+ * @param {string} screenName - The filtered user's screen name
+ * @param {Object} match - Result of findFilterMatch
+ * @returns {Object} - Entry (see module docs)
+ */
+export function createFilterLogEntry(screenName, match) {
+    return {
+        screenName,
+        reason: match.reason,
+        value: match.value ?? null,
+        source: match.source || 'local',
+        name: (match.rule || match.group)?.name || '',
+        action: match.action,
+        time: Date.now()
+    };
+}
+
+/**
+ * Format the matched value for display
+ * @param {Object} entry - Log entry
+ * @returns {string} - Display value, or empty string
+ */
+function formatEntryValue(entry) {
+    switch (entry.reason) {
+        case 'country':
+            return formatCountryName(entry.value);
+        case 'region':
+            return REGION_NAMES[entry.value] || entry.value;
+        case 'user':
+            return `@${entry.value}`;
+        case 'suspicion':
+            return `${entry.value} points`;
+        case 'rule':
+        case 'group':
+            return entry.name;
+        default:
+            return entry.value ? String(entry.value) : '';
+    }
+}
+
+/**
+ * Describe why an entry was filtered, e.g. "Countries: Russia" or "Tags: 🤖 (filter list)"
+ * @param {Object} entry - Log entry
+ * @returns {string} - Short explanation
+ */
+export function describeFilterLogEntry(entry) {
+    const label = FILTER_REASON_LABELS[entry.reason] || entry.reason;
+    const value = formatEntryValue(entry);
+    const source = entry.source === 'list' ? ' (filter list)' : '';
+    return value ? `${label}: ${value}${source}` : `${label}${source}`;
+}
+
+/**
+ * Get the exceptions that would stop an entry from being filtered
+ * Unblocking is only offered for local entries; allowlisting always is.
+ * @param {Object} entry - Log entry
+ * @returns {Array<{id: string, icon: string, label: string, message: Object}>} - Exceptions with the
+ *   runtime message that applies each one
+ */
+export function getFilterExceptions(entry) {
+    const exceptions = [];
+
+    if (entry.source !== 'list' && entry.value) {
+        switch (entry.reason) {
+            case 'country':
+                exceptions.push({
+                    id: 'unblock-country',
+                    icon: '🌍',
+                    label: `Unblock ${formatCountryName(entry.value)}`,
+                    message: { type: MESSAGE_TYPES.SET_BLOCKED_COUNTRIES, payload: { action: 'remove', country: entry.value } }
+                });
+                break;
+            case 'region':
+                exceptions.push({
+                    id: 'unblock-region',
+                    icon: '🗺️',
+                    label: `Unblock ${REGION_NAMES[entry.value] || entry.value}`,
+                    message: { type: MESSAGE_TYPES.SET_BLOCKED_REGIONS, payload: { action: 'remove', region: entry.value } }
+                });
+                break;
+            case 'tag':
+                exceptions.push({
+                    id: 'unblock-tag',
+                    icon: '🏷️',
+                    label: `Unblock tag "${entry.value}"`,
+                    message: { type: MESSAGE_TYPES.SET_BLOCKED_TAGS, payload: { action: 'remove', tag: entry.value } }
+                });
+                break;
+            case 'device':
+                exceptions.push({
+                    id: 'unblock-device',
+                    icon: '📱',
+                    label: `Unblock ${entry.value}`,
+                    message: { type: MESSAGE_TYPES.SET_BLOCKED_DEVICES, payload: { action: 'remove', device: entry.value } }
+                });
+                break;
+            case 'user':
+                exceptions.push({
+                    id: 'unblock-user',
+                    icon: '⛔',
+                    label: `Unblock @${entry.value}`,
+                    message: { type: MESSAGE_TYPES.SET_BLOCKED_USERS, payload: { action: 'remove', user: entry.value } }
+                });
+                break;
+        }
+    }
+
+    exceptions.push({
+        id: 'allow-user',
+        icon: '✅',
+        label: `Always show @${entry.screenName}`,
+        message: { type: MESSAGE_TYPES.SET_ALLOWED_USERS, payload: { action: 'add', user: entry.screenName } }
+    });
+
+    return exceptions;
+}
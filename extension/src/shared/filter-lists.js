@@ -0,0 +1,285 @@
+/**
+ * Filter Lists
+ * Parsing and merging of subscribable filter lists (countries, regions, tags and handles).
+ * Lists are merged with the local blocked lists at filter time and never written into them.
+ *
+ * Text format (one entry per line, adblock-style "!" header comments):
+ *
+ *   ! Title: Team blocklist
+ *   ! Version: 2026.10.19
+ *   ! Expires: 12 hours
+ *   country: russia
+ *   region: south asia
+ *   tag: [BOT]
+ *   user: somehandle
+ *   @otherhandle
+ *
+ * Lines starting with "!" are comments, blank lines are ignored. Countries and regions use
+ * the location names shown by X (case-insensitive). Handles may also be profile URLs.
+ *
+ * JSON format:
+ *
+ *   { "title": "Team blocklist", "version": "2026.10.19", "expires": "12 hours",
+ *     "countries": ["russia"], "regions": ["south asia"], "tags": ["[BOT]"], "handles": ["somehandle"] }
+ */
+
+import { FILTER_LIST_CONFIG } from './constants.js';
+import { normalizeScreenName, generateId } from './utils.js';
+
+// Entry kinds a list can contain (keys of `entries`)
+export const FILTER_LIST_ENTRY_TYPES = ['countries', 'regions', 'tags', 'handles'];
+
+// Text-format line prefixes → entry kind
+const LINE_PREFIXES = {
+    country: 'countries',
+    region: 'regions',
+    tag: 'tags',
+    user: 'handles'
+};
+
+const EXPIRES_UNITS = {
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Create an empty entries object
+ * @returns {{countries: Array, regions: Array, tags: Array, handles: Array}}
+ */
+export function createEmptyEntries() {
+    return { countries: [], regions: [], tags: [], handles: [] };
+}
+
+/**
+ * Normalize a single entry for its kind
+ * @param {string} kind - One of FILTER_LIST_ENTRY_TYPES
+ * @param {*} value - Raw entry
+ * @returns {string|null} - Normalized entry, or null if invalid
+ */
+function normalizeEntry(kind, value) {
+    if (typeof value !== 'string') return null;
+    const trimmed = value.trim();
+    if (!trimmed) return null;
+
+    switch (kind) {
+        case 'countries':
+        case 'regions':
+            return trimmed.toLowerCase();
+        case 'handles':
+            return normalizeScreenName(trimmed);
+        default:
+            return trimmed;
+    }
+}
+
+/**
+ * Normalize an entries object (dedupes, drops invalid entries, caps size)
+ * @param {Object} raw - Object with countries/regions/tags/handles arrays
+ * @returns {{entries: Object, invalid: number}} - Clean entries and the number of dropped entries
+ */
+export function normalizeFilterListEntries(raw) {
+    const entries = createEmptyEntries();
+    let invalid = 0;
+    let total = 0;
+
+    for (const kind of FILTER_LIST_ENTRY_TYPES) {
+        const values = Array.isArray(raw?.[kind]) ? raw[kind] : [];
+        const seen = new Set();
+        for (const value of values) {
+            const normalized = normalizeEntry(kind, value);
+            if (!normalized || total >= FILTER_LIST_CONFIG.MAX_ENTRIES) {
+                invalid++;
+            } else if (!seen.has(normalized)) {
+                seen.add(normalized);
+                entries[kind].push(normalized);
+                total++;
+            }
+        }
+    }
+
+    return { entries, invalid };
+}
+
+/**
+ * Parse an "Expires" header value such as "12 hours" or "2 days"
+ * Values below FILTER_LIST_CONFIG.MIN_REFRESH_INTERVAL_MS are raised to it.
+ * @param {string} value - Header value
+ * @returns {number|null} - Interval in ms, or null if not understood
+ */
+export function parseExpires(value) {
+    const match = String(value || '').trim().toLowerCase().match(/^(\d+)\s*(hour|day)s?$/);
+    if (!match) return null;
+    const ms = Number(match[1]) * EXPIRES_UNITS[match[2]];
+    return Math.max(ms, FILTER_LIST_CONFIG.MIN_REFRESH_INTERVAL_MS);
+}
+
+/**
+ * Parse the text format (see module docs)
+ * @param {string} text - List contents
+ * @returns {{title: string, version: string, expires: string, raw: Object, unknown: number}}
+ */
+function parseTextList(text) {
+    const header = { title: '', version: '', expires: '' };
+    const raw = createEmptyEntries();
+    let unknown = 0;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line) continue;
+
+        if (line.startsWith('!')) {
+            const meta = line.slice(1).match(/^\s*(title|version|expires)\s*:\s*(.*)$/i);
+            if (meta) header[meta[1].toLowerCase()] = meta[2].trim();
+            continue;
+        }
+
+        if (line.startsWith('@')) {
+            raw.handles.push(line);
+            continue;
+        }
+
+        const prefixed = line.match(/^(country|region|tag|user)\s*:\s*(.*)$/i);
+        if (prefixed) {
+            raw[LINE_PREFIXES[prefixed[1].toLowerCase()]].push(prefixed[2]);
+        } else {
+            unknown++;
+        }
+    }
+
+    return { ...header, raw, unknown };
+}
+
+/**
+ * Parse a filter list in text or JSON format
+ * @param {string} text - List contents
+ * @returns {{title: string, version: string, expiresMs: number|null, entries: Object, invalid: number}}
+ * @throws {Error} - If the list is too large, malformed JSON, or has no valid entries
+ */
+export function parseFilterList(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new Error('Filter list is empty');
+    }
+    if (text.length > FILTER_LIST_CONFIG.MAX_SIZE_BYTES) {
+        throw new Error('Filter list is too large');
+    }
+
+    let parsed;
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{')) {
+        let json;
+        try {
+            json = JSON.parse(trimmed);
+        } catch {
+            throw new Error('Filter list is not valid JSON');
+        }
+        parsed = {
+            title: typeof json.title === 'string' ? json.title : '',
+            version: json.version !== undefined ? String(json.version) : '',
+            expires: typeof json.expires === 'string' ? json.expires : '',
+            raw: json,
+            unknown: 0
+        };
+    } else {
+        parsed = parseTextList(trimmed);
+    }
+
+    const { entries, invalid } = normalizeFilterListEntries(parsed.raw);
+    if (countFilterListEntries(entries) === 0) {
+        throw new Error('Filter list has no valid entries');
+    }
+
+    return {
+        title: parsed.title.slice(0, 100),
+        version: parsed.version.slice(0, 40),
+        expiresMs: parseExpires(parsed.expires),
+        entries,
+        invalid: invalid + parsed.unknown
+    };
+}
+
+/**
+ * Count the entries in a list
+ * @param {Object} entries - Entries object
+ * @returns {number} - Total number of entries
+ */
+export function countFilterListEntries(entries) {
+    return FILTER_LIST_ENTRY_TYPES.reduce((sum, kind) => sum + (entries?.[kind]?.length || 0), 0);
+}
+
+/**
+ * Merge the entries of all enabled lists
+ * @param {Array<Object>} lists - Stored subscriptions
+ * @returns {Object} - Entries object with deduplicated arrays
+ */
+export function mergeFilterListEntries(lists) {
+    const merged = {};
+    for (const kind of FILTER_LIST_ENTRY_TYPES) {
+        const values = new Set();
+        for (const list of lists) {
+            if (list.enabled === false) continue;
+            for (const value of list.entries?.[kind] || []) {
+                values.add(value);
+            }
+        }
+        merged[kind] = Array.from(values);
+    }
+    return merged;
+}
+
+/**
+ * Check that a subscription URL is usable (HTTPS only)
+ * @param {string} url - List URL
+ * @returns {boolean} - True if valid
+ */
+export function isValidFilterListUrl(url) {
+    try {
+        return new URL(url).protocol === 'https:';
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Validate and normalize a stored or imported subscription
+ * Shape: { id, source: 'url'|'file', url, title, version, expiresMs, enabled,
+ *          lastUpdated, lastChecked, error, needsAccess, entries }
+ *   needsAccess marks URL lists imported without access to their host (see flagFilterListsNeedingAccess).
+ * @param {Object} list - Raw subscription
+ * @returns {Object|null} - Normalized subscription, or null if invalid
+ */
+export function normalizeFilterListSubscription(list) {
+    if (!list || typeof list !== 'object') return null;
+
+    const source = list.source === 'file' ? 'file' : 'url';
+    if (source === 'url' && !isValidFilterListUrl(list.url)) return null;
+
+    const { entries } = normalizeFilterListEntries(list.entries);
+    const toTimestamp = value => (typeof value === 'number' && value > 0 ? value : null);
+
+    return {
+        id: typeof list.id === 'string' && list.id ? list.id : generateId(),
+        source,
+        url: source === 'url' ? list.url : null,
+        title: typeof list.title === 'string' && list.title.trim() ? list.title.trim().slice(0, 100) : 'Untitled list',
+        version: typeof list.version === 'string' ? list.version.slice(0, 40) : '',
+        expiresMs: typeof list.expiresMs === 'number' && list.expiresMs > 0 ? list.expiresMs : null,
+        enabled: list.enabled !== false,
+        lastUpdated: toTimestamp(list.lastUpdated),
+        lastChecked: toTimestamp(list.lastChecked),
+        error: typeof list.error === 'string' ? list.error.slice(0, 200) : '',
+        needsAccess: source === 'url' && list.needsAccess === true,
+        entries
+    };
+}
+
+/**
+ * Check whether a URL subscription is due for a refresh
+ * @param {Object} list - Stored subscription
+ * @param {number} [now] - Current time in ms
+ * @returns {boolean} - True if the list should be re-downloaded
+ */
+export function isFilterListStale(list, now = Date.now()) {
+    if (list.source !== 'url' || list.enabled === false) return false;
+    const interval = list.expiresMs || FILTER_LIST_CONFIG.REFRESH_INTERVAL_MS;
+    return !list.lastChecked || now - list.lastChecked >= interval;
+}
@@ -0,0 +1,431 @@
+/**
+ * Filter Rules
+ * Composable AND/OR/NOT rules evaluated against user info and display names.
+ *
+ * A rule looks like:
+ * {
+ *   id: 'x-…',
+ *   name: 'New Android accounts',
+ *   enabled: true,
+ *   action: 'hide' | 'collapse' | 'highlight' | 'label',
+ *   label: 'optional text shown for the label action',
+ *   condition: { type: 'and', conditions: [
+ *       { type: 'device', values: ['Android'] },
+ *       { type: 'accountAge', operator: 'lt', days: 30 },
+ *       { type: 'not', condition: { type: 'vpn', value: true } }
+ *   ] }
+ * }
+ *
+ * `flagMismatch` compares flags in the display name with the detected country (see getFlagMismatch).
+ * `affiliation` matches label categories (see getAffiliationCategories); `affiliate` matches the
+ * affiliated organization's label text or handle, e.g. { type: 'affiliate', values: ['acme corp'] }.
+ */
+
+import { FILTER_ACTIONS, FILTER_CONDITION_TYPES, DEVICE_CATEGORIES, VERIFICATION_STATUSES, AFFILIATION_CATEGORIES, REGION_NAMES, COUNTRY_FLAGS, getCountryRegion } from './constants.js';
+import { extractTagsFromText, getDeviceCategory, getAccountAgeDays, formatCountryName, generateId, getFlagMismatch } from './utils.js';
+
+// Guard against pathological imports (deeply nested or huge condition trees)
+const MAX_CONDITION_DEPTH = 6;
+const MAX_GROUP_SIZE = 50;
+const MAX_VALUES = 300;
+const MAX_TEXT_LENGTH = 80;
+
+const ACTION_PRIORITY = {
+    [FILTER_ACTIONS.LABEL]: 1,
+    [FILTER_ACTIONS.HIGHLIGHT]: 2,
+    [FILTER_ACTIONS.COLLAPSE]: 3,
+    [FILTER_ACTIONS.HIDE]: 4
+};
+
+// ============================================
+// MATCHING HELPERS
+// ============================================
+
+/**
+ * Find the first of the given tags contained in a display name
+ * @param {string} displayName - The display name to check
+ * @param {Iterable<string>} tags - Tags to look for (Set or array)
+ * @returns {string|null} - The matching tag, or null if none is found
+ */
+export function findMatchingTag(displayName, tags) {
+    if (!displayName || !tags) return null;
+
+    const tagList = Array.from(tags);
+    if (tagList.length === 0) return null;
+
+    // Exact match against tags extracted from the display name
+    const nameTags = extractTagsFromText(displayName);
+    for (const tag of nameTags) {
+        if (tagList.includes(tag)) {
+            return tag;
+        }
+    }
+
+    // Also check if the display name contains any tag as a substring
+    const displayLower = displayName.toLowerCase();
+    for (const tag of tagList) {
+        if (displayLower.includes(String(tag).toLowerCase())) {
+            return tag;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Check if a display name contains any of the given tags
+ * @param {string} displayName - The display name to check
+ * @param {Iterable<string>} tags - Tags to look for (Set or array)
+ * @returns {boolean} - True if any tag is found
+ */
+export function hasMatchingTag(displayName, tags) {
+    return findMatchingTag(displayName, tags) !== null;
+}
+
+/**
+ * Get the verification statuses of a user
+ * @param {Object|null|undefined} meta - The `meta` object from XAPIClient.parseResponse
+ * @returns {string[]} - Keys of VERIFICATION_STATUSES that apply ('none' if unverified)
+ */
+export function getVerificationStatuses(meta) {
+    const statuses = [];
+    if (meta?.blueVerified) statuses.push('blue');
+    if (meta?.verified) statuses.push('verified');
+    if (meta?.identityVerified) statuses.push('identity');
+    if (statuses.length === 0) statuses.push('none');
+    return statuses;
+}
+
+/**
+ * Get the affiliation label shown for a user (organization name, or the affiliate's handle)
+ * @param {Object|null|undefined} meta - The `meta` object from XAPIClient.parseResponse
+ * @returns {string} - Label text, or empty string if the user has no affiliation
+ */
+export function getAffiliationLabel(meta) {
+    return meta?.affiliate?.name || meta?.affiliateUsername || '';
+}
+
+/**
+ * Get the affiliation categories of a user
+ * X doesn't document its label types, so categories are matched by keyword against the
+ * label type (e.g. "BusinessLabel") and the label text (e.g. "China state-affiliated media").
+ * @param {Object|null|undefined} meta - The `meta` object from XAPIClient.parseResponse
+ * @returns {string[]} - Keys of AFFILIATION_CATEGORIES that apply (empty if no affiliation)
+ */
+export function getAffiliationCategories(meta) {
+    if (!getAffiliationLabel(meta)) return [];
+
+    const text = `${meta.affiliate?.type || ''} ${meta.affiliate?.name || ''}`.toLowerCase();
+    const categories = ['any'];
+    if (/state[- ]?(affiliated|media)/.test(text)) categories.push('stateMedia');
+    else if (/government|official/.test(text)) categories.push('government');
+    if (/automated/.test(text)) categories.push('automated');
+    if (/business/.test(text)) categories.push('business');
+    return categories;
+}
+
+/**
+ * Normalize an affiliate value for comparison (lowercase, no leading @)
+ * @param {string} value - Organization name or handle
+ * @returns {string} - Normalized value
+ */
+export function normalizeAffiliateValue(value) {
+    return String(value || '').trim().replace(/^@/, '').toLowerCase();
+}
+
+/**
+ * Compare two filter actions by strength (hide > highlight > label)
+ * @returns {number} - Positive if a is stronger than b
+ */
+export function compareFilterActions(a, b) {
+    return (ACTION_PRIORITY[a] || 0) - (ACTION_PRIORITY[b] || 0);
+}
+
+// ============================================
+// EVALUATION
+// ============================================
+
+/**
+ * Evaluate a condition tree against a user.
+ * Conditions that depend on missing data (e.g. no createdAt from cloud cache) don't match.
+ * @param {Object} condition - Condition node
+ * @param {Object} info - User info (location, device, locationAccurate, meta)
+ * @param {string} displayName - Display name including emojis
+ * @param {Object} [options]
+ * @param {boolean} [options.cascadeRegions=true] - Region conditions also match their member countries
+ *   (the cascadeRegionBlocks setting)
+ * @returns {boolean} - True if the condition matches
+ */
+export function evaluateCondition(condition, info, displayName, options = {}) {
+    if (!condition || typeof condition !== 'object') return false;
+
+    const location = info?.location ? info.location.toLowerCase() : '';
+
+    switch (condition.type) {
+        case FILTER_CONDITION_TYPES.AND:
+            return Array.isArray(condition.conditions) &&
+                condition.conditions.length > 0 &&
+                condition.conditions.every(c => evaluateCondition(c, info, displayName, options));
+
+        case FILTER_CONDITION_TYPES.OR:
+            return Array.isArray(condition.conditions) &&
+                condition.conditions.some(c => evaluateCondition(c, info, displayName, options));
+
+        case FILTER_CONDITION_TYPES.NOT:
+            return !evaluateCondition(condition.condition, info, displayName, options);
+
+        case FILTER_CONDITION_TYPES.COUNTRY:
+            return !!location && condition.values.includes(location);
+
+        case FILTER_CONDITION_TYPES.REGION:
+            if (!location) return false;
+            if (condition.values.includes(location)) return true;
+            return options.cascadeRegions !== false && condition.values.includes(getCountryRegion(location));
+
+        case FILTER_CONDITION_TYPES.DEVICE:
+            if (!info?.device) return false;
+            return condition.values.includes(getDeviceCategory(info.device));
+
+        case FILTER_CONDITION_TYPES.VPN:
+            if (typeof info?.locationAccurate !== 'boolean') return false;
+            return (info.locationAccurate === false) === condition.value;
+
+        case FILTER_CONDITION_TYPES.ACCOUNT_AGE: {
+            const days = getAccountAgeDays(info?.meta?.createdAt);
+            if (days === null) return false;
+            return condition.operator === 'gt' ? days > condition.days : days < condition.days;
+        }
+
+        case FILTER_CONDITION_TYPES.VERIFIED: {
+            if (!info?.meta) return false;
+            const statuses = getVerificationStatuses(info.meta);
+            return statuses.some(s => condition.values.includes(s));
+        }
+
+        case FILTER_CONDITION_TYPES.TAG:
+            return hasMatchingTag(displayName, condition.values);
+
+        case FILTER_CONDITION_TYPES.FLAG_MISMATCH: {
+            // No flag in the name, or a region-level location: nothing to compare
+            const result = getFlagMismatch(displayName, info?.location);
+            if (!result) return false;
+            return result.mismatch === condition.value;
+        }
+
+        case FILTER_CONDITION_TYPES.AFFILIATION: {
+            const categories = getAffiliationCategories(info?.meta);
+            return categories.some(c => condition.values.includes(c));
+        }
+
+        case FILTER_CONDITION_TYPES.AFFILIATE: {
+            const name = normalizeAffiliateValue(info?.meta?.affiliate?.name);
+            const handle = normalizeAffiliateValue(info?.meta?.affiliateUsername);
+            return condition.values.some(v => (name && v === name) || (handle && v === handle));
+        }
+
+        default:
+            return false;
+    }
+}
+
+/**
+ * Find the strongest matching rule for a user
+ * @param {Array<Object>} rules - Normalized filter rules
+ * @param {Object} info - User info
+ * @param {string} displayName - Display name including emojis
+ * @param {Object} [options] - Evaluation options (see evaluateCondition)
+ * @returns {{action: string, rule: Object}|null} - Strongest match, or null if none matched
+ */
+export function findFilterRuleMatch(rules, info, displayName, options = {}) {
+    if (!Array.isArray(rules) || rules.length === 0) return null;
+
+    let best = null;
+    for (const rule of rules) {
+        if (!rule || rule.enabled === false) continue;
+        if (best && compareFilterActions(rule.action, best.action) <= 0) continue;
+        if (evaluateCondition(rule.condition, info, displayName, options)) {
+            best = { action: rule.action, rule };
+            if (rule.action === FILTER_ACTIONS.HIDE) break;
+        }
+    }
+    return best;
+}
+
+// ============================================
+// NORMALIZATION
+// ============================================
+
+function normalizeTextList(values, lowercase) {
+    if (!Array.isArray(values)) return [];
+    const result = new Set();
+    for (const value of values.slice(0, MAX_VALUES)) {
+        if (typeof value !== 'string') continue;
+        const trimmed = value.trim().slice(0, MAX_TEXT_LENGTH);
+        if (trimmed) result.add(lowercase ? trimmed.toLowerCase() : trimmed);
+    }
+    return Array.from(result);
+}
+
+/**
+ * Validate and normalize a condition tree
+ * @param {Object} condition - Raw condition (from options UI or an import file)
+ * @param {number} depth - Current nesting depth
+ * @returns {Object|null} - Normalized condition, or null if invalid
+ */
+export function normalizeCondition(condition, depth = 0) {
+    if (!condition || typeof condition !== 'object' || depth > MAX_CONDITION_DEPTH) return null;
+
+    switch (condition.type) {
+        case FILTER_CONDITION_TYPES.AND:
+        case FILTER_CONDITION_TYPES.OR: {
+            if (!Array.isArray(condition.conditions)) return null;
+            const conditions = condition.conditions
+                .slice(0, MAX_GROUP_SIZE)
+                .map(c => normalizeCondition(c, depth + 1))
+                .filter(Boolean);
+            return conditions.length > 0 ? { type: condition.type, conditions } : null;
+        }
+
+        case FILTER_CONDITION_TYPES.NOT: {
+            const inner = normalizeCondition(condition.condition, depth + 1);
+            return inner ? { type: FILTER_CONDITION_TYPES.NOT, condition: inner } : null;
+        }
+
+        case FILTER_CONDITION_TYPES.COUNTRY:
+        case FILTER_CONDITION_TYPES.REGION: {
+            const values = normalizeTextList(condition.values, true);
+            return values.length > 0 ? { type: condition.type, values } : null;
+        }
+
+        case FILTER_CONDITION_TYPES.DEVICE: {
+            const values = normalizeTextList(condition.values, false)
+                .filter(v => DEVICE_CATEGORIES.includes(v));
+            return values.length > 0 ? { type: condition.type, values } : null;
+        }
+
+        case FILTER_CONDITION_TYPES.VERIFIED: {
+            const values = normalizeTextList(condition.values, false)
+                .filter(v => Object.hasOwn(VERIFICATION_STATUSES, v));
+            return values.length > 0 ? { type: condition.type, values } : null;
+        }
+
+        case FILTER_CONDITION_TYPES.TAG: {
+            const values = normalizeTextList(condition.values, false);
+            return values.length > 0 ? { type: condition.type, values } : null;
+        }
+
+        case FILTER_CONDITION_TYPES.AFFILIATION: {
+            const values = normalizeTextList(condition.values, false)
+                .filter(v => Object.hasOwn(AFFILIATION_CATEGORIES, v));
+            return values.length > 0 ? { type: condition.type, values } : null;
+        }
+
+        case FILTER_CONDITION_TYPES.AFFILIATE: {
+            const values = [...new Set(normalizeTextList(condition.values, false).map(normalizeAffiliateValue))].filter(Boolean);
+            return values.length > 0 ? { type: condition.type, values } : null;
+        }
+
+        case FILTER_CONDITION_TYPES.VPN:
+        case FILTER_CONDITION_TYPES.FLAG_MISMATCH:
+            return { type: condition.type, value: condition.value !== false };
+
+        case FILTER_CONDITION_TYPES.ACCOUNT_AGE: {
+            const days = Math.floor(Number(condition.days));
+            if (!Number.isFinite(days) || days < 0) return null;
+            return {
+                type: condition.type,
+                operator: condition.operator === 'gt' ? 'gt' : 'lt',
+                days
+            };
+        }
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Validate and normalize a filter rule
+ * @param {Object} rule - Raw rule
+ * @returns {Object|null} - Normalized rule, or null if invalid
+ */
+export function normalizeFilterRule(rule) {
+    if (!rule || typeof rule !== 'object') return null;
+
+    const condition = normalizeCondition(rule.condition);
+    if (!condition) return null;
+
+    const action = Object.values(FILTER_ACTIONS).includes(rule.action)
+        ? rule.action
+        : FILTER_ACTIONS.HIGHLIGHT;
+    const name = typeof rule.name === 'string' && rule.name.trim()
+        ? rule.name.trim().slice(0, MAX_TEXT_LENGTH)
+        : 'Untitled rule';
+    const label = typeof rule.label === 'string' ? rule.label.trim().slice(0, MAX_TEXT_LENGTH) : '';
+
+    return {
+        id: typeof rule.id === 'string' && rule.id ? rule.id : generateId(),
+        name,
+        enabled: rule.enabled !== false,
+        action,
+        label,
+        condition
+    };
+}
+
+// ============================================
+// DESCRIPTION
+// ============================================
+
+function formatLocationValue(type, value) {
+    if (type === FILTER_CONDITION_TYPES.REGION) {
+        return REGION_NAMES[value] || formatCountryName(value);
+    }
+    const flag = COUNTRY_FLAGS[value];
+    return flag ? `${flag} ${formatCountryName(value)}` : formatCountryName(value);
+}
+
+/**
+ * Build a human-readable summary of a condition tree (for the options page)
+ * @param {Object} condition - Normalized condition
+ * @returns {string} - Summary, e.g. "device is Android AND NOT (VPN/proxy detected)"
+ */
+export function describeCondition(condition) {
+    if (!condition) return '';
+
+    switch (condition.type) {
+        case FILTER_CONDITION_TYPES.AND:
+        case FILTER_CONDITION_TYPES.OR: {
+            const joiner = condition.type === FILTER_CONDITION_TYPES.AND ? ' AND ' : ' OR ';
+            return condition.conditions
+                .map(c => (c.type === FILTER_CONDITION_TYPES.AND || c.type === FILTER_CONDITION_TYPES.OR) && c.conditions.length > 1
+                    ? `(${describeCondition(c)})`
+                    : describeCondition(c))
+                .join(joiner);
+        }
+        case FILTER_CONDITION_TYPES.NOT:
+            return `NOT (${describeCondition(condition.condition)})`;
+        case FILTER_CONDITION_TYPES.COUNTRY:
+            return `country is ${condition.values.map(v => formatLocationValue(condition.type, v)).join(' / ')}`;
+        case FILTER_CONDITION_TYPES.REGION:
+            return `region is ${condition.values.map(v => formatLocationValue(condition.type, v)).join(' / ')}`;
+        case FILTER_CONDITION_TYPES.DEVICE:
+            return `device is ${condition.values.join(' / ')}`;
+        case FILTER_CONDITION_TYPES.VPN:
+            return condition.value ? 'VPN/proxy detected' : 'no VPN/proxy detected';
+        case FILTER_CONDITION_TYPES.ACCOUNT_AGE:
+            return `account ${condition.operator === 'gt' ? 'older' : 'younger'} than ${condition.days} days`;
+        case FILTER_CONDITION_TYPES.VERIFIED:
+            return `verification is ${condition.values.map(v => VERIFICATION_STATUSES[v] || v).join(' / ')}`;
+        case FILTER_CONDITION_TYPES.TAG:
+            return `name contains ${condition.values.join(' / ')}`;
+        case FILTER_CONDITION_TYPES.FLAG_MISMATCH:
+            return condition.value ? 'name flag differs from location' : 'name flag matches location';
+        case FILTER_CONDITION_TYPES.AFFILIATION:
+            return `affiliation is ${condition.values.map(v => AFFILIATION_CATEGORIES[v] || v).join(' / ')}`;
+        case FILTER_CONDITION_TYPES.AFFILIATE:
+            return `affiliated with ${condition.values.join(' / ')}`;
+        default:
+            return '';
+    }
+}
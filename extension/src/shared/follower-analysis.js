@@ -0,0 +1,128 @@
+/**
+ * Follower Analysis
+ * Summarizes the accounts loaded on a followers, following or verified followers page
+ * (location distribution, device split, VPN share and account age) and exports them.
+ *
+ * Account shape: { screenName, location, device, vpn, accountAgeDays, createdAt }
+ *   All fields but screenName are null when X-Posed has no data for the account.
+ */
+
+import { REGION_NAMES, isRegion, getLocationEmoji } from './constants.js';
+import { formatCountryName, getDeviceCategory, getAccountAgeDays, toCsvField } from './utils.js';
+
+// Follower list pages: /<user>/followers, /<user>/following, /<user>/verified_followers
+const FOLLOWER_LIST_PATH = /^\/([A-Za-z0-9_]{1,15})\/(followers|following|verified_followers)\/?$/;
+
+export const FOLLOWER_LIST_LABELS = {
+    followers: 'followers',
+    following: 'following',
+    verified_followers: 'verified followers'
+};
+
+// Account-age histogram buckets (upper bound in days, exclusive)
+export const ACCOUNT_AGE_BUCKETS = [
+    { label: '< 1 month', maxDays: 30 },
+    { label: '1–3 months', maxDays: 90 },
+    { label: '3–12 months', maxDays: 365 },
+    { label: '1–2 years', maxDays: 730 },
+    { label: '2–5 years', maxDays: 1826 },
+    { label: '5+ years', maxDays: Infinity }
+];
+
+const CSV_COLUMNS = ['screenName', 'location', 'device', 'vpn', 'accountAgeDays', 'createdAt'];
+
+/**
+ * Parse a follower list page path
+ * @param {string} pathname - location.pathname
+ * @returns {{screenName: string, list: string}|null} - Page, or null for other pages
+ */
+export function parseFollowerListPath(pathname) {
+    const match = FOLLOWER_LIST_PATH.exec(pathname || '');
+    return match ? { screenName: match[1], list: match[2] } : null;
+}
+
+/**
+ * Format a location (country or region) for display, with its flag
+ * @param {string} location - Lowercase location
+ * @returns {string} - e.g. "🇷🇺 Russia"
+ */
+export function formatReportLocation(location) {
+    const name = isRegion(location) ? (REGION_NAMES[location] || formatCountryName(location)) : formatCountryName(location);
+    return `${getLocationEmoji(location)} ${name}`;
+}
+
+/**
+ * Build an analyzed account from user info
+ * @param {string} screenName - Screen name
+ * @param {Object|null} info - User info, or null if unknown
+ * @returns {Object} - Account (see module docs)
+ */
+export function createAnalyzedAccount(screenName, info) {
+    return {
+        screenName,
+        location: info?.location ? info.location.toLowerCase() : null,
+        device: info?.device ? getDeviceCategory(info.device) : null,
+        vpn: info ? info.locationAccurate === false : null,
+        accountAgeDays: info ? getAccountAgeDays(info.meta?.createdAt) : null,
+        createdAt: info?.meta?.createdAt || null
+    };
+}
+
+/**
+ * Count values, most frequent first
+ * @param {Array<string>} values - Values
+ * @returns {Array<{value: string, count: number}>} - Counts
+ */
+function countValues(values) {
+    const counts = new Map();
+    for (const value of values) {
+        counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    return Array.from(counts, ([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Summarize analyzed accounts
+ * @param {Array<Object>} accounts - Accounts
+ * @returns {{total: number, withData: number, locations: Array, noLocation: number, devices: Array,
+ *   vpn: number, ages: Array<{label: string, count: number}>, unknownAge: number}}
+ *   locations and devices are counts (most frequent first) over accounts with data
+ */
+export function summarizeFollowerAccounts(accounts) {
+    const withData = accounts.filter(account => account.vpn !== null);
+    const ages = ACCOUNT_AGE_BUCKETS.map(bucket => ({ label: bucket.label, count: 0 }));
+    let unknownAge = 0;
+
+    for (const account of withData) {
+        if (account.accountAgeDays === null) {
+            unknownAge++;
+            continue;
+        }
+        const index = ACCOUNT_AGE_BUCKETS.findIndex(bucket => account.accountAgeDays < bucket.maxDays);
+        ages[index].count++;
+    }
+
+    return {
+        total: accounts.length,
+        withData: withData.length,
+        locations: countValues(withData.filter(account => account.location).map(account => account.location)),
+        noLocation: withData.filter(account => !account.location).length,
+        devices: countValues(withData.map(account => account.device || 'Unknown')),
+        vpn: withData.filter(account => account.vpn).length,
+        ages,
+        unknownAge
+    };
+}
+
+/**
+ * Export accounts as CSV (one row per account)
+ * @param {Array<Object>} accounts - Accounts
+ * @param {Array<string>} [extraColumns=[]] - Additional account fields to include (e.g. a thread's reply counts)
+ * @returns {string} - CSV text with a header row
+ */
+export function followerAccountsToCsv(accounts, extraColumns = []) {
+    const columns = [...CSV_COLUMNS, ...extraColumns];
+    const rows = accounts.map(account => columns.map(column => toCsvField(account[column])).join(','));
+    return [columns.join(','), ...rows].join('\r\n');
+}
@@ -0,0 +1,136 @@
+/**
+ * Impression Stats
+ * Per-day composition of the tweets actually seen, as opposed to calculateStatistics (utils.js)
+ * which describes the cached user set. Each tweet the observer renders is an impression; the
+ * background aggregates them per local day and source so the options page can show what share
+ * of the home timeline came from each country.
+ *
+ * Impression shape: { day, source, country, device, filtered }
+ *   day is the local date (YYYY-MM-DD), source is 'home' or 'other', country is the lowercase
+ *   location or null, device is a DEVICE_CATEGORIES value or null.
+ * Stored shape: { [day]: { [source]: { total, filtered, countries: {country: count}, devices: {device: count} } } }
+ *   Impressions without a location are counted under UNKNOWN_COUNTRY.
+ */
+
+import { IMPRESSION_STATS_CONFIG } from './constants.js';
+import { getDeviceCategory } from './utils.js';
+
+export const IMPRESSION_SOURCES = {
+    HOME: 'home',
+    OTHER: 'other'
+};
+
+export const UNKNOWN_COUNTRY = 'unknown';
+
+/**
+ * Get the local date of a time as YYYY-MM-DD
+ * @param {Date} [date=new Date()] - Time
+ * @returns {string} - Local day
+ */
+export function getLocalDay(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Build an impression for a rendered tweet
+ * @param {Object} info - Author's user info
+ * @param {boolean} filtered - Whether the tweet was hidden or collapsed
+ * @param {string} pathname - location.pathname of the page the tweet was seen on
+ * @returns {Object} - Impression (see module docs)
+ */
+export function createImpression(info, filtered, pathname) {
+    return {
+        day: getLocalDay(),
+        source: pathname === '/home' ? IMPRESSION_SOURCES.HOME : IMPRESSION_SOURCES.OTHER,
+        country: info?.location ? info.location.toLowerCase() : null,
+        device: info?.device ? getDeviceCategory(info.device) : null,
+        filtered: filtered === true
+    };
+}
+
+/**
+ * Add impressions to the stored days (mutates days)
+ * Malformed impressions are skipped.
+ * @param {Object} days - Stored days (see module docs)
+ * @param {Array<Object>} impressions - Impressions
+ * @returns {number} - Impressions added
+ */
+export function addImpressions(days, impressions) {
+    let added = 0;
+    for (const impression of impressions || []) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(impression?.day) || !Object.values(IMPRESSION_SOURCES).includes(impression.source)) {
+            continue;
+        }
+
+        const day = days[impression.day] || (days[impression.day] = {});
+        const bucket = day[impression.source] || (day[impression.source] = { total: 0, filtered: 0, countries: {}, devices: {} });
+        const country = typeof impression.country === 'string' && impression.country ? impression.country : UNKNOWN_COUNTRY;
+        const device = typeof impression.device === 'string' && impression.device ? impression.device : 'Unknown';
+
+        bucket.total++;
+        if (impression.filtered) bucket.filtered++;
+        bucket.countries[country] = (bucket.countries[country] || 0) + 1;
+        bucket.devices[device] = (bucket.devices[device] || 0) + 1;
+        added++;
+    }
+    return added;
+}
+
+/**
+ * Drop days outside the retention window (mutates days)
+ * At most IMPRESSION_STATS_CONFIG.MAX_DAYS days are kept whatever the setting.
+ * @param {Object} days - Stored days
+ * @param {number} retentionDays - Days to keep, including today (0 drops everything)
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {boolean} - Whether any day was dropped
+ */
+export function pruneImpressionDays(days, retentionDays, now = new Date()) {
+    const keep = Math.min(Math.max(0, Number(retentionDays) || 0), IMPRESSION_STATS_CONFIG.MAX_DAYS);
+    const oldest = new Date(now.getFullYear(), now.getMonth(), now.getDate() - keep + 1);
+    const oldestDay = getLocalDay(oldest);
+
+    let pruned = false;
+    for (const day of Object.keys(days)) {
+        if (keep === 0 || day < oldestDay) {
+            delete days[day];
+            pruned = true;
+        }
+    }
+    return pruned;
+}
+
+/**
+ * Sort a count map, most frequent first
+ * @param {Object} counts - value → count
+ * @returns {Array<{value: string, count: number}>} - Counts
+ */
+function sortCounts(counts) {
+    return Object.entries(counts || {})
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Summarize the stored days for one source
+ * @param {Object} days - Stored days
+ * @param {string} [source='home'] - IMPRESSION_SOURCES value
+ * @returns {Array<{day: string, total: number, filtered: number, countries: Array, devices: Array}>}
+ *   Days with impressions from the source, newest first
+ */
+export function summarizeImpressionDays(days, source = IMPRESSION_SOURCES.HOME) {
+    return Object.keys(days || {})
+        .filter(day => days[day]?.[source]?.total > 0)
+        .sort((a, b) => b.localeCompare(a))
+        .map(day => {
+            const bucket = days[day][source];
+            return {
+                day,
+                total: bucket.total,
+                filtered: bucket.filtered,
+                countries: sortCounts(bucket.countries),
+                devices: sortCounts(bucket.devices)
+            };
+        });
+}
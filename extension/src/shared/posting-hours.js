@@ -0,0 +1,181 @@
+/**
+ * Posting Hours
+ * Per-author histograms of the UTC hours tweets were posted at, read from the tweet timestamps
+ * seen while browsing. Most people don't post while they sleep, so the quietest stretch of the
+ * day hints at the author's real timezone, which can then be compared with the country X reports.
+ *
+ * Sample shape: { screenName, tweetId, time } (time is the tweet's ISO timestamp)
+ * Stored shape: { [lowercase screenName]: { hours: number[24], tweetIds: string[], updatedAt } }
+ *   hours[h] counts tweets posted between h:00 and h:59 UTC; tweetIds keeps each tweet from counting twice.
+ */
+
+import { POSTING_HOURS_CONFIG, COUNTRY_FLAGS, COUNTRY_UTC_OFFSETS, REGION_COUNTRIES, isRegion } from './constants.js';
+import { getCountryForFlag, formatCountryName } from './utils.js';
+
+/**
+ * Add samples to the stored authors (mutates authors)
+ * Malformed samples and tweets already counted are skipped; the least recently updated
+ * authors are dropped beyond POSTING_HOURS_CONFIG.MAX_AUTHORS.
+ * @param {Object} authors - Stored authors (see module docs)
+ * @param {Array<Object>} samples - Samples from a content script
+ * @returns {Object} - Updated histograms of the authors the samples belong to: { [lowercase screenName]: hours }
+ */
+export function addPostingSamples(authors, samples) {
+    const touched = {};
+    const now = Date.now();
+
+    for (const sample of samples || []) {
+        const key = typeof sample?.screenName === 'string' ? sample.screenName.toLowerCase() : '';
+        const time = new Date(sample?.time);
+        if (!key || typeof sample.tweetId !== 'string' || !sample.tweetId || Number.isNaN(time.getTime())) {
+            continue;
+        }
+
+        const author = authors[key] || (authors[key] = { hours: new Array(24).fill(0), tweetIds: [], updatedAt: now });
+        if (!author.tweetIds.includes(sample.tweetId)) {
+            author.hours[time.getUTCHours()]++;
+            author.tweetIds.push(sample.tweetId);
+            if (author.tweetIds.length > POSTING_HOURS_CONFIG.MAX_TWEET_IDS) {
+                author.tweetIds.shift();
+            }
+            author.updatedAt = now;
+        }
+        touched[key] = author.hours;
+    }
+
+    const keys = Object.keys(authors);
+    if (keys.length > POSTING_HOURS_CONFIG.MAX_AUTHORS) {
+        keys.sort((a, b) => authors[a].updatedAt - authors[b].updatedAt)
+            .slice(0, keys.length - POSTING_HOURS_CONFIG.MAX_AUTHORS)
+            .forEach(key => delete authors[key]);
+    }
+
+    return touched;
+}
+
+/**
+ * Normalize an offset in hours to -11..+12
+ * @param {number} offset - Offset
+ * @returns {number} - Normalized offset
+ */
+function normalizeOffset(offset) {
+    const wrapped = ((offset % 24) + 24) % 24;
+    return wrapped > 12 ? wrapped - 24 : wrapped;
+}
+
+/**
+ * Infer an author's UTC offset from the quietest stretch of their posting hours
+ * The quiet window is assumed to be POSTING_HOURS_CONFIG.QUIET_START_LOCAL onwards in local time.
+ * When several windows are equally quiet, the middle of the longest run of them is used.
+ * @param {number[]} hours - Histogram (24 UTC hours)
+ * @returns {{offset: number, samples: number}|null} - null with too few samples or no clear quiet window
+ */
+export function inferUtcOffset(hours) {
+    if (!Array.isArray(hours) || hours.length !== 24) return null;
+    const samples = hours.reduce((sum, count) => sum + (count || 0), 0);
+    if (samples < POSTING_HOURS_CONFIG.MIN_SAMPLES) return null;
+
+    const windows = hours.map((_, start) => {
+        let sum = 0;
+        for (let i = 0; i < POSTING_HOURS_CONFIG.QUIET_HOURS; i++) {
+            sum += hours[(start + i) % 24] || 0;
+        }
+        return sum;
+    });
+    const quietest = Math.min(...windows);
+    if (quietest / samples > POSTING_HOURS_CONFIG.MAX_QUIET_SHARE) return null;
+
+    let best = { start: 0, length: 0 };
+    for (let start = 0; start < 24; start++) {
+        if (windows[start] !== quietest || windows[(start + 23) % 24] === quietest) continue;
+        let length = 1;
+        while (length < 24 && windows[(start + length) % 24] === quietest) length++;
+        if (length > best.length) best = { start, length };
+    }
+
+    const quietStart = (best.start + Math.floor((best.length - 1) / 2)) % 24;
+    return { offset: normalizeOffset(POSTING_HOURS_CONFIG.QUIET_START_LOCAL - quietStart), samples };
+}
+
+/**
+ * Get the standard UTC offsets of a location
+ * Aliases ("usa", "czechia") resolve through their flag; regions cover all their member countries.
+ * @param {string} location - Country or region (case-insensitive)
+ * @returns {[number, number]|null} - [westernmost, easternmost] offset, or null if unknown
+ */
+export function getLocationUtcOffsets(location) {
+    if (!location) return null;
+    let key = location.trim().toLowerCase();
+    if (!COUNTRY_UTC_OFFSETS[key] && !isRegion(key)) {
+        // The first country with a flag is the canonical one ("european union" resolves to the Europe region)
+        key = getCountryForFlag(COUNTRY_FLAGS[key]) || key;
+    }
+
+    if (isRegion(key)) {
+        const ranges = (REGION_COUNTRIES[key] || []).map(country => COUNTRY_UTC_OFFSETS[country]).filter(Boolean);
+        if (ranges.length === 0) return null;
+        return [Math.min(...ranges.map(range => range[0])), Math.max(...ranges.map(range => range[1]))];
+    }
+    return COUNTRY_UTC_OFFSETS[key] || null;
+}
+
+/**
+ * Hours between an offset and a range of offsets, going round the clock if that's shorter
+ * @param {number} offset - Offset
+ * @param {[number, number]} range - [min, max] offset
+ * @returns {number} - 0 inside the range
+ */
+function getOffsetDistance(offset, range) {
+    return Math.min(...[-24, 0, 24].map(shift => {
+        const value = offset + shift;
+        if (value < range[0]) return range[0] - value;
+        if (value > range[1]) return value - range[1];
+        return 0;
+    }));
+}
+
+/**
+ * Compare an author's posting hours with the reported location
+ * Daylight saving time is allowed for by stretching the location's range an hour east.
+ * @param {number[]} hours - Histogram (24 UTC hours)
+ * @param {string|null} location - Reported country or region
+ * @returns {{offset: number, samples: number, expected: [number, number]|null, mismatch: boolean}|null}
+ *   - null until an offset can be inferred; mismatch is false when the location's offsets are unknown
+ */
+export function comparePostingPattern(hours, location) {
+    const inferred = inferUtcOffset(hours);
+    if (!inferred) return null;
+
+    const expected = getLocationUtcOffsets(location);
+    const mismatch = expected !== null
+        && getOffsetDistance(inferred.offset, [expected[0], expected[1] + 1]) > POSTING_HOURS_CONFIG.OFFSET_TOLERANCE;
+    return { ...inferred, expected, mismatch };
+}
+
+/**
+ * Format a UTC offset
+ * @param {number} offset - Offset in hours
+ * @returns {string} - e.g. "UTC+3", "UTC−5" or "UTC+5:30"
+ */
+export function formatUtcOffset(offset) {
+    const sign = offset < 0 ? '−' : '+';
+    const hours = Math.floor(Math.abs(offset));
+    const minutes = Math.round((Math.abs(offset) - hours) * 60);
+    return `UTC${sign}${hours}${minutes > 0 ? `:${String(minutes).padStart(2, '0')}` : ''}`;
+}
+
+/**
+ * Describe a posting pattern for the hovercard
+ * @param {Object} pattern - From comparePostingPattern
+ * @param {string|null} location - Reported country or region
+ * @returns {string} - e.g. "Suggests UTC+3 (42 posts), but Germany is UTC+1"
+ */
+export function describePostingPattern({ offset, samples, expected, mismatch }, location) {
+    const text = `Suggests ${formatUtcOffset(offset)} (${samples} posts)`;
+    if (!mismatch) return text;
+
+    const range = expected[0] === expected[1]
+        ? formatUtcOffset(expected[0])
+        : `${formatUtcOffset(expected[0])} to ${formatUtcOffset(expected[1])}`;
+    return `${text}, but ${formatCountryName(location)} is ${range}`;
+}
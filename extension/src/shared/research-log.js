@@ -0,0 +1,95 @@
+/**
+ * Research Log
+ * Observation records for research mode: while a named recording session is running, every
+ * tweet X-Posed labels is logged with its author's location data and filter state. The
+ * background keeps the log in IndexedDB (see background/research-log.js); sessions export
+ * as NDJSON or CSV.
+ *
+ * Session shape: { id, name, startedAt, stoppedAt } (ISO timestamps, stoppedAt null while recording)
+ * Observation shape: { sessionId, tweetId, tweetUrl, tweetTime, screenName, restId, observedAt,
+ *   pageUrl, country, device, vpn, filterAction, filterReason, filterValue }
+ *   A tweet is logged once per session, the first time it is seen.
+ */
+
+import { RESEARCH_CONFIG } from './constants.js';
+import { toCsvField } from './utils.js';
+
+export const OBSERVATION_COLUMNS = ['sessionId', 'tweetId', 'tweetUrl', 'tweetTime', 'screenName', 'restId', 'observedAt',
+    'pageUrl', 'country', 'device', 'vpn', 'filterAction', 'filterReason', 'filterValue'];
+
+export const RESEARCH_EXPORT_FORMATS = {
+    ndjson: { extension: 'ndjson', mimeType: 'application/x-ndjson' },
+    csv: { extension: 'csv', mimeType: 'text/csv' }
+};
+
+/**
+ * Clean up a session name, falling back to one based on the start time
+ * @param {string} name - Name entered by the user
+ * @param {Date} [startedAt=new Date()] - Session start
+ * @returns {string} - Session name
+ */
+export function normalizeSessionName(name, startedAt = new Date()) {
+    const trimmed = typeof name === 'string' ? name.replace(/\s+/g, ' ').trim().slice(0, RESEARCH_CONFIG.MAX_NAME_LENGTH) : '';
+    if (trimmed) return trimmed;
+    return `Session ${startedAt.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })}`;
+}
+
+/**
+ * Build an observation for a tweet seen while recording
+ * @param {string} sessionId - Recording session ID
+ * @param {{tweetId: string, tweetUrl: string, timestamp: string}} link - From extractTweetLink (evidence-capture.js)
+ * @param {string} screenName - Tweet author's screen name
+ * @param {Object|null} info - Author's user info, or null if the tweet was filtered before the lookup
+ * @param {Object|null} filter - { action, reason, value } applied to the tweet, or null if it was shown as is
+ * @param {string} pageUrl - URL of the page the tweet was seen on
+ * @returns {Object} - Observation (see module docs)
+ */
+export function createObservation(sessionId, link, screenName, info, filter, pageUrl) {
+    return {
+        sessionId,
+        tweetId: link.tweetId,
+        tweetUrl: link.tweetUrl,
+        tweetTime: link.timestamp || null,
+        screenName,
+        restId: info?.meta?.restId || null,
+        observedAt: new Date().toISOString(),
+        pageUrl,
+        country: info?.location || null,
+        device: info?.device || null,
+        vpn: info ? info.locationAccurate === false : null,
+        filterAction: filter?.action || null,
+        filterReason: filter?.reason || null,
+        filterValue: filter?.value ?? null
+    };
+}
+
+/**
+ * Export observations as NDJSON (one JSON object per line)
+ * @param {Array<Object>} observations - Observations
+ * @returns {string} - NDJSON text
+ */
+export function observationsToNdjson(observations) {
+    return observations.map(observation => JSON.stringify(observation)).join('\n') + (observations.length > 0 ? '\n' : '');
+}
+
+/**
+ * Export observations as CSV (one row per observation)
+ * @param {Array<Object>} observations - Observations
+ * @returns {string} - CSV text with a header row
+ */
+export function observationsToCsv(observations) {
+    const rows = observations.map(observation => OBSERVATION_COLUMNS.map(column => toCsvField(observation[column])).join(','));
+    return [OBSERVATION_COLUMNS.join(','), ...rows].join('\r\n');
+}
+
+/**
+ * Build the export file name for a session
+ * @param {Object} session - Session
+ * @param {string} format - RESEARCH_EXPORT_FORMATS key
+ * @returns {string} - e.g. "x-posed-research-election-night-2026-10-19.ndjson"
+ */
+export function getResearchExportFilename(session, format) {
+    const slug = session.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'session';
+    const date = (session.startedAt || new Date().toISOString()).split('T')[0];
+    return `x-posed-research-${slug}-${date}.${RESEARCH_EXPORT_FORMATS[format].extension}`;
+}
@@ -4,8 +4,15 @@
  */
 
 import browserAPI from './browser-api.js';
-import { STORAGE_KEYS, CACHE_CONFIG, DEFAULT_SETTINGS } from './constants.js';
+import { STORAGE_KEYS, CACHE_CONFIG, DEFAULT_SETTINGS, DEVICE_CATEGORIES, FILTER_ACTIONS, PROFILE_CONFIG, COUNTRY_GROUP_CONFIG, FILTER_MODES, IMPRESSION_STATS_CONFIG, POSTING_HOURS_CONFIG, WATCHLIST_CONFIG } from './constants.js';
 import { LRUCache } from './lru-cache.js';
+import { normalizeScreenName, generateId } from './utils.js';
+import { normalizeFilterRule } from './filter-rules.js';
+import { normalizeFilterListSubscription, mergeFilterListEntries } from './filter-lists.js';
+import { normalizeCountryGroup } from './country-groups.js';
+import { addImpressions, pruneImpressionDays } from './impression-stats.js';
+import { addPostingSamples } from './posting-hours.js';
+import { createWatchSnapshot, diffWatchSnapshots } from './watchlist.js';
 
 /**
  * User cache data storage with per-entry expiry tracking
@@ -438,6 +445,1207 @@ class BlockedTagsStorage {
     }
 }
 
+/**
+ * Blocked devices storage (device categories from getDeviceCategory)
+ * Only the known categories (iOS, Android, Web, Unknown) are accepted
+ */
+class BlockedDevicesStorage {
+    constructor() {
+        this.devices = new Set();
+        this.loaded = false;
+    }
+
+    async load() {
+        try {
+            const result = await browserAPI.storage.local.get(STORAGE_KEYS.BLOCKED_DEVICES);
+            const stored = result[STORAGE_KEYS.BLOCKED_DEVICES];
+            
+            if (Array.isArray(stored)) {
+                this.devices = new Set(stored.map(d => this.normalize(d)).filter(Boolean));
+                console.log(`📱 Loaded ${this.devices.size} blocked devices`);
+            }
+            
+            this.loaded = true;
+        } catch (error) {
+            console.error('Failed to load blocked devices:', error);
+            this.loaded = true;
+        }
+    }
+
+    async save() {
+        try {
+            const array = Array.from(this.devices);
+            await browserAPI.storage.local.set({
+                [STORAGE_KEYS.BLOCKED_DEVICES]: array
+            });
+            console.log(`💾 Saved ${array.length} blocked devices`);
+        } catch (error) {
+            console.error('Failed to save blocked devices:', error);
+        }
+    }
+
+    /**
+     * Map input to its canonical device category
+     * @param {string} device - Device category, any case
+     * @returns {string|null} - Canonical category or null if unknown
+     */
+    normalize(device) {
+        if (!device || typeof device !== 'string') return null;
+        const lower = device.trim().toLowerCase();
+        return DEVICE_CATEGORIES.find(c => c.toLowerCase() === lower) || null;
+    }
+
+    isBlocked(device) {
+        const normalized = this.normalize(device);
+        return normalized !== null && this.devices.has(normalized);
+    }
+
+    add(device) {
+        const normalized = this.normalize(device);
+        if (normalized && !this.devices.has(normalized)) {
+            this.devices.add(normalized);
+            this.save();
+            return true;
+        }
+        return false;
+    }
+
+    remove(device) {
+        const normalized = this.normalize(device);
+        if (normalized && this.devices.has(normalized)) {
+            this.devices.delete(normalized);
+            this.save();
+            return true;
+        }
+        return false;
+    }
+
+    toggle(device) {
+        const normalized = this.normalize(device);
+        if (!normalized) return false;
+        
+        if (this.devices.has(normalized)) {
+            this.devices.delete(normalized);
+        } else {
+            this.devices.add(normalized);
+        }
+        this.save();
+        return this.devices.has(normalized);
+    }
+
+    clear() {
+        this.devices.clear();
+        return this.save();
+    }
+
+    get size() {
+        return this.devices.size;
+    }
+
+    getAll() {
+        return Array.from(this.devices);
+    }
+
+    has(device) {
+        return this.isBlocked(device);
+    }
+}
+
+/**
+ * Allowed users storage (handles that are never hidden, collapsed or highlighted)
+ * Handles are stored lowercase without the leading @
+ */
+class AllowedUsersStorage {
+    constructor() {
+        this.users = new Set();
+        this.loaded = false;
+    }
+
+    async load() {
+        try {
+            const result = await browserAPI.storage.local.get(STORAGE_KEYS.ALLOWED_USERS);
+            const stored = result[STORAGE_KEYS.ALLOWED_USERS];
+            
+            if (Array.isArray(stored)) {
+                this.users = new Set(stored.map(normalizeScreenName).filter(Boolean));
+                console.log(`✅ Loaded ${this.users.size} allowed users`);
+            }
+            
+            this.loaded = true;
+        } catch (error) {
+            console.error('Failed to load allowed users:', error);
+            this.loaded = true;
+        }
+    }
+
+    async save() {
+        try {
+            const array = Array.from(this.users);
+            await browserAPI.storage.local.set({
+                [STORAGE_KEYS.ALLOWED_USERS]: array
+            });
+            console.log(`💾 Saved ${array.length} allowed users`);
+        } catch (error) {
+            console.error('Failed to save allowed users:', error);
+        }
+    }
+
+    isAllowed(screenName) {
+        const normalized = normalizeScreenName(screenName);
+        return normalized !== null && this.users.has(normalized);
+    }
+
+    add(screenName) {
+        const normalized = normalizeScreenName(screenName);
+        if (normalized && !this.users.has(normalized)) {
+            this.users.add(normalized);
+            this.save();
+            return true;
+        }
+        return false;
+    }
+
+    remove(screenName) {
+        const normalized = normalizeScreenName(screenName);
+        if (normalized && this.users.has(normalized)) {
+            this.users.delete(normalized);
+            this.save();
+            return true;
+        }
+        return false;
+    }
+
+    toggle(screenName) {
+        const normalized = normalizeScreenName(screenName);
+        if (!normalized) return false;
+        
+        if (this.users.has(normalized)) {
+            this.users.delete(normalized);
+        } else {
+            this.users.add(normalized);
+        }
+        this.save();
+        return this.users.has(normalized);
+    }
+
+    clear() {
+        this.users.clear();
+        return this.save();
+    }
+
+    get size() {
+        return this.users.size;
+    }
+
+    getAll() {
+        return Array.from(this.users);
+    }
+
+    has(screenName) {
+        return this.isAllowed(screenName);
+    }
+}
+
+/**
+ * Blocked users storage (individual handles, checked before any API lookup)
+ * Handles are stored lowercase without the leading @
+ */
+class BlockedUsersStorage {
+    constructor() {
+        this.users = new Set();
+        this.loaded = false;
+    }
+
+    async load() {
+        try {
+            const result = await browserAPI.storage.local.get(STORAGE_KEYS.BLOCKED_USERS);
+            const stored = result[STORAGE_KEYS.BLOCKED_USERS];
+            
+            if (Array.isArray(stored)) {
+                this.users = new Set(stored.map(normalizeScreenName).filter(Boolean));
+                console.log(`⛔ Loaded ${this.users.size} blocked users`);
+            }
+            
+            this.loaded = true;
+        } catch (error) {
+            console.error('Failed to load blocked users:', error);
+            this.loaded = true;
+        }
+    }
+
+    async save() {
+        try {
+            const array = Array.from(this.users);
+            await browserAPI.storage.local.set({
+                [STORAGE_KEYS.BLOCKED_USERS]: array
+            });
+            console.log(`💾 Saved ${array.length} blocked users`);
+        } catch (error) {
+            console.error('Failed to save blocked users:', error);
+        }
+    }
+
+    isBlocked(screenName) {
+        const normalized = normalizeScreenName(screenName);
+        return normalized !== null && this.users.has(normalized);
+    }
+
+    add(screenName) {
+        const normalized = normalizeScreenName(screenName);
+        if (normalized && !this.users.has(normalized)) {
+            this.users.add(normalized);
+            this.save();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Add several handles with a single save (bulk paste)
+     * @param {Array<string>} list - Handles, @handles or profile URLs
+     * @returns {{added: number, invalid: number}} - New handles added and entries that weren't valid handles
+     */
+    addMany(list) {
+        let added = 0;
+        let invalid = 0;
+        
+        for (const item of list) {
+            const normalized = normalizeScreenName(item);
+            if (!normalized) {
+                invalid++;
+            } else if (!this.users.has(normalized)) {
+                this.users.add(normalized);
+                added++;
+            }
+        }
+        
+        if (added > 0) {
+            this.save();
+        }
+        return { added, invalid };
+    }
+
+    remove(screenName) {
+        const normalized = normalizeScreenName(screenName);
+        if (normalized && this.users.has(normalized)) {
+            this.users.delete(normalized);
+            this.save();
+            return true;
+        }
+        return false;
+    }
+
+    toggle(screenName) {
+        const normalized = normalizeScreenName(screenName);
+        if (!normalized) return false;
+        
+        if (this.users.has(normalized)) {
+            this.users.delete(normalized);
+        } else {
+            this.users.add(normalized);
+        }
+        this.save();
+        return this.users.has(normalized);
+    }
+
+    clear() {
+        this.users.clear();
+        return this.save();
+    }
+
+    get size() {
+        return this.users.size;
+    }
+
+    getAll() {
+        return Array.from(this.users);
+    }
+
+    has(screenName) {
+        return this.isBlocked(screenName);
+    }
+}
+
+/**
+ * Filter rules storage (composable AND/OR/NOT rules, see filter-rules.js)
+ */
+class FilterRulesStorage {
+    constructor() {
+        this.rules = [];
+        this.loaded = false;
+    }
+
+    async load() {
+        try {
+            const result = await browserAPI.storage.local.get(STORAGE_KEYS.FILTER_RULES);
+            const stored = result[STORAGE_KEYS.FILTER_RULES];
+            
+            if (Array.isArray(stored)) {
+                this.rules = stored.map(normalizeFilterRule).filter(Boolean);
+                console.log(`🧩 Loaded ${this.rules.length} filter rules`);
+            }
+            
+            this.loaded = true;
+        } catch (error) {
+            console.error('Failed to load filter rules:', error);
+            this.loaded = true;
+        }
+    }
+
+    async save() {
+        try {
+            await browserAPI.storage.local.set({
+                [STORAGE_KEYS.FILTER_RULES]: this.rules
+            });
+            console.log(`💾 Saved ${this.rules.length} filter rules`);
+        } catch (error) {
+            console.error('Failed to save filter rules:', error);
+        }
+    }
+
+    /**
+     * Add a rule
+     * @param {Object} rule - Raw rule (id is generated if missing)
+     * @returns {Object|null} - The stored rule, or null if invalid
+     */
+    add(rule) {
+        const normalized = normalizeFilterRule(rule);
+        if (!normalized || this.has(normalized.id)) return null;
+        this.rules.push(normalized);
+        this.save();
+        return normalized;
+    }
+
+    /**
+     * Replace an existing rule (matched by id)
+     * @param {Object} rule - Raw rule with id
+     * @returns {Object|null} - The stored rule, or null if invalid or unknown
+     */
+    update(rule) {
+        const index = this.rules.findIndex(r => r.id === rule?.id);
+        if (index === -1) return null;
+        const normalized = normalizeFilterRule(rule);
+        if (!normalized) return null;
+        this.rules[index] = normalized;
+        this.save();
+        return normalized;
+    }
+
+    remove(id) {
+        const index = this.rules.findIndex(r => r.id === id);
+        if (index === -1) return false;
+        this.rules.splice(index, 1);
+        this.save();
+        return true;
+    }
+
+    toggle(id) {
+        const rule = this.rules.find(r => r.id === id);
+        if (!rule) return false;
+        rule.enabled = !rule.enabled;
+        this.save();
+        return rule.enabled;
+    }
+
+    clear() {
+        this.rules = [];
+        return this.save();
+    }
+
+    /**
+     * Replace all rules
+     * @param {Array<Object>} rules - Raw rules
+     * @returns {Promise<void>}
+     */
+    set(rules) {
+        const seenIds = new Set();
+        this.rules = [];
+        for (const rule of Array.isArray(rules) ? rules : []) {
+            const normalized = normalizeFilterRule(rule);
+            if (normalized && !seenIds.has(normalized.id)) {
+                seenIds.add(normalized.id);
+                this.rules.push(normalized);
+            }
+        }
+        return this.save();
+    }
+
+    get size() {
+        return this.rules.length;
+    }
+
+    getAll() {
+        return this.rules.map(rule => ({ ...rule }));
+    }
+
+    has(id) {
+        return this.rules.some(r => r.id === id);
+    }
+}
+
+/**
+ * Filter list subscriptions storage (remote or file lists, see filter-lists.js)
+ * Entries are kept separate from the local blocked lists and merged at filter time.
+ */
+class FilterListsStorage {
+    constructor() {
+        this.lists = [];
+        this.loaded = false;
+    }
+
+    async load() {
+        try {
+            const result = await browserAPI.storage.local.get(STORAGE_KEYS.FILTER_LISTS);
+            const stored = result[STORAGE_KEYS.FILTER_LISTS];
+            
+            if (Array.isArray(stored)) {
+                this.lists = stored.map(normalizeFilterListSubscription).filter(Boolean);
+                console.log(`📋 Loaded ${this.lists.length} filter lists`);
+            }
+            
+            this.loaded = true;
+        } catch (error) {
+            console.error('Failed to load filter lists:', error);
+            this.loaded = true;
+        }
+    }
+
+    async save() {
+        try {
+            await browserAPI.storage.local.set({
+                [STORAGE_KEYS.FILTER_LISTS]: this.lists
+            });
+            console.log(`💾 Saved ${this.lists.length} filter lists`);
+        } catch (error) {
+            console.error('Failed to save filter lists:', error);
+        }
+    }
+
+    get(id) {
+        return this.lists.find(l => l.id === id) || null;
+    }
+
+    findByUrl(url) {
+        return this.lists.find(l => l.source === 'url' && l.url === url) || null;
+    }
+
+    /**
+     * Add a list, or replace the stored list with the same id
+     * @param {Object} list - Raw subscription
+     * @returns {Object|null} - The stored list, or null if invalid
+     */
+    upsert(list) {
+        const normalized = normalizeFilterListSubscription(list);
+        if (!normalized) return null;
+        
+        const index = this.lists.findIndex(l => l.id === normalized.id);
+        if (index === -1) {
+            this.lists.push(normalized);
+        } else {
+            this.lists[index] = normalized;
+        }
+        this.save();
+        return normalized;
+    }
+
+    remove(id) {
+        const index = this.lists.findIndex(l => l.id === id);
+        if (index === -1) return false;
+        this.lists.splice(index, 1);
+        this.save();
+        return true;
+    }
+
+    toggle(id) {
+        const list = this.get(id);
+        if (!list) return false;
+        list.enabled = !list.enabled;
+        this.save();
+        return list.enabled;
+    }
+
+    clear() {
+        this.lists = [];
+        return this.save();
+    }
+
+    /**
+     * Replace all lists
+     * @param {Array<Object>} lists - Raw subscriptions
+     * @returns {Promise<void>}
+     */
+    set(lists) {
+        const seenIds = new Set();
+        this.lists = [];
+        for (const list of Array.isArray(lists) ? lists : []) {
+            const normalized = normalizeFilterListSubscription(list);
+            if (normalized && !seenIds.has(normalized.id)) {
+                seenIds.add(normalized.id);
+                this.lists.push(normalized);
+            }
+        }
+        return this.save();
+    }
+
+    /**
+     * Entries of all enabled lists, deduplicated
+     * @returns {{countries: Array, regions: Array, tags: Array, handles: Array}}
+     */
+    getMergedEntries() {
+        return mergeFilterListEntries(this.lists);
+    }
+
+    get size() {
+        return this.lists.length;
+    }
+
+    getAll() {
+        return this.lists.map(list => ({ ...list }));
+    }
+
+    has(id) {
+        return this.lists.some(l => l.id === id);
+    }
+}
+
+/**
+ * Named filter profiles storage
+ * The blocked countries/regions/tags storages and the blocking mode settings always hold the
+ * active profile; the stored copy of the active profile is refreshed with update() before it's
+ * read and when switching away from it.
+ * Profile shape: { id, name, blockedCountries, blockedRegions, blockedTags, blockingMode }
+ */
+class FilterProfilesStorage {
+    constructor() {
+        this.profiles = [createProfile(PROFILE_CONFIG.DEFAULT_NAME)];
+        this.activeId = this.profiles[0].id;
+        this.loaded = false;
+    }
+
+    async load() {
+        try {
+            const result = await browserAPI.storage.local.get(STORAGE_KEYS.PROFILES);
+            const stored = result[STORAGE_KEYS.PROFILES];
+            
+            if (stored && typeof stored === 'object') {
+                this.apply(stored);
+                console.log(`🗂️ Loaded ${this.profiles.length} filter profiles (active: ${this.getActive().name})`);
+            }
+            
+            this.loaded = true;
+        } catch (error) {
+            console.error('Failed to load filter profiles:', error);
+            this.loaded = true;
+        }
+    }
+
+    async save() {
+        try {
+            await browserAPI.storage.local.set({
+                [STORAGE_KEYS.PROFILES]: { activeId: this.activeId, profiles: this.profiles }
+            });
+            console.log(`💾 Saved ${this.profiles.length} filter profiles`);
+        } catch (error) {
+            console.error('Failed to save filter profiles:', error);
+        }
+    }
+
+    /**
+     * Replace profiles from stored or imported data, keeping at least one profile
+     * @param {{activeId: string, profiles: Array<Object>}} data - Raw profiles
+     */
+    apply(data) {
+        const seenIds = new Set();
+        const profiles = [];
+        for (const profile of Array.isArray(data?.profiles) ? data.profiles : []) {
+            const normalized = normalizeProfile(profile);
+            if (normalized && !seenIds.has(normalized.id) && profiles.length < PROFILE_CONFIG.MAX_PROFILES) {
+                seenIds.add(normalized.id);
+                profiles.push(normalized);
+            }
+        }
+        
+        if (profiles.length === 0) {
+            profiles.push(createProfile(PROFILE_CONFIG.DEFAULT_NAME));
+        }
+        this.profiles = profiles;
+        this.activeId = seenIds.has(data?.activeId) ? data.activeId : profiles[0].id;
+    }
+
+    get(id) {
+        return this.profiles.find(p => p.id === id) || null;
+    }
+
+    getActive() {
+        return this.get(this.activeId);
+    }
+
+    /**
+     * Create a profile
+     * @param {string} name - Profile name
+     * @param {Object} [lists] - Initial blockedCountries/blockedRegions/blockedTags/blockingMode
+     * @returns {Object|null} - The new profile, or null if the name is empty or the limit is reached
+     */
+    add(name, lists = {}) {
+        if (this.profiles.length >= PROFILE_CONFIG.MAX_PROFILES) return null;
+        const profile = normalizeProfile({ ...lists, id: generateId(), name });
+        if (!profile) return null;
+        this.profiles.push(profile);
+        this.save();
+        return profile;
+    }
+
+    rename(id, name) {
+        const profile = this.get(id);
+        const normalizedName = normalizeProfileName(name);
+        if (!profile || !normalizedName) return false;
+        profile.name = normalizedName;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Store lists for a profile (used to snapshot the active profile)
+     * @param {string} id - Profile id
+     * @param {Object} lists - blockedCountries/blockedRegions/blockedTags/blockingMode
+     */
+    update(id, lists) {
+        const index = this.profiles.findIndex(p => p.id === id);
+        if (index === -1) return false;
+        const updated = normalizeProfile({ ...this.profiles[index], ...lists });
+        // Skip the write when the snapshot hasn't changed (GET_PROFILES snapshots on every read)
+        if (JSON.stringify(updated) !== JSON.stringify(this.profiles[index])) {
+            this.profiles[index] = updated;
+            this.save();
+        }
+        return true;
+    }
+
+    /**
+     * Remove a profile (the active profile can't be removed)
+     */
+    remove(id) {
+        if (id === this.activeId) return false;
+        const index = this.profiles.findIndex(p => p.id === id);
+        if (index === -1) return false;
+        this.profiles.splice(index, 1);
+        this.save();
+        return true;
+    }
+
+    setActive(id) {
+        if (!this.get(id)) return false;
+        this.activeId = id;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Replace all profiles
+     * @param {{activeId: string, profiles: Array<Object>}} data - Raw profiles
+     * @returns {Promise<void>}
+     */
+    set(data) {
+        this.apply(data);
+        return this.save();
+    }
+
+    get size() {
+        return this.profiles.length;
+    }
+
+    getAll() {
+        return this.profiles.map(profile => ({ ...profile }));
+    }
+
+    has(id) {
+        return this.profiles.some(p => p.id === id);
+    }
+}
+
+/**
+ * Trim and cap a profile name
+ * @param {*} name - Raw name
+ * @returns {string|null} - Normalized name, or null if empty
+ */
+function normalizeProfileName(name) {
+    if (typeof name !== 'string') return null;
+    const trimmed = name.trim().slice(0, PROFILE_CONFIG.MAX_NAME_LENGTH);
+    return trimmed || null;
+}
+
+/**
+ * Validate and normalize a stored or imported profile
+ * @param {Object} profile - Raw profile
+ * @returns {Object|null} - Normalized profile, or null if invalid
+ */
+function normalizeProfile(profile) {
+    if (!profile || typeof profile !== 'object') return null;
+    const name = normalizeProfileName(profile.name);
+    if (!name) return null;
+    
+    const toList = (values, normalize) => Array.from(new Set(
+        (Array.isArray(values) ? values : []).filter(v => typeof v === 'string' && v.trim()).map(normalize)
+    ));
+    
+    return {
+        id: typeof profile.id === 'string' && profile.id ? profile.id : generateId(),
+        name,
+        blockedCountries: toList(profile.blockedCountries, v => v.trim().toLowerCase()),
+        blockedRegions: toList(profile.blockedRegions, v => v.trim().toLowerCase()),
+        blockedTags: toList(profile.blockedTags, v => v.trim()),
+        blockingMode: Object.values(FILTER_ACTIONS).includes(profile.blockingMode) && profile.blockingMode !== FILTER_ACTIONS.LABEL
+            ? profile.blockingMode
+            : FILTER_ACTIONS.HIDE
+    };
+}
+
+/**
+ * Create an empty profile
+ * @param {string} name - Profile name
+ * @returns {Object} - Profile with no blocked locations or tags
+ */
+function createProfile(name) {
+    return normalizeProfile({ id: generateId(), name });
+}
+
+/**
+ * Country groups storage (user-defined named sets of countries, see country-groups.js)
+ */
+class CountryGroupsStorage {
+    constructor() {
+        this.groups = [];
+        this.loaded = false;
+    }
+
+    async load() {
+        try {
+            const result = await browserAPI.storage.local.get(STORAGE_KEYS.COUNTRY_GROUPS);
+            const stored = result[STORAGE_KEYS.COUNTRY_GROUPS];
+            
+            if (Array.isArray(stored)) {
+                this.groups = stored.map(normalizeCountryGroup).filter(Boolean);
+                console.log(`🧭 Loaded ${this.groups.length} country groups`);
+            }
+            
+            this.loaded = true;
+        } catch (error) {
+            console.error('Failed to load country groups:', error);
+            this.loaded = true;
+        }
+    }
+
+    async save() {
+        try {
+            await browserAPI.storage.local.set({
+                [STORAGE_KEYS.COUNTRY_GROUPS]: this.groups
+            });
+            console.log(`💾 Saved ${this.groups.length} country groups`);
+        } catch (error) {
+            console.error('Failed to save country groups:', error);
+        }
+    }
+
+    /**
+     * Add a group
+     * @param {Object} group - Raw group (id is generated if missing)
+     * @returns {Object|null} - The stored group, or null if invalid or the limit is reached
+     */
+    add(group) {
+        if (this.groups.length >= COUNTRY_GROUP_CONFIG.MAX_GROUPS) return null;
+        const normalized = normalizeCountryGroup(group);
+        if (!normalized || this.has(normalized.id)) return null;
+        this.groups.push(normalized);
+        this.save();
+        return normalized;
+    }
+
+    /**
+     * Replace an existing group (matched by id)
+     * @param {Object} group - Raw group with id
+     * @returns {Object|null} - The stored group, or null if invalid or unknown
+     */
+    update(group) {
+        const index = this.groups.findIndex(g => g.id === group?.id);
+        if (index === -1) return null;
+        const normalized = normalizeCountryGroup(group);
+        if (!normalized) return null;
+        this.groups[index] = normalized;
+        this.save();
+        return normalized;
+    }
+
+    remove(id) {
+        const index = this.groups.findIndex(g => g.id === id);
+        if (index === -1) return false;
+        this.groups.splice(index, 1);
+        this.save();
+        return true;
+    }
+
+    /**
+     * Set what a group does (see FILTER_MODES)
+     * @param {string} id - Group id
+     * @param {string} mode - 'off', 'block' or 'highlight'
+     * @returns {boolean} - True if the group exists and the mode is valid
+     */
+    setMode(id, mode) {
+        const group = this.groups.find(g => g.id === id);
+        if (!group || !Object.values(FILTER_MODES).includes(mode)) return false;
+        group.mode = mode;
+        this.save();
+        return true;
+    }
+
+    clear() {
+        this.groups = [];
+        return this.save();
+    }
+
+    /**
+     * Replace all groups
+     * @param {Array<Object>} groups - Raw groups
+     * @returns {Promise<void>}
+     */
+    set(groups) {
+        const seenIds = new Set();
+        this.groups = [];
+        for (const group of Array.isArray(groups) ? groups : []) {
+            if (this.groups.length >= COUNTRY_GROUP_CONFIG.MAX_GROUPS) break;
+            const normalized = normalizeCountryGroup(group);
+            if (normalized && !seenIds.has(normalized.id)) {
+                seenIds.add(normalized.id);
+                this.groups.push(normalized);
+            }
+        }
+        return this.save();
+    }
+
+    get size() {
+        return this.groups.length;
+    }
+
+    getAll() {
+        return this.groups.map(group => ({ ...group, countries: [...group.countries] }));
+    }
+
+    has(id) {
+        return this.groups.some(g => g.id === id);
+    }
+}
+
+/**
+ * Timeline impression stats storage (per-day composition, see impression-stats.js)
+ */
+class ImpressionStatsStorage {
+    constructor() {
+        this.days = {};
+        this.loaded = false;
+        this.saveTimeoutId = null;
+    }
+
+    async load() {
+        try {
+            const result = await browserAPI.storage.local.get(STORAGE_KEYS.IMPRESSION_STATS);
+            const stored = result[STORAGE_KEYS.IMPRESSION_STATS];
+            
+            if (stored && typeof stored === 'object' && !Array.isArray(stored)) {
+                this.days = stored;
+                console.log(`📈 Loaded impression stats for ${Object.keys(this.days).length} days`);
+            }
+            
+            this.loaded = true;
+        } catch (error) {
+            console.error('Failed to load impression stats:', error);
+            this.loaded = true;
+        }
+    }
+
+    async save() {
+        if (this.saveTimeoutId) {
+            clearTimeout(this.saveTimeoutId);
+            this.saveTimeoutId = null;
+        }
+        
+        try {
+            await browserAPI.storage.local.set({
+                [STORAGE_KEYS.IMPRESSION_STATS]: this.days
+            });
+        } catch (error) {
+            console.error('Failed to save impression stats:', error);
+        }
+    }
+
+    scheduleSave() {
+        if (this.saveTimeoutId) return;
+        
+        this.saveTimeoutId = setTimeout(() => {
+            this.saveTimeoutId = null;
+            this.save();
+        }, IMPRESSION_STATS_CONFIG.SAVE_DELAY_MS);
+    }
+
+    /**
+     * Add impressions and drop days outside the retention window
+     * @param {Array<Object>} impressions - Impressions from a content script
+     * @param {number} retentionDays - impressionRetentionDays setting
+     */
+    record(impressions, retentionDays) {
+        const added = addImpressions(this.days, impressions);
+        const pruned = pruneImpressionDays(this.days, retentionDays);
+        if (added > 0 || pruned) {
+            this.scheduleSave();
+        }
+    }
+
+    /**
+     * Drop days outside the retention window (e.g. after the setting was lowered)
+     * @param {number} retentionDays - impressionRetentionDays setting
+     */
+    async prune(retentionDays) {
+        if (pruneImpressionDays(this.days, retentionDays)) {
+            await this.save();
+        }
+    }
+
+    async clear() {
+        this.days = {};
+        await this.save();
+    }
+
+    get size() {
+        return Object.keys(this.days).length;
+    }
+
+    getAll() {
+        return JSON.parse(JSON.stringify(this.days));
+    }
+}
+
+/**
+ * Posting-hour histograms per author (see posting-hours.js)
+ */
+class PostingHoursStorage {
+    constructor() {
+        this.authors = {};
+        this.loaded = false;
+        this.saveTimeoutId = null;
+    }
+
+    async load() {
+        try {
+            const result = await browserAPI.storage.local.get(STORAGE_KEYS.POSTING_HOURS);
+            const stored = result[STORAGE_KEYS.POSTING_HOURS];
+            
+            if (stored && typeof stored === 'object' && !Array.isArray(stored)) {
+                this.authors = stored;
+                console.log(`🕒 Loaded posting hours for ${Object.keys(this.authors).length} authors`);
+            }
+            
+            this.loaded = true;
+        } catch (error) {
+            console.error('Failed to load posting hours:', error);
+            this.loaded = true;
+        }
+    }
+
+    async save() {
+        if (this.saveTimeoutId) {
+            clearTimeout(this.saveTimeoutId);
+            this.saveTimeoutId = null;
+        }
+        
+        try {
+            await browserAPI.storage.local.set({
+                [STORAGE_KEYS.POSTING_HOURS]: this.authors
+            });
+        } catch (error) {
+            console.error('Failed to save posting hours:', error);
+        }
+    }
+
+    scheduleSave() {
+        if (this.saveTimeoutId) return;
+        
+        this.saveTimeoutId = setTimeout(() => {
+            this.saveTimeoutId = null;
+            this.save();
+        }, POSTING_HOURS_CONFIG.SAVE_DELAY_MS);
+    }
+
+    /**
+     * Add tweet timestamps to their authors' histograms
+     * @param {Array<Object>} samples - Samples from a content script
+     * @returns {Object} - Histograms of the authors the samples belong to: { [lowercase screenName]: hours }
+     */
+    record(samples) {
+        const touched = addPostingSamples(this.authors, samples);
+        if (Object.keys(touched).length > 0) {
+            this.scheduleSave();
+        }
+        return JSON.parse(JSON.stringify(touched));
+    }
+
+    async clear() {
+        this.authors = {};
+        await this.save();
+    }
+
+    get size() {
+        return Object.keys(this.authors).length;
+    }
+}
+
+/**
+ * Watched accounts and their change history (see watchlist.js)
+ * Entries are keyed by lowercase handle: { screenName, addedAt, lastCheckedAt, lastError, snapshot, history }
+ *   history holds { at, field, from, to } entries, newest first.
+ */
+class WatchlistStorage {
+    constructor() {
+        this.accounts = {};
+        this.loaded = false;
+    }
+
+    async load() {
+        try {
+            const result = await browserAPI.storage.local.get(STORAGE_KEYS.WATCHLIST);
+            const stored = result[STORAGE_KEYS.WATCHLIST];
+            
+            if (stored && typeof stored === 'object' && !Array.isArray(stored)) {
+                this.accounts = stored;
+                console.log(`👁️ Loaded ${Object.keys(this.accounts).length} watched accounts`);
+            }
+            
+            this.loaded = true;
+        } catch (error) {
+            console.error('Failed to load watchlist:', error);
+            this.loaded = true;
+        }
+    }
+
+    async save() {
+        try {
+            await browserAPI.storage.local.set({
+                [STORAGE_KEYS.WATCHLIST]: this.accounts
+            });
+        } catch (error) {
+            console.error('Failed to save watchlist:', error);
+        }
+    }
+
+    has(screenName) {
+        const normalized = normalizeScreenName(screenName);
+        return normalized !== null && Object.prototype.hasOwnProperty.call(this.accounts, normalized);
+    }
+
+    /**
+     * Start watching an account
+     * @param {string} screenName - Screen name
+     * @param {Object|null} info - Current user info, used as the first snapshot when known
+     * @returns {boolean} - Whether the account was added
+     * @throws {Error} - If the watchlist is full
+     */
+    add(screenName, info = null) {
+        const normalized = normalizeScreenName(screenName);
+        if (!normalized || this.has(normalized)) return false;
+        if (this.size >= WATCHLIST_CONFIG.MAX_ACCOUNTS) {
+            throw new Error(`The watchlist is limited to ${WATCHLIST_CONFIG.MAX_ACCOUNTS} accounts`);
+        }
+
+        this.accounts[normalized] = {
+            screenName: screenName.trim().replace(/^@/, ''),
+            addedAt: Date.now(),
+            lastCheckedAt: info ? Date.now() : 0,
+            lastError: '',
+            snapshot: info ? createWatchSnapshot(info) : null,
+            history: []
+        };
+        this.save();
+        return true;
+    }
+
+    remove(screenName) {
+        const normalized = normalizeScreenName(screenName);
+        if (!normalized || !this.has(normalized)) return false;
+        delete this.accounts[normalized];
+        this.save();
+        return true;
+    }
+
+    /**
+     * Get the accounts due a check, least recently checked first
+     * @param {number} intervalMs - How long ago an account must have been checked
+     * @param {number} limit - Maximum accounts returned
+     * @returns {Array<string>} - Screen names
+     */
+    getDue(intervalMs, limit) {
+        const cutoff = Date.now() - intervalMs;
+        return Object.values(this.accounts)
+            .filter(entry => entry.lastCheckedAt <= cutoff)
+            .sort((a, b) => a.lastCheckedAt - b.lastCheckedAt)
+            .slice(0, limit)
+            .map(entry => entry.screenName);
+    }
+
+    /**
+     * Store a fresh lookup and record what changed since the last one
+     * Call save() once the batch is done.
+     * @param {string} screenName - Screen name
+     * @param {Object} info - User info from XAPIClient.parseResponse
+     * @returns {Array<Object>} - Changes (see watchlist.js); empty for the first lookup or an unwatched account
+     */
+    recordCheck(screenName, info) {
+        const entry = this.accounts[normalizeScreenName(screenName)];
+        if (!entry) return [];
+
+        const snapshot = createWatchSnapshot(info);
+        const changes = diffWatchSnapshots(entry.snapshot, snapshot);
+        const now = Date.now();
+
+        // Keep the last known value of fields this lookup didn't return
+        entry.snapshot = entry.snapshot
+            ? Object.fromEntries(Object.entries(snapshot).map(([field, value]) => [field, value ?? entry.snapshot[field] ?? null]))
+            : snapshot;
+        entry.lastCheckedAt = now;
+        entry.lastError = '';
+        entry.history = [...changes.map(change => ({ at: now, ...change })), ...entry.history]
+            .slice(0, WATCHLIST_CONFIG.MAX_HISTORY);
+        return changes;
+    }
+
+    /**
+     * Note a failed lookup (the account is retried after the usual interval)
+     * Call save() once the batch is done.
+     * @param {string} screenName - Screen name
+     * @param {string} message - Error message
+     */
+    recordError(screenName, message) {
+        const entry = this.accounts[normalizeScreenName(screenName)];
+        if (!entry) return;
+        entry.lastCheckedAt = Date.now();
+        entry.lastError = message;
+    }
+
+    clear() {
+        this.accounts = {};
+        return this.save();
+    }
+
+    get size() {
+        return Object.keys(this.accounts).length;
+    }
+
+    getKeys() {
+        return Object.keys(this.accounts);
+    }
+
+    getAll() {
+        return JSON.parse(JSON.stringify(Object.values(this.accounts)))
+            .sort((a, b) => a.screenName.localeCompare(b.screenName));
+    }
+}
+
 /**
  * Settings storage
  */
@@ -573,11 +1781,21 @@ export const userCache = new UserCacheStorage();
 export const blockedCountries = new BlockedCountriesStorage();
 export const blockedRegions = new BlockedRegionsStorage();
 export const blockedTags = new BlockedTagsStorage();
+export const blockedDevices = new BlockedDevicesStorage();
+export const allowedUsers = new AllowedUsersStorage();
+export const blockedUsers = new BlockedUsersStorage();
+export const filterRules = new FilterRulesStorage();
+export const filterLists = new FilterListsStorage();
+export const profiles = new FilterProfilesStorage();
+export const countryGroups = new CountryGroupsStorage();
+export const impressionStats = new ImpressionStatsStorage();
+export const postingHours = new PostingHoursStorage();
+export const watchlist = new WatchlistStorage();
 export const settings = new SettingsStorage();
 export const headersStorage = new HeadersStorage();
 
 // Export classes for testing
-export { LRUCache, UserCacheStorage, BlockedCountriesStorage, BlockedRegionsStorage, BlockedTagsStorage, SettingsStorage, HeadersStorage };
+export { LRUCache, UserCacheStorage, BlockedCountriesStorage, BlockedRegionsStorage, BlockedTagsStorage, BlockedDevicesStorage, AllowedUsersStorage, BlockedUsersStorage, FilterRulesStorage, FilterListsStorage, FilterProfilesStorage, CountryGroupsStorage, ImpressionStatsStorage, PostingHoursStorage, WatchlistStorage, SettingsStorage, HeadersStorage };
 
 /**
  * Initialize all storage modules
@@ -588,6 +1806,16 @@ export async function initializeStorage() {
         blockedCountries.load(),
         blockedRegions.load(),
         blockedTags.load(),
+        blockedDevices.load(),
+        allowedUsers.load(),
+        blockedUsers.load(),
+        filterRules.load(),
+        filterLists.load(),
+        profiles.load(),
+        countryGroups.load(),
+        impressionStats.load(),
+        postingHours.load(),
+        watchlist.load(),
         settings.load(),
         headersStorage.load()
     ]);
@@ -0,0 +1,98 @@
+/**
+ * Suspicion Score
+ * A local, transparent per-account score built from signals X-Posed already collects.
+ * Each factor in SUSPICION_FACTORS adds its (user-editable) weight when present, and the
+ * breakdown is kept so the hovercard can show exactly where the points came from.
+ * Nothing is sent anywhere; the score is recomputed from cached user info when needed.
+ */
+
+import { SUSPICION_FACTORS, SUSPICION_CONFIG, FILTER_ACTIONS } from './constants.js';
+import { getAccountAgeDays, getDeviceCategory, getFlagMismatch, exceedsHandleChangeThreshold } from './utils.js';
+import { getVerificationStatuses } from './filter-rules.js';
+
+/**
+ * Get the effective factor weights (defaults merged with the user's overrides)
+ * @param {Object} settings - Settings with suspicionWeights
+ * @returns {Object<string, number>} - Factor key → points
+ */
+export function getSuspicionWeights(settings) {
+    const overrides = settings?.suspicionWeights || {};
+    const weights = {};
+    for (const [key, factor] of Object.entries(SUSPICION_FACTORS)) {
+        const value = Number(overrides[key]);
+        weights[key] = Number.isFinite(value)
+            ? Math.min(SUSPICION_CONFIG.MAX_WEIGHT, Math.max(0, Math.round(value)))
+            : factor.weight;
+    }
+    return weights;
+}
+
+/**
+ * Get the highest score possible with the current weights
+ * @param {Object} settings - Settings with suspicionWeights
+ * @returns {number}
+ */
+export function getMaxSuspicionScore(settings) {
+    return Object.values(getSuspicionWeights(settings)).reduce((sum, weight) => sum + weight, 0);
+}
+
+/**
+ * Check which factors are present for a user
+ * Factors that need profile metadata (age, handle changes, verification) are skipped for
+ * entries without it, such as cloud cache results.
+ * @param {Object} info - User info (location, device, locationAccurate, meta)
+ * @param {string} displayName - Display name with emojis
+ * @param {Object} settings - Settings (handleChangeThreshold is shared with the handle-change marker)
+ * @returns {Object<string, boolean>} - Factor key → present
+ */
+function detectFactors(info, displayName, settings) {
+    const meta = info?.meta;
+    const ageDays = getAccountAgeDays(meta?.createdAt);
+
+    return {
+        vpn: info?.locationAccurate === false,
+        newAccount: ageDays !== null && ageDays < SUSPICION_CONFIG.NEW_ACCOUNT_DAYS,
+        flagMismatch: !!getFlagMismatch(meta?.name || displayName, info?.location)?.mismatch,
+        handleChanges: exceedsHandleChangeThreshold(meta, settings?.handleChangeThreshold),
+        unverified: !!meta && getVerificationStatuses(meta).includes('none'),
+        unknownDevice: !!info?.device && getDeviceCategory(info.device) === 'Unknown'
+    };
+}
+
+/**
+ * Compute the suspicion score for a user
+ * @param {Object} info - User info
+ * @param {string} displayName - Display name with emojis
+ * @param {Object} settings - Settings with suspicionWeights and handleChangeThreshold
+ * @returns {{score: number, max: number, factors: Array<{key: string, label: string, points: number}>}}
+ *   - Total score, highest possible score, and the factors that added points
+ */
+export function computeSuspicionScore(info, displayName, settings) {
+    const weights = getSuspicionWeights(settings);
+    const present = detectFactors(info, displayName, settings);
+    const factors = [];
+    let score = 0;
+
+    for (const [key, factor] of Object.entries(SUSPICION_FACTORS)) {
+        if (!present[key] || weights[key] === 0) continue;
+        score += weights[key];
+        factors.push({ key, label: factor.label, points: weights[key] });
+    }
+
+    return { score, max: getMaxSuspicionScore(settings), factors };
+}
+
+/**
+ * Get the filter action for a score
+ * @param {number} score - Suspicion score
+ * @param {Object} settings - Settings with suspicionHighlightScore and suspicionHideScore
+ * @param {string} blockAction - Action above the hide threshold (the global blocking mode)
+ * @returns {string|null} - Action, or null if the score is below both thresholds (or they're off)
+ */
+export function getSuspicionAction(score, settings, blockAction) {
+    const hideAt = Number(settings?.suspicionHideScore) || 0;
+    const highlightAt = Number(settings?.suspicionHighlightScore) || 0;
+    if (hideAt > 0 && score >= hideAt) return blockAction;
+    if (highlightAt > 0 && score >= highlightAt) return FILTER_ACTIONS.HIGHLIGHT;
+    return null;
+}
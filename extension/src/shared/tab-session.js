@@ -0,0 +1,90 @@
+/**
+ * Tab Session
+ * Per-tab log of filtered tweets. The content script reports an event for each tweet it
+ * hides, collapses or highlights; the background keeps them per tab until the tab closes
+ * or reloads, and the popup shows the summary.
+ *
+ * Event shape: filter log entry (see filter-exceptions.js) plus
+ *   { tweetPath: '/user/status/123'|null, country, region, tag }
+ *   country - Lowercase country the author is based in, if known
+ *   region - Region key of the author's country or region, if known
+ *   tag - The display-name tag that matched, for tag matches
+ */
+
+import { FILTER_ACTIONS, FILTER_LOG_CONFIG, isRegion, getCountryRegion } from './constants.js';
+import { createFilterLogEntry } from './filter-exceptions.js';
+
+/**
+ * Build a session event for a filtered tweet
+ * @param {string} screenName - The tweet author's screen name
+ * @param {Object} match - Result of findFilterMatch (with the action actually applied)
+ * @param {Object|null} info - User info, if known
+ * @param {string|null} tweetPath - Tweet permalink path
+ * @returns {Object} - Event (see module docs)
+ */
+export function createFilterEvent(screenName, match, info, tweetPath) {
+    const location = info?.location ? info.location.toLowerCase() : null;
+    const locationIsRegion = isRegion(location);
+
+    return {
+        ...createFilterLogEntry(screenName, match),
+        tweetPath,
+        country: location && !locationIsRegion ? location : null,
+        region: locationIsRegion ? location : getCountryRegion(location),
+        tag: match.reason === 'tag' ? match.value : null
+    };
+}
+
+/**
+ * Get the key an event is stored under (one event per tweet)
+ * @param {Object} event - Session event
+ * @returns {string} - Key
+ */
+export function getFilterEventKey(event) {
+    return event.tweetPath || `@${event.screenName}`;
+}
+
+/**
+ * Count events by a field, most frequent first
+ * @param {Array<Object>} events - Session events
+ * @param {string} field - 'country', 'region' or 'tag'
+ * @returns {Array<{value: string, count: number}>} - Counts
+ */
+function countBy(events, field) {
+    const counts = new Map();
+    for (const event of events) {
+        if (event[field]) counts.set(event[field], (counts.get(event[field]) || 0) + 1);
+    }
+    return Array.from(counts, ([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Summarize a tab's session for the popup
+ * @param {Array<Object>} events - Session events, oldest first
+ * @returns {{hidden: number, collapsed: number, highlighted: number, countries: Array, regions: Array,
+ *   tags: Array, authors: Array<{screenName: string, count: number, latest: Object}>}}
+ *   authors are the most recently filtered accounts, with their latest event
+ */
+export function summarizeTabSession(events) {
+    const authors = new Map();
+    for (let i = events.length - 1; i >= 0; i--) {
+        const event = events[i];
+        const author = authors.get(event.screenName);
+        if (author) {
+            author.count++;
+        } else {
+            authors.set(event.screenName, { screenName: event.screenName, count: 1, latest: event });
+        }
+    }
+
+    return {
+        hidden: events.filter(event => event.action === FILTER_ACTIONS.HIDE).length,
+        collapsed: events.filter(event => event.action === FILTER_ACTIONS.COLLAPSE).length,
+        highlighted: events.filter(event => event.action === FILTER_ACTIONS.HIGHLIGHT).length,
+        countries: countBy(events, 'country'),
+        regions: countBy(events, 'region'),
+        tags: countBy(events, 'tag'),
+        authors: Array.from(authors.values()).slice(0, FILTER_LOG_CONFIG.RECENT_AUTHORS)
+    };
+}
@@ -0,0 +1,73 @@
+/**
+ * Thread Report
+ * Composition of the reply authors on a conversation page: the breakdowns shared with the
+ * follower analyzer (see follower-analysis.js) plus regions and clusters worth a closer look,
+ * such as several brand-new accounts from the same country.
+ *
+ * Author shape: follower-analysis account plus { replies } (replies loaded on the page)
+ * Clusters are found by account-clusters.js.
+ */
+
+import { THREAD_REPORT_CONFIG, isRegion, getCountryRegion } from './constants.js';
+import { summarizeFollowerAccounts } from './follower-analysis.js';
+import { createClusterAccount, findAccountClusters } from './account-clusters.js';
+
+// Conversation pages: /<user>/status/<id>
+const CONVERSATION_PATH = /^\/([A-Za-z0-9_]{1,15})\/status\/(\d+)\/?$/;
+
+/**
+ * Parse a conversation page path
+ * @param {string} pathname - location.pathname
+ * @returns {{screenName: string, tweetId: string}|null} - Page, or null for other pages
+ */
+export function parseConversationPath(pathname) {
+    const match = CONVERSATION_PATH.exec(pathname || '');
+    return match ? { screenName: match[1], tweetId: match[2] } : null;
+}
+
+// Traits reply authors are grouped by, apart from the creation month (see findThreadClusters)
+const THREAD_CLUSTER_COMBINATIONS = [['newAccount', 'location'], ['vpn', 'location']];
+
+/**
+ * Find clusters among reply authors
+ * @param {Array<Object>} accounts - Authors with data
+ * @returns {Array<Object>} - Clusters (see account-clusters.js), largest first
+ */
+function findThreadClusters(accounts) {
+    const clusterAccounts = accounts.map(createClusterAccount);
+    const minSize = THREAD_REPORT_CONFIG.MIN_CLUSTER_SIZE;
+
+    // Many authors created in the same month (only meaningful as a share of the thread)
+    const withAge = clusterAccounts.filter(account => account.month);
+    const monthSize = Math.max(minSize, Math.ceil(withAge.length * THREAD_REPORT_CONFIG.MIN_CLUSTER_SHARE));
+
+    return [
+        ...findAccountClusters(clusterAccounts, THREAD_CLUSTER_COMBINATIONS, minSize),
+        ...findAccountClusters(withAge, [['month']], monthSize)
+    ].sort((a, b) => b.members.length - a.members.length);
+}
+
+/**
+ * Summarize the reply authors of a thread
+ * @param {Array<Object>} authors - Authors (see module docs)
+ * @returns {Object} - summarizeFollowerAccounts result plus { replies, countries, regions, clusters }
+ *   countries excludes accounts whose location is a region; regions covers both
+ */
+export function summarizeThreadAuthors(authors) {
+    const summary = summarizeFollowerAccounts(authors);
+    const withData = authors.filter(account => account.vpn !== null);
+
+    const regionCounts = new Map();
+    for (const account of withData) {
+        const region = isRegion(account.location) ? account.location : getCountryRegion(account.location);
+        if (region) regionCounts.set(region, (regionCounts.get(region) || 0) + 1);
+    }
+
+    return {
+        ...summary,
+        replies: authors.reduce((sum, author) => sum + (author.replies || 0), 0),
+        countries: summary.locations.filter(({ value }) => !isRegion(value)),
+        regions: Array.from(regionCounts, ([value, count]) => ({ value, count })).sort((a, b) => b.count - a.count),
+        clusters: findThreadClusters(withData)
+    };
+}
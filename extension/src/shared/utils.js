@@ -4,7 +4,7 @@
  * @module utils
  */
 
-import { COUNTRY_FLAGS } from './constants.js';
+import { COUNTRY_FLAGS, FILTER_ACTIONS, isRegion, getCountryRegion } from './constants.js';
 
 /**
  * Unified logging utility with consistent formatting.
@@ -262,6 +262,16 @@ export function formatCountryName(country) {
         .join(' ');
 }
 
+/**
+ * Format a count as a whole-number percentage of a total
+ * @param {number} count - Part
+ * @param {number} total - Whole
+ * @returns {string} - e.g. "42%" ("0%" when the total is 0)
+ */
+export function formatPercent(count, total) {
+    return total > 0 ? `${Math.round((count / total) * 100)}%` : '0%';
+}
+
 /**
  * Extract username from various X DOM element structures.
  * Handles both timeline/feed elements and profile header elements.
@@ -313,6 +323,25 @@ export function getLoggedInUsername() {
     return null;
 }
 
+/**
+ * Normalize a handle typed or pasted by the user.
+ * Accepts "name", "@name" and profile URLs (x.com/name, twitter.com/name).
+ * @param {string} input - Raw handle input
+ * @returns {string|null} - Lowercase screen name, or null if invalid
+ */
+export function normalizeScreenName(input) {
+    if (!input || typeof input !== 'string') return null;
+    let handle = input.trim();
+    
+    const urlMatch = handle.match(/^(?:https?:\/\/)?(?:www\.|mobile\.)?(?:x|twitter)\.com\/([^/?#]+)/i);
+    if (urlMatch) {
+        handle = urlMatch[1];
+    }
+    
+    handle = handle.replace(/^@/, '');
+    return /^[a-zA-Z0-9_]{1,15}$/.test(handle) ? handle.toLowerCase() : null;
+}
+
 /**
  * Find the best insertion point for badge in a username element.
  * Handles various X DOM structures including profile headers and timeline items.
@@ -640,9 +669,11 @@ export function calculateStatistics(cacheEntries) {
     const stats = {
         totalUsers: 0,
         countryCounts: {},
+        regionCounts: {},
         deviceCounts: {},
         vpnCount: 0,
         topCountries: [],
+        topRegions: [],
         topDevices: []
     };
     
@@ -657,6 +688,12 @@ export function calculateStatistics(cacheEntries) {
         if (entry.location) {
             const country = entry.location.toLowerCase();
             stats.countryCounts[country] = (stats.countryCounts[country] || 0) + 1;
+            
+            // Count by region (countries roll up into their region)
+            const region = isRegion(country) ? country : getCountryRegion(country);
+            if (region) {
+                stats.regionCounts[region] = (stats.regionCounts[region] || 0) + 1;
+            }
         }
         
         // Count by device
@@ -681,6 +718,15 @@ export function calculateStatistics(cacheEntries) {
             percentage: Math.round((count / stats.totalUsers) * 100)
         }));
     
+    // Sort and get region distribution
+    stats.topRegions = Object.entries(stats.regionCounts)
+        .sort((a, b) => b[1] - a[1])
+        .map(([region, count]) => ({
+            region,
+            count,
+            percentage: Math.round((count / stats.totalUsers) * 100)
+        }));
+    
     // Sort and get device distribution
     stats.topDevices = Object.entries(stats.deviceCounts)
         .sort((a, b) => b[1] - a[1])
@@ -699,7 +745,7 @@ export function calculateStatistics(cacheEntries) {
  * @param {string|null|undefined} deviceString - The device/client string from X API
  * @returns {string} - Device category name
  */
-function getDeviceCategory(deviceString) {
+export function getDeviceCategory(deviceString) {
     if (!deviceString) return 'Unknown';
     
     const d = deviceString.toLowerCase();
@@ -716,6 +762,64 @@ function getDeviceCategory(deviceString) {
     return 'Unknown';
 }
 
+/**
+ * Parse an account creation date as returned by the X API (meta.createdAt).
+ * Falls back to January 1st of the first plausible year found in the string.
+ * @param {string|null|undefined} createdAtStr - Raw creation date string
+ * @returns {Date|null} - Parsed date, or null if it cannot be parsed
+ */
+export function parseCreatedAt(createdAtStr) {
+    if (!createdAtStr) return null;
+    const d = new Date(createdAtStr);
+    if (!Number.isNaN(d.getTime())) return d;
+
+    // Fallback: try to extract year as a last resort.
+    const m = String(createdAtStr).match(/\b(19\d{2}|20\d{2})\b/);
+    if (m) {
+        const year = Number(m[1]);
+        const fallback = new Date(Date.UTC(year, 0, 1));
+        return Number.isNaN(fallback.getTime()) ? null : fallback;
+    }
+
+    return null;
+}
+
+/**
+ * Get account age in whole days from a creation date string.
+ * @param {string|null|undefined} createdAtStr - Raw creation date string (meta.createdAt)
+ * @returns {number|null} - Age in days, or null if the date is unknown
+ */
+export function getAccountAgeDays(createdAtStr) {
+    const created = parseCreatedAt(createdAtStr);
+    if (!created) return null;
+    const ms = Date.now() - created.getTime();
+    if (ms < 0) return 0;
+    return Math.floor(ms / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Check whether an account changed its handle more often than the configured limit.
+ * @param {Object|null|undefined} meta - The `meta` object (meta.usernameChanges)
+ * @param {number} threshold - Allowed number of changes (0 disables the check)
+ * @returns {boolean} - True if the count is known and above the threshold
+ */
+export function exceedsHandleChangeThreshold(meta, threshold) {
+    const limit = Number(threshold) || 0;
+    return limit > 0 && typeof meta?.usernameChanges === 'number' && meta.usernameChanges > limit;
+}
+
+/**
+ * Get the global blocking mode from settings.
+ * Highlight takes precedence over collapse; hide is the default.
+ * @param {Object} settings - Settings with highlightBlockedTweets / collapseBlockedTweets
+ * @returns {string} - FILTER_ACTIONS.HIDE, COLLAPSE or HIGHLIGHT
+ */
+export function getBlockingMode(settings) {
+    if (settings?.highlightBlockedTweets) return FILTER_ACTIONS.HIGHLIGHT;
+    if (settings?.collapseBlockedTweets) return FILTER_ACTIONS.COLLAPSE;
+    return FILTER_ACTIONS.HIDE;
+}
+
 /**
  * Extract emojis and special tags from a display name or bio.
  * This extracts:
@@ -775,6 +879,99 @@ export function extractTagsFromText(text) {
     return Array.from(tags);
 }
 
+// Flags that stand for no single country (never counted as a mismatch)
+const NON_COUNTRY_FLAGS = new Set(['🇪🇺', '🇺🇳']);
+
+// Flag emoji → first (canonical) country name in COUNTRY_FLAGS, built on first use
+let flagCountryNames = null;
+
+/**
+ * Extract country flag emojis from text
+ * Matches regional indicator pairs (🇺🇸) and subdivision flags (🏴󠁧󠁢󠁳󠁣󠁴󠁿); EU/UN flags are ignored.
+ * @param {string|null|undefined} text - Display name or other text
+ * @returns {string[]} - Unique flags in order of appearance
+ */
+export function extractFlagEmojis(text) {
+    if (!text || typeof text !== 'string') return [];
+    const matches = text.match(/[\u{1F1E6}-\u{1F1FF}]{2}|\u{1F3F4}[\u{E0061}-\u{E007A}]+\u{E007F}/gu) || [];
+    return Array.from(new Set(matches)).filter(flag => !NON_COUNTRY_FLAGS.has(flag));
+}
+
+/**
+ * Map subdivision flags (England, Scotland, Wales) to the 🇬🇧 flag so they match the UK
+ * @param {string} flag - Flag emoji
+ * @returns {string} - Sovereign country flag
+ */
+function toSovereignFlag(flag) {
+    return flag.startsWith('\u{1F3F4}\u{E0067}\u{E0062}') ? '🇬🇧' : flag;
+}
+
+/**
+ * Get the country name for a flag emoji
+ * @param {string} flag - Flag emoji
+ * @returns {string|null} - Lowercase country name, or null if unknown
+ */
+export function getCountryForFlag(flag) {
+    if (!flagCountryNames) {
+        flagCountryNames = new Map();
+        for (const [name, emoji] of Object.entries(COUNTRY_FLAGS)) {
+            if (!flagCountryNames.has(emoji)) flagCountryNames.set(emoji, name);
+        }
+    }
+    return flagCountryNames.get(flag) || null;
+}
+
+/**
+ * Compare the country flags in a display name with the detected location.
+ * Only countries can be compared; region-level locations ("South Asia") return null.
+ * @param {string|null|undefined} displayName - Display name including emojis
+ * @param {string|null|undefined} location - Detected location (account_based_in)
+ * @returns {{mismatch: boolean, flags: string[], location: string}|null} - null if the name has
+ *   no country flags or the location isn't a known country
+ */
+export function getFlagMismatch(displayName, location) {
+    if (!location || isRegion(location)) return null;
+
+    const locationFlag = COUNTRY_FLAGS[location.trim().toLowerCase()];
+    if (!locationFlag) return null;
+
+    const flags = extractFlagEmojis(displayName);
+    if (flags.length === 0) return null;
+
+    const expected = toSovereignFlag(locationFlag);
+    return {
+        mismatch: !flags.some(flag => toSovereignFlag(flag) === expected),
+        flags,
+        location
+    };
+}
+
+/**
+ * Describe a flag mismatch for tooltips and the hovercard
+ * @param {{flags: string[], location: string}} result - From getFlagMismatch
+ * @returns {string} - e.g. "Name shows 🇺🇸 United States, but the account is based in Russia"
+ */
+export function describeFlagMismatch({ flags, location }) {
+    const shown = flags
+        .map(flag => {
+            const country = getCountryForFlag(flag);
+            return country ? `${flag} ${formatCountryName(country)}` : flag;
+        })
+        .join(', ');
+    return `Name shows ${shown}, but the account is based in ${formatCountryName(location)}`;
+}
+
+/**
+ * Escape a value for a CSV field (quoted only when it contains a comma, quote or line break).
+ * @param {*} value - Field value
+ * @returns {string} - Escaped field; empty for null or undefined
+ */
+export function toCsvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
 /**
  * Common/popular tags that users frequently use for identification
  * This list can be used to populate a quick-select UI
@@ -0,0 +1,85 @@
+/**
+ * Watchlist
+ * Accounts the user pinned from the hovercard are re-fetched in the background, and each fetch
+ * is reduced to a snapshot of the fields worth tracking. Comparing two snapshots gives the
+ * changes recorded in the account's history (and shown in notifications).
+ *
+ * Snapshot shape: { location, device, vpn, name, verification, usernameChanges }
+ *   Each field is null when the API didn't return it; verification is a sorted, space-separated
+ *   list of getVerificationStatuses keys.
+ * Change shape: { field, from, to }
+ */
+
+import { VERIFICATION_STATUSES } from './constants.js';
+import { formatCountryName } from './utils.js';
+import { getVerificationStatuses } from './filter-rules.js';
+
+// Tracked fields and their labels, in display order
+export const WATCH_FIELDS = {
+    location: 'Location',
+    device: 'Device',
+    vpn: 'VPN / proxy',
+    name: 'Display name',
+    verification: 'Verification',
+    usernameChanges: 'Handle changes'
+};
+
+/**
+ * Build a snapshot from user info
+ * @param {Object|null} info - User info from XAPIClient.parseResponse
+ * @returns {Object} - Snapshot (see module docs)
+ */
+export function createWatchSnapshot(info) {
+    const meta = info?.meta || null;
+    return {
+        location: info?.location || null,
+        device: info?.device || null,
+        vpn: typeof info?.locationAccurate === 'boolean' ? !info.locationAccurate : null,
+        name: meta?.name || null,
+        verification: meta ? getVerificationStatuses(meta).sort().join(' ') : null,
+        usernameChanges: typeof meta?.usernameChanges === 'number' ? meta.usernameChanges : null
+    };
+}
+
+/**
+ * Compare two snapshots
+ * A field that's missing from the newer snapshot isn't a change: the API often leaves fields out.
+ * @param {Object|null} before - Previous snapshot, or null for a new account
+ * @param {Object} after - New snapshot
+ * @returns {Array<Object>} - Changes (see module docs), in WATCH_FIELDS order
+ */
+export function diffWatchSnapshots(before, after) {
+    if (!before) return [];
+    return Object.keys(WATCH_FIELDS)
+        .filter(field => after[field] !== null && after[field] !== undefined && after[field] !== before[field])
+        .map(field => ({ field, from: before[field] ?? null, to: after[field] }));
+}
+
+/**
+ * Format a snapshot value for display
+ * @param {string} field - Field name (see WATCH_FIELDS)
+ * @param {*} value - Snapshot value
+ * @returns {string} - Display text
+ */
+export function formatWatchValue(field, value) {
+    if (value === null || value === undefined) return 'unknown';
+    switch (field) {
+        case 'location':
+            return formatCountryName(value);
+        case 'vpn':
+            return value ? 'Yes' : 'No';
+        case 'verification':
+            return value.split(' ').map(status => VERIFICATION_STATUSES[status] || status).join(', ');
+        default:
+            return String(value);
+    }
+}
+
+/**
+ * Describe a change
+ * @param {Object} change - Change (see module docs)
+ * @returns {string} - e.g. "Location: Germany → Russia"
+ */
+export function describeWatchChange({ field, from, to }) {
+    return `${WATCH_FIELDS[field] || field}: ${formatWatchValue(field, from)} → ${formatWatchValue(field, to)}`;
+}